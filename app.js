@@ -17,11 +17,26 @@ const swaggerSpec = swaggerJSDoc(swaggerOptions)
 const authRoutes = require("./routes/auth/routes")
 const connectionRoutes = require("./routes/connection/routes")
 const courseRoutes = require("./routes/course/routes")
+const curriculumRoutes = require("./routes/curriculum/routes")
+const progressRoutes = require("./routes/progress/routes")
+const assignmentRoutes = require("./routes/assignment/routes")
+const quizRoutes = require("./routes/quiz/routes")
+const gradebookRoutes = require("./routes/gradebook/routes")
+const feedbackRoutes = require("./routes/feedback/routes")
+const forumRoutes = require("./routes/forum/routes")
+const announcementRoutes = require("./routes/announcement/routes")
+const ratingRoutes = require("./routes/rating/routes")
+const prerequisiteRoutes = require("./routes/prerequisite/routes")
+const certificateRoutes = require("./routes/certificate/routes")
 const userRoutes = require("./routes/userRoutes/routes")
+const apiKeyRoutes = require("./routes/apiKey/routes")
 
 // DB Helper
 const { connectToDatabase } = require("./helpers/db")
 
+// Scheduled Jobs
+const { startAnnouncementScheduler } = require("./helpers/announcement")
+
 // Creating Express App
 const app = express()
 
@@ -33,14 +48,28 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec))
 // Setting up routes
 app.use('/auth', authRoutes)
 app.use('/connection', connectionRoutes)
+// before /course, which would otherwise authenticate these requests a second time
+app.use('/course/:courseId/curriculum', curriculumRoutes)
+app.use('/course/:courseId/progress', progressRoutes)
+app.use('/course/:courseId/assignments', assignmentRoutes)
+app.use('/course/:courseId/quizzes', quizRoutes)
+app.use('/course/:courseId/gradebook', gradebookRoutes)
+app.use('/course/:courseId/feedback', feedbackRoutes)
+app.use('/course/:courseId/forum', forumRoutes)
+app.use('/course/:courseId/announcements', announcementRoutes)
+app.use('/course/:courseId/rating', ratingRoutes)
+app.use('/course/:courseId/prerequisites', prerequisiteRoutes)
 app.use('/course', courseRoutes)
+app.use('/certificates', certificateRoutes)
 app.use('/user', userRoutes)
+app.use('/apiKeys', apiKeyRoutes)
 
 const dbConnectionSuccess = connectToDatabase()
 if (dbConnectionSuccess) {
 	const server = app.listen(process.env.PORT, () => {
 		console.log('Server running on port ' + process.env.PORT)
 		logger.info('Server running on port ' + process.env.PORT)
+		startAnnouncementScheduler()
 	})
 
 	server.on('error', (err) => {
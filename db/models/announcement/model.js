@@ -0,0 +1,56 @@
+const mongoose = require("mongoose")
+
+/**
+ * An enumeration of the states of an announcement.
+ * @readonly
+ * @enum {number}
+ */
+const ANNOUNCEMENTSTATUS_CODES = {
+	SCHEDULED: 0, // waiting for its send time, can still be edited
+	SENT: 1
+}
+
+/**
+ * An enumeration of the states of the email of an announcement to one of its recipients.
+ * @readonly
+ * @enum {number}
+ */
+const ANNOUNCEMENTEMAIL_CODES = {
+	NONE: 0, // the announcement was posted in-app only
+	PENDING: 1,
+	SENT: 2,
+	FAILED: 3,
+	OPTED_OUT: 4 // the recipient turned announcement emails off
+}
+
+// A student an announcement was delivered to, doubling as the in-app notice and its read receipt
+const recipientSchema = new mongoose.Schema({
+	user: 								{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+	email: 								{ type: Number, required: true, enum: Object.values(ANNOUNCEMENTEMAIL_CODES) },
+	readAt: 							{ type: Date }
+}, { _id: false })
+
+// An announcement posted by a manager to the accepted students of a course
+const announcementSchema = new mongoose.Schema({
+	course: 							{ type: mongoose.Schema.Types.ObjectId, ref: "courses", required: true },
+	title: 								{ type: String, required: true },
+	body: 								{ type: String, required: true },
+	author: 							{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+	sendEmail: 						{ type: Boolean, required: true, default: true },
+
+	status: 							{ type: Number, required: true, default: ANNOUNCEMENTSTATUS_CODES.SCHEDULED, enum: Object.values(ANNOUNCEMENTSTATUS_CODES) },
+	sendAt: 							{ type: Date, required: true, default: Date.now },
+	sentAt: 							{ type: Date },
+	recipients: 					{ type: [recipientSchema], default: [] }, // the ACCEPTED registrations when it was sent
+
+	createdAt: 						{ type: Date, required: true, default: Date.now },
+	updatedAt: 						{ type: Date }
+})
+
+announcementSchema.index({ course: 1, sendAt: -1 })
+announcementSchema.index({ status: 1, sendAt: 1 })
+announcementSchema.index({ "recipients.user": 1, sentAt: -1 })
+
+const Announcement = mongoose.model("announcements", announcementSchema)
+
+module.exports = { Announcement, ANNOUNCEMENTSTATUS_CODES, ANNOUNCEMENTEMAIL_CODES }
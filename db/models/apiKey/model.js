@@ -0,0 +1,34 @@
+const mongoose = require("mongoose")
+
+// What an api key may be used for, each route under /course and /user requires one of these
+const APIKEYSCOPE_CODES = {
+	READ_COURSES: "read:courses", // list and view courses, their material and enrollments
+	WRITE_MATERIALS: "write:materials", // add, edit and delete course material
+	MANAGE_ENROLLMENTS: "manage:enrollments", // enroll and unenroll, decide registrations, override prerequisites, issue certificates
+	WRITE_GRADES: "write:grades", // grade submissions, edit grades and give students feedback
+	WRITE_COURSEWORK: "write:coursework", // track progress, submit assignments and answer quizzes as the key's user
+	WRITE_FORUM: "write:forum", // post and vote in course forums, vote on and review courses as the key's user
+	READ_PROFILE: "read:profile", // view the profile of the key's user
+	WRITE_PROFILE: "write:profile" // edit the profile of the key's user, and mark announcements read
+}
+
+// An api key acts as its user, limited to its scopes. Only the hash of the key is stored,
+// the raw value is shown once, at creation or rotation.
+const apiKeySchema = new mongoose.Schema({
+	user: 								{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+	createdBy: 						{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // the user, or the admin who made it
+	name: 								{ type: String, required: true },
+	prefix: 							{ type: String, required: true }, // start of the key, to recognise it in lists
+	keyHash: 							{ type: String, required: true, unique: true },
+	scopes: 							{ type: [String], required: true, enum: Object.values(APIKEYSCOPE_CODES) },
+
+	createdAt: 						{ type: Date, required: true, default: Date.now },
+	rotatedAt: 						{ type: Date },
+	lastUsedAt: 					{ type: Date },
+	expiresAt: 						{ type: Date }, // never, if unset
+	revokedAt: 						{ type: Date }
+})
+
+const ApiKey = mongoose.model("apikeys", apiKeySchema)
+
+module.exports = { ApiKey, APIKEYSCOPE_CODES }
@@ -0,0 +1,69 @@
+const mongoose = require("mongoose")
+
+// A piece of work set by the managers of a course, with its deadline and late policy
+const assignmentSchema = new mongoose.Schema({
+	course: 							{ type: mongoose.Schema.Types.ObjectId, ref: "courses", required: true },
+	title: 								{ type: String, required: true },
+	instructions: 				{ type: String, default: "" },
+
+	dueAt: 								{ type: Date, required: true },
+	maxScore: 						{ type: Number, required: true, min: 0 },
+	latePolicy: {
+		acceptLate: 				{ type: Boolean, default: false }, // refused after dueAt if false
+		penaltyPerDay: 			{ type: Number, default: 0, min: 0, max: 100 }, // percent of the score taken per day late
+		maxDaysLate: 				{ type: Number, min: 0 } // refused after that many days late, no limit if unset
+	},
+	allowFiles: 					{ type: Boolean, default: true },
+	allowLinks: 					{ type: Boolean, default: true },
+
+	createdBy: 						{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+	createdAt: 						{ type: Date, required: true, default: Date.now },
+	updatedAt: 						{ type: Date }
+})
+
+assignmentSchema.index({ course: 1, dueAt: 1 })
+
+const submittedFileSchema = new mongoose.Schema({
+	originalName: 				{ type: String, required: true },
+	storedName: 					{ type: String, required: true },
+	path: 								{ type: String, required: true },
+	size: 								{ type: Number, required: true },
+	mimeType: 						{ type: String }
+})
+
+// where a file is stored on the server is never sent to clients
+submittedFileSchema.set("toJSON", {
+	transform: (doc, ret) => {
+		delete ret.path
+		return ret
+	}
+})
+
+// The work of one student for an assignment, replaced when they submit again
+const submissionSchema = new mongoose.Schema({
+	assignment: 					{ type: mongoose.Schema.Types.ObjectId, ref: "assignments", required: true },
+	course: 							{ type: mongoose.Schema.Types.ObjectId, ref: "courses", required: true },
+	user: 								{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+	files: 								[submittedFileSchema],
+	links: 								[{ type: String }],
+	comment: 							{ type: String, default: "" },
+
+	submittedAt: 					{ type: Date, required: true, default: Date.now },
+	attempts: 						{ type: Number, required: true, default: 1 },
+	daysLate: 						{ type: Number, required: true, default: 0 }, // 0 if on time
+	penalty: 							{ type: Number, required: true, default: 0 }, // percent, from the late policy
+
+	score: 								{ type: Number, min: 0 }, // as given by the grader, before the penalty
+	finalScore: 					{ type: Number, min: 0 }, // after the penalty
+	feedback: 						{ type: String, default: "" },
+	gradedBy: 						{ type: mongoose.Schema.Types.ObjectId, ref: "User" },
+	gradedAt: 						{ type: Date }
+})
+
+submissionSchema.index({ assignment: 1, user: 1 }, { unique: true })
+
+const Assignment = mongoose.model("assignments", assignmentSchema)
+const Submission = mongoose.model("submissions", submissionSchema)
+
+module.exports = { Assignment, Submission }
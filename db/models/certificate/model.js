@@ -0,0 +1,30 @@
+const mongoose = require("mongoose")
+
+// The certificate of a student who completed a course, keeping what it certifies as it was when issued
+const certificateSchema = new mongoose.Schema({
+	code: 								{ type: String, required: true, unique: true }, // the public id, printed on the certificate
+	course: 							{ type: mongoose.Schema.Types.ObjectId, ref: "courses", required: true },
+	registration: 				{ type: mongoose.Schema.Types.ObjectId, required: true, unique: true }, // from the registrations of the course
+	user: 								{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+	studentName: 					{ type: String, required: true },
+	courseTitle: 					{ type: String, required: true },
+	startDate: 						{ type: Date },
+	endDate: 							{ type: Date },
+	completedAt: 					{ type: Date, required: true },
+	issuers: [{
+		_id: false,
+		name: 							{ type: String, required: true },
+		role: 							{ type: Number, required: true } // the MANAGERROLE_CODES role in the course
+	}],
+	template: 						{ type: Object, required: true }, // the certificate template of the course at the time
+
+	issuedAt: 						{ type: Date, required: true, default: Date.now }
+})
+
+certificateSchema.index({ user: 1, issuedAt: -1 })
+certificateSchema.index({ course: 1 })
+
+const Certificate = mongoose.model("certificates", certificateSchema)
+
+module.exports = { Certificate }
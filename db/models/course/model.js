@@ -7,6 +7,7 @@ const REGISTRATIONSTATUS_CODES = {
 	REJECTED: 2, // request was rejected
 	DISCONTINUED: 3, // accepted but user discontinued
 	COMPLETED: 4, // accepted and course completed
+	WAITLISTED: 5, // course was full, user waits for a seat to free up
 };
 
 const FEEDBACKTYPE_CODES = {
@@ -15,6 +16,13 @@ const FEEDBACKTYPE_CODES = {
 	TASK: 2, // individual topics
 };
 
+// the levels of the curriculum tree, matching the levels of feedback
+const CURRICULUMNODE_CODES = {
+	MODULE: FEEDBACKTYPE_CODES.EPIC, // top level, holds sub modules and lessons
+	SUBMODULE: FEEDBACKTYPE_CODES.STORY, // inside a module, holds lessons
+	LESSON: FEEDBACKTYPE_CODES.TASK, // a leaf, materials are attached to lessons
+};
+
 const MANAGERROLE_CODES = {
 	INSTRUCTOR: 0, // users who will "teach"
 	TA: 1, // users who will assist the "INSTRUCTOR"s
@@ -25,6 +33,13 @@ const MANAGERROLE_CODES = {
 	INDUSTRY: 6, // auditors representing an organization
 };
 
+// the categories of the gradebook, each weighing a share of the final grade
+const GRADECATEGORY_CODES = {
+	ASSIGNMENTS: 0, // graded submissions, after late penalties
+	QUIZZES: 1, // best attempt at each published quiz
+	PARTICIPATION: 2, // set by the assessors, or the average of the feedback scores
+};
+
 const COURSESTATUS_CODES = {
 	DRAFT: 0, // just created, but not visible
 	PUBLISHED: 1, // visible to everyone and open to registrations
@@ -34,13 +49,18 @@ const COURSESTATUS_CODES = {
 };
 
 const registrationSchema = new mongoose.Schema({
-	user: { type: mongoose.Schema.Types.ObjectId, ref: "users", required: true },
+	user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // populated by the registration and waitlist views
 	state: { type: Number, default: REGISTRATIONSTATUS_CODES.REQUESTED },
 
 	requestedAt: { type: Date, required: true, default: Date.now },
+	waitlistedAt: { type: Date }, // order of the waitlist
+	promotedAt: { type: Date }, // moved from the waitlist to a request
 	acceptedAt: { type: Date },
 	rejectedAt: { type: Date },
 	discontinuedAt: { type: Date },
+	completedAt: { type: Date },
+	reason: { type: String, default: "" }, // given by the manager with the last decision, e.g. a rejection
+	decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
 
 	feedback: [
 		{
@@ -49,11 +69,14 @@ const registrationSchema = new mongoose.Schema({
 			feedback: { type: String, required: true },
 			createdBy: {
 				type: mongoose.Schema.Types.ObjectId,
-				ref: "users",
+				ref: "User",
 				required: true,
 			},
 			timestamp: { type: Date, default: Date.now, required: true },
+			updatedAt: { type: Date },
 			score: { type: Number, min: 0, max: 100, required: true },
+			node: { type: mongoose.Schema.Types.ObjectId }, // the curriculum node of the same level the feedback is about
+			quiz: { type: mongoose.Schema.Types.ObjectId, ref: "quizzes" }, // set when written by a graded quiz attempt
 		},
 	],
 });
@@ -82,6 +105,87 @@ const materialSchema = new mongoose.Schema({
 	description: { type: String, required: true },
 });
 
+// the curriculum is kept flat, each node pointing to its parent
+const curriculumNodeSchema = new mongoose.Schema({
+	kind: { type: Number, required: true, enum: Object.values(CURRICULUMNODE_CODES) },
+	parent: { type: mongoose.Schema.Types.ObjectId, default: null }, // null for modules
+	order: { type: Number, required: true, default: 0 }, // among the children of the parent
+	title: { type: String, required: true },
+	description: { type: String, default: "" },
+	releaseAt: { type: Date }, // hidden from students until then, released if unset
+	materials: [{ type: mongoose.Schema.Types.ObjectId }], // ids from the material array, lessons only
+
+	createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+	createdAt: { type: Date, required: true, default: Date.now },
+	updatedAt: { type: Date },
+});
+
+// how the final grade of a student is computed, and the letter it maps to
+const gradebookSchema = new mongoose.Schema({
+	categories: {
+		type: [{
+			_id: false,
+			category: { type: Number, required: true, enum: Object.values(GRADECATEGORY_CODES) },
+			weight: { type: Number, required: true, min: 0 },
+		}],
+		default: () => [
+			{ category: GRADECATEGORY_CODES.ASSIGNMENTS, weight: 50 },
+			{ category: GRADECATEGORY_CODES.QUIZZES, weight: 30 },
+			{ category: GRADECATEGORY_CODES.PARTICIPATION, weight: 20 },
+		],
+	},
+	// the highest threshold reached gives the letter, one of them has to be 0
+	letterGrades: {
+		type: [{
+			_id: false,
+			letter: { type: String, required: true },
+			minPercentage: { type: Number, required: true, min: 0, max: 100 },
+		}],
+		default: () => [
+			{ letter: "A", minPercentage: 90 },
+			{ letter: "B", minPercentage: 80 },
+			{ letter: "C", minPercentage: 70 },
+			{ letter: "D", minPercentage: 60 },
+			{ letter: "F", minPercentage: 0 },
+		],
+	},
+}, { _id: false });
+
+// how the certificates of the course look; {student}, {course}, {startDate}, {endDate} and {completedAt}
+// in the texts are filled in for each student
+const certificateTemplateSchema = new mongoose.Schema({
+	title: { type: String, default: "Certificate of Completion" },
+	body: { type: String, default: "This is to certify that {student} has successfully completed the course {course}." },
+	footer: { type: String, default: "" },
+	accentColor: { type: String, default: "#1f3a93" },
+	orientation: { type: String, enum: ["landscape", "portrait"], default: "landscape" },
+	showDates: { type: Boolean, default: true },
+	// the managers named as issuers
+	issuerRoles: {
+		type: [{ type: Number, enum: Object.values(MANAGERROLE_CODES) }],
+		default: () => [MANAGERROLE_CODES.COORDINATOR, MANAGERROLE_CODES.INSTRUCTOR],
+	},
+}, { _id: false });
+
+// what a student needs before enrolling in the course, see helpers/prerequisite.js
+const prerequisitesSchema = new mongoose.Schema({
+	// courses to have COMPLETED, with at least a final grade in percent if set
+	courses: [{
+		_id: false,
+		course: { type: mongoose.Schema.Types.ObjectId, ref: "courses", required: true },
+		minGrade: { type: Number, min: 0, max: 100 },
+	}],
+	skills: [{ type: String }], // to have on the profile, whatever the case
+}, { _id: false });
+
+// a student let in by a COORDINATOR without meeting the prerequisites
+const prerequisiteOverrideSchema = new mongoose.Schema({
+	user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+	reason: { type: String, default: "" },
+	grantedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+	grantedAt: { type: Date, required: true, default: Date.now },
+}, { _id: false });
+
 // Define the Course schema
 const courseSchema = new mongoose.Schema({
 	title: { type: String, required: true, unique: true },
@@ -91,6 +195,8 @@ const courseSchema = new mongoose.Schema({
 	pic: { type: String },
 	startDate: { type: Date },
 	endDate: { type: Date },
+	capacity: { type: Number, min: 1 }, // seats, unlimited if unset
+	completeOnFullProgress: { type: Boolean, default: false }, // registrations become COMPLETED at 100% progress
 
 	createdBy: {
 		type: mongoose.Schema.Types.ObjectId,
@@ -101,7 +207,12 @@ const courseSchema = new mongoose.Schema({
 
 	managers: [{ type: managerSchema }],
 	material: [{ type: materialSchema }],
+	curriculum: [curriculumNodeSchema],
 	registrations: [registrationSchema],
+	gradebook: { type: gradebookSchema, default: () => ({}) },
+	certificateTemplate: { type: certificateTemplateSchema, default: () => ({}) },
+	prerequisites: { type: prerequisitesSchema, default: () => ({}) },
+	prerequisiteOverrides: [prerequisiteOverrideSchema],
 
 	rating: {
 		upvotes: [
@@ -110,6 +221,14 @@ const courseSchema = new mongoose.Schema({
 		downvotes: [
 			{ type: mongoose.Schema.Types.ObjectId, ref: "users", required: true },
 		],
+		// kept along with the votes and reviews, see helpers/rating.js
+		upvoteCount: { type: Number, default: 0 },
+		downvoteCount: { type: Number, default: 0 },
+		reviewCount: { type: Number, default: 0 },
+		starTotal: { type: Number, default: 0 }, // the stars of all the reviews, for their average
+		score: { type: Number, default: 0 }, // the aggregate score courses are sorted by
+		// the latest changes of the votes, for trending, see helpers/search.js
+		recentVotes: [{ delta: { type: Number, required: true }, at: { type: Date, required: true }, _id: false }],
 	},
 
 	status: { type: Number, required: true, default: COURSESTATUS_CODES.DRAFT },
@@ -117,6 +236,14 @@ const courseSchema = new mongoose.Schema({
 	createdByDetails: { type: Object, select: "-_id -password" }, // Include additional field for createdByDetails
 });
 
+// Text index searched by GET /course/search, see helpers/search.js
+courseSchema.index(
+	{ title: "text", subtitle: "text", description: "text", tags: "text" },
+	{ name: "course_search", weights: { title: 10, tags: 5, subtitle: 3, description: 1 } }
+);
+courseSchema.index({ status: 1, creationDate: -1 });
+courseSchema.index({ status: 1, "rating.score": -1 });
+
 // Create the Course model based on the Course schema
 const Course = mongoose.model("courses", courseSchema);
 
@@ -126,4 +253,6 @@ module.exports = {
 	FEEDBACKTYPE_CODES,
 	REGISTRATIONSTATUS_CODES,
 	MANAGERROLE_CODES,
+	CURRICULUMNODE_CODES,
+	GRADECATEGORY_CODES,
 };
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose")
+
+// A discussion thread on the forum of a course
+const threadSchema = new mongoose.Schema({
+	course: 							{ type: mongoose.Schema.Types.ObjectId, ref: "courses", required: true },
+	title: 								{ type: String, required: true },
+	body: 								{ type: String, required: true },
+	author: 							{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+	pinned: 							{ type: Boolean, default: false }, // listed first
+	locked: 							{ type: Boolean, default: false }, // only moderators can reply
+	acceptedReply: 				{ type: mongoose.Schema.Types.ObjectId, ref: "threadreplies" }, // marked by an instructor or TA
+	replyCount: 					{ type: Number, required: true, default: 0 },
+
+	createdAt: 						{ type: Date, required: true, default: Date.now },
+	updatedAt: 						{ type: Date },
+	lastActivityAt: 			{ type: Date, required: true, default: Date.now } // the thread or its last reply
+})
+
+threadSchema.index({ course: 1, pinned: -1, lastActivityAt: -1 })
+
+// A reply to a thread, which students can upvote
+const replySchema = new mongoose.Schema({
+	thread: 							{ type: mongoose.Schema.Types.ObjectId, ref: "threads", required: true },
+	course: 							{ type: mongoose.Schema.Types.ObjectId, ref: "courses", required: true },
+	body: 								{ type: String, required: true },
+	author: 							{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+	upvotes: 							[{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+	upvoteCount: 					{ type: Number, required: true, default: 0 },
+
+	createdAt: 						{ type: Date, required: true, default: Date.now },
+	updatedAt: 						{ type: Date }
+})
+
+replySchema.index({ thread: 1, createdAt: 1 })
+
+const Thread = mongoose.model("threads", threadSchema)
+const Reply = mongoose.model("threadreplies", replySchema)
+
+module.exports = { Thread, Reply }
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose")
+
+const { GRADECATEGORY_CODES } = require("../course/model")
+
+// A grade set by hand in the gradebook of a course, taking the place of the computed one: the score of an
+// assignment or quiz, or with no item the score of a whole category
+const gradeSchema = new mongoose.Schema({
+	course: 							{ type: mongoose.Schema.Types.ObjectId, ref: "courses", required: true },
+	registration: 				{ type: mongoose.Schema.Types.ObjectId, required: true }, // from the registrations of the course
+	user: 								{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+	category: 						{ type: Number, required: true, enum: Object.values(GRADECATEGORY_CODES) },
+	item: 								{ type: mongoose.Schema.Types.ObjectId, default: null }, // the assignment or quiz, null for the category
+
+	score: 								{ type: Number, required: true, min: 0, max: 100 }, // in percent
+	comment: 							{ type: String, default: "" },
+	updatedBy: 						{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+	updatedAt: 						{ type: Date, required: true, default: Date.now }
+})
+
+gradeSchema.index({ registration: 1, category: 1, item: 1 }, { unique: true })
+gradeSchema.index({ course: 1 })
+
+const Grade = mongoose.model("grades", gradeSchema)
+
+module.exports = { Grade }
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose")
+
+// An invite code handed out by an admin, letting its holders sign up whatever the signup mode.
+// It may also place them in a course, as a student or as one of its managers.
+const inviteSchema = new mongoose.Schema({
+	code: 								{ type: String, required: true, unique: true },
+	createdBy: 						{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+	email: 								{ type: String }, // if set, only this email can use the code
+	note: 								{ type: String, default: "" },
+
+	maxUses: 							{ type: Number, required: true, default: 1, min: 1 },
+	uses: 								{ type: Number, required: true, default: 0 },
+
+	course: 							{ type: mongoose.Schema.Types.ObjectId, ref: "courses" }, // pre-assigned course
+	managerRole: 					{ type: Number }, // one of MANAGERROLE_CODES, enrolled as a student if unset
+
+	redeemedBy: [{
+		user: 							{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+		redeemedAt: 				{ type: Date, required: true, default: Date.now }
+	}],
+
+	createdAt: 						{ type: Date, required: true, default: Date.now },
+	expiresAt: 						{ type: Date, required: true },
+	revokedAt: 						{ type: Date }
+})
+
+const Invite = mongoose.model("invites", inviteSchema)
+
+module.exports = { Invite }
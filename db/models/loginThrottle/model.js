@@ -0,0 +1,22 @@
+const mongoose = require("mongoose")
+
+const THROTTLEKIND_CODES = {
+	ACCOUNT: 0, // keyed by the email a login was attempted for
+	IP: 1, // keyed by the address the attempts came from
+	OTP: 2 // keyed by the address invalid otps came from
+}
+
+// Failed login and otp bookkeeping, one record per account or ip with recent failures
+const loginThrottleSchema = new mongoose.Schema({
+	key: 									{ type: String, required: true, unique: true },
+	kind: 								{ type: Number, required: true },
+	failures: 						{ type: Number, required: true, default: 0 },
+	lastFailureAt: 				{ type: Date },
+	lockedUntil: 					{ type: Date },
+
+	purgeAt: 							{ type: Date, required: true, expires: 0 } // TTL, forgotten once quiet
+})
+
+const LoginThrottle = mongoose.model("loginthrottles", loginThrottleSchema)
+
+module.exports = { LoginThrottle, THROTTLEKIND_CODES }
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose")
+
+const OTPPURPOSE_CODES = {
+	VERIFY: 0, // email verification after signup
+	RESET: 1, // forgot password
+	EMAIL_CHANGE: 2, // confirming a new email address
+	UNLOCK: 3, // unlocking an account locked after failed logins
+	MAGIC_LOGIN: 4 // passwordless login link
+}
+
+// Only the hash of the otp is stored, the raw value exists only in the email sent
+const otpSchema = new mongoose.Schema({
+	user: 								{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+	purpose: 							{ type: Number, required: true },
+	tokenHash: 						{ type: String, required: true, unique: true },
+	payload: 							{ type: Object }, // purpose specific data, e.g. the new email address
+
+	createdAt: 						{ type: Date, required: true, default: Date.now },
+	expiresAt: 						{ type: Date, required: true },
+	usedAt: 							{ type: Date },
+
+	// kept around for a day after expiry so that resend cooldowns can be computed
+	purgeAt: 							{ type: Date, required: true, expires: 0 }
+})
+
+otpSchema.index({ user: 1, purpose: 1, createdAt: -1 })
+
+const Otp = mongoose.model("otps", otpSchema)
+
+module.exports = { Otp, OTPPURPOSE_CODES }
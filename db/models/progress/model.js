@@ -0,0 +1,34 @@
+const mongoose = require("mongoose")
+
+// the kinds of item a student makes progress on
+const PROGRESSITEM_CODES = {
+	LESSON: 0, // a lesson of the curriculum
+	MATERIAL: 1 // one of the materials of the course
+}
+
+const PROGRESSSTATE_CODES = {
+	STARTED: 0, // opened by the student
+	COMPLETED: 1 // finished by the student
+}
+
+// Where a student stands on one lesson or material of a course they are registered to
+const progressSchema = new mongoose.Schema({
+	course: 							{ type: mongoose.Schema.Types.ObjectId, ref: "courses", required: true },
+	registration: 				{ type: mongoose.Schema.Types.ObjectId, required: true }, // from the registrations of the course
+	user: 								{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+	itemType: 						{ type: Number, required: true, enum: Object.values(PROGRESSITEM_CODES) },
+	item: 								{ type: mongoose.Schema.Types.ObjectId, required: true }, // the id of the lesson or material
+
+	state: 								{ type: Number, required: true, default: PROGRESSSTATE_CODES.STARTED },
+	startedAt: 						{ type: Date, required: true, default: Date.now },
+	completedAt: 					{ type: Date },
+	updatedAt: 						{ type: Date, required: true, default: Date.now }
+})
+
+progressSchema.index({ registration: 1, item: 1 }, { unique: true })
+progressSchema.index({ course: 1, user: 1 })
+
+const Progress = mongoose.model("progress", progressSchema)
+
+module.exports = { Progress, PROGRESSITEM_CODES, PROGRESSSTATE_CODES }
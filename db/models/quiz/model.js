@@ -0,0 +1,93 @@
+const mongoose = require("mongoose")
+
+const { FEEDBACKTYPE_CODES } = require("../course/model")
+
+const QUESTIONTYPE_CODES = {
+	SINGLE_CHOICE: 0, // exactly one correct option
+	MULTIPLE_CHOICE: 1, // one or more correct options, all of them to be picked
+	TRUE_FALSE: 2,
+	NUMERIC: 3, // a number, right within a tolerance
+	SHORT_TEXT: 4 // a few words, matching one of the accepted answers
+}
+
+const ATTEMPTSTATE_CODES = {
+	IN_PROGRESS: 0,
+	SUBMITTED: 1, // submitted by the student in time
+	EXPIRED: 2 // the time ran out, graded on the answers saved until then
+}
+
+const optionSchema = new mongoose.Schema({
+	text: 								{ type: String, required: true },
+	correct: 							{ type: Boolean, required: true, default: false }
+})
+
+// A question of the bank of a quiz, with what it takes to grade it
+const questionSchema = new mongoose.Schema({
+	type: 								{ type: Number, required: true, enum: Object.values(QUESTIONTYPE_CODES) },
+	prompt: 							{ type: String, required: true },
+	points: 							{ type: Number, required: true, default: 1, min: 0 },
+
+	options: 							[optionSchema], // choice questions
+	answerBoolean: 				{ type: Boolean }, // true/false questions
+	answerNumber: 				{ type: Number }, // numeric questions
+	tolerance: 						{ type: Number, default: 0, min: 0 }, // numeric questions
+	acceptedAnswers: 			[{ type: String }], // short text questions
+	caseSensitive: 				{ type: Boolean, default: false } // short text questions
+})
+
+const quizSchema = new mongoose.Schema({
+	course: 							{ type: mongoose.Schema.Types.ObjectId, ref: "courses", required: true },
+	title: 								{ type: String, required: true },
+	description: 					{ type: String, default: "" },
+	questions: 						[questionSchema], // the bank questions are drawn from
+
+	questionsPerAttempt: 	{ type: Number, min: 1 }, // drawn at random from the bank, the whole bank if unset
+	randomizeQuestions: 	{ type: Boolean, default: false },
+	randomizeOptions: 		{ type: Boolean, default: false },
+	timeLimitMinutes: 		{ type: Number, min: 1 }, // no limit if unset
+	maxAttempts: 					{ type: Number, min: 1 }, // no limit if unset
+	opensAt: 							{ type: Date },
+	closesAt: 						{ type: Date },
+	published: 						{ type: Boolean, default: false }, // hidden from students until then
+	feedbackType: 				{ type: Number, default: FEEDBACKTYPE_CODES.TASK }, // level of the feedback written for each attempt
+
+	createdBy: 						{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+	createdAt: 						{ type: Date, required: true, default: Date.now },
+	updatedAt: 						{ type: Date }
+})
+
+quizSchema.index({ course: 1 })
+
+const answerSchema = new mongoose.Schema({
+	question: 						{ type: mongoose.Schema.Types.ObjectId, required: true },
+	optionOrder: 					[{ type: mongoose.Schema.Types.ObjectId }], // the options as shown to the student
+	answer: 							{ type: mongoose.Schema.Types.Mixed }, // an option id, option ids, a boolean, number or text
+	correct: 							{ type: Boolean },
+	points: 							{ type: Number }
+}, { _id: false })
+
+// One go of a student at a quiz, its questions in the order they were shown
+const quizAttemptSchema = new mongoose.Schema({
+	quiz: 								{ type: mongoose.Schema.Types.ObjectId, ref: "quizzes", required: true },
+	course: 							{ type: mongoose.Schema.Types.ObjectId, ref: "courses", required: true },
+	user: 								{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+	registration: 				{ type: mongoose.Schema.Types.ObjectId, required: true },
+	number: 							{ type: Number, required: true }, // 1 for the first attempt of the student
+
+	answers: 							[answerSchema],
+	state: 								{ type: Number, required: true, default: ATTEMPTSTATE_CODES.IN_PROGRESS },
+	startedAt: 						{ type: Date, required: true, default: Date.now },
+	deadlineAt: 					{ type: Date }, // from the time limit
+	submittedAt: 					{ type: Date },
+
+	score: 								{ type: Number },
+	maxScore: 						{ type: Number },
+	percentage: 					{ type: Number }
+})
+
+quizAttemptSchema.index({ quiz: 1, user: 1, number: 1 }, { unique: true })
+
+const Quiz = mongoose.model("quizzes", quizSchema)
+const QuizAttempt = mongoose.model("quizattempts", quizAttemptSchema)
+
+module.exports = { Quiz, QuizAttempt, QUESTIONTYPE_CODES, ATTEMPTSTATE_CODES }
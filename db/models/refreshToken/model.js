@@ -0,0 +1,20 @@
+const mongoose = require("mongoose")
+
+// A refresh token belongs to a "family": the chain of tokens issued by rotating
+// the one handed out at login. Revoking the family ends that login everywhere.
+const refreshTokenSchema = new mongoose.Schema({
+	user: 								{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+	family: 							{ type: String, required: true, index: true },
+	tokenHash: 						{ type: String, required: true, unique: true },
+	loginTime: 						{ type: Date, required: true, default: Date.now },
+	mfa: 									{ type: Boolean, required: true, default: false }, // login passed a second factor
+
+	createdAt: 						{ type: Date, required: true, default: Date.now },
+	expiresAt: 						{ type: Date, required: true, expires: 0 }, // TTL, mongo removes expired tokens
+	revokedAt: 						{ type: Date },
+	replacedBy: 					{ type: String } // hash of the token this one was rotated into
+})
+
+const RefreshToken = mongoose.model("refreshtokens", refreshTokenSchema)
+
+module.exports = { RefreshToken }
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose")
+
+// A report of a review as abusive, by a user who read it
+const reportSchema = new mongoose.Schema({
+	user: 								{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+	reason: 							{ type: String, required: true },
+	createdAt: 						{ type: Date, required: true, default: Date.now }
+}, { _id: false })
+
+// A written review of a course by one of its students, with a 1 to 5 star rating
+const reviewSchema = new mongoose.Schema({
+	course: 							{ type: mongoose.Schema.Types.ObjectId, ref: "courses", required: true },
+	user: 								{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+	stars: 								{ type: Number, required: true, min: 1, max: 5 },
+	body: 								{ type: String, required: true },
+
+	// the answer of a manager of the course
+	reply: {
+		body: 							{ type: String },
+		author: 						{ type: mongoose.Schema.Types.ObjectId, ref: "User" },
+		createdAt: 					{ type: Date },
+		updatedAt: 					{ type: Date }
+	},
+
+	reports: 							{ type: [reportSchema], default: [], select: false }, // seen by SUPERADMINs only
+	reportCount: 					{ type: Number, required: true, default: 0 },
+
+	createdAt: 						{ type: Date, required: true, default: Date.now },
+	updatedAt: 						{ type: Date }
+})
+
+reviewSchema.index({ course: 1, user: 1 }, { unique: true }) // a review per student
+reviewSchema.index({ course: 1, createdAt: -1 })
+reviewSchema.index({ reportCount: -1 })
+
+const Review = mongoose.model("reviews", reviewSchema)
+
+module.exports = { Review }
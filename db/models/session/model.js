@@ -0,0 +1,21 @@
+const mongoose = require("mongoose")
+
+// A login session, one per successful login. Its refresh tokens share the session's family.
+const sessionSchema = new mongoose.Schema({
+	user: 								{ type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+	family: 							{ type: String, required: true, unique: true },
+
+	userAgent: 						{ type: String, default: "" },
+	device: 							{ type: String, default: "Unknown device" }, // readable summary of the user agent
+	ip: 									{ type: String }, // address the login came from
+	lastSeenIp: 					{ type: String },
+
+	loginTime: 						{ type: Date, required: true, default: Date.now },
+	lastSeenAt: 					{ type: Date, required: true, default: Date.now },
+	expiresAt: 						{ type: Date, required: true, expires: 0 }, // TTL, pushed back on every refresh
+	revokedAt: 						{ type: Date }
+})
+
+const Session = mongoose.model("sessions", sessionSchema)
+
+module.exports = { Session }
@@ -130,6 +130,13 @@ const awardsSchema = new mongoose.Schema({
   },
 });
 
+// Define the schema of an account at an external OpenID Connect provider linked to the user
+const identitySchema = new mongoose.Schema({
+  provider: { type: String, required: true }, // id of the provider in OIDC_PROVIDERS
+  subject: { type: String, required: true }, // the "sub" claim, stable at the provider
+  email: { type: String },
+  linkedAt: { type: Date, required: true, default: Date.now },
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
 
@@ -148,8 +155,21 @@ const userSchema = new mongoose.Schema({
 	status: 		{ type: Number, required: true, default: USERSTATUS_CODES.TEMPORARY },
 	role: 			{ type: Number, required: true, default: USERROLE_CODES.REGULAR },
 
-	otp: 				{ type: String },
-	resetOtp: 	{ type: String },
+	tokenVersion: { type: Number, required: true, default: 0 }, // bumped to invalidate every issued token
+
+	announcementEmails: { type: Boolean, required: true, default: true }, // false to get course announcements in-app only
+
+	// TOTP two-factor authentication, secrets are never returned by default
+	mfa: {
+		enabled: 				{ type: Boolean, required: true, default: false },
+		secret: 				{ type: String, select: false },
+		pendingSecret: 	{ type: String, select: false }, // generated at setup, until confirmed with a code
+		recoveryCodes: 	{ type: [String], select: false }, // hashed, single use
+		lastUsedStep: 	{ type: Number, select: false }, // prevents replaying a code within its window
+		enrolledAt: 		{ type: Date }
+	},
+
+	identities: { type: [identitySchema], default: [] }, // social logins, see helpers/oidc.js
 
 	createdAt: 	{ type: Date, required: true, default: Date.now },
 
@@ -185,6 +205,8 @@ const userSchema = new mongoose.Schema({
 
 })
 
+userSchema.index({ "identities.provider": 1, "identities.subject": 1 })
+
 const User = mongoose.model("User", userSchema)
 
 module.exports = User
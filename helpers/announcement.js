@@ -0,0 +1,210 @@
+require("dotenv").config()
+const mongoose = require("mongoose")
+
+const { Course, REGISTRATIONSTATUS_CODES } = require("../db/models/course/model")
+const { Announcement, ANNOUNCEMENTSTATUS_CODES, ANNOUNCEMENTEMAIL_CODES } = require("../db/models/announcement/model")
+const User = require("../db/models/user/model")
+const { sendAnnouncementEmail } = require("./email")
+const logger = require("./logger")
+
+/**
+ * How often, in milliseconds, the scheduled announcements are checked for ones due, set with the
+ * `ANNOUNCEMENT_POLL_INTERVAL` environment variable. Once a minute by default.
+ */
+const ANNOUNCEMENT_POLL_INTERVAL = Number(process.env.ANNOUNCEMENT_POLL_INTERVAL) || 60 * 1000
+
+// The announcements this process is emailing, not to be resumed meanwhile
+const _emailing = new Set()
+
+/**
+ * Emails an announcement to its recipients waiting for it, one at a time, and records how each email went
+ * as soon as it is sent, so that an interrupted emailing can be resumed where it stopped. Recipients no
+ * longer found are recorded as FAILED.
+ *
+ * @param {Object} announcement - The sent announcement.
+ * @param {string} courseTitle - The title of its course.
+ * @param {Array<Object>} users - The recipients, with their email.
+ * @returns {Promise<void>}
+ */
+const _emailAnnouncement = async (announcement, courseTitle, users) => {
+	const id = announcement._id.toString()
+	const pending = new Set(announcement.recipients
+		.filter((recipient) => recipient.email === ANNOUNCEMENTEMAIL_CODES.PENDING)
+		.map((recipient) => recipient.user.toString()))
+	if (!pending.size || _emailing.has(id)) {
+		return
+	}
+	_emailing.add(id)
+	const _record = (userId, email) => Announcement.updateOne(
+		{ _id: announcement._id, "recipients.user": userId },
+		{ $set: { "recipients.$.email": email } }
+	)
+	try {
+		for (const user of users.filter((user) => pending.has(user._id.toString()))) {
+			pending.delete(user._id.toString())
+			const sent = await sendAnnouncementEmail(user.email, courseTitle, announcement) === 1
+			await _record(user._id, sent ? ANNOUNCEMENTEMAIL_CODES.SENT : ANNOUNCEMENTEMAIL_CODES.FAILED)
+		}
+		for (const userId of pending) {
+			await _record(userId, ANNOUNCEMENTEMAIL_CODES.FAILED)
+		}
+	} finally {
+		_emailing.delete(id)
+	}
+}
+
+/**
+ * Resumes the emails of the sent announcements left PENDING, such as by a restart while they were sent.
+ *
+ * @returns {Promise<void>}
+ */
+const _resumeAnnouncementEmails = async () => {
+	const interrupted = await Announcement.find({
+		status: ANNOUNCEMENTSTATUS_CODES.SENT,
+		recipients: { $elemMatch: { email: ANNOUNCEMENTEMAIL_CODES.PENDING } }
+	}).sort({ sentAt: 1 })
+	for (const announcement of interrupted.filter((announcement) => !_emailing.has(announcement._id.toString()))) {
+		const course = await Course.findById(announcement.course).select("title")
+		if (!course) {
+			continue
+		}
+		const pending = announcement.recipients
+			.filter((recipient) => recipient.email === ANNOUNCEMENTEMAIL_CODES.PENDING)
+			.map((recipient) => recipient.user)
+		const users = await User.find({ _id: { $in: pending } }).select("email")
+		await _emailAnnouncement(announcement, course.title, users)
+	}
+}
+
+/**
+ * Sends a scheduled announcement: it becomes an in-app notice of every ACCEPTED registration of the course,
+ * then it is emailed in the background to those of them who did not opt out of announcement emails.
+ * An announcement is sent once, even if the scheduler and a manager send it at the same time.
+ *
+ * @param {string} announcementId - The id of the announcement.
+ * @returns {Promise<Object|null>} The sent announcement, or null if it was not found or already sent.
+ */
+const deliverAnnouncement = async (announcementId) => {
+	const announcement = await Announcement.findOne({ _id: announcementId, status: ANNOUNCEMENTSTATUS_CODES.SCHEDULED })
+	const course = announcement && await Course.findById(announcement.course).select("title registrations")
+	if (!course) {
+		return null
+	}
+
+	const students = course.registrations
+		.filter((registration) => registration.state === REGISTRATIONSTATUS_CODES.ACCEPTED)
+		.map((registration) => registration.user)
+	const users = await User.find({ _id: { $in: students } }).select("email announcementEmails")
+	const recipients = users.map((user) => ({
+		user: user._id,
+		email: !announcement.sendEmail
+			? ANNOUNCEMENTEMAIL_CODES.NONE
+			: user.announcementEmails === false ? ANNOUNCEMENTEMAIL_CODES.OPTED_OUT : ANNOUNCEMENTEMAIL_CODES.PENDING
+	}))
+
+	const sent = await Announcement.findOneAndUpdate(
+		{ _id: announcement._id, status: ANNOUNCEMENTSTATUS_CODES.SCHEDULED },
+		{ $set: { status: ANNOUNCEMENTSTATUS_CODES.SENT, sentAt: new Date(), recipients } },
+		{ new: true }
+	)
+	if (!sent) {
+		// sent meanwhile
+		return null
+	}
+	_emailAnnouncement(sent, course.title, users).catch(logger.error)
+	return sent
+}
+
+/**
+ * Sends the scheduled announcements whose send time has come, oldest first, then resumes the emails of
+ * the ones sent before that are still pending.
+ *
+ * @returns {Promise<number>} How many were sent.
+ */
+const deliverDueAnnouncements = async () => {
+	const due = await Announcement.find({ status: ANNOUNCEMENTSTATUS_CODES.SCHEDULED, sendAt: { $lte: new Date() } })
+		.sort({ sendAt: 1 })
+		.select("_id")
+	let count = 0
+	for (const { _id } of due) {
+		if (await deliverAnnouncement(_id)) {
+			count += 1
+		}
+	}
+	if (count) {
+		logger.info(`Sent ${count} scheduled announcement(s)`)
+	}
+	await _resumeAnnouncementEmails()
+	return count
+}
+
+/**
+ * Starts sending the scheduled announcements as they fall due, every `ANNOUNCEMENT_POLL_INTERVAL`.
+ *
+ * @returns {Object} The interval, to stop it with `clearInterval`.
+ */
+const startAnnouncementScheduler = () => {
+	const run = () => deliverDueAnnouncements().catch(logger.error)
+	run()
+	return setInterval(run, ANNOUNCEMENT_POLL_INTERVAL)
+}
+
+/**
+ * What the managers of a course are shown of an announcement: how many received, read and got it by email,
+ * rather than who did.
+ *
+ * @param {Object} announcement - The announcement.
+ * @returns {Object} The announcement, without its recipients.
+ */
+const summarizeAnnouncement = (announcement) => {
+	const { recipients, ...shown } = announcement.toObject()
+	const countEmails = (status) => recipients.filter((recipient) => recipient.email === status).length
+	return {
+		...shown,
+		recipientCount: recipients.length,
+		readCount: recipients.filter((recipient) => recipient.readAt).length,
+		emails: {
+			pending: countEmails(ANNOUNCEMENTEMAIL_CODES.PENDING),
+			sent: countEmails(ANNOUNCEMENTEMAIL_CODES.SENT),
+			failed: countEmails(ANNOUNCEMENTEMAIL_CODES.FAILED),
+			optedOut: countEmails(ANNOUNCEMENTEMAIL_CODES.OPTED_OUT)
+		}
+	}
+}
+
+/**
+ * The fields of an announcement a recipient reads it with, the recipient entries narrowed to theirs.
+ *
+ * @param {string} userId - The id of the recipient.
+ * @returns {Object} The projection, for `select`.
+ */
+const noticeProjection = (userId) => ({
+	course: 1,
+	title: 1,
+	body: 1,
+	author: 1,
+	sentAt: 1,
+	updatedAt: 1,
+	recipients: { $elemMatch: { user: new mongoose.Types.ObjectId(userId) } }
+})
+
+/**
+ * What a recipient is shown of an announcement, as an in-app notice.
+ *
+ * @param {Object} announcement - The announcement, selected with `noticeProjection`.
+ * @returns {Object} The announcement, with when the user read it, null if they did not yet.
+ */
+const presentNotice = (announcement) => {
+	const { recipients, ...shown } = announcement.toObject()
+	return { ...shown, readAt: (recipients.length && recipients[0].readAt) || null }
+}
+
+module.exports = {
+	ANNOUNCEMENT_POLL_INTERVAL,
+	deliverAnnouncement,
+	deliverDueAnnouncements,
+	startAnnouncementScheduler,
+	summarizeAnnouncement,
+	noticeProjection,
+	presentNotice
+}
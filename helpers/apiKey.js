@@ -0,0 +1,71 @@
+const crypto = require("crypto")
+
+const { ApiKey } = require("../db/models/apiKey/model")
+const User = require("../db/models/user/model")
+const { USERSTATUS_CODES } = require("../db/models/user/model")
+const { hashToken } = require("./token")
+
+// every key starts with this, so that leaked keys are easy to scan for
+const API_KEY_PREFIX = 'ak_'
+
+// the last used time of a key is written at most this often, in seconds
+const API_KEY_TOUCH_INTERVAL = 60
+
+/**
+ * An enumeration of the outcomes of authenticating with an api key.
+ * @readonly
+ * @enum {number}
+ */
+const APIKEYSTATUS_CODES = {
+	SUCCESS: 1,
+	NOT_FOUND: 0, // unknown, revoked or expired
+	USER_INACTIVE: 2 // the key's user is banned or gone
+}
+
+/**
+ * Generates a new raw api key.
+ *
+ * @returns {{key: string, prefix: string, keyHash: string}} The key to show the user once, the part of
+ * 	it that may be shown again, and the hash to store.
+ */
+const generateApiKey = () => {
+	const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`
+	return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 6), keyHash: hashToken(key) }
+}
+
+/**
+ * Finds the live api key matching a raw key, and its user.
+ *
+ * @param {string} key - The raw key sent by the client.
+ * @returns {Promise<{status: number, apiKeyDBObject?: Object, user?: Object}>} One of `APIKEYSTATUS_CODES`,
+ * 	along with the key and its user in case of success.
+ */
+const authenticateApiKey = async (key) => {
+	const now = new Date()
+	const apiKeyDBObject = await ApiKey.findOne({
+		keyHash: hashToken(key),
+		revokedAt: null,
+		$or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+	})
+	if (!apiKeyDBObject) {
+		return { status: APIKEYSTATUS_CODES.NOT_FOUND }
+	}
+
+	const user = await User.findById(apiKeyDBObject.user).select("status role")
+	if (!user || user.status !== USERSTATUS_CODES.PERMANENT) {
+		return { status: APIKEYSTATUS_CODES.USER_INACTIVE }
+	}
+
+	await ApiKey.updateOne(
+		{ _id: apiKeyDBObject._id, $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(now.getTime() - API_KEY_TOUCH_INTERVAL * 1000) } }] },
+		{ $set: { lastUsedAt: now } }
+	)
+
+	return { status: APIKEYSTATUS_CODES.SUCCESS, apiKeyDBObject, user }
+}
+
+module.exports = {
+	APIKEYSTATUS_CODES,
+	generateApiKey,
+	authenticateApiKey
+}
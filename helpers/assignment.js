@@ -0,0 +1,241 @@
+require("dotenv").config()
+const path = require("path")
+const archiver = require("archiver")
+
+const { Submission } = require("../db/models/assignment/model")
+const { REGISTRATIONSTATUS_CODES } = require("../db/models/course/model")
+const { removeUploadedFiles } = require("./fileStorage")
+const logger = require("./logger")
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000
+
+/**
+ * The folder submitted files are stored in, set with the `SUBMISSION_UPLOAD_FULL_PATH` environment
+ * variable. Unlike pictures they are never served as they are, only to the student and the managers.
+ */
+const SUBMISSION_UPLOAD_PATH = process.env.SUBMISSION_UPLOAD_FULL_PATH || path.join(__dirname, "..", "uploads", "submissions")
+
+/**
+ * An enumeration of the outcomes of submitting work for an assignment.
+ * @readonly
+ * @enum {number}
+ */
+const SUBMISSIONSTATUS_CODES = {
+	SUCCESS: 1,
+	NOT_ENROLLED: 0, // only accepted students of the course can submit
+	DEADLINE_PASSED: 2, // late work is not accepted, or too late
+	FILES_NOT_ALLOWED: 3,
+	LINKS_NOT_ALLOWED: 4,
+	EMPTY: 5 // neither a file nor a link
+}
+
+/**
+ * Works out how late a submission is and the penalty the late policy of the assignment gives it.
+ *
+ * @param {Object} assignment - The assignment, with its due date and late policy.
+ * @param {Date} [at] - The time of the submission.
+ * @returns {{daysLate: number, penalty: number, accepted: boolean}} The days late, started days counting as
+ * 	whole ones, the penalty in percent, and whether the submission may still be made.
+ */
+const getLateness = (assignment, at = new Date()) => {
+	if (at <= assignment.dueAt) {
+		return { daysLate: 0, penalty: 0, accepted: true }
+	}
+	const { acceptLate, penaltyPerDay, maxDaysLate } = assignment.latePolicy || {}
+	const daysLate = Math.ceil((at - assignment.dueAt) / DAY_IN_MS)
+	const accepted = Boolean(acceptLate) && (maxDaysLate === undefined || maxDaysLate === null || daysLate <= maxDaysLate)
+	return { daysLate, penalty: Math.min(100, daysLate * (penaltyPerDay || 0)), accepted }
+}
+
+/**
+ * Takes a late penalty off a score.
+ *
+ * @param {number} score - The score given by the grader.
+ * @param {number} penalty - The penalty, in percent.
+ * @returns {number} The final score, to two decimals.
+ */
+const applyPenalty = (score, penalty) => Math.round(score * (100 - penalty)) / 100
+
+/**
+ * Records the work of a student for an assignment, replacing what they submitted before along with its
+ * grade. Uploaded files are deleted if the submission is refused.
+ *
+ * @param {Object} course - The course document, with its registrations.
+ * @param {Object} assignment - The assignment.
+ * @param {string} userId - The id of the student.
+ * @param {Object} work
+ * @param {Array<Object>} [work.files] - The files uploaded by multer.
+ * @param {Array<string>} [work.links] - The links submitted.
+ * @param {string} [work.comment] - A comment for the graders.
+ * @returns {Promise<{status: number, submission?: Object}>} One of `SUBMISSIONSTATUS_CODES`, along with the
+ * 	submission in case of success.
+ */
+const submitAssignment = async (course, assignment, userId, { files = [], links = [], comment = "" }) => {
+	const refuse = (status) => {
+		removeUploadedFiles(files)
+		return { status }
+	}
+
+	const isStudent = course.registrations.some((registration) =>
+		registration.user.toString() === String(userId) && registration.state === REGISTRATIONSTATUS_CODES.ACCEPTED
+	)
+	if (!isStudent) {
+		return refuse(SUBMISSIONSTATUS_CODES.NOT_ENROLLED)
+	}
+	if (files.length && !assignment.allowFiles) {
+		return refuse(SUBMISSIONSTATUS_CODES.FILES_NOT_ALLOWED)
+	}
+	if (links.length && !assignment.allowLinks) {
+		return refuse(SUBMISSIONSTATUS_CODES.LINKS_NOT_ALLOWED)
+	}
+	if (!files.length && !links.length) {
+		return refuse(SUBMISSIONSTATUS_CODES.EMPTY)
+	}
+
+	const now = new Date()
+	const { daysLate, penalty, accepted } = getLateness(assignment, now)
+	if (!accepted) {
+		return refuse(SUBMISSIONSTATUS_CODES.DEADLINE_PASSED)
+	}
+
+	const previous = await Submission.findOne({ assignment: assignment._id, user: userId }).select("files")
+	const submission = await Submission.findOneAndUpdate(
+		{ assignment: assignment._id, user: userId },
+		{
+			$set: {
+				course: course._id,
+				files: files.map((file) => ({
+					originalName: file.originalname,
+					storedName: file.filename,
+					path: file.path,
+					size: file.size,
+					mimeType: file.mimetype
+				})),
+				links,
+				comment,
+				submittedAt: now,
+				daysLate,
+				penalty
+			},
+			$inc: { attempts: 1 },
+			// the work changed, it has to be graded again
+			$unset: { score: "", finalScore: "", gradedBy: "", gradedAt: "" }
+		},
+		{ upsert: true, new: true, setDefaultsOnInsert: false }
+	)
+	if (previous) {
+		removeUploadedFiles(previous.files)
+	}
+
+	return { status: SUBMISSIONSTATUS_CODES.SUCCESS, submission }
+}
+
+/**
+ * Works out again how late the submissions of an assignment are after its due date or late policy changed,
+ * and the final scores of the graded ones. Submissions are kept even if the new policy would not have
+ * accepted them.
+ *
+ * @param {Object} assignment - The updated assignment, with its due date and late policy.
+ * @returns {Promise<number>} How many submissions changed.
+ */
+const recomputeLateness = async (assignment) => {
+	const submissions = await Submission.find({ assignment: assignment._id }).select("submittedAt daysLate penalty score finalScore")
+	const updates = submissions
+		.map((submission) => {
+			const { daysLate, penalty } = getLateness(assignment, submission.submittedAt)
+			const changes = { daysLate, penalty }
+			if (submission.score !== undefined && submission.score !== null) {
+				changes.finalScore = applyPenalty(submission.score, penalty)
+			}
+			const changed = Object.entries(changes).some(([field, value]) => submission[field] !== value)
+			return changed && { updateOne: { filter: { _id: submission._id }, update: { $set: changes } } }
+		})
+		.filter(Boolean)
+	if (updates.length) {
+		await Submission.bulkWrite(updates)
+	}
+	return updates.length
+}
+
+/**
+ * Lists the accepted students of a course who have not submitted work for an assignment.
+ *
+ * @param {Object} course - The course document, with its registrations.
+ * @param {Object} assignment - The assignment.
+ * @returns {Promise<Array<Object>>} Their registrations.
+ */
+const getMissingSubmissions = async (course, assignment) => {
+	const submitted = new Set((await Submission.find({ assignment: assignment._id }).distinct("user")).map(String))
+	return course.registrations.filter((registration) =>
+		registration.state === REGISTRATIONSTATUS_CODES.ACCEPTED && !submitted.has(String(registration.user._id || registration.user))
+	)
+}
+
+/**
+ * Streams the submissions of an assignment as a zip, with a folder per student holding their files,
+ * and their links and comment in a text file.
+ *
+ * @param {Array<Object>} submissions - The submissions, with their users populated.
+ * @param {Object} res - The response object to stream to, the headers being already set.
+ * @returns {Promise<void>} Resolves once the zip is written.
+ */
+const streamSubmissionsZip = (submissions, res) => new Promise((resolve, reject) => {
+	const zip = archiver("zip")
+	zip.on("error", reject)
+	// a file missing on disk is left out rather than failing the whole download
+	zip.on("warning", (err) => logger.error(err))
+	res.on("close", resolve)
+	zip.pipe(res)
+
+	submissions.forEach((submission) => {
+		const folder = submission.user.username || String(submission.user._id || submission.user)
+		submission.files.forEach((file) => {
+			zip.file(file.path, { name: `${folder}/${path.basename(file.originalName)}` })
+		})
+
+		const notes = [
+			`Submitted at: ${submission.submittedAt.toISOString()}`,
+			`Days late: ${submission.daysLate}`,
+			...submission.links.map((link) => `Link: ${link}`),
+			submission.comment ? `Comment: ${submission.comment}` : ""
+		]
+		zip.append(notes.filter(Boolean).join("\n") + "\n", { name: `${folder}/submission.txt` })
+	})
+
+	zip.finalize()
+})
+
+/**
+ * Maps a failed `SUBMISSIONSTATUS_CODES` status to a http status code and a message for the client.
+ *
+ * @param {number} status - One of `SUBMISSIONSTATUS_CODES`, other than SUCCESS.
+ * @returns {{httpStatus: number, message: string}} The response to send.
+ */
+const describeSubmissionFailure = (status) => {
+	switch (status) {
+		case SUBMISSIONSTATUS_CODES.NOT_ENROLLED:
+			return { httpStatus: 403, message: "Only accepted students of the course can submit work." }
+		case SUBMISSIONSTATUS_CODES.DEADLINE_PASSED:
+			return { httpStatus: 409, message: "The deadline of this assignment has passed." }
+		case SUBMISSIONSTATUS_CODES.FILES_NOT_ALLOWED:
+			return { httpStatus: 400, message: "This assignment does not take files." }
+		case SUBMISSIONSTATUS_CODES.LINKS_NOT_ALLOWED:
+			return { httpStatus: 400, message: "This assignment does not take links." }
+		case SUBMISSIONSTATUS_CODES.EMPTY:
+			return { httpStatus: 400, message: "Submit at least one file or link." }
+		default:
+			return { httpStatus: 500, message: "Internal Server Error" }
+	}
+}
+
+module.exports = {
+	SUBMISSION_UPLOAD_PATH,
+	SUBMISSIONSTATUS_CODES,
+	getLateness,
+	applyPenalty,
+	recomputeLateness,
+	submitAssignment,
+	getMissingSubmissions,
+	streamSubmissionsZip,
+	describeSubmissionFailure
+}
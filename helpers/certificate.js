@@ -0,0 +1,236 @@
+require("dotenv").config()
+const crypto = require("crypto")
+const moment = require("moment")
+const PDFDocument = require("pdfkit")
+
+const { Course, REGISTRATIONSTATUS_CODES, MANAGERROLE_CODES } = require("../db/models/course/model")
+const { Certificate } = require("../db/models/certificate/model")
+const User = require("../db/models/user/model")
+
+/**
+ * The address the certificates can be checked at, set with the `CERTIFICATE_VERIFY_URL` environment
+ * variable to the public address of `/certificates`. The id of a certificate and `/verify` are appended.
+ */
+const CERTIFICATE_VERIFY_URL = process.env.CERTIFICATE_VERIFY_URL || "/certificates"
+
+/**
+ * An enumeration of the outcomes of issuing a certificate.
+ * @readonly
+ * @enum {number}
+ */
+const CERTIFICATEISSUE_CODES = {
+	ISSUED: 1,
+	ALREADY_ISSUED: 2, // the existing certificate is given back
+	NOT_FOUND: 0, // no such course or registration
+	NOT_COMPLETED: 3 // only COMPLETED registrations get a certificate
+}
+
+// the names of the manager roles as printed on certificates
+const ROLE_NAMES = {
+	[MANAGERROLE_CODES.INSTRUCTOR]: "Instructor",
+	[MANAGERROLE_CODES.TA]: "Teaching Assistant",
+	[MANAGERROLE_CODES.COORDINATOR]: "Coordinator",
+	[MANAGERROLE_CODES.ASSESSOR]: "Assessor",
+	[MANAGERROLE_CODES.AUDITOR]: "Auditor",
+	[MANAGERROLE_CODES.COLLEGE]: "College",
+	[MANAGERROLE_CODES.INDUSTRY]: "Industry Partner"
+}
+
+const _formatDate = (date) => date ? moment(date).format("D MMMM YYYY") : ""
+
+const _fullName = (user) => [user.firstname, user.lastname].filter(Boolean).join(" ") || user.username
+
+/**
+ * Makes a certificate id, hard to guess so that only certificates really issued can be checked.
+ *
+ * @returns {string} The id, e.g. `4F1C-9A0B-77DE-02C5`.
+ */
+const generateCertificateCode = () => crypto.randomBytes(8).toString("hex").toUpperCase().match(/.{4}/g).join("-")
+
+/**
+ * Fills the placeholders of a template text with the details of a certificate.
+ *
+ * @param {string} text - The text, with {student}, {course}, {startDate}, {endDate} and {completedAt} placeholders.
+ * @param {Object} certificate - The certificate.
+ * @returns {string} The text filled in, unknown placeholders left as they are.
+ */
+const fillCertificateText = (text, certificate) => {
+	const values = {
+		student: certificate.studentName,
+		course: certificate.courseTitle,
+		startDate: _formatDate(certificate.startDate),
+		endDate: _formatDate(certificate.endDate),
+		completedAt: _formatDate(certificate.completedAt)
+	}
+	return (text || "").replace(/\{(\w+)\}/g, (placeholder, name) => values[name] ?? placeholder)
+}
+
+/**
+ * Issues the certificate of a completed registration, with the names of the student and the issuing managers
+ * and the certificate template of the course as they are now. A registration gets a single certificate.
+ *
+ * @param {string} courseId - The id of the course.
+ * @param {string} registrationId - The id of the registration.
+ * @returns {Promise<{status: number, certificate?: Object}>} One of `CERTIFICATEISSUE_CODES`, along with the
+ * 	certificate when ISSUED or ALREADY_ISSUED.
+ */
+const issueCertificate = async (courseId, registrationId) => {
+	const existing = await Certificate.findOne({ registration: registrationId })
+	if (existing) {
+		return { status: CERTIFICATEISSUE_CODES.ALREADY_ISSUED, certificate: existing }
+	}
+
+	const course = await Course.findById(courseId).select("title startDate endDate managers registrations certificateTemplate")
+	const registration = course && course.registrations.id(registrationId)
+	if (!registration) {
+		return { status: CERTIFICATEISSUE_CODES.NOT_FOUND }
+	}
+	if (registration.state !== REGISTRATIONSTATUS_CODES.COMPLETED) {
+		return { status: CERTIFICATEISSUE_CODES.NOT_COMPLETED }
+	}
+
+	const template = course.certificateTemplate.toObject()
+	const issuingManagers = course.managers.filter((manager) => template.issuerRoles.includes(manager.role))
+	const users = await User.find({ _id: { $in: [registration.user, ...issuingManagers.map((manager) => manager.managerId)] } })
+		.select("firstname lastname username")
+	const byId = new Map(users.map((user) => [user._id.toString(), user]))
+	const student = byId.get(registration.user.toString())
+	if (!student) {
+		return { status: CERTIFICATEISSUE_CODES.NOT_FOUND }
+	}
+
+	const certificate = new Certificate({
+		code: generateCertificateCode(),
+		course: course._id,
+		registration: registration._id,
+		user: registration.user,
+		studentName: _fullName(student),
+		courseTitle: course.title,
+		startDate: course.startDate,
+		endDate: course.endDate,
+		completedAt: registration.completedAt || new Date(),
+		issuers: issuingManagers
+			.filter((manager) => byId.has(manager.managerId.toString()))
+			.map((manager) => ({ name: _fullName(byId.get(manager.managerId.toString())), role: manager.role })),
+		template
+	})
+	try {
+		await certificate.save()
+	} catch (err) {
+		// issued meanwhile, e.g. the completion and a manager racing
+		if (err.code === 11000) {
+			const issued = await Certificate.findOne({ registration: registration._id })
+			if (issued) {
+				return { status: CERTIFICATEISSUE_CODES.ALREADY_ISSUED, certificate: issued }
+			}
+		}
+		throw err
+	}
+	return { status: CERTIFICATEISSUE_CODES.ISSUED, certificate }
+}
+
+/**
+ * What anyone checking a certificate is told about it.
+ *
+ * @param {Object} certificate - The certificate.
+ * @returns {Object} The id, student, course, dates and issuers.
+ */
+const describeCertificate = (certificate) => ({
+	code: certificate.code,
+	studentName: certificate.studentName,
+	courseTitle: certificate.courseTitle,
+	startDate: certificate.startDate,
+	endDate: certificate.endDate,
+	completedAt: certificate.completedAt,
+	issuedAt: certificate.issuedAt,
+	issuers: certificate.issuers.map(({ name, role }) => ({ name, role: ROLE_NAMES[role] }))
+})
+
+/**
+ * Writes a certificate as a PDF, laid out with the template it was issued with.
+ *
+ * @param {Object} certificate - The certificate.
+ * @param {Object} stream - The writable stream, e.g. the response, the headers being already set.
+ */
+const writeCertificatePdf = (certificate, stream) => {
+	const template = certificate.template
+	const doc = new PDFDocument({
+		size: "A4",
+		layout: template.orientation,
+		margin: 60,
+		info: { Title: `${template.title} - ${certificate.studentName}`, Subject: certificate.courseTitle }
+	})
+	doc.pipe(stream)
+
+	const { width, height } = doc.page
+	const textWidth = width - 120
+	doc.lineWidth(4).strokeColor(template.accentColor).rect(24, 24, width - 48, height - 48).stroke()
+	doc.lineWidth(1).rect(32, 32, width - 64, height - 64).stroke()
+
+	doc.moveDown(2)
+	doc.font("Helvetica-Bold").fontSize(32).fillColor(template.accentColor).text(template.title, { align: "center", width: textWidth })
+	doc.moveDown(1.5)
+	doc.font("Helvetica").fontSize(16).fillColor("black").text(fillCertificateText(template.body, certificate), { align: "center", width: textWidth })
+
+	if (template.showDates) {
+		doc.moveDown()
+		const dates = certificate.startDate ? `${_formatDate(certificate.startDate)} to ${_formatDate(certificate.endDate || certificate.completedAt)}` : ""
+		doc.fontSize(12).fillColor("#444444")
+		if (dates) {
+			doc.text(`Course dates: ${dates}`, { align: "center", width: textWidth })
+		}
+		doc.text(`Completed on ${_formatDate(certificate.completedAt)}`, { align: "center", width: textWidth })
+	}
+
+	if (certificate.issuers.length) {
+		doc.moveDown(2)
+		doc.font("Helvetica-Bold").fontSize(12).fillColor("black").text("Issued by", { align: "center", width: textWidth })
+		doc.font("Helvetica")
+		certificate.issuers.forEach(({ name, role }) => {
+			doc.text(`${name}, ${ROLE_NAMES[role]}`, { align: "center", width: textWidth })
+		})
+	}
+
+	if (template.footer) {
+		doc.moveDown()
+		doc.fontSize(11).fillColor("#444444").text(fillCertificateText(template.footer, certificate), { align: "center", width: textWidth })
+	}
+
+	// written inside the bottom margin, which would otherwise start a new page
+	doc.page.margins.bottom = 0
+	doc.fontSize(9).fillColor("#666666").text(
+		`Certificate ID ${certificate.code}, issued ${_formatDate(certificate.issuedAt)}. Verify at ${CERTIFICATE_VERIFY_URL}/${certificate.code}/verify`,
+		60,
+		height - 70,
+		{ align: "center", width: textWidth, lineBreak: false }
+	)
+	doc.end()
+}
+
+/**
+ * Maps a failed `CERTIFICATEISSUE_CODES` status to a http status code and a message for the client.
+ *
+ * @param {number} status - One of `CERTIFICATEISSUE_CODES`, other than ISSUED and ALREADY_ISSUED.
+ * @returns {{httpStatus: number, message: string}} The response to send.
+ */
+const describeCertificateFailure = (status) => {
+	switch (status) {
+		case CERTIFICATEISSUE_CODES.NOT_FOUND:
+			return { httpStatus: 404, message: "Registration not found" }
+		case CERTIFICATEISSUE_CODES.NOT_COMPLETED:
+			return { httpStatus: 409, message: "Only students who completed the course get a certificate." }
+		default:
+			return { httpStatus: 500, message: "Internal Server Error" }
+	}
+}
+
+module.exports = {
+	CERTIFICATE_VERIFY_URL,
+	CERTIFICATEISSUE_CODES,
+	generateCertificateCode,
+	fillCertificateText,
+	issueCertificate,
+	describeCertificate,
+	writeCertificatePdf,
+	describeCertificateFailure
+}
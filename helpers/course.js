@@ -0,0 +1,330 @@
+const { Course, COURSESTATUS_CODES, REGISTRATIONSTATUS_CODES, MANAGERROLE_CODES } = require("../db/models/course/model")
+const { USERROLE_CODES } = require("../db/models/user/model")
+const { issueCertificate } = require("./certificate")
+const { generateResponseMessage } = require("./response")
+const logger = require("./logger")
+
+/**
+ * The states a registration may move to from each state. REJECTED and DISCONTINUED registrations
+ * can be reconsidered, a COMPLETED one is final. WAITLISTED registrations become requests when a
+ * seat frees up.
+ * @readonly
+ */
+const REGISTRATION_TRANSITIONS = {
+	[REGISTRATIONSTATUS_CODES.WAITLISTED]: [REGISTRATIONSTATUS_CODES.REQUESTED, REGISTRATIONSTATUS_CODES.REJECTED],
+	[REGISTRATIONSTATUS_CODES.REQUESTED]: [REGISTRATIONSTATUS_CODES.ACCEPTED, REGISTRATIONSTATUS_CODES.REJECTED],
+	[REGISTRATIONSTATUS_CODES.ACCEPTED]: [REGISTRATIONSTATUS_CODES.DISCONTINUED, REGISTRATIONSTATUS_CODES.COMPLETED],
+	[REGISTRATIONSTATUS_CODES.REJECTED]: [REGISTRATIONSTATUS_CODES.ACCEPTED],
+	[REGISTRATIONSTATUS_CODES.DISCONTINUED]: [REGISTRATIONSTATUS_CODES.ACCEPTED],
+	[REGISTRATIONSTATUS_CODES.COMPLETED]: []
+}
+
+// the registration field recording when it entered each state
+const REGISTRATION_TIMESTAMPS = {
+	[REGISTRATIONSTATUS_CODES.REQUESTED]: "promotedAt",
+	[REGISTRATIONSTATUS_CODES.ACCEPTED]: "acceptedAt",
+	[REGISTRATIONSTATUS_CODES.REJECTED]: "rejectedAt",
+	[REGISTRATIONSTATUS_CODES.DISCONTINUED]: "discontinuedAt",
+	[REGISTRATIONSTATUS_CODES.COMPLETED]: "completedAt"
+}
+
+// the states in which a registration takes one of the seats of the course
+const SEAT_STATES = [
+	REGISTRATIONSTATUS_CODES.REQUESTED,
+	REGISTRATIONSTATUS_CODES.ACCEPTED,
+	REGISTRATIONSTATUS_CODES.COMPLETED
+]
+
+/**
+ * An enumeration of the outcomes of changing the state of a registration.
+ * @readonly
+ * @enum {number}
+ */
+const REGISTRATIONCHANGE_CODES = {
+	SUCCESS: 1,
+	NOT_FOUND: 0,
+	INVALID_TRANSITION: 2,
+	COURSE_FULL: 3
+}
+
+/**
+ * An enumeration of the outcomes of asking for a seat in a course.
+ * @readonly
+ * @enum {number}
+ */
+const SEATREQUEST_CODES = {
+	REQUESTED: 1, // a seat was free, the request awaits a manager's decision
+	WAITLISTED: 2, // the course is full
+	ALREADY_REGISTERED: 0
+}
+
+/**
+ * Query conditions matching a course with a free seat, or without a seat limit. They are part of
+ * the update filters, so that concurrent requests cannot overfill the course.
+ *
+ * @function
+ * @name _freeSeatFilter
+ * @returns {Object} The query conditions.
+ */
+const _freeSeatFilter = () => ({
+	$or: [
+		{ capacity: null },
+		{ $expr: { $lt: [{ $size: { $filter: { input: "$registrations", cond: { $in: ["$$this.state", SEAT_STATES] } } } }, "$capacity"] } }
+	]
+})
+
+/**
+ * Lists the waitlisted registrations of a course, first in line first.
+ *
+ * @param {Object} course - The course document, with its registrations.
+ * @returns {Array<Object>} The waitlisted registrations.
+ */
+const getWaitlist = (course) =>
+	course.registrations
+		.filter((registration) => registration.state === REGISTRATIONSTATUS_CODES.WAITLISTED)
+		.sort((a, b) => (a.waitlistedAt || a.requestedAt) - (b.waitlistedAt || b.requestedAt))
+
+/**
+ * Finds the place of a user on the waitlist of a course.
+ *
+ * @param {Object} course - The course document, with its registrations.
+ * @param {string} userId - The id of the user.
+ * @returns {number} The 1-based position, or 0 if the user is not waitlisted.
+ */
+const getWaitlistPosition = (course, userId) =>
+	getWaitlist(course).findIndex((registration) => registration.user.toString() === String(userId)) + 1
+
+/**
+ * Checks whether a user is one of the managers of a course.
+ *
+ * @param {Object} course - The course document, with its managers.
+ * @param {string} userId - The id of the user.
+ * @param {Array<number>} [roles] - The `MANAGERROLE_CODES` to accept, any role if unset.
+ * @returns {boolean} True if the user manages the course with one of the roles.
+ */
+const isCourseManager = (course, userId, roles) =>
+	course.managers.some((manager) =>
+		manager.managerId.toString() === String(userId) && (!roles || roles.includes(manager.role))
+	)
+
+/**
+ * Checks whether a user may decide on the registrations of a course: SUPERADMINs, and the
+ * COORDINATOR and INSTRUCTOR managers of the course.
+ *
+ * @param {Object} course - The course document, with its managers.
+ * @param {string} userId - The id of the user.
+ * @param {number} role - The `USERROLE_CODES` role of the user.
+ * @returns {boolean} True if the user may manage the registrations.
+ */
+const canManageRegistrations = (course, userId, role) =>
+	role === USERROLE_CODES.SUPERADMIN ||
+	isCourseManager(course, userId, [MANAGERROLE_CODES.COORDINATOR, MANAGERROLE_CODES.INSTRUCTOR])
+
+/**
+ * Checks whether a user may manage the content of a course, such as its curriculum and assignments:
+ * SUPERADMINs, and the COORDINATOR, INSTRUCTOR and TA managers of the course.
+ *
+ * @param {Object} course - The course document, with its managers.
+ * @param {string} userId - The id of the user.
+ * @param {number} role - The `USERROLE_CODES` role of the user.
+ * @returns {boolean} True if the user may manage the content.
+ */
+const canManageContent = (course, userId, role) =>
+	role === USERROLE_CODES.SUPERADMIN ||
+	isCourseManager(course, userId, [MANAGERROLE_CODES.COORDINATOR, MANAGERROLE_CODES.INSTRUCTOR, MANAGERROLE_CODES.TA])
+
+/**
+ * Checks whether a user may grade the work of the students of a course: SUPERADMINs, and the
+ * ASSESSOR, COORDINATOR, INSTRUCTOR and TA managers of the course.
+ *
+ * @param {Object} course - The course document, with its managers.
+ * @param {string} userId - The id of the user.
+ * @param {number} role - The `USERROLE_CODES` role of the user.
+ * @returns {boolean} True if the user may grade.
+ */
+const canAssess = (course, userId, role) =>
+	canManageContent(course, userId, role) || isCourseManager(course, userId, [MANAGERROLE_CODES.ASSESSOR])
+
+/**
+ * Loads the course of a request, from its `courseId` param, for a route handler, or sends the error
+ * response: 404 if there is no such course, 403 if the user may not go on, and 409 if the request
+ * changes an archived course.
+ *
+ * @param {Object} req - The request object, with the id and role of the user.
+ * @param {Object} res - The response object.
+ * @param {Object} [options]
+ * @param {string} [options.select] - The fields to load, the managers and status included; all if unset.
+ * @param {Function} [options.allow] - Given the request and the course, whether the user may go on;
+ * 	SUPERADMINs and the managers of the course by default.
+ * @param {string} [options.forbidden] - The message of the 403 response.
+ * @param {boolean} [options.writing] - Whether the request changes the course or what belongs to it.
+ * @param {string} [options.archived] - The message of the 409 response.
+ * @param {boolean} [options.hideDrafts] - Whether draft courses are only found by SUPERADMINs and their managers.
+ * @returns {Promise<Object|undefined>} The course, or undefined if the error response was sent.
+ */
+const loadCourse = async (req, res, {
+	select,
+	allow = (req, course) => req.role === USERROLE_CODES.SUPERADMIN || isCourseManager(course, req.id),
+	forbidden = "Not allowed for this role.",
+	writing,
+	archived = "Course is archived and cannot be updated.",
+	hideDrafts
+} = {}) => {
+	const query = Course.findById(req.params.courseId)
+	const course = await (select ? query.select(select) : query)
+	const hidden = hideDrafts && course && course.status === COURSESTATUS_CODES.DRAFT &&
+		req.role !== USERROLE_CODES.SUPERADMIN && !isCourseManager(course, req.id)
+	if (!course || hidden) {
+		res.status(404).json(generateResponseMessage("error", "Course not found"))
+		return
+	}
+	if (!allow(req, course)) {
+		res.status(403).json(generateResponseMessage("error", forbidden))
+		return
+	}
+	if (writing && course.status === COURSESTATUS_CODES.ARCHIVED) {
+		res.status(409).json(generateResponseMessage("error", archived))
+		return
+	}
+	return course
+}
+
+/**
+ * Moves a registration to a new state if the transition is allowed, recording when, by whom and why.
+ * The update is conditional on the current state, so that concurrent decisions cannot both apply, and
+ * a registration taking a seat again needs a free one. A seat given up is passed on to the waitlist, and
+ * a completed registration is issued its certificate.
+ *
+ * @param {string} courseId - The id of the course.
+ * @param {string} registrationId - The id of the registration.
+ * @param {number} toState - The `REGISTRATIONSTATUS_CODES` state to move to.
+ * @param {Object} [options]
+ * @param {string} [options.decidedBy] - The id of the user making the change.
+ * @param {string} [options.reason] - The reason of the change, e.g. of a rejection.
+ * @returns {Promise<{status: number, registration?: Object}>} One of `REGISTRATIONCHANGE_CODES`, along with
+ * 	the updated registration in case of success.
+ */
+const transitionRegistration = async (courseId, registrationId, toState, { decidedBy, reason } = {}) => {
+	const current = await Course.findOne({ _id: courseId, "registrations._id": registrationId }).select("registrations._id registrations.state")
+	if (!current) {
+		return { status: REGISTRATIONCHANGE_CODES.NOT_FOUND }
+	}
+	const fromState = current.registrations.id(registrationId).state
+	if (!REGISTRATION_TRANSITIONS[fromState].includes(toState)) {
+		return { status: REGISTRATIONCHANGE_CODES.INVALID_TRANSITION }
+	}
+
+	const filter = { _id: courseId, registrations: { $elemMatch: { _id: registrationId, state: fromState } } }
+	const takesSeat = SEAT_STATES.includes(toState) && !SEAT_STATES.includes(fromState)
+	if (takesSeat) {
+		Object.assign(filter, _freeSeatFilter())
+	}
+
+	const update = {
+		"registrations.$.state": toState,
+		[`registrations.$.${REGISTRATION_TIMESTAMPS[toState]}`]: new Date(),
+		"registrations.$.reason": reason || ""
+	}
+	if (decidedBy) {
+		update["registrations.$.decidedBy"] = decidedBy
+	}
+
+	const course = await Course.findOneAndUpdate(filter, { $set: update }, { new: true })
+	if (!course) {
+		// another decision got there first, or the last seat was taken meanwhile
+		const unchanged = await Course.exists({ _id: courseId, registrations: { $elemMatch: { _id: registrationId, state: fromState } } })
+		return { status: unchanged && takesSeat ? REGISTRATIONCHANGE_CODES.COURSE_FULL : REGISTRATIONCHANGE_CODES.INVALID_TRANSITION }
+	}
+
+	if (SEAT_STATES.includes(fromState) && !SEAT_STATES.includes(toState)) {
+		await promoteFromWaitlist(courseId)
+	}
+	if (toState === REGISTRATIONSTATUS_CODES.COMPLETED) {
+		// the completion stands even if this fails, the certificate can be issued again later
+		await issueCertificate(courseId, registrationId).catch((err) => logger.error(err))
+	}
+
+	return { status: REGISTRATIONCHANGE_CODES.SUCCESS, registration: course.registrations.id(registrationId) }
+}
+
+/**
+ * Moves users from the waitlist to requests, first in line first, while the course has free seats.
+ * Called whenever seats may have freed up: a registration rejected, discontinued or removed, or the
+ * seat limit raised.
+ *
+ * @param {string} courseId - The id of the course.
+ * @returns {Promise<Array<string>>} The ids of the users promoted.
+ */
+const promoteFromWaitlist = async (courseId) => {
+	const promoted = []
+	for (;;) {
+		const course = await Course.findById(courseId).select("capacity registrations")
+		const next = course && getWaitlist(course)[0]
+		if (!next) {
+			break
+		}
+
+		const { status } = await transitionRegistration(courseId, next._id, REGISTRATIONSTATUS_CODES.REQUESTED)
+		if (status === REGISTRATIONCHANGE_CODES.SUCCESS) {
+			promoted.push(next.user.toString())
+		} else if (status !== REGISTRATIONCHANGE_CODES.INVALID_TRANSITION) {
+			// full, or gone; an invalid transition only means someone else moved that registration
+			break
+		}
+	}
+	return promoted
+}
+
+/**
+ * Registers a user to a course: as a request if a seat is free and nobody is waiting, otherwise at
+ * the end of the waitlist.
+ *
+ * @param {string} courseId - The id of the course.
+ * @param {string} userId - The id of the user.
+ * @returns {Promise<{status: number, course?: Object, position?: number}>} One of `SEATREQUEST_CODES`, along
+ * 	with the updated course, and the waitlist position when WAITLISTED.
+ */
+const requestSeat = async (courseId, userId) => {
+	const now = new Date()
+
+	const requested = await Course.findOneAndUpdate(
+		{
+			_id: courseId,
+			"registrations.user": { $ne: userId },
+			"registrations.state": { $ne: REGISTRATIONSTATUS_CODES.WAITLISTED },
+			..._freeSeatFilter()
+		},
+		{ $push: { registrations: { user: userId, state: REGISTRATIONSTATUS_CODES.REQUESTED, requestedAt: now } } },
+		{ new: true }
+	)
+	if (requested) {
+		return { status: SEATREQUEST_CODES.REQUESTED, course: requested }
+	}
+
+	const waitlisted = await Course.findOneAndUpdate(
+		{ _id: courseId, "registrations.user": { $ne: userId } },
+		{ $push: { registrations: { user: userId, state: REGISTRATIONSTATUS_CODES.WAITLISTED, requestedAt: now, waitlistedAt: now } } },
+		{ new: true }
+	)
+	if (!waitlisted) {
+		return { status: SEATREQUEST_CODES.ALREADY_REGISTERED }
+	}
+	return { status: SEATREQUEST_CODES.WAITLISTED, course: waitlisted, position: getWaitlistPosition(waitlisted, userId) }
+}
+
+module.exports = {
+	REGISTRATION_TRANSITIONS,
+	REGISTRATIONCHANGE_CODES,
+	SEATREQUEST_CODES,
+	SEAT_STATES,
+	isCourseManager,
+	canManageRegistrations,
+	canManageContent,
+	canAssess,
+	loadCourse,
+	getWaitlist,
+	getWaitlistPosition,
+	transitionRegistration,
+	promoteFromWaitlist,
+	requestSeat
+}
@@ -0,0 +1,410 @@
+const { CURRICULUMNODE_CODES, REGISTRATIONSTATUS_CODES } = require("../db/models/course/model")
+const { USERROLE_CODES } = require("../db/models/user/model")
+const { isCourseManager } = require("./course")
+
+/**
+ * The kinds of node each kind of node may be placed under, null standing for the root of the tree.
+ * @readonly
+ */
+const CURRICULUM_PARENTS = {
+	[CURRICULUMNODE_CODES.MODULE]: [null],
+	[CURRICULUMNODE_CODES.SUBMODULE]: [CURRICULUMNODE_CODES.MODULE],
+	[CURRICULUMNODE_CODES.LESSON]: [CURRICULUMNODE_CODES.MODULE, CURRICULUMNODE_CODES.SUBMODULE]
+}
+
+/**
+ * An enumeration of the outcomes of changing the curriculum of a course.
+ * @readonly
+ * @enum {number}
+ */
+const CURRICULUMCHANGE_CODES = {
+	SUCCESS: 1,
+	NOT_FOUND: 0, // no such node
+	INVALID_PARENT: 2, // the parent is missing, or cannot hold this kind of node
+	INVALID_ORDER: 3, // the new order does not list exactly the children of the parent
+	NOT_A_LESSON: 4, // materials are attached to lessons only
+	MATERIAL_NOT_FOUND: 5
+}
+
+/**
+ * An enumeration of how much of the curriculum a user may see.
+ * @readonly
+ * @enum {number}
+ */
+const CURRICULUMACCESS_CODES = {
+	NONE: 0,
+	RELEASED: 1, // students of the course, released content only
+	FULL: 2 // managers and SUPERADMINs, release dates included
+}
+
+// the registration states of students who may follow the course
+const STUDENT_STATES = [REGISTRATIONSTATUS_CODES.ACCEPTED, REGISTRATIONSTATUS_CODES.COMPLETED]
+
+/**
+ * Finds how much of the curriculum of a course a user may see.
+ *
+ * @param {Object} course - The course document, with its managers and registrations.
+ * @param {string} userId - The id of the user.
+ * @param {number} role - The `USERROLE_CODES` role of the user.
+ * @returns {number} One of `CURRICULUMACCESS_CODES`.
+ */
+const getCurriculumAccess = (course, userId, role) => {
+	if (role === USERROLE_CODES.SUPERADMIN || isCourseManager(course, userId)) {
+		return CURRICULUMACCESS_CODES.FULL
+	}
+	const isStudent = course.registrations.some((registration) =>
+		registration.user.toString() === String(userId) && STUDENT_STATES.includes(registration.state)
+	)
+	return isStudent ? CURRICULUMACCESS_CODES.RELEASED : CURRICULUMACCESS_CODES.NONE
+}
+
+/**
+ * Lists the children of a node, in their order.
+ *
+ * @function
+ * @name _children
+ * @param {Object} course - The course document, with its curriculum.
+ * @param {string|null} parentId - The id of the parent, null for the modules.
+ * @returns {Array<Object>} The child nodes.
+ */
+const _children = (course, parentId) =>
+	course.curriculum
+		.filter((node) => String(node.parent) === String(parentId))
+		.sort((a, b) => a.order - b.order)
+
+/**
+ * Numbers the children of a node 0, 1, 2... in the given order.
+ *
+ * @function
+ * @name _renumber
+ * @param {Array<Object>} children - The child nodes, in their new order.
+ */
+const _renumber = (children) => children.forEach((node, index) => {
+	if (node.order !== index) {
+		node.order = index
+	}
+})
+
+/**
+ * Checks that a node of some kind may be placed under a parent. Each kind sits strictly deeper than
+ * the kinds it may be placed under, so a move can never put a node inside itself.
+ *
+ * @function
+ * @name _isValidParent
+ * @param {Object} course - The course document, with its curriculum.
+ * @param {number} kind - The `CURRICULUMNODE_CODES` kind of the node.
+ * @param {string|null} parentId - The id of the parent, null for the root.
+ * @returns {boolean} True if the parent may hold the node.
+ */
+const _isValidParent = (course, kind, parentId) => {
+	if (!parentId) {
+		return CURRICULUM_PARENTS[kind].includes(null)
+	}
+	const parent = course.curriculum.id(parentId)
+	return Boolean(parent) && CURRICULUM_PARENTS[kind].includes(parent.kind)
+}
+
+/**
+ * Inserts a node among the children of a parent, at a position or last.
+ *
+ * @function
+ * @name _insertAt
+ * @param {Object} course - The course document, with its curriculum.
+ * @param {Object} node - The node, with its parent already set.
+ * @param {number} [position] - The 0-based position among the children, last if unset or too large.
+ */
+const _insertAt = (course, node, position) => {
+	const siblings = _children(course, node.parent).filter((sibling) => String(sibling._id) !== String(node._id))
+	const index = position === undefined ? siblings.length : Math.min(position, siblings.length)
+	siblings.splice(index, 0, node)
+	_renumber(siblings)
+}
+
+/**
+ * Adds a node to the curriculum of a course. The course is not saved.
+ *
+ * @param {Object} course - The course document, with its curriculum.
+ * @param {Object} fields - The kind, title, description, parentId, releaseAt and position of the node.
+ * @param {string} userId - The id of the user adding it.
+ * @returns {{status: number, node?: Object}} One of `CURRICULUMCHANGE_CODES`, along with the new node in
+ * 	case of success.
+ */
+const addCurriculumNode = (course, { kind, title, description, parentId, releaseAt, position }, userId) => {
+	if (!_isValidParent(course, kind, parentId || null)) {
+		return { status: CURRICULUMCHANGE_CODES.INVALID_PARENT }
+	}
+	course.curriculum.push({ kind, title, description, parent: parentId || null, releaseAt, createdBy: userId })
+	const node = course.curriculum[course.curriculum.length - 1]
+	_insertAt(course, node, position)
+	return { status: CURRICULUMCHANGE_CODES.SUCCESS, node }
+}
+
+/**
+ * Updates the title, description or release date of a node. The course is not saved.
+ *
+ * @param {Object} course - The course document, with its curriculum.
+ * @param {string} nodeId - The id of the node.
+ * @param {Object} fields - The fields to change, a null releaseAt releasing the node right away.
+ * @returns {{status: number, node?: Object}} One of `CURRICULUMCHANGE_CODES`, along with the updated node in
+ * 	case of success.
+ */
+const updateCurriculumNode = (course, nodeId, { title, description, releaseAt }) => {
+	const node = course.curriculum.id(nodeId)
+	if (!node) {
+		return { status: CURRICULUMCHANGE_CODES.NOT_FOUND }
+	}
+	if (title !== undefined) {
+		node.title = title
+	}
+	if (description !== undefined) {
+		node.description = description
+	}
+	if (releaseAt !== undefined) {
+		node.releaseAt = releaseAt || undefined
+	}
+	node.updatedAt = new Date()
+	return { status: CURRICULUMCHANGE_CODES.SUCCESS, node }
+}
+
+/**
+ * Moves a node, with everything under it, to a position under another parent or its own. The course
+ * is not saved.
+ *
+ * @param {Object} course - The course document, with its curriculum.
+ * @param {string} nodeId - The id of the node.
+ * @param {string|null} parentId - The id of the new parent, null for the root.
+ * @param {number} [position] - The 0-based position among the new siblings, last if unset.
+ * @returns {{status: number, node?: Object}} One of `CURRICULUMCHANGE_CODES`, along with the moved node in
+ * 	case of success.
+ */
+const moveCurriculumNode = (course, nodeId, parentId, position) => {
+	const node = course.curriculum.id(nodeId)
+	if (!node) {
+		return { status: CURRICULUMCHANGE_CODES.NOT_FOUND }
+	}
+	if (!_isValidParent(course, node.kind, parentId || null)) {
+		return { status: CURRICULUMCHANGE_CODES.INVALID_PARENT }
+	}
+
+	const formerParent = node.parent
+	node.parent = parentId || null
+	_insertAt(course, node, position)
+	if (String(formerParent) !== String(node.parent)) {
+		_renumber(_children(course, formerParent))
+	}
+	node.updatedAt = new Date()
+	return { status: CURRICULUMCHANGE_CODES.SUCCESS, node }
+}
+
+/**
+ * Orders the children of a parent as given, e.g. after a drag and drop. The course is not saved.
+ *
+ * @param {Object} course - The course document, with its curriculum.
+ * @param {string|null} parentId - The id of the parent, null for the modules.
+ * @param {Array<string>} nodeIds - The ids of all the children of the parent, in their new order.
+ * @returns {{status: number}} One of `CURRICULUMCHANGE_CODES`.
+ */
+const reorderCurriculum = (course, parentId, nodeIds) => {
+	if (parentId && !course.curriculum.id(parentId)) {
+		return { status: CURRICULUMCHANGE_CODES.NOT_FOUND }
+	}
+	const children = _children(course, parentId || null)
+	const byId = new Map(children.map((node) => [String(node._id), node]))
+	if (nodeIds.length !== children.length || !nodeIds.every((nodeId) => byId.has(String(nodeId)))) {
+		return { status: CURRICULUMCHANGE_CODES.INVALID_ORDER }
+	}
+	_renumber(nodeIds.map((nodeId) => byId.get(String(nodeId))))
+	return { status: CURRICULUMCHANGE_CODES.SUCCESS }
+}
+
+/**
+ * Removes a node and everything under it. The materials stay in the course. The course is not saved.
+ *
+ * @param {Object} course - The course document, with its curriculum.
+ * @param {string} nodeId - The id of the node.
+ * @returns {{status: number, removed?: number}} One of `CURRICULUMCHANGE_CODES`, along with the number of
+ * 	nodes removed in case of success.
+ */
+const removeCurriculumNode = (course, nodeId) => {
+	const node = course.curriculum.id(nodeId)
+	if (!node) {
+		return { status: CURRICULUMCHANGE_CODES.NOT_FOUND }
+	}
+
+	const removed = new Set([String(node._id)])
+	let size
+	do {
+		size = removed.size
+		course.curriculum.forEach((other) => {
+			if (other.parent && removed.has(String(other.parent))) {
+				removed.add(String(other._id))
+			}
+		})
+	} while (removed.size !== size)
+
+	const parentId = node.parent
+	course.curriculum = course.curriculum.filter((other) => !removed.has(String(other._id)))
+	_renumber(_children(course, parentId))
+	return { status: CURRICULUMCHANGE_CODES.SUCCESS, removed: removed.size }
+}
+
+/**
+ * Attaches one of the materials of a course to a lesson. The course is not saved.
+ *
+ * @param {Object} course - The course document, with its material and curriculum.
+ * @param {string} nodeId - The id of the lesson.
+ * @param {string} materialId - The id of the material.
+ * @returns {{status: number, node?: Object}} One of `CURRICULUMCHANGE_CODES`, along with the lesson in case
+ * 	of success.
+ */
+const attachMaterial = (course, nodeId, materialId) => {
+	const node = course.curriculum.id(nodeId)
+	if (!node) {
+		return { status: CURRICULUMCHANGE_CODES.NOT_FOUND }
+	}
+	if (node.kind !== CURRICULUMNODE_CODES.LESSON) {
+		return { status: CURRICULUMCHANGE_CODES.NOT_A_LESSON }
+	}
+	if (!course.material.id(materialId)) {
+		return { status: CURRICULUMCHANGE_CODES.MATERIAL_NOT_FOUND }
+	}
+	if (!node.materials.some((attached) => String(attached) === String(materialId))) {
+		node.materials.push(materialId)
+	}
+	return { status: CURRICULUMCHANGE_CODES.SUCCESS, node }
+}
+
+/**
+ * Detaches a material from a lesson, or from every lesson if no lesson is given, e.g. when the
+ * material is deleted. The course is not saved.
+ *
+ * @param {Object} course - The course document, with its curriculum.
+ * @param {string} materialId - The id of the material.
+ * @param {string} [nodeId] - The id of the lesson.
+ * @returns {{status: number, node?: Object}} One of `CURRICULUMCHANGE_CODES`, along with the lesson if one
+ * 	was given.
+ */
+const detachMaterial = (course, materialId, nodeId) => {
+	const node = nodeId && course.curriculum.id(nodeId)
+	if (nodeId && !node) {
+		return { status: CURRICULUMCHANGE_CODES.NOT_FOUND }
+	}
+	(node ? [node] : course.curriculum).forEach((lesson) => {
+		if (lesson.materials.some((attached) => String(attached) === String(materialId))) {
+			lesson.materials = lesson.materials.filter((attached) => String(attached) !== String(materialId))
+		}
+	})
+	return { status: CURRICULUMCHANGE_CODES.SUCCESS, node: node || undefined }
+}
+
+/**
+ * Checks whether a node is released to students: its own release date and those of the nodes above
+ * it have passed, or are unset.
+ *
+ * @param {Object} course - The course document, with its curriculum.
+ * @param {string} nodeId - The id of the node.
+ * @param {Date} [now] - The time to check the release dates against.
+ * @returns {boolean} True if the node is released, false if not or if there is no such node.
+ */
+const isCurriculumNodeReleased = (course, nodeId, now = new Date()) => {
+	let node = course.curriculum.id(nodeId)
+	if (!node) {
+		return false
+	}
+	for (; node; node = node.parent && course.curriculum.id(node.parent)) {
+		if (node.releaseAt && node.releaseAt > now) {
+			return false
+		}
+	}
+	return true
+}
+
+/**
+ * Checks whether a material is released to students: it is attached to a released lesson, or to none.
+ *
+ * @param {Object} course - The course document, with its curriculum.
+ * @param {string} materialId - The id of the material.
+ * @param {Date} [now] - The time to check the release dates against.
+ * @returns {boolean} True if the material is released.
+ */
+const isMaterialReleased = (course, materialId, now = new Date()) => {
+	const lessons = course.curriculum.filter((node) => node.materials.some((id) => id.equals(materialId)))
+	return !lessons.length || lessons.some((lesson) => isCurriculumNodeReleased(course, lesson._id, now))
+}
+
+/**
+ * Lists the materials of a course students may see, see `isMaterialReleased`.
+ *
+ * @param {Object} course - The course document, with its material and curriculum.
+ * @param {Date} [now] - The time to check the release dates against.
+ * @returns {Array<Object>} The materials.
+ */
+const getReleasedMaterials = (course, now = new Date()) =>
+	course.material.filter((material) => isMaterialReleased(course, material._id, now))
+
+/**
+ * Builds the curriculum tree of a course, with the materials of each lesson. For students, nodes not
+ * released yet are left out, together with everything under them.
+ *
+ * @param {Object} course - The course document, with its material and curriculum.
+ * @param {Object} [options]
+ * @param {boolean} [options.releasedOnly] - Leave out the content not released yet.
+ * @param {Date} [options.now] - The time to check the release dates against.
+ * @returns {Array<Object>} The modules, each with its children.
+ */
+const buildCurriculumTree = (course, { releasedOnly = false, now = new Date() } = {}) => {
+	const build = (parentId) => _children(course, parentId)
+		.filter((node) => !releasedOnly || !node.releaseAt || node.releaseAt <= now)
+		.map((node) => ({
+			_id: node._id,
+			kind: node.kind,
+			title: node.title,
+			description: node.description,
+			order: node.order,
+			releaseAt: node.releaseAt,
+			materials: node.materials.map((materialId) => course.material.id(materialId)).filter(Boolean),
+			children: build(node._id)
+		}))
+	return build(null)
+}
+
+/**
+ * Maps a failed `CURRICULUMCHANGE_CODES` status to a http status code and a message for the client.
+ *
+ * @param {number} status - One of `CURRICULUMCHANGE_CODES`, other than SUCCESS.
+ * @returns {{httpStatus: number, message: string}} The response to send.
+ */
+const describeCurriculumFailure = (status) => {
+	switch (status) {
+		case CURRICULUMCHANGE_CODES.NOT_FOUND:
+			return { httpStatus: 404, message: "Curriculum node not found" }
+		case CURRICULUMCHANGE_CODES.INVALID_PARENT:
+			return { httpStatus: 400, message: "Modules go at the top, sub modules in modules, and lessons in modules or sub modules." }
+		case CURRICULUMCHANGE_CODES.INVALID_ORDER:
+			return { httpStatus: 400, message: "The order should list every child of the parent exactly once." }
+		case CURRICULUMCHANGE_CODES.NOT_A_LESSON:
+			return { httpStatus: 400, message: "Materials can only be attached to lessons." }
+		case CURRICULUMCHANGE_CODES.MATERIAL_NOT_FOUND:
+			return { httpStatus: 404, message: "Material not found" }
+		default:
+			return { httpStatus: 500, message: "Internal Server Error" }
+	}
+}
+
+module.exports = {
+	CURRICULUMCHANGE_CODES,
+	CURRICULUMACCESS_CODES,
+	getCurriculumAccess,
+	addCurriculumNode,
+	updateCurriculumNode,
+	moveCurriculumNode,
+	reorderCurriculum,
+	removeCurriculumNode,
+	attachMaterial,
+	detachMaterial,
+	isCurriculumNodeReleased,
+	isMaterialReleased,
+	getReleasedMaterials,
+	buildCurriculumTree,
+	describeCurriculumFailure
+}
@@ -1,4 +1,5 @@
 require("dotenv").config()
+const crypto = require('crypto')
 const nodemailer = require('nodemailer')
 
 const logger = require('./logger')
@@ -109,7 +110,202 @@ const sendVerificationEmail = async (otp, receiverEmailString) => {
 }
 
 /**
- * Generate a random string of alphabets and numbers of length 20
+ * Sends an email to the owner of an account locked after repeated failed logins, containing the unlock link.
+ *
+ * @param {string} otp - The randomized string to include in the unlock link.
+ * @param {string} receiverEmailString - The email address of the owner of the locked account.
+ * @returns {Promise<number>} A Promise that resolves with 1 if the email is sent successfully, otherwise -1.
+ */
+const sendAccountUnlockEmail = async (otp, receiverEmailString) => {
+
+	// Compose the unlock email message as an HTML string
+	const message = `Hi! There, Your account on our website AspireZ has been temporarily locked
+		after several failed login attempts.
+		Please follow the given link to unlock it now, or wait for the lock to expire.
+		http://localhost:3000/auth/unlock/${otp}.
+
+		If these attempts were not yours, consider resetting your password.
+
+		Thanks`
+
+	// Construct the mail options object for nodemailer
+	const mailOptions = {
+		from: process.env.SMTP_USER,
+		to: receiverEmailString,
+		subject: 'Your AspireZ account has been locked',
+		html: message
+	}
+
+	try {
+		await TRANSPORTER.sendMail(mailOptions)
+		logger.info(`Account unlock email sent to ${receiverEmailString}`)
+		return 1
+	} catch (err) {
+		// Log any errors and return a status indicating failure
+		logger.error(`Error in sending account unlock email to ${receiverEmailString}`, err)
+		return -1
+	}
+}
+
+/**
+ * Sends an email to a new address a user wants to switch to, containing the confirmation link.
+ *
+ * @param {string} otp - The randomized string to include in the confirmation link.
+ * @param {string} receiverEmailString - The new email address, to be confirmed.
+ * @returns {Promise<number>} A Promise that resolves with 1 if the email is sent successfully, otherwise -1.
+ */
+const sendEmailChangeVerificationEmail = async (otp, receiverEmailString) => {
+
+	// Compose the confirmation email message as an HTML string
+	const message = `Hi! There, You have asked to use this address for your account on our website AspireZ.
+		Please follow the given link to confirm it.
+		http://localhost:3000/auth/confirmEmail/${otp}.
+
+		Ignore, if this wasnt you!
+
+		Thanks`
+
+	// Construct the mail options object for nodemailer
+	const mailOptions = {
+		from: process.env.SMTP_USER,
+		to: receiverEmailString,
+		subject: 'Confirm your new email for AspireZ',
+		html: message
+	}
+
+	try {
+		await TRANSPORTER.sendMail(mailOptions)
+		logger.info(`Email change confirmation sent to ${receiverEmailString}`)
+		return 1
+	} catch (err) {
+		// Log any errors and return a status indicating failure
+		logger.error(`Error in sending email change confirmation to ${receiverEmailString}`, err)
+		return -1
+	}
+}
+
+/**
+ * Notifies the previous address of an account that its email has been changed.
+ *
+ * @param {string} receiverEmailString - The previous email address of the account.
+ * @param {string} newEmailString - The email address the account now uses.
+ * @returns {Promise<number>} A Promise that resolves with 1 if the email is sent successfully, otherwise -1.
+ */
+const sendEmailChangedNotification = async (receiverEmailString, newEmailString) => {
+
+	// Compose the notification message as an HTML string
+	const message = `Hi! There, The email address of your account on our website AspireZ
+		has been changed to ${newEmailString}. This address will no longer receive emails from us.
+
+		If this wasnt you, please contact us immediately.
+
+		Thanks`
+
+	// Construct the mail options object for nodemailer
+	const mailOptions = {
+		from: process.env.SMTP_USER,
+		to: receiverEmailString,
+		subject: 'Your AspireZ email has been changed',
+		html: message
+	}
+
+	try {
+		await TRANSPORTER.sendMail(mailOptions)
+		logger.info(`Email changed notification sent to ${receiverEmailString}`)
+		return 1
+	} catch (err) {
+		// Log any errors and return a status indicating failure
+		logger.error(`Error in sending email changed notification to ${receiverEmailString}`, err)
+		return -1
+	}
+}
+
+/**
+ * Sends a passwordless login link to the specified receiver.
+ *
+ * @param {string} otp - The randomized string to include in the login link.
+ * @param {string} receiverEmailString - The email address of the user logging in.
+ * @returns {Promise<number>} A Promise that resolves with 1 if the email is sent successfully, otherwise -1.
+ */
+const sendMagicLinkEmail = async (otp, receiverEmailString) => {
+
+	// Compose the login email message as an HTML string
+	const message = `Hi! There, Someone has asked to login to our website AspireZ with this email.
+		Please follow the given link to login, it works once and only for the next 15 minutes.
+		http://localhost:3000/auth/magicLink/${otp}.
+
+		Ignore, if this wasnt you!
+
+		Thanks`
+
+	// Construct the mail options object for nodemailer
+	const mailOptions = {
+		from: process.env.SMTP_USER,
+		to: receiverEmailString,
+		subject: 'Your login link for AspireZ',
+		html: message
+	}
+
+	try {
+		await TRANSPORTER.sendMail(mailOptions)
+		logger.info(`Magic login link sent to ${receiverEmailString}`)
+		return 1
+	} catch (err) {
+		// Log any errors and return a status indicating failure
+		logger.error(`Error in sending magic login link to ${receiverEmailString}`, err)
+		return -1
+	}
+}
+
+/**
+ * Emails a course announcement to one of its recipients. The announcement is escaped, as managers write it.
+ *
+ * @param {string} receiverEmailString - The email address of the student.
+ * @param {string} courseTitle - The title of the course.
+ * @param {Object} announcement - The announcement, with its title and body.
+ * @returns {Promise<number>} A Promise that resolves with 1 if the email is sent successfully, otherwise -1.
+ */
+const sendAnnouncementEmail = async (receiverEmailString, courseTitle, announcement) => {
+
+	// Compose the announcement email message as an HTML string
+	const message = `Hi! There, A new announcement was posted to your course ${_escapeHtml(courseTitle)} on our website AspireZ.
+
+		<h3>${_escapeHtml(announcement.title)}</h3>
+		<p style="white-space: pre-line">${_escapeHtml(announcement.body)}</p>
+
+		To get announcements in-app only, turn announcement emails off in your AspireZ profile.
+
+		Thanks`
+
+	// Construct the mail options object for nodemailer
+	const mailOptions = {
+		from: process.env.SMTP_USER,
+		to: receiverEmailString,
+		subject: `[${courseTitle}] ${announcement.title}`,
+		html: message
+	}
+
+	try {
+		await TRANSPORTER.sendMail(mailOptions)
+		logger.info(`Announcement ${announcement._id} sent to ${receiverEmailString}`)
+		return 1
+	} catch (err) {
+		// Log any errors and return a status indicating failure
+		logger.error(`Error in sending announcement ${announcement._id} to ${receiverEmailString}`, err)
+		return -1
+	}
+}
+
+/**
+ * Escapes text to be written in an HTML email.
+ *
+ * @param {string} text - The text.
+ * @returns {string} The text, with its HTML special characters escaped.
+ */
+const _escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`)
+
+/**
+ * Generate a random string of alphabets and numbers of length 20, using a cryptographically secure generator
  *
  * @returns {string} A random string containing only alphabets and numbers.
  */
@@ -117,10 +313,19 @@ const getRandomString = () => {
 	const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'
 	let result = ''
 	for (var i = 0; i < 20; i++) {
-		const randomIndex = Math.floor(Math.random() * chars.length)
+		const randomIndex = crypto.randomInt(chars.length)
 		result += chars[randomIndex]
 	}
-	result
+	return result
 }
 
-module.exports = { sendVerificationEmail, sendPasswordResetEmail, getRandomString }
\ No newline at end of file
+module.exports = {
+	sendVerificationEmail,
+	sendPasswordResetEmail,
+	sendAccountUnlockEmail,
+	sendEmailChangeVerificationEmail,
+	sendEmailChangedNotification,
+	sendMagicLinkEmail,
+	sendAnnouncementEmail,
+	getRandomString
+}
\ No newline at end of file
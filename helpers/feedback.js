@@ -0,0 +1,277 @@
+const mongoose = require("mongoose")
+
+const { Course, FEEDBACKTYPE_CODES, CURRICULUMNODE_CODES } = require("../db/models/course/model")
+const { findStudentRegistration } = require("./progress")
+const { isCurriculumNodeReleased } = require("./curriculum")
+
+/**
+ * An enumeration of the outcomes of writing feedback on a registration.
+ * @readonly
+ * @enum {number}
+ */
+const FEEDBACKCHANGE_CODES = {
+	SUCCESS: 1,
+	NOT_FOUND: 0, // the user is not an accepted or completed student of the course
+	FEEDBACK_NOT_FOUND: 2,
+	NODE_NOT_FOUND: 3, // no such node in the curriculum
+	TYPE_MISMATCH: 4, // the node is not of the level of the feedback
+	WRITTEN_BY_QUIZ: 5 // quiz results are changed through the gradebook
+}
+
+const _average = (scores) => scores.length ? Math.round((scores.reduce((sum, score) => sum + score, 0) * 100) / scores.length) / 100 : null
+
+/**
+ * Finds the registration of a user to a course, whatever its state, so that a student who left the course
+ * can still read the feedback they were given.
+ *
+ * @param {Object} course - The course document, with its registrations.
+ * @param {string} userId - The id of the user.
+ * @returns {Object|undefined} The registration, if any.
+ */
+const findRegistration = (course, userId) =>
+	course.registrations.find((registration) => registration.user.toString() === String(userId))
+
+/**
+ * Averages the feedback of a registration along the curriculum of the course: the TASK scores of the
+ * lessons of each sub module make up its STORY average, and those of all the lessons of a module, in its
+ * sub modules or not, its EPIC average. The feedback given on a module or sub module itself is averaged
+ * apart. Feedback not about a node of the curriculum is averaged by level.
+ *
+ * @param {Object} course - The course document, with its curriculum.
+ * @param {Array<Object>} feedback - The feedback of the registration.
+ * @param {boolean} [releasedOnly] - Leave out the modules and sub modules not released yet, for students.
+ * @returns {{tasks: Object, epics: Array<Object>, unlinked: Array<Object>}} The average and count of every
+ * 	TASK score, each module with its sub modules and their averages, and the averages of the unlinked
+ * 	feedback of each level.
+ */
+const computeFeedbackRollup = (course, feedback, releasedOnly = false) => {
+	const nodes = new Map(course.curriculum.map((node) => [String(node._id), node]))
+	const linked = feedback.filter((entry) => entry.node && nodes.has(String(entry.node)))
+	const scoresOn = (nodeIds, type) => linked
+		.filter((entry) => entry.type === type && nodeIds.has(String(entry.node)))
+		.map((entry) => entry.score)
+	const now = new Date()
+	const childrenOf = (parent, kind) => course.curriculum
+		.filter((node) => node.kind === kind && String(node.parent) === String(parent))
+		.sort((a, b) => a.order - b.order)
+	const shownChildrenOf = (parent, kind) => childrenOf(parent, kind)
+		.filter((node) => !releasedOnly || isCurriculumNodeReleased(course, node._id, now))
+
+	const _level = (node, lessonIds) => {
+		const scores = scoresOn(lessonIds, FEEDBACKTYPE_CODES.TASK)
+		return {
+			node: node._id,
+			title: node.title,
+			average: _average(scores),
+			count: scores.length,
+			feedbackAverage: _average(scoresOn(new Set([String(node._id)]), node.kind))
+		}
+	}
+	const lessonIdsOf = (parent) => new Set(childrenOf(parent, CURRICULUMNODE_CODES.LESSON).map((lesson) => String(lesson._id)))
+
+	const epics = shownChildrenOf(null, CURRICULUMNODE_CODES.MODULE).map((module) => {
+		const submodules = childrenOf(module._id, CURRICULUMNODE_CODES.SUBMODULE)
+		const lessons = new Set([
+			...lessonIdsOf(module._id),
+			...submodules.flatMap((submodule) => [...lessonIdsOf(submodule._id)])
+		])
+		return {
+			..._level(module, lessons),
+			stories: shownChildrenOf(module._id, CURRICULUMNODE_CODES.SUBMODULE)
+				.map((submodule) => _level(submodule, lessonIdsOf(submodule._id)))
+		}
+	})
+
+	const unlinked = feedback.filter((entry) => !linked.includes(entry))
+	const taskScores = feedback.filter((entry) => entry.type === FEEDBACKTYPE_CODES.TASK).map((entry) => entry.score)
+	return {
+		tasks: { average: _average(taskScores), count: taskScores.length },
+		epics,
+		unlinked: Object.values(FEEDBACKTYPE_CODES).map((type) => {
+			const scores = unlinked.filter((entry) => entry.type === type).map((entry) => entry.score)
+			return { type, average: _average(scores), count: scores.length }
+		})
+	}
+}
+
+/**
+ * Checks the curriculum node some feedback is about, if any, and works out the level of the feedback.
+ *
+ * @function
+ * @name _resolveLevel
+ * @param {Object} course - The course document, with its curriculum.
+ * @param {number} [type] - The `FEEDBACKTYPE_CODES` level asked for.
+ * @param {string} [nodeId] - The id of the curriculum node.
+ * @returns {{status: number, type?: number}} One of `FEEDBACKCHANGE_CODES`, along with the level, the one of
+ * 	the node when not asked for, in case of success.
+ */
+const _resolveLevel = (course, type, nodeId) => {
+	if (!nodeId) {
+		return { status: FEEDBACKCHANGE_CODES.SUCCESS, type: type ?? FEEDBACKTYPE_CODES.TASK }
+	}
+	const node = course.curriculum.id(nodeId)
+	if (!node) {
+		return { status: FEEDBACKCHANGE_CODES.NODE_NOT_FOUND }
+	}
+	if (type !== undefined && type !== node.kind) {
+		return { status: FEEDBACKCHANGE_CODES.TYPE_MISMATCH }
+	}
+	return { status: FEEDBACKCHANGE_CODES.SUCCESS, type: node.kind }
+}
+
+/**
+ * Leaves feedback on the registration of a student.
+ *
+ * @param {Object} course - The course document, with its registrations and curriculum.
+ * @param {string} userId - The id of the student.
+ * @param {Object} entry
+ * @param {number} [entry.type] - The `FEEDBACKTYPE_CODES` level, the one of the node or TASK by default.
+ * @param {string} [entry.node] - The id of the module, sub module or lesson the feedback is about.
+ * @param {string} entry.details - What the feedback is about.
+ * @param {string} entry.feedback - The feedback.
+ * @param {number} entry.score - The score, out of 100.
+ * @param {string} createdBy - The id of the manager.
+ * @returns {Promise<{status: number, feedback?: Object}>} One of `FEEDBACKCHANGE_CODES`, along with the new
+ * 	feedback in case of success.
+ */
+const addFeedback = async (course, userId, { type, node, details, feedback, score }, createdBy) => {
+	const registration = findStudentRegistration(course, userId)
+	if (!registration) {
+		return { status: FEEDBACKCHANGE_CODES.NOT_FOUND }
+	}
+	const level = _resolveLevel(course, type, node)
+	if (level.status !== FEEDBACKCHANGE_CODES.SUCCESS) {
+		return level
+	}
+
+	const entry = {
+		_id: new mongoose.Types.ObjectId(),
+		type: level.type,
+		node: node || undefined,
+		details,
+		feedback,
+		score,
+		createdBy,
+		timestamp: new Date()
+	}
+	const { modifiedCount } = await Course.updateOne(
+		{ _id: course._id, "registrations._id": registration._id },
+		{ $push: { "registrations.$.feedback": entry } }
+	)
+	if (!modifiedCount) {
+		return { status: FEEDBACKCHANGE_CODES.NOT_FOUND }
+	}
+	return { status: FEEDBACKCHANGE_CODES.SUCCESS, feedback: entry }
+}
+
+/**
+ * Finds feedback on the registration of a student that a manager may change.
+ *
+ * @function
+ * @name _findEditableFeedback
+ * @param {Object} course - The course document, with its registrations.
+ * @param {string} userId - The id of the student.
+ * @param {string} feedbackId - The id of the feedback.
+ * @returns {{status: number, registration?: Object, entry?: Object}} One of `FEEDBACKCHANGE_CODES`, along with
+ * 	the registration and the feedback in case of success.
+ */
+const _findEditableFeedback = (course, userId, feedbackId) => {
+	const registration = findStudentRegistration(course, userId)
+	if (!registration) {
+		return { status: FEEDBACKCHANGE_CODES.NOT_FOUND }
+	}
+	const entry = registration.feedback.id(feedbackId)
+	if (!entry) {
+		return { status: FEEDBACKCHANGE_CODES.FEEDBACK_NOT_FOUND }
+	}
+	if (entry.quiz) {
+		return { status: FEEDBACKCHANGE_CODES.WRITTEN_BY_QUIZ }
+	}
+	return { status: FEEDBACKCHANGE_CODES.SUCCESS, registration, entry }
+}
+
+/**
+ * Changes the details, text or score of feedback left on the registration of a student.
+ *
+ * @param {Object} course - The course document, with its registrations.
+ * @param {string} userId - The id of the student.
+ * @param {string} feedbackId - The id of the feedback.
+ * @param {Object} changes - The new details, feedback and score.
+ * @returns {Promise<{status: number, feedback?: Object}>} One of `FEEDBACKCHANGE_CODES`, along with the
+ * 	updated feedback in case of success.
+ */
+const updateFeedback = async (course, userId, feedbackId, changes) => {
+	const found = _findEditableFeedback(course, userId, feedbackId)
+	if (found.status !== FEEDBACKCHANGE_CODES.SUCCESS) {
+		return found
+	}
+
+	const updatedAt = new Date()
+	const $set = { "registrations.$[registration].feedback.$[entry].updatedAt": updatedAt }
+	Object.entries(changes).forEach(([field, value]) => {
+		$set[`registrations.$[registration].feedback.$[entry].${field}`] = value
+	})
+	const { modifiedCount } = await Course.updateOne(
+		{ _id: course._id },
+		{ $set },
+		{ arrayFilters: [{ "registration._id": found.registration._id }, { "entry._id": found.entry._id }] }
+	)
+	if (!modifiedCount) {
+		return { status: FEEDBACKCHANGE_CODES.FEEDBACK_NOT_FOUND }
+	}
+	return { status: FEEDBACKCHANGE_CODES.SUCCESS, feedback: { ...found.entry.toObject(), ...changes, updatedAt } }
+}
+
+/**
+ * Removes feedback left on the registration of a student.
+ *
+ * @param {Object} course - The course document, with its registrations.
+ * @param {string} userId - The id of the student.
+ * @param {string} feedbackId - The id of the feedback.
+ * @returns {Promise<{status: number}>} One of `FEEDBACKCHANGE_CODES`.
+ */
+const removeFeedback = async (course, userId, feedbackId) => {
+	const found = _findEditableFeedback(course, userId, feedbackId)
+	if (found.status !== FEEDBACKCHANGE_CODES.SUCCESS) {
+		return found
+	}
+
+	const { modifiedCount } = await Course.updateOne(
+		{ _id: course._id, "registrations._id": found.registration._id },
+		{ $pull: { "registrations.$.feedback": { _id: found.entry._id } } }
+	)
+	return { status: modifiedCount ? FEEDBACKCHANGE_CODES.SUCCESS : FEEDBACKCHANGE_CODES.FEEDBACK_NOT_FOUND }
+}
+
+/**
+ * Maps a failed `FEEDBACKCHANGE_CODES` status to a http status code and a message for the client.
+ *
+ * @param {number} status - One of `FEEDBACKCHANGE_CODES`, other than SUCCESS.
+ * @returns {{httpStatus: number, message: string}} The response to send.
+ */
+const describeFeedbackFailure = (status) => {
+	switch (status) {
+		case FEEDBACKCHANGE_CODES.NOT_FOUND:
+			return { httpStatus: 404, message: "Student not found in this course" }
+		case FEEDBACKCHANGE_CODES.FEEDBACK_NOT_FOUND:
+			return { httpStatus: 404, message: "Feedback not found" }
+		case FEEDBACKCHANGE_CODES.NODE_NOT_FOUND:
+			return { httpStatus: 404, message: "Curriculum node not found" }
+		case FEEDBACKCHANGE_CODES.TYPE_MISMATCH:
+			return { httpStatus: 400, message: "The type of the feedback should match the level of the curriculum node: EPIC for a module, STORY for a sub module, TASK for a lesson." }
+		case FEEDBACKCHANGE_CODES.WRITTEN_BY_QUIZ:
+			return { httpStatus: 409, message: "Quiz results cannot be changed here, set the grade in the gradebook instead." }
+		default:
+			return { httpStatus: 500, message: "Internal Server Error" }
+	}
+}
+
+module.exports = {
+	FEEDBACKCHANGE_CODES,
+	findRegistration,
+	computeFeedbackRollup,
+	addFeedback,
+	updateFeedback,
+	removeFeedback,
+	describeFeedbackFailure
+}
@@ -0,0 +1,81 @@
+const multer = require("multer");
+const { v4: uuidv4 } = require("uuid");
+const path = require("path");
+const fs = require("fs");
+const dotenv = require("dotenv");
+dotenv.config();
+
+const { generateResponseMessage } = require("./response");
+
+/**
+ * Creates a multer instance storing uploads on disk under unique names, keeping their extension.
+ *
+ * @param {Object} options
+ * @param {string|Function} options.destination - The folder to store the files in, or a function of the
+ *  request returning it. The folder is created if missing.
+ * @param {Array<string>} [options.allowedExtensions] - The extensions accepted, e.g. [".pdf"], any if unset.
+ * @param {number} [options.maxFileSize] - The maximum size of a file, in bytes.
+ * @param {number} [options.maxFiles] - The maximum number of files in a request.
+ * @returns {Object} The multer instance, e.g. for `upload.single("image")` or `upload.array("files")`.
+ */
+const createUpload = ({ destination, allowedExtensions, maxFileSize, maxFiles } = {}) => {
+  const storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+      const folder = typeof destination === "function" ? destination(req, file) : destination;
+      if (!folder) {
+        return cb(new Error("No upload folder is configured"));
+      }
+      fs.mkdir(folder, { recursive: true }, (err) => cb(err, folder));
+    },
+    filename: function (req, file, cb) {
+      const ext = path.extname(file.originalname);
+      const uniqueFilename = uuidv4() + ext;
+      cb(null, uniqueFilename);
+    },
+  });
+
+  const fileFilter = (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (allowedExtensions && !allowedExtensions.includes(ext)) {
+      const err = new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname);
+      err.message = `Files of type ${ext || "unknown"} are not accepted`;
+      return cb(err);
+    }
+    cb(null, true);
+  };
+
+  return multer({
+    storage,
+    fileFilter,
+    limits: { fileSize: maxFileSize, files: maxFiles },
+  });
+};
+
+/**
+ * Wraps a multer middleware so that upload errors, e.g. a file too large, are answered with a 400
+ * instead of reaching the default error handler.
+ *
+ * @param {Function} middleware - The multer middleware, e.g. `upload.array("files", 5)`.
+ * @returns {Function} The express middleware.
+ */
+const handleUploadErrors = (middleware) => (req, res, next) => {
+  middleware(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json(generateResponseMessage("error", err.message));
+    }
+    next(err);
+  });
+};
+
+/**
+ * Deletes uploaded files, e.g. those of a request that was refused after the upload.
+ *
+ * @param {Array<Object>|Object} [files] - The files from `req.files` or `req.file`, with their path.
+ */
+const removeUploadedFiles = (files) => {
+  [].concat(files || []).forEach((file) => {
+    fs.unlink(file.path, () => {}); // already gone is fine
+  });
+};
+
+module.exports = { createUpload, handleUploadErrors, removeUploadedFiles };
@@ -0,0 +1,134 @@
+const { REGISTRATIONSTATUS_CODES } = require("../db/models/course/model")
+const { Thread, Reply } = require("../db/models/forum/model")
+const { isCourseManager, canManageContent } = require("./course")
+
+/**
+ * An enumeration of what a user may do on the forum of a course. Each level allows what the ones
+ * below it do.
+ * @readonly
+ * @enum {number}
+ */
+const FORUMACCESS_CODES = {
+	NONE: 0, // not a student nor a manager, or a REQUESTED, WAITLISTED, REJECTED or DISCONTINUED one
+	READ: 1, // students who completed the course
+	POST: 2, // accepted students and managers, who start threads, reply and upvote
+	MODERATE: 3 // SUPERADMINs and COORDINATOR, INSTRUCTOR and TA managers, who also accept answers, pin, lock and delete
+}
+
+/**
+ * Finds what a user may do on the forum of a course. An archived course being read-only is left to the
+ * caller, so that it can tell the user why.
+ *
+ * @param {Object} course - The course document, with its managers and registrations.
+ * @param {string} userId - The id of the user.
+ * @param {number} role - The `USERROLE_CODES` role of the user.
+ * @returns {number} One of `FORUMACCESS_CODES`.
+ */
+const getForumAccess = (course, userId, role) => {
+	if (canManageContent(course, userId, role)) {
+		return FORUMACCESS_CODES.MODERATE
+	}
+	if (isCourseManager(course, userId)) {
+		return FORUMACCESS_CODES.POST
+	}
+	const registration = course.registrations.find((entry) => entry.user.toString() === String(userId))
+	switch (registration && registration.state) {
+		case REGISTRATIONSTATUS_CODES.ACCEPTED:
+			return FORUMACCESS_CODES.POST
+		case REGISTRATIONSTATUS_CODES.COMPLETED:
+			return FORUMACCESS_CODES.READ
+		default:
+			return FORUMACCESS_CODES.NONE
+	}
+}
+
+/**
+ * Adds a reply to a thread, counting it and bumping the thread.
+ *
+ * @param {Object} thread - The thread.
+ * @param {string} userId - The id of the author.
+ * @param {string} body - The text of the reply.
+ * @returns {Promise<Object>} The reply.
+ */
+const addReply = async (thread, userId, body) => {
+	const reply = await Reply.create({ thread: thread._id, course: thread.course, author: userId, body })
+	await Thread.updateOne({ _id: thread._id }, { $inc: { replyCount: 1 }, $set: { lastActivityAt: reply.createdAt } })
+	return reply
+}
+
+/**
+ * Deletes a reply, uncounting it and, if it was the accepted answer, unmarking it.
+ *
+ * @param {Object} thread - The thread.
+ * @param {Object} reply - The reply.
+ * @returns {Promise<void>}
+ */
+const removeReply = async (thread, reply) => {
+	const { deletedCount } = await Reply.deleteOne({ _id: reply._id })
+	if (!deletedCount) {
+		return
+	}
+	const update = { $inc: { replyCount: -1 } }
+	if (thread.acceptedReply && thread.acceptedReply.toString() === reply._id.toString()) {
+		update.$unset = { acceptedReply: "" }
+	}
+	await Thread.updateOne({ _id: thread._id }, update)
+}
+
+/**
+ * Deletes a thread and its replies.
+ *
+ * @param {Object} thread - The thread.
+ * @returns {Promise<void>}
+ */
+const removeThread = async (thread) => {
+	await Reply.deleteMany({ thread: thread._id })
+	await Thread.deleteOne({ _id: thread._id })
+}
+
+/**
+ * Upvotes a reply, or takes the upvote back, at most once per user. The conditional updates keep the
+ * count right when the same user votes twice at once.
+ *
+ * @param {Object} reply - The reply.
+ * @param {string} userId - The id of the voter.
+ * @param {boolean} upvote - True to upvote, false to take the upvote back.
+ * @returns {Promise<Object>} The reply, as it is now.
+ */
+const voteOnReply = async (reply, userId, upvote) => {
+	const updated = upvote
+		? await Reply.findOneAndUpdate(
+			{ _id: reply._id, upvotes: { $ne: userId } },
+			{ $push: { upvotes: userId }, $inc: { upvoteCount: 1 } },
+			{ new: true }
+		)
+		: await Reply.findOneAndUpdate(
+			{ _id: reply._id, upvotes: userId },
+			{ $pull: { upvotes: userId }, $inc: { upvoteCount: -1 } },
+			{ new: true }
+		)
+	// already upvoted, or not upvoted, nothing changed
+	return updated || reply
+}
+
+/**
+ * What a user is shown of a reply: the upvote count and whether they upvoted it, rather than who did.
+ *
+ * @param {Object} reply - The reply.
+ * @param {string} userId - The id of the user.
+ * @returns {Object} The reply, without its voters.
+ */
+const presentReply = (reply, userId) => {
+	const { upvotes, ...shown } = reply.toObject()
+	return { ...shown, upvoted: upvotes.some((voter) => voter.toString() === String(userId)) }
+}
+
+module.exports = {
+	FORUMACCESS_CODES,
+	getForumAccess,
+	addReply,
+	removeReply,
+	removeThread,
+	voteOnReply,
+	presentReply
+}
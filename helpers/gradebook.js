@@ -0,0 +1,337 @@
+const { REGISTRATIONSTATUS_CODES, GRADECATEGORY_CODES } = require("../db/models/course/model")
+const { Assignment, Submission } = require("../db/models/assignment/model")
+const { Quiz, QuizAttempt, ATTEMPTSTATE_CODES } = require("../db/models/quiz/model")
+const { Grade } = require("../db/models/grade/model")
+const { getLateness } = require("./assignment")
+const { finalizeExpiredAttempts } = require("./quiz")
+
+/**
+ * An enumeration of the outcomes of setting a grade by hand.
+ * @readonly
+ * @enum {number}
+ */
+const GRADECHANGE_CODES = {
+	SUCCESS: 1,
+	NOT_FOUND: 0, // the user is not an accepted or completed student of the course
+	ITEM_NOT_FOUND: 2, // no such assignment or quiz in the course
+	INVALID_ITEM: 3 // participation is graded as a whole
+}
+
+/**
+ * Where an assignment or quiz stands in the gradebook of a student.
+ * @readonly
+ * @enum {number}
+ */
+const GRADEITEM_CODES = {
+	PENDING: 0, // not due or not graded yet, left out of the grade
+	GRADED: 1,
+	MISSING: 2, // never done and too late to, counts as 0
+	OVERRIDDEN: 3 // set by hand in the gradebook
+}
+
+// the registration states of students who have grades
+const GRADED_STATES = [REGISTRATIONSTATUS_CODES.ACCEPTED, REGISTRATIONSTATUS_CODES.COMPLETED]
+
+// the column titles of the categories in the CSV export
+const CATEGORY_NAMES = {
+	[GRADECATEGORY_CODES.ASSIGNMENTS]: "Assignments",
+	[GRADECATEGORY_CODES.QUIZZES]: "Quizzes",
+	[GRADECATEGORY_CODES.PARTICIPATION]: "Participation"
+}
+
+const _round = (value) => Math.round(value * 100) / 100
+
+const _average = (values) => values.length ? _round(values.reduce((sum, value) => sum + value, 0) / values.length) : null
+
+/**
+ * Maps a final grade to a letter with the letter grades of the course.
+ *
+ * @param {Object} course - The course document, with its gradebook settings.
+ * @param {number|null} percentage - The final grade.
+ * @returns {string|null} The letter of the highest threshold reached, or null without a grade.
+ */
+const getLetterGrade = (course, percentage) => {
+	if (percentage === null || percentage === undefined) {
+		return null
+	}
+	const reached = course.gradebook.letterGrades
+		.filter((grade) => percentage >= grade.minPercentage)
+		.sort((a, b) => b.minPercentage - a.minPercentage)
+	return reached.length ? reached[0].letter : null
+}
+
+/**
+ * Loads everything the grades of a course are computed from. Quiz attempts that ran out of time are
+ * graded first.
+ *
+ * @param {Object} course - The course document.
+ * @param {Object} [filter] - More conditions on the submissions, attempts and grades, e.g. a user.
+ * @returns {Promise<Object>} The assignments, published quizzes, submissions, ended attempts and grades
+ * 	set by hand.
+ */
+const loadGradeSources = async (course, filter = {}) => {
+	const [assignments, quizzes] = await Promise.all([
+		Assignment.find({ course: course._id }).select("title dueAt maxScore latePolicy").sort({ dueAt: 1 }),
+		Quiz.find({ course: course._id, published: true }).sort({ createdAt: 1 })
+	])
+	await Promise.all(quizzes.map((quiz) => finalizeExpiredAttempts(quiz, filter)))
+
+	const [submissions, attempts, grades] = await Promise.all([
+		Submission.find({ ...filter, course: course._id }).select("assignment user finalScore"),
+		QuizAttempt.find({
+			...filter,
+			course: course._id,
+			state: { $in: [ATTEMPTSTATE_CODES.SUBMITTED, ATTEMPTSTATE_CODES.EXPIRED] }
+		}).select("quiz user percentage"),
+		Grade.find({ ...filter, course: course._id })
+	])
+	return { assignments, quizzes, submissions, attempts, grades }
+}
+
+/**
+ * Computes the grades of one student from the sources of the course. An assignment scores its final score
+ * out of its max score once graded, and 0 once it can no longer be submitted; a quiz scores the best of the
+ * ended attempts, and 0 once closed without one. A category is the average of its items, participation the
+ * average of the feedback scores not written by quizzes. Grades set by hand take the place of any of these.
+ * The final grade weighs the categories that have a score, so that a category with nothing graded yet does
+ * not drag it down.
+ *
+ * @param {Object} course - The course document, with its gradebook settings.
+ * @param {Object} registration - The registration of the student.
+ * @param {Object} sources - The sources, see `loadGradeSources`.
+ * @param {Date} [now] - The time to compute the grades at.
+ * @returns {Object} The registration, user and state, the score of each category with its items, the final
+ * 	grade in percent and its letter.
+ */
+const computeStudentGrades = (course, registration, sources, now = new Date()) => {
+	const userId = String(registration.user._id || registration.user)
+	const own = (documents) => documents.filter((document) => document.user.toString() === userId)
+	const grades = own(sources.grades)
+	const override = (category, item = null) => grades.find((grade) =>
+		grade.category === category && String(grade.item) === String(item)
+	)
+
+	const _item = (category, document, computed) => {
+		const set = override(category, document._id)
+		return set
+			? { item: document._id, title: document.title, score: set.score, status: GRADEITEM_CODES.OVERRIDDEN, comment: set.comment }
+			: { item: document._id, title: document.title, ...computed }
+	}
+
+	const submissions = own(sources.submissions)
+	const assignmentItems = sources.assignments
+		.filter((assignment) => assignment.maxScore > 0)
+		.map((assignment) => {
+			const submission = submissions.find((entry) => entry.assignment.toString() === assignment._id.toString())
+			if (submission && submission.finalScore !== null && submission.finalScore !== undefined) {
+				return _item(GRADECATEGORY_CODES.ASSIGNMENTS, assignment, {
+					score: _round(Math.min(100, (submission.finalScore * 100) / assignment.maxScore)),
+					status: GRADEITEM_CODES.GRADED
+				})
+			}
+			const missing = !submission && !getLateness(assignment, now).accepted
+			return _item(GRADECATEGORY_CODES.ASSIGNMENTS, assignment, missing
+				? { score: 0, status: GRADEITEM_CODES.MISSING }
+				: { score: null, status: GRADEITEM_CODES.PENDING })
+		})
+
+	const attempts = own(sources.attempts)
+	const quizItems = sources.quizzes.map((quiz) => {
+		const scores = attempts.filter((attempt) => attempt.quiz.toString() === quiz._id.toString()).map((attempt) => attempt.percentage)
+		if (scores.length) {
+			return _item(GRADECATEGORY_CODES.QUIZZES, quiz, { score: Math.max(...scores), status: GRADEITEM_CODES.GRADED })
+		}
+		const missing = Boolean(quiz.closesAt) && quiz.closesAt <= now
+		return _item(GRADECATEGORY_CODES.QUIZZES, quiz, missing
+			? { score: 0, status: GRADEITEM_CODES.MISSING }
+			: { score: null, status: GRADEITEM_CODES.PENDING })
+	})
+
+	const _category = (category, computed, items) => {
+		const set = override(category)
+		const { weight } = course.gradebook.categories.find((entry) => entry.category === category) || { weight: 0 }
+		return set
+			? { category, weight, score: set.score, overridden: true, comment: set.comment, items }
+			: { category, weight, score: computed, overridden: false, items }
+	}
+	const _scored = (items) => items.filter((item) => item.score !== null).map((item) => item.score)
+
+	const categories = [
+		_category(GRADECATEGORY_CODES.ASSIGNMENTS, _average(_scored(assignmentItems)), assignmentItems),
+		_category(GRADECATEGORY_CODES.QUIZZES, _average(_scored(quizItems)), quizItems),
+		_category(
+			GRADECATEGORY_CODES.PARTICIPATION,
+			_average((registration.feedback || []).filter((entry) => !entry.quiz).map((entry) => entry.score)),
+			[]
+		)
+	]
+
+	const counted = categories.filter((category) => category.score !== null && category.weight > 0)
+	const totalWeight = counted.reduce((sum, category) => sum + category.weight, 0)
+	const finalPercentage = totalWeight
+		? _round(counted.reduce((sum, category) => sum + category.score * category.weight, 0) / totalWeight)
+		: null
+
+	return {
+		registration: registration._id,
+		user: registration.user,
+		state: registration.state,
+		categories,
+		finalPercentage,
+		letter: getLetterGrade(course, finalPercentage)
+	}
+}
+
+/**
+ * Computes the grades of one student of a course.
+ *
+ * @param {Object} course - The course document, with its gradebook settings.
+ * @param {Object} registration - The registration of the student.
+ * @returns {Promise<Object>} The grades, see `computeStudentGrades`.
+ */
+const getStudentGrades = async (course, registration) =>
+	computeStudentGrades(course, registration, await loadGradeSources(course, { user: registration.user._id || registration.user }))
+
+/**
+ * Computes the grades of every accepted or completed student of a course, without the items of each
+ * category.
+ *
+ * @param {Object} course - The course document, with its registrations and gradebook settings.
+ * @returns {Promise<Array<Object>>} The grades of each student, see `computeStudentGrades`.
+ */
+const getClassGrades = async (course) => {
+	const sources = await loadGradeSources(course)
+	const now = new Date()
+	return course.registrations
+		.filter((registration) => GRADED_STATES.includes(registration.state))
+		.map((registration) => {
+			const grades = computeStudentGrades(course, registration, sources, now)
+			return { ...grades, categories: grades.categories.map(({ items, ...category }) => category) }
+		})
+}
+
+/**
+ * Sets by hand the score of an assignment or quiz of a student, or of a whole category, or with a null
+ * score gives it back to the computed one.
+ *
+ * @param {Object} course - The course document, with its registrations.
+ * @param {string} userId - The id of the student.
+ * @param {Object} change
+ * @param {number} change.category - One of `GRADECATEGORY_CODES`.
+ * @param {string} [change.item] - The id of the assignment or quiz, none for the whole category.
+ * @param {number|null} change.score - The score in percent, null to remove the grade set before.
+ * @param {string} [change.comment] - Why the grade was set.
+ * @param {string} updatedBy - The id of the manager setting the grade.
+ * @returns {Promise<{status: number, grade?: Object}>} One of `GRADECHANGE_CODES`, along with the grade set,
+ * 	none if removed, in case of success.
+ */
+const setGrade = async (course, userId, { category, item = null, score, comment = "" }, updatedBy) => {
+	const registration = course.registrations.find((entry) =>
+		entry.user.toString() === String(userId) && GRADED_STATES.includes(entry.state)
+	)
+	if (!registration) {
+		return { status: GRADECHANGE_CODES.NOT_FOUND }
+	}
+
+	if (item) {
+		if (category === GRADECATEGORY_CODES.PARTICIPATION) {
+			return { status: GRADECHANGE_CODES.INVALID_ITEM }
+		}
+		const model = category === GRADECATEGORY_CODES.ASSIGNMENTS ? Assignment : Quiz
+		if (!(await model.exists({ _id: item, course: course._id }))) {
+			return { status: GRADECHANGE_CODES.ITEM_NOT_FOUND }
+		}
+	}
+
+	const key = { registration: registration._id, category, item }
+	if (score === null) {
+		await Grade.deleteOne(key)
+		return { status: GRADECHANGE_CODES.SUCCESS }
+	}
+	const grade = await Grade.findOneAndUpdate(
+		key,
+		{
+			$set: { score, comment, updatedBy, updatedAt: new Date() },
+			$setOnInsert: { course: course._id, user: registration.user }
+		},
+		{ upsert: true, new: true }
+	)
+	return { status: GRADECHANGE_CODES.SUCCESS, grade }
+}
+
+/**
+ * Quotes a value for a CSV field when it needs to be. Texts a spreadsheet would take for a formula, such as
+ * names the students chose, are prefixed with a quote to be shown as they are.
+ *
+ * @function
+ * @name _csvField
+ * @param {*} value - The value, empty if null or undefined.
+ * @returns {string} The field.
+ */
+const _csvField = (value) => {
+	let text = value === null || value === undefined ? "" : String(value)
+	if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+		text = `'${text}`
+	}
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Writes the grades of a class as CSV, a line per student with the score of each category, the final
+ * grade and its letter.
+ *
+ * @param {Array<Object>} students - The grades of each student, see `getClassGrades`, with their users populated.
+ * @returns {string} The CSV, with a header line.
+ */
+const toGradebookCsv = (students) => {
+	const categories = Object.values(GRADECATEGORY_CODES)
+	const header = ["Username", "First name", "Last name", "Email", "State", ...categories.map((category) => CATEGORY_NAMES[category]), "Final", "Letter"]
+	const states = Object.fromEntries(Object.entries(REGISTRATIONSTATUS_CODES).map(([name, code]) => [code, name]))
+
+	const lines = students.map((student) => {
+		const user = student.user || {}
+		return [
+			user.username,
+			user.firstname,
+			user.lastname,
+			user.email,
+			states[student.state],
+			...categories.map((category) => student.categories.find((entry) => entry.category === category)?.score),
+			student.finalPercentage,
+			student.letter
+		]
+	})
+	return [header, ...lines].map((line) => line.map(_csvField).join(",")).join("\r\n") + "\r\n"
+}
+
+/**
+ * Maps a failed `GRADECHANGE_CODES` status to a http status code and a message for the client.
+ *
+ * @param {number} status - One of `GRADECHANGE_CODES`, other than SUCCESS.
+ * @returns {{httpStatus: number, message: string}} The response to send.
+ */
+const describeGradeFailure = (status) => {
+	switch (status) {
+		case GRADECHANGE_CODES.NOT_FOUND:
+			return { httpStatus: 404, message: "Student not found in this course" }
+		case GRADECHANGE_CODES.ITEM_NOT_FOUND:
+			return { httpStatus: 404, message: "Assignment or quiz not found" }
+		case GRADECHANGE_CODES.INVALID_ITEM:
+			return { httpStatus: 400, message: "Participation is graded as a whole, without an item." }
+		default:
+			return { httpStatus: 500, message: "Internal Server Error" }
+	}
+}
+
+module.exports = {
+	GRADECHANGE_CODES,
+	GRADEITEM_CODES,
+	getLetterGrade,
+	loadGradeSources,
+	computeStudentGrades,
+	getStudentGrades,
+	getClassGrades,
+	setGrade,
+	toGradebookCsv,
+	describeGradeFailure
+}
@@ -1,26 +1,11 @@
-const multer = require("multer");
-const { v4: uuidv4 } = require("uuid");
-const path = require("path");
-const fs = require("fs");
-const sizeOf = require("image-size");
-const mime = require("mime");
 const dotenv = require("dotenv");
 dotenv.config();
 
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, process.env.IMAGE_UPLOAD_FULL_PATH);
-  },
-  filename: function (req, file, cb) {
-    const ext = path.extname(file.originalname);
-    const uniqueFilename = uuidv4() + ext;
-    cb(null, uniqueFilename);
-  },
-});
-
+const { createUpload } = require("./fileStorage");
 
-const upload = multer({
-  storage
+// course and user pictures, checked further by imageValidator
+const upload = createUpload({
+  destination: () => process.env.IMAGE_UPLOAD_FULL_PATH,
 });
 
 
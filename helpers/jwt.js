@@ -2,37 +2,148 @@ require("dotenv").config();
 const jwt = require('jsonwebtoken');
 const { generateResponseMessage } = require("./response");
 const logger = require("./logger");
+const { isSessionActive, touchSession } = require("./token");
+const { authenticateApiKey, APIKEYSTATUS_CODES } = require("./apiKey");
+const User = require("../db/models/user/model");
+const { USERSTATUS_CODES } = require("../db/models/user/model");
 
 /**
- * Express middleware that checks for the validity of a JWT token and returns the user role.
+ * Checks the JWT token of a request, as `checkJwt` does, for the middlewares that do more than
+ * authenticate. Tokens of banned users, of logged out sessions, or issued before a "log out of all
+ * devices" are rejected even if they have not expired yet, and so are mfa challenge tokens.
  *
- * @param {Object} req The request object.
- * @param {Object} res The response object.
- * @param {Function} next The next middleware function in the chain.
- *
- * @throws {Error} If the JWT token is missing or invalid
+ * @param {Object} req The request object, given the user id, role, session and mfa of the token if valid.
+ * @param {Object} res The response object, the error response is sent on if not.
+ * @returns {Promise<boolean>} True if the token is valid.
  */
-const checkJwt = (req, res, next) => {
+const authenticateJwt = async (req, res) => {
   // Get the JWT token from the Authorization header
   const authHeader = req.headers.authorization
   if (!authHeader || !authHeader.startsWith('Bearer')) {
     res.status(401).json({ message: 'Unauthorized, invalid auth token.' })
+    return false
   }
   const token = authHeader.slice(7)
 
+  let tokenDecoded
   try {
     // Verify the JWT token
-    const tokenDecoded = jwt.verify(token, process.env.SECRET_KEY)
-    req.id = tokenDecoded.id
-		req.role = tokenDecoded.role
-    return next()
+    tokenDecoded = jwt.verify(token, process.env.SECRET_KEY)
+    if (tokenDecoded.purpose) {
+      // an mfa challenge token, only good for finishing the login
+      res.status(401).json(generateResponseMessage("error", "Unauthorized, login incomplete."))
+      return false
+    }
   } catch (err) {
     console.error(err)
 		logger.error(err)
     res.status(401).json(generateResponseMessage("error", err))
+    return false
+  }
+
+  try {
+    // Check that the token has not been revoked since it was issued
+    const user = await User.findById(tokenDecoded.id).select("status tokenVersion")
+    if (!user || user.status === USERSTATUS_CODES.BANNED) {
+      res.status(403).json(generateResponseMessage("error", "Login Prohibited"))
+      return false
+    }
+    if ((tokenDecoded.tv || 0) !== user.tokenVersion || !(await isSessionActive(tokenDecoded.sid))) {
+      res.status(401).json(generateResponseMessage("error", "Token revoked, please login again."))
+      return false
+    }
+    await touchSession(tokenDecoded.sid, req.ip)
+  } catch (err) {
+    logger.error(err)
+    res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+    return false
+  }
+
+  req.id = tokenDecoded.id
+	req.role = tokenDecoded.role
+  req.sid = tokenDecoded.sid
+  req.mfa = !!tokenDecoded.mfa
+  return true
+}
+
+/**
+ * Express middleware that checks for the validity of a JWT token and returns the user role, see
+ * `authenticateJwt`.
+ *
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ * @param {Function} next The next middleware function in the chain.
+ *
+ * @throws {Error} If the JWT token is missing or invalid
+ */
+const checkJwt = async (req, res, next) => {
+  if (await authenticateJwt(req, res)) {
+    return next()
+  }
+}
+
+/**
+ * Express middleware, to be used after `checkJwt`, that allows the request only if the login
+ * passed a second factor.
+ *
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ * @param {Function} next The next middleware function in the chain.
+ */
+const requireMfa = (req, res, next) => {
+  if (!req.mfa) {
+    return res.status(403).json(generateResponseMessage("error", "Two-factor authentication required for this action."))
   }
+  return next()
 }
 
+/**
+ * Express middleware that accepts either a JWT token, as `checkJwt` does, or an api key sent in the
+ * X-API-Key header. Requests made with an api key act as the key's user, never count as having
+ * passed a second factor, and only reach routes allowing one of the key's scopes, see `requireScope`.
+ *
+ * @param {Object} req The request object.
+ * @param {Object} res The response object.
+ * @param {Function} next The next middleware function in the chain.
+ */
+const checkJwtOrApiKey = async (req, res, next) => {
+  const apiKey = req.headers["x-api-key"];
+  if (!apiKey) {
+    return checkJwt(req, res, next);
+  }
+
+  try {
+    const { status, apiKeyDBObject, user } = await authenticateApiKey(apiKey);
+    if (status === APIKEYSTATUS_CODES.NOT_FOUND) {
+      return res.status(401).json(generateResponseMessage("error", "Unauthorized, invalid api key."));
+    }
+    if (status === APIKEYSTATUS_CODES.USER_INACTIVE) {
+      return res.status(403).json(generateResponseMessage("error", "Login Prohibited"));
+    }
+
+    req.id = apiKeyDBObject.user.toString();
+    req.role = user.role;
+    req.mfa = false;
+    req.apiKey = { id: apiKeyDBObject._id, scopes: apiKeyDBObject.scopes };
+  } catch (err) {
+    logger.error(err);
+    return res.status(500).json(generateResponseMessage("error", "Internal Server Error"));
+  }
+  return next();
+}
 
+/**
+ * Builds an express middleware, to be used after `checkJwtOrApiKey`, that lets api key requests
+ * through only if the key has the scope. JWT requests are not limited by scopes.
+ *
+ * @param {string} scope One of `APIKEYSCOPE_CODES`.
+ * @returns {Function} The middleware.
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+    return res.status(403).json(generateResponseMessage("error", `Api key lacks the ${scope} scope.`));
+  }
+  return next();
+}
 
-module.exports = { checkJwt }
+module.exports = { authenticateJwt, checkJwt, requireMfa, checkJwtOrApiKey, requireScope }
@@ -1,5 +1,5 @@
 
-const jwt = require('jsonwebtoken');
+const { authenticateJwt } = require("./jwt");
 const { generateResponseMessage } = require("./response");
 const logger = require("./logger");
 const { USERROLE_CODES } = require("../db/models/user/model");
@@ -27,18 +27,13 @@ const maxAspectRatio = 16 / 9;
  * @throws {Error} If the JWT token is missing or invalid
  */
 const checkJwtForImage = async (req, res, next) => {
-  // Get the JWT token from the Authorization header
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer')) {
-    return res.status(401).json({ message: 'Unauthorized, invalid auth token.' });
+  // Check the JWT token, revoked ones included, the same way checkJwt does, unless checkJwtOrApiKey
+  // already authenticated the request with a token or an api key
+  if (!req.id && !(await authenticateJwt(req, res))) {
+    return;
   }
-  const token = authHeader.slice(7);
 
   try {
-    // Verify the JWT token
-    const tokenDecoded = jwt.verify(token, process.env.SECRET_KEY);
-    req.id = tokenDecoded.id;
-    req.role = tokenDecoded.role;
 		// Extracting the role from the request
     const id = req.id;
 	//	const filePath = req.file.path;
@@ -54,7 +49,7 @@ const checkJwtForImage = async (req, res, next) => {
       (manager) => manager.managerId.toString() === id && manager.role === MANAGERROLE_CODES.COORDINATOR
     );
 
-    if (!isCoordinator && role !== USERROLE_CODES.SUPERADMIN) {
+    if (!isCoordinator && req.role !== USERROLE_CODES.SUPERADMIN) {
       // User is not a SUPERADMIN or a coordinator manager, they are not allowed to make changes
       return res.status(403).json(generateResponseMessage("error", "Not allowed for this role."));
     }
@@ -63,9 +58,8 @@ const checkJwtForImage = async (req, res, next) => {
     // If everything is valid, proceed to the next middleware or route handler
     return next();
   } catch (err) {
-    console.error(err);
     logger.error(err);
-    return res.status(401).json(generateResponseMessage("error", err));
+    return res.status(500).json(generateResponseMessage("error", "Internal Server Error"));
   }
 };
 
@@ -1,4 +1,4 @@
-const jwt = require('jsonwebtoken');
+const { authenticateJwt } = require("./jwt");
 const { generateResponseMessage } = require("./response");
 const logger = require("./logger");
 const { USERROLE_CODES } = require("../db/models/user/model");
@@ -23,18 +23,13 @@ const maxAspectRatio = 16 / 9;
  * @throws {Error} If the JWT token is missing or invalid
  */
 const checkJwtForUserImage = async (req, res, next) => {
-  // Get the JWT token from the Authorization header
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer')) {
-    return res.status(401).json({ message: 'Unauthorized, invalid auth token.' });
+  // Check the JWT token, revoked ones included, the same way checkJwt does, unless checkJwtOrApiKey
+  // already authenticated the request with a token or an api key
+  if (!req.id && !(await authenticateJwt(req, res))) {
+    return;
   }
-  const token = authHeader.slice(7);
 
   try {
-    // Verify the JWT token
-    const tokenDecoded = jwt.verify(token, process.env.SECRET_KEY);
-    req.id = tokenDecoded.id;
-    req.role = tokenDecoded.role;
     const id = req.id;
     
     // Check if the user exists in the database
@@ -46,9 +41,8 @@ const checkJwtForUserImage = async (req, res, next) => {
     // If everything is valid, proceed to the next middleware or route handler
     return next();
   } catch (err) {
-    console.error(err);
     logger.error(err);
-    return res.status(401).json(generateResponseMessage("error", err));
+    return res.status(500).json(generateResponseMessage("error", "Internal Server Error"));
   }
 };
 
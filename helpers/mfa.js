@@ -0,0 +1,204 @@
+require("dotenv").config()
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+
+const { hashToken } = require("./token")
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+// RFC 6238 parameters, the defaults every authenticator app understands
+const TOTP_PERIOD = 30
+const TOTP_DIGITS = 6
+
+// codes from this many periods before or after now are accepted, to allow for clock drift
+const TOTP_DRIFT_STEPS = 1
+
+// lifetime of the token bridging the password step and the second factor step, in seconds
+const MFA_CHALLENGE_TIMEOUT = 5 * 60
+
+const RECOVERY_CODE_COUNT = 10
+
+/**
+ * An enumeration of what an mfa challenge token, handed out by /auth/login, allows.
+ * @readonly
+ * @enum {string}
+ */
+const MFACHALLENGE_CODES = {
+	VERIFY: "mfa-verify", // user is enrolled, must send a code to finish logging in
+	ENROLL: "mfa-enroll" // user must enroll before being allowed to log in
+}
+
+/**
+ * Encodes a buffer in RFC 4648 base32, without padding.
+ *
+ * @param {Buffer} buffer - The bytes to encode.
+ * @returns {string} The base32 string.
+ */
+const base32Encode = (buffer) => {
+	let bits = 0
+	let value = 0
+	let output = ''
+	for (const byte of buffer) {
+		value = (value << 8) | byte
+		bits += 8
+		while (bits >= 5) {
+			output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+			bits -= 5
+		}
+	}
+	if (bits > 0) {
+		output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+	}
+	return output
+}
+
+/**
+ * Decodes an RFC 4648 base32 string, ignoring padding, spaces and case.
+ *
+ * @param {string} input - The base32 string.
+ * @returns {Buffer} The decoded bytes.
+ */
+const base32Decode = (input) => {
+	const cleaned = input.toUpperCase().replace(/[\s=]/g, '')
+	let bits = 0
+	let value = 0
+	const bytes = []
+	for (const char of cleaned) {
+		const index = BASE32_ALPHABET.indexOf(char)
+		if (index === -1) {
+			throw new Error(`Invalid base32 character ${char}`)
+		}
+		value = (value << 5) | index
+		bits += 5
+		if (bits >= 8) {
+			bytes.push((value >>> (bits - 8)) & 255)
+			bits -= 8
+		}
+	}
+	return Buffer.from(bytes)
+}
+
+/**
+ * Generates a new random TOTP secret.
+ *
+ * @returns {string} A 160 bit secret, base32 encoded.
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20))
+
+/**
+ * Computes the TOTP code of a secret for a time step (RFC 6238, HMAC-SHA1).
+ *
+ * @param {string} secret - The base32 encoded secret.
+ * @param {number} step - The number of periods since the unix epoch.
+ * @returns {string} The zero padded code.
+ */
+const generateTotp = (secret, step) => {
+	const counter = Buffer.alloc(8)
+	counter.writeBigUInt64BE(BigInt(step))
+
+	const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest()
+
+	// dynamic truncation, RFC 4226 section 5.3
+	const offset = hmac[hmac.length - 1] & 0x0f
+	const binary = ((hmac[offset] & 0x7f) << 24) |
+		(hmac[offset + 1] << 16) |
+		(hmac[offset + 2] << 8) |
+		hmac[offset + 3]
+
+	return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0')
+}
+
+/**
+ * Verifies a TOTP code against a secret, allowing for clock drift.
+ *
+ * @param {string} secret - The base32 encoded secret.
+ * @param {string} code - The code sent by the user.
+ * @param {number} [lastUsedStep] - The step of the last accepted code, codes of this step or older are refused.
+ * @returns {number} The time step the code matched, or -1 if it did not match.
+ */
+const verifyTotp = (secret, code, lastUsedStep) => {
+	const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD)
+	for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+		const step = currentStep + drift
+		if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) {
+			continue
+		}
+		const expected = generateTotp(secret, step)
+		if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code).padEnd(TOTP_DIGITS).slice(0, TOTP_DIGITS)))) {
+			return step
+		}
+	}
+	return -1
+}
+
+/**
+ * Builds the otpauth:// provisioning URI that authenticator apps read from a QR code.
+ *
+ * @param {string} secret - The base32 encoded secret.
+ * @param {string} accountName - The account label shown in the app, usually the email.
+ * @returns {string} The provisioning URI.
+ */
+const buildOtpauthUri = (secret, accountName) => {
+	const issuer = process.env.MFA_ISSUER || 'AspireZ'
+	const label = encodeURIComponent(`${issuer}:${accountName}`)
+	const params = new URLSearchParams({
+		secret,
+		issuer,
+		algorithm: 'SHA1',
+		digits: String(TOTP_DIGITS),
+		period: String(TOTP_PERIOD)
+	})
+	return `otpauth://totp/${label}?${params.toString()}`
+}
+
+/**
+ * Generates a fresh set of single-use recovery codes.
+ *
+ * @returns {{codes: Array<string>, hashes: Array<string>}} The codes to show the user once, and the hashes to store.
+ */
+const generateRecoveryCodes = () => {
+	const codes = []
+	for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+		const raw = crypto.randomBytes(5).toString('hex')
+		codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`)
+	}
+	return { codes, hashes: codes.map(hashToken) }
+}
+
+/**
+ * Signs the short-lived token handed out by /auth/login when a second factor step is pending.
+ * It is not an access token, `checkJwt` refuses it.
+ *
+ * @param {Object} userDBObject - The user who passed the password step.
+ * @param {string} purpose - One of `MFACHALLENGE_CODES`.
+ * @returns {string} The signed challenge token.
+ */
+const signMfaChallenge = (userDBObject, purpose) =>
+	jwt.sign({ id: userDBObject._id, purpose }, process.env.SECRET_KEY, { expiresIn: MFA_CHALLENGE_TIMEOUT })
+
+/**
+ * Verifies an mfa challenge token.
+ *
+ * @param {string} mfaToken - The challenge token sent by the client.
+ * @param {string} purpose - The `MFACHALLENGE_CODES` value the token must have been issued for.
+ * @returns {string|undefined} The id of the user, or undefined if the token is invalid or expired.
+ */
+const verifyMfaChallenge = (mfaToken, purpose) => {
+	try {
+		const decoded = jwt.verify(mfaToken, process.env.SECRET_KEY)
+		return decoded.purpose === purpose ? decoded.id : undefined
+	} catch (err) {
+		return
+	}
+}
+
+module.exports = {
+	MFACHALLENGE_CODES,
+	generateTotpSecret,
+	generateTotp,
+	verifyTotp,
+	buildOtpauthUri,
+	generateRecoveryCodes,
+	signMfaChallenge,
+	verifyMfaChallenge
+}
@@ -0,0 +1,334 @@
+require("dotenv").config()
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+
+const logger = require("./logger")
+
+// how long discovery documents and signing keys of a provider are reused before being fetched again, in ms
+const PROVIDER_METADATA_TTL = 60 * 60 * 1000
+
+// lifetime of the state handed to the provider, the user must come back within it, in seconds
+const OIDC_STATE_TIMEOUT = 10 * 60
+
+// lifetime of the token bridging the provider login and the "complete your profile" step, in seconds
+const OIDC_SIGNUP_TIMEOUT = 30 * 60
+
+const DEFAULT_SCOPES = ['openid', 'email', 'profile']
+
+/**
+ * An enumeration of the purposes of the tokens signed by this module. `checkJwt` refuses them,
+ * they are not access tokens.
+ * @readonly
+ * @enum {string}
+ */
+const OIDCTOKEN_CODES = {
+	STATE: "oidc-state", // round trip through the provider
+	SIGNUP: "oidc-signup" // new user who still has to complete their profile
+}
+
+/**
+ * An enumeration of the outcomes of a provider callback.
+ * @readonly
+ * @enum {number}
+ */
+const OIDCSTATUS_CODES = {
+	SUCCESS: 1,
+	UNKNOWN_PROVIDER: 0,
+	INVALID_STATE: 2,
+	PROVIDER_ERROR: 3,
+	INVALID_TOKEN: 4
+}
+
+const metadataCache = new Map()
+const jwksCache = new Map()
+
+/**
+ * Reads the configured providers from the `OIDC_PROVIDERS` environment variable, a JSON array of
+ * `{ id, name, issuer, clientId, clientSecret, redirectUri, scopes, tokenAuthMethod }`. The
+ * endpoints are discovered from `issuer`, unless `authorizationEndpoint`, `tokenEndpoint`,
+ * `userinfoEndpoint` and `jwksUri` are given explicitly.
+ *
+ * @returns {Array<Object>} The provider configurations, empty if none or if the variable is invalid.
+ */
+const getProviders = () => {
+	if (!process.env.OIDC_PROVIDERS) {
+		return []
+	}
+	try {
+		const providers = JSON.parse(process.env.OIDC_PROVIDERS)
+		return Array.isArray(providers) ? providers.filter(provider => provider && provider.id && provider.issuer && provider.clientId) : []
+	} catch (err) {
+		logger.error('Invalid OIDC_PROVIDERS configuration', err)
+		return []
+	}
+}
+
+/**
+ * Finds a configured provider by its id.
+ *
+ * @param {string} providerId - The id of the provider, as used in the routes.
+ * @returns {Object|undefined} The provider configuration, or undefined if it is not configured.
+ */
+const getProvider = (providerId) => getProviders().find(provider => provider.id === providerId)
+
+/**
+ * Fetches a JSON document, failing on non 2xx responses.
+ *
+ * @async
+ * @function
+ * @name _fetchJson
+ * @param {string} url - The url to fetch.
+ * @param {Object} [options] - The fetch options.
+ * @returns {Promise<Object>} The parsed body.
+ */
+const _fetchJson = async (url, options) => {
+	const response = await fetch(url, options)
+	const body = await response.json()
+	if (!response.ok) {
+		throw new Error(`${url} answered ${response.status}: ${body.error_description || body.error || ''}`)
+	}
+	return body
+}
+
+/**
+ * Returns the endpoints of a provider, from its configuration or its discovery document.
+ *
+ * @async
+ * @function
+ * @name _getMetadata
+ * @param {Object} provider - The provider configuration.
+ * @returns {Promise<Object>} The `authorization_endpoint`, `token_endpoint`, `userinfo_endpoint`, `jwks_uri` and `issuer`.
+ */
+const _getMetadata = async (provider) => {
+	const cached = metadataCache.get(provider.id)
+	if (cached && cached.fetchedAt > Date.now() - PROVIDER_METADATA_TTL) {
+		return cached.metadata
+	}
+
+	let metadata = {
+		issuer: provider.issuer,
+		authorization_endpoint: provider.authorizationEndpoint,
+		token_endpoint: provider.tokenEndpoint,
+		userinfo_endpoint: provider.userinfoEndpoint,
+		jwks_uri: provider.jwksUri
+	}
+	if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+		const discovered = await _fetchJson(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`)
+		metadata = {
+			issuer: discovered.issuer,
+			authorization_endpoint: metadata.authorization_endpoint || discovered.authorization_endpoint,
+			token_endpoint: metadata.token_endpoint || discovered.token_endpoint,
+			userinfo_endpoint: metadata.userinfo_endpoint || discovered.userinfo_endpoint,
+			jwks_uri: metadata.jwks_uri || discovered.jwks_uri
+		}
+	}
+
+	metadataCache.set(provider.id, { metadata, fetchedAt: Date.now() })
+	return metadata
+}
+
+/**
+ * Returns the public key a provider signed an id token with, fetching its key set again once if
+ * the key is unknown, as providers rotate their keys.
+ *
+ * @async
+ * @function
+ * @name _getSigningKey
+ * @param {Object} provider - The provider configuration.
+ * @param {Object} metadata - The provider endpoints.
+ * @param {string} kid - The key id from the id token header.
+ * @returns {Promise<crypto.KeyObject|undefined>} The key, or undefined if the provider has no such key.
+ */
+const _getSigningKey = async (provider, metadata, kid) => {
+	for (const refresh of [false, true]) {
+		let cached = jwksCache.get(provider.id)
+		if (refresh || !cached || cached.fetchedAt <= Date.now() - PROVIDER_METADATA_TTL) {
+			const { keys } = await _fetchJson(metadata.jwks_uri)
+			cached = { keys: keys || [], fetchedAt: Date.now() }
+			jwksCache.set(provider.id, cached)
+		}
+		const jwk = cached.keys.find(key => !kid || key.kid === kid)
+		if (jwk) {
+			return crypto.createPublicKey({ key: jwk, format: 'jwk' })
+		}
+	}
+	return
+}
+
+/**
+ * Derives the PKCE code verifier of a login from its nonce, so that the verifier is never sent
+ * anywhere but to the token endpoint, and nothing has to be stored between the redirect and the callback.
+ *
+ * @function
+ * @name _codeVerifier
+ * @param {string} nonce - The nonce of the login.
+ * @returns {string} The code verifier.
+ */
+const _codeVerifier = (nonce) => crypto.createHmac('sha256', process.env.SECRET_KEY).update(`pkce:${nonce}`).digest('base64url')
+
+/**
+ * Builds the url of the provider's login page the user must be sent to.
+ *
+ * @param {Object} provider - The provider configuration.
+ * @returns {Promise<string>} The authorization url.
+ */
+const buildAuthorizationUrl = async (provider) => {
+	const metadata = await _getMetadata(provider)
+
+	const nonce = crypto.randomBytes(16).toString('hex')
+	const state = jwt.sign({ provider: provider.id, nonce, purpose: OIDCTOKEN_CODES.STATE }, process.env.SECRET_KEY, { expiresIn: OIDC_STATE_TIMEOUT })
+	const codeChallenge = crypto.createHash('sha256').update(_codeVerifier(nonce)).digest('base64url')
+
+	const params = new URLSearchParams({
+		response_type: 'code',
+		client_id: provider.clientId,
+		redirect_uri: provider.redirectUri,
+		scope: (provider.scopes || DEFAULT_SCOPES).join(' '),
+		state,
+		nonce,
+		code_challenge: codeChallenge,
+		code_challenge_method: 'S256'
+	})
+	return `${metadata.authorization_endpoint}?${params.toString()}`
+}
+
+/**
+ * Finishes a login at a provider: checks the state, exchanges the code for an id token, verifies
+ * it and returns the identity it asserts.
+ *
+ * @param {string} providerId - The id of the provider the callback was received for.
+ * @param {string} code - The authorization code.
+ * @param {string} state - The state sent along with the code.
+ * @returns {Promise<{status: number, identity: Object}>} One of `OIDCSTATUS_CODES`, and on success
+ * 	`{ provider, subject, email, emailVerified, firstname, lastname, name }`.
+ */
+const handleCallback = async (providerId, code, state) => {
+	const provider = getProvider(providerId)
+	if (!provider) {
+		return { status: OIDCSTATUS_CODES.UNKNOWN_PROVIDER }
+	}
+
+	let nonce
+	try {
+		const decoded = jwt.verify(state, process.env.SECRET_KEY)
+		if (decoded.purpose !== OIDCTOKEN_CODES.STATE || decoded.provider !== provider.id) {
+			return { status: OIDCSTATUS_CODES.INVALID_STATE }
+		}
+		nonce = decoded.nonce
+	} catch (err) {
+		return { status: OIDCSTATUS_CODES.INVALID_STATE }
+	}
+
+	let metadata, tokens
+	try {
+		metadata = await _getMetadata(provider)
+
+		const body = new URLSearchParams({
+			grant_type: 'authorization_code',
+			code,
+			redirect_uri: provider.redirectUri,
+			code_verifier: _codeVerifier(nonce)
+		})
+		const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' }
+		if (provider.tokenAuthMethod === 'client_secret_basic') {
+			headers.Authorization = `Basic ${Buffer.from(`${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret || '')}`).toString('base64')}`
+		} else {
+			body.set('client_id', provider.clientId)
+			if (provider.clientSecret) {
+				body.set('client_secret', provider.clientSecret)
+			}
+		}
+		tokens = await _fetchJson(metadata.token_endpoint, { method: 'POST', headers, body })
+	} catch (err) {
+		logger.error(`OIDC token exchange with ${provider.id} failed`, err)
+		return { status: OIDCSTATUS_CODES.PROVIDER_ERROR }
+	}
+
+	let claims
+	try {
+		const decodedToken = jwt.decode(tokens.id_token, { complete: true })
+		if (!decodedToken) {
+			return { status: OIDCSTATUS_CODES.INVALID_TOKEN }
+		}
+		const { alg, kid } = decodedToken.header
+
+		// HS256 id tokens are signed with the client secret, the others with a key of the provider
+		const key = alg.startsWith('HS') ? provider.clientSecret : await _getSigningKey(provider, metadata, kid)
+		if (!key) {
+			return { status: OIDCSTATUS_CODES.INVALID_TOKEN }
+		}
+
+		claims = jwt.verify(tokens.id_token, key, {
+			algorithms: ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384', 'HS256'],
+			issuer: metadata.issuer,
+			audience: provider.clientId
+		})
+		if (claims.nonce !== nonce) {
+			return { status: OIDCSTATUS_CODES.INVALID_TOKEN }
+		}
+	} catch (err) {
+		logger.error(`Invalid id token from ${provider.id}`, err)
+		return { status: OIDCSTATUS_CODES.INVALID_TOKEN }
+	}
+
+	// some providers keep the email out of the id token, it is then asked for separately
+	if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+		try {
+			const userinfo = await _fetchJson(metadata.userinfo_endpoint, { headers: { Authorization: `Bearer ${tokens.access_token}` } })
+			if (userinfo.sub === claims.sub) {
+				claims = { ...userinfo, ...claims, email: userinfo.email, email_verified: userinfo.email_verified }
+			}
+		} catch (err) {
+			logger.error(`OIDC userinfo request to ${provider.id} failed`, err)
+		}
+	}
+
+	return {
+		status: OIDCSTATUS_CODES.SUCCESS,
+		identity: {
+			provider: provider.id,
+			subject: String(claims.sub),
+			email: claims.email,
+			emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+			firstname: claims.given_name,
+			lastname: claims.family_name,
+			name: claims.name
+		}
+	}
+}
+
+/**
+ * Signs the token handed out when a provider identity matches no account, it carries the
+ * identity to the "complete your profile" step.
+ *
+ * @param {Object} identity - The identity returned by `handleCallback`.
+ * @returns {string} The signed token.
+ */
+const signSignupToken = (identity) =>
+	jwt.sign({ identity, purpose: OIDCTOKEN_CODES.SIGNUP }, process.env.SECRET_KEY, { expiresIn: OIDC_SIGNUP_TIMEOUT })
+
+/**
+ * Verifies a token signed by `signSignupToken`.
+ *
+ * @param {string} signupToken - The token sent by the client.
+ * @returns {Object|undefined} The identity, or undefined if the token is invalid or expired.
+ */
+const verifySignupToken = (signupToken) => {
+	try {
+		const decoded = jwt.verify(signupToken, process.env.SECRET_KEY)
+		return decoded.purpose === OIDCTOKEN_CODES.SIGNUP ? decoded.identity : undefined
+	} catch (err) {
+		return
+	}
+}
+
+module.exports = {
+	OIDCTOKEN_CODES,
+	OIDCSTATUS_CODES,
+	getProviders,
+	getProvider,
+	buildAuthorizationUrl,
+	handleCallback,
+	signSignupToken,
+	verifySignupToken
+}
@@ -0,0 +1,155 @@
+const { Otp, OTPPURPOSE_CODES } = require("../db/models/otp/model")
+
+const { getRandomString } = require("./email")
+const { hashToken } = require("./token")
+const { checkThrottle, recordFailure } = require("./throttle")
+const { THROTTLEKIND_CODES } = require("../db/models/loginThrottle/model")
+const logger = require("./logger")
+
+// how long an otp of each purpose stays valid, in seconds
+const OTP_TIMEOUTS = {
+	[OTPPURPOSE_CODES.VERIFY]: 24 * 60 * 60,
+	[OTPPURPOSE_CODES.RESET]: 30 * 60,
+	[OTPPURPOSE_CODES.EMAIL_CHANGE]: 60 * 60,
+	[OTPPURPOSE_CODES.UNLOCK]: 60 * 60,
+	[OTPPURPOSE_CODES.MAGIC_LOGIN]: 15 * 60
+}
+
+// minimum time between two otps of the same purpose for a user, in seconds
+const OTP_COOLDOWN = 60
+
+// how long an otp record outlives its expiry, in seconds
+const OTP_RETENTION = 24 * 60 * 60
+
+/**
+ * An enumeration of the outcomes of issuing or consuming an otp.
+ * @readonly
+ * @enum {number}
+ */
+const OTPSTATUS_CODES = {
+	SUCCESS: 1,
+	NOT_FOUND: 0,
+	EXPIRED: 2,
+	USED: 3,
+	TOO_MANY_ATTEMPTS: 4,
+	COOLDOWN: 5,
+	DATABASE_ERROR: -1
+}
+
+/**
+ * Issues a new otp for the user, invalidating any unused otp of the same purpose.
+ *
+ * @param {string} userId - The id of the user the otp is for.
+ * @param {number} purpose - One of `OTPPURPOSE_CODES`.
+ * @param {Object} [payload] - Purpose specific data returned when the otp is consumed.
+ * @returns {Promise<{status: number, otp?: string, retryAfter?: number}>} One of `OTPSTATUS_CODES`, along with
+ * 	the raw otp to email in case of success, or the seconds to wait in case of cooldown.
+ */
+const issueOtp = async (userId, purpose, payload) => {
+	try {
+		const now = Date.now()
+
+		// enforce the cooldown against the latest otp of this purpose
+		const latest = await Otp.findOne({ user: userId, purpose }).sort({ createdAt: -1 })
+		if (latest) {
+			const elapsed = (now - latest.createdAt.getTime()) / 1000
+			if (elapsed < OTP_COOLDOWN) {
+				return { status: OTPSTATUS_CODES.COOLDOWN, retryAfter: Math.ceil(OTP_COOLDOWN - elapsed) }
+			}
+		}
+
+		// only the newest link of each purpose should work
+		await Otp.updateMany({ user: userId, purpose, usedAt: null }, { $set: { expiresAt: new Date(now) } })
+
+		const otp = getRandomString()
+		const expiresAt = new Date(now + OTP_TIMEOUTS[purpose] * 1000)
+		await Otp.create({
+			user: userId,
+			purpose,
+			tokenHash: hashToken(otp),
+			payload,
+			expiresAt,
+			purgeAt: new Date(expiresAt.getTime() + OTP_RETENTION * 1000)
+		})
+
+		return { status: OTPSTATUS_CODES.SUCCESS, otp }
+	} catch (err) {
+		logger.error(err)
+		return { status: OTPSTATUS_CODES.DATABASE_ERROR }
+	}
+}
+
+/**
+ * Consumes an otp, which can succeed only once, before its expiry. Otps are found by their hash alone, so
+ * the attempts are counted against the address presenting them: invalid ones are delayed, then locked out
+ * for a while, as failed logins are.
+ *
+ * @param {number} purpose - One of `OTPPURPOSE_CODES`, an otp issued for another purpose is not found.
+ * @param {string} otp - The raw otp received from the user.
+ * @param {string} ip - The address of the request.
+ * @returns {Promise<{status: number, otpDBObject?: Object, retryAfter?: number}>} One of `OTPSTATUS_CODES`,
+ * 	along with the consumed otp record (holding `user` and `payload`) in case of success, or the seconds
+ * 	to wait in case of too many attempts.
+ */
+const consumeOtp = async (purpose, otp, ip) => {
+	try {
+		const throttle = await checkThrottle(THROTTLEKIND_CODES.OTP, ip)
+		if (!throttle.allowed) {
+			return { status: OTPSTATUS_CODES.TOO_MANY_ATTEMPTS, retryAfter: throttle.retryAfter }
+		}
+
+		const otpDBObject = await Otp.findOne({ tokenHash: hashToken(otp), purpose })
+
+		if (!otpDBObject) {
+			await recordFailure(THROTTLEKIND_CODES.OTP, ip)
+			return { status: OTPSTATUS_CODES.NOT_FOUND }
+		}
+		if (otpDBObject.usedAt) {
+			return { status: OTPSTATUS_CODES.USED }
+		}
+		if (otpDBObject.expiresAt.getTime() <= Date.now()) {
+			return { status: OTPSTATUS_CODES.EXPIRED }
+		}
+
+		// mark as used, guarding against a concurrent consumption of the same otp
+		const used = await Otp.findOneAndUpdate(
+			{ _id: otpDBObject._id, usedAt: null },
+			{ $set: { usedAt: new Date() } },
+			{ new: true }
+		)
+		if (!used) {
+			return { status: OTPSTATUS_CODES.USED }
+		}
+
+		return { status: OTPSTATUS_CODES.SUCCESS, otpDBObject: used }
+	} catch (err) {
+		logger.error(err)
+		return { status: OTPSTATUS_CODES.DATABASE_ERROR }
+	}
+}
+
+/**
+ * Maps a failed `OTPSTATUS_CODES` status to a http status code and a message for the client.
+ *
+ * @param {number} status - One of `OTPSTATUS_CODES`, other than SUCCESS.
+ * @param {number} [retryAfter] - Seconds to wait, in case of COOLDOWN or TOO_MANY_ATTEMPTS.
+ * @returns {{httpStatus: number, message: string}} The response to send.
+ */
+const describeOtpFailure = (status, retryAfter) => {
+	switch (status) {
+		case OTPSTATUS_CODES.NOT_FOUND:
+			return { httpStatus: 404, message: "Invalid OTP." }
+		case OTPSTATUS_CODES.EXPIRED:
+			return { httpStatus: 410, message: "OTP expired, please request a new one." }
+		case OTPSTATUS_CODES.USED:
+			return { httpStatus: 410, message: "OTP already used." }
+		case OTPSTATUS_CODES.TOO_MANY_ATTEMPTS:
+			return { httpStatus: 429, message: `Too many invalid OTPs, please try again in ${retryAfter} seconds.` }
+		case OTPSTATUS_CODES.COOLDOWN:
+			return { httpStatus: 429, message: `Please wait ${retryAfter} seconds before requesting another email.` }
+		default:
+			return { httpStatus: 500, message: "Unable to contact the database temporarily" }
+	}
+}
+
+module.exports = { OTPSTATUS_CODES, issueOtp, consumeOtp, describeOtpFailure }
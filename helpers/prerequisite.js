@@ -0,0 +1,167 @@
+const { Course, REGISTRATIONSTATUS_CODES, MANAGERROLE_CODES } = require("../db/models/course/model")
+const User = require("../db/models/user/model")
+const { USERROLE_CODES } = require("../db/models/user/model")
+const { isCourseManager } = require("./course")
+const { getStudentGrades } = require("./gradebook")
+
+/**
+ * An enumeration of the prerequisites a student may not meet.
+ * @readonly
+ * @enum {number}
+ */
+const REQUIREMENT_CODES = {
+	COURSE: 0, // a course to have completed
+	GRADE: 1, // a minimum final grade in a completed course
+	SKILL: 2 // a skill to have on the profile
+}
+
+/**
+ * Checks whether a user may let students enroll in a course without meeting its prerequisites: SUPERADMINs,
+ * and the COORDINATOR managers of the course.
+ *
+ * @param {Object} course - The course document, with its managers.
+ * @param {string} userId - The id of the user.
+ * @param {number} role - The `USERROLE_CODES` role of the user.
+ * @returns {boolean} True if the user may override the prerequisites.
+ */
+const canOverridePrerequisites = (course, userId, role) =>
+	role === USERROLE_CODES.SUPERADMIN || isCourseManager(course, userId, [MANAGERROLE_CODES.COORDINATOR])
+
+/**
+ * Checks whether a student was let in a course without meeting its prerequisites.
+ *
+ * @param {Object} course - The course document, with its prerequisite overrides.
+ * @param {string} userId - The id of the student.
+ * @returns {boolean} True if the prerequisites are overridden for the student.
+ */
+const hasPrerequisiteOverride = (course, userId) =>
+	course.prerequisiteOverrides.some((override) => override.user.toString() === String(userId))
+
+/**
+ * Lists the prerequisites of a course a student does not meet: the courses they did not complete, the
+ * minimum grades they did not get in the ones they did, and the skills missing from their profile, whatever
+ * the case. Courses deleted since they were required are left out.
+ *
+ * @param {Object} course - The course document, with its prerequisites.
+ * @param {string} userId - The id of the student.
+ * @returns {Promise<Array<Object>>} The unmet prerequisites, each with its `REQUIREMENT_CODES` type, what it
+ * 	is about and a message for the student; empty if they meet them all.
+ */
+const findUnmetPrerequisites = async (course, userId) => {
+	const { courses: required, skills } = course.prerequisites
+	const unmet = []
+
+	if (required.length) {
+		const courses = await Course.find({ _id: { $in: required.map((prerequisite) => prerequisite.course) } })
+			.select("title registrations gradebook")
+		for (const { course: courseId, minGrade } of required) {
+			const prerequisite = courses.find((entry) => entry._id.equals(courseId))
+			if (!prerequisite) {
+				continue
+			}
+			const { title } = prerequisite
+			const registration = prerequisite.registrations.find((entry) =>
+				entry.user.toString() === String(userId) && entry.state === REGISTRATIONSTATUS_CODES.COMPLETED
+			)
+			if (!registration) {
+				unmet.push({ type: REQUIREMENT_CODES.COURSE, course: courseId, title, message: `Complete the course ${title}.` })
+				continue
+			}
+			if (minGrade !== undefined && minGrade !== null) {
+				const { finalPercentage } = await getStudentGrades(prerequisite, registration)
+				if (finalPercentage === null || finalPercentage < minGrade) {
+					unmet.push({
+						type: REQUIREMENT_CODES.GRADE,
+						course: courseId,
+						title,
+						minGrade,
+						grade: finalPercentage,
+						message: `Get a final grade of at least ${minGrade}% in the course ${title}.`
+					})
+				}
+			}
+		}
+	}
+
+	if (skills.length) {
+		const user = await User.findById(userId).select("skills")
+		const own = new Set((user ? user.skills : []).map((skill) => skill.trim().toLowerCase()))
+		skills
+			.filter((skill) => !own.has(skill.trim().toLowerCase()))
+			.forEach((skill) => unmet.push({ type: REQUIREMENT_CODES.SKILL, skill, message: `Add the skill ${skill} to your profile.` }))
+	}
+	return unmet
+}
+
+/**
+ * Checks whether requiring some courses before a course would make it, through their own prerequisites, a
+ * prerequisite of itself, so that no one could ever enroll in them.
+ *
+ * @param {string} courseId - The id of the course.
+ * @param {Array<string>} courseIds - The ids of the courses to require.
+ * @returns {Promise<boolean>} True if the course would require itself.
+ */
+const requiresItself = async (courseId, courseIds) => {
+	const visited = new Set()
+	let frontier = courseIds.map(String)
+	while (frontier.length) {
+		if (frontier.includes(String(courseId))) {
+			return true
+		}
+		frontier.forEach((id) => visited.add(id))
+		const courses = await Course.find({ _id: { $in: frontier } }).select("prerequisites.courses")
+		frontier = [...new Set(courses
+			.flatMap((course) => course.prerequisites.courses.map((prerequisite) => prerequisite.course.toString()))
+			.filter((id) => !visited.has(id)))]
+	}
+	return false
+}
+
+/**
+ * Lets a student enroll in a course without meeting its prerequisites, or changes why if they already were.
+ *
+ * @param {string} courseId - The id of the course.
+ * @param {string} userId - The id of the student.
+ * @param {string} reason - Why they are let in.
+ * @param {string} grantedBy - The id of the user overriding the prerequisites.
+ * @returns {Promise<Object>} The override.
+ */
+const grantPrerequisiteOverride = async (courseId, userId, reason, grantedBy) => {
+	const override = { user: userId, reason, grantedBy, grantedAt: new Date() }
+	const { matchedCount } = await Course.updateOne(
+		{ _id: courseId, "prerequisiteOverrides.user": userId },
+		{ $set: { "prerequisiteOverrides.$": override } }
+	)
+	if (!matchedCount) {
+		await Course.updateOne(
+			{ _id: courseId, "prerequisiteOverrides.user": { $ne: userId } },
+			{ $push: { prerequisiteOverrides: override } }
+		)
+	}
+	return override
+}
+
+/**
+ * Takes back the override of the prerequisites of a course for a student. Those already enrolled stay so.
+ *
+ * @param {string} courseId - The id of the course.
+ * @param {string} userId - The id of the student.
+ * @returns {Promise<boolean>} True if there was an override.
+ */
+const revokePrerequisiteOverride = async (courseId, userId) => {
+	const { modifiedCount } = await Course.updateOne(
+		{ _id: courseId },
+		{ $pull: { prerequisiteOverrides: { user: userId } } }
+	)
+	return modifiedCount > 0
+}
+
+module.exports = {
+	REQUIREMENT_CODES,
+	canOverridePrerequisites,
+	hasPrerequisiteOverride,
+	findUnmetPrerequisites,
+	requiresItself,
+	grantPrerequisiteOverride,
+	revokePrerequisiteOverride
+}
@@ -0,0 +1,231 @@
+const { REGISTRATIONSTATUS_CODES, CURRICULUMNODE_CODES } = require("../db/models/course/model")
+const { Progress, PROGRESSITEM_CODES, PROGRESSSTATE_CODES } = require("../db/models/progress/model")
+const { transitionRegistration, REGISTRATIONCHANGE_CODES } = require("./course")
+const { isCurriculumNodeReleased, isMaterialReleased } = require("./curriculum")
+
+/**
+ * An enumeration of the outcomes of recording the progress of a student.
+ * @readonly
+ * @enum {number}
+ */
+const PROGRESSCHANGE_CODES = {
+	SUCCESS: 1,
+	NOT_FOUND: 0, // no such lesson or material in the course
+	NOT_ENROLLED: 2, // the user is not an accepted or completed student of the course
+	NOT_RELEASED: 3 // the lesson, or the lesson of the material, is not released yet
+}
+
+// the registration states of students whose progress is tracked
+const TRACKED_STATES = [REGISTRATIONSTATUS_CODES.ACCEPTED, REGISTRATIONSTATUS_CODES.COMPLETED]
+
+/**
+ * Finds the registration of a student who may make progress in a course.
+ *
+ * @param {Object} course - The course document, with its registrations.
+ * @param {string} userId - The id of the user.
+ * @returns {Object|undefined} The accepted or completed registration of the user, if any.
+ */
+const findStudentRegistration = (course, userId) =>
+	course.registrations.find((registration) =>
+		registration.user.toString() === String(userId) && TRACKED_STATES.includes(registration.state)
+	)
+
+/**
+ * Lists the items the progress of a course is measured on: the lessons of its curriculum, or its
+ * materials when it has no lessons.
+ *
+ * @param {Object} course - The course document, with its material and curriculum.
+ * @returns {{itemType: number, items: Array<Object>}} One of `PROGRESSITEM_CODES`, and the lessons or materials.
+ */
+const getTrackedItems = (course) => {
+	const lessons = course.curriculum.filter((node) => node.kind === CURRICULUMNODE_CODES.LESSON)
+	if (lessons.length) {
+		return { itemType: PROGRESSITEM_CODES.LESSON, items: lessons }
+	}
+	return { itemType: PROGRESSITEM_CODES.MATERIAL, items: course.material }
+}
+
+/**
+ * Measures the progress of one student from their progress records. A lesson counts as completed when
+ * it is marked so, or when all the materials attached to it are.
+ *
+ * @param {Object} course - The course document, with its material and curriculum.
+ * @param {Array<Object>} records - The progress records of the student in the course.
+ * @returns {{completed: number, total: number, percentage: number, items: Array<Object>}} The counts, the
+ * 	percentage rounded down, and where the student stands on each item.
+ */
+const computeProgress = (course, records) => {
+	const byItem = new Map(records.map((record) => [record.item.toString(), record]))
+	const isCompleted = (itemId) => byItem.get(String(itemId))?.state === PROGRESSSTATE_CODES.COMPLETED
+
+	const { itemType, items } = getTrackedItems(course)
+	const described = items.map((item) => {
+		const record = byItem.get(item._id.toString())
+		const completed = isCompleted(item._id) ||
+			(itemType === PROGRESSITEM_CODES.LESSON && item.materials.length > 0 && item.materials.every(isCompleted))
+		return {
+			item: item._id,
+			itemType,
+			title: itemType === PROGRESSITEM_CODES.LESSON ? item.title : item.description,
+			state: completed ? PROGRESSSTATE_CODES.COMPLETED : record?.state,
+			startedAt: record?.startedAt,
+			completedAt: record?.completedAt
+		}
+	})
+
+	const completed = described.filter((item) => item.state === PROGRESSSTATE_CODES.COMPLETED).length
+	const total = described.length
+	return { completed, total, percentage: total ? Math.floor((completed * 100) / total) : 0, items: described }
+}
+
+/**
+ * Writes a progress record, never moving a completed item back to started.
+ *
+ * @async
+ * @function
+ * @name _upsertProgress
+ * @param {Object} key - The course, registration, user, item and itemType of the record.
+ * @param {number} state - The `PROGRESSSTATE_CODES` state reached.
+ * @returns {Promise<Object>} The record.
+ */
+const _upsertProgress = async ({ course, registration, user, item, itemType }, state) => {
+	const now = new Date()
+	const update = state === PROGRESSSTATE_CODES.COMPLETED
+		? {
+			$setOnInsert: { course, user, itemType, startedAt: now },
+			$set: { state, updatedAt: now },
+			$min: { completedAt: now }
+		}
+		: {
+			$setOnInsert: { course, user, itemType, state, startedAt: now },
+			$set: { updatedAt: now }
+		}
+
+	const write = () => Progress.findOneAndUpdate({ registration, item }, update, { upsert: true, new: true })
+	try {
+		return await write()
+	} catch (err) {
+		// two first writes raced on the unique index, the second one now finds the record
+		if (err.code === 11000) {
+			return write()
+		}
+		throw err
+	}
+}
+
+/**
+ * Records that a student started or completed a lesson or material, and completes their registration
+ * when the course asks for it and everything is done.
+ *
+ * @param {Object} course - The course document, with its registrations, material and curriculum.
+ * @param {string} userId - The id of the student.
+ * @param {string} itemId - The id of the lesson or material.
+ * @param {number} state - The `PROGRESSSTATE_CODES` state reached.
+ * @returns {Promise<{status: number, record?: Object, progress?: Object, registrationCompleted?: boolean}>} One of
+ * 	`PROGRESSCHANGE_CODES`, along with the record, the progress of the student, and whether their registration
+ * 	was just completed in case of success.
+ */
+const recordProgress = async (course, userId, itemId, state) => {
+	const registration = findStudentRegistration(course, userId)
+	if (!registration) {
+		return { status: PROGRESSCHANGE_CODES.NOT_ENROLLED }
+	}
+
+	let itemType
+	const node = course.curriculum.id(itemId)
+	if (node && node.kind === CURRICULUMNODE_CODES.LESSON) {
+		if (!isCurriculumNodeReleased(course, itemId)) {
+			return { status: PROGRESSCHANGE_CODES.NOT_RELEASED }
+		}
+		itemType = PROGRESSITEM_CODES.LESSON
+	} else if (course.material.id(itemId)) {
+		if (!isMaterialReleased(course, itemId)) {
+			return { status: PROGRESSCHANGE_CODES.NOT_RELEASED }
+		}
+		itemType = PROGRESSITEM_CODES.MATERIAL
+	} else {
+		return { status: PROGRESSCHANGE_CODES.NOT_FOUND }
+	}
+
+	const record = await _upsertProgress(
+		{ course: course._id, registration: registration._id, user: registration.user, item: itemId, itemType },
+		state
+	)
+
+	const progress = computeProgress(course, await Progress.find({ registration: registration._id }))
+	let registrationCompleted = false
+	if (course.completeOnFullProgress && progress.percentage === 100 && registration.state === REGISTRATIONSTATUS_CODES.ACCEPTED) {
+		const { status } = await transitionRegistration(course._id, registration._id, REGISTRATIONSTATUS_CODES.COMPLETED, {
+			reason: "All the course content was completed."
+		})
+		registrationCompleted = status === REGISTRATIONCHANGE_CODES.SUCCESS
+	}
+
+	return { status: PROGRESSCHANGE_CODES.SUCCESS, record, progress, registrationCompleted }
+}
+
+/**
+ * Measures the progress of one student of a course.
+ *
+ * @param {Object} course - The course document, with its material and curriculum.
+ * @param {Object} registration - The registration of the student.
+ * @returns {Promise<Object>} The progress, see `computeProgress`.
+ */
+const getStudentProgress = async (course, registration) =>
+	computeProgress(course, await Progress.find({ registration: registration._id }))
+
+/**
+ * Measures the progress of every accepted or completed student of a course, least advanced first.
+ *
+ * @param {Object} course - The course document, with its registrations, material and curriculum.
+ * @returns {Promise<Array<Object>>} For each student, their registration, user, counts, percentage and
+ * 	last activity.
+ */
+const getClassProgress = async (course) => {
+	const records = await Progress.find({ course: course._id })
+	const byRegistration = new Map()
+	records.forEach((record) => {
+		const key = record.registration.toString()
+		byRegistration.set(key, [...(byRegistration.get(key) || []), record])
+	})
+
+	return course.registrations
+		.filter((registration) => TRACKED_STATES.includes(registration.state))
+		.map((registration) => {
+			const own = byRegistration.get(registration._id.toString()) || []
+			const { completed, total, percentage } = computeProgress(course, own)
+			const lastActivityAt = own.reduce((last, record) => (!last || record.updatedAt > last ? record.updatedAt : last), undefined)
+			return { registration: registration._id, user: registration.user, state: registration.state, completed, total, percentage, lastActivityAt }
+		})
+		.sort((a, b) => a.percentage - b.percentage)
+}
+
+/**
+ * Maps a failed `PROGRESSCHANGE_CODES` status to a http status code and a message for the client.
+ *
+ * @param {number} status - One of `PROGRESSCHANGE_CODES`, other than SUCCESS.
+ * @returns {{httpStatus: number, message: string}} The response to send.
+ */
+const describeProgressFailure = (status) => {
+	switch (status) {
+		case PROGRESSCHANGE_CODES.NOT_FOUND:
+			return { httpStatus: 404, message: "Lesson or material not found" }
+		case PROGRESSCHANGE_CODES.NOT_ENROLLED:
+			return { httpStatus: 403, message: "Only accepted students of the course can record progress." }
+		case PROGRESSCHANGE_CODES.NOT_RELEASED:
+			return { httpStatus: 403, message: "This lesson, or the lesson of this material, is not released yet." }
+		default:
+			return { httpStatus: 500, message: "Internal Server Error" }
+	}
+}
+
+module.exports = {
+	PROGRESSCHANGE_CODES,
+	findStudentRegistration,
+	getTrackedItems,
+	computeProgress,
+	recordProgress,
+	getStudentProgress,
+	getClassProgress,
+	describeProgressFailure
+}
@@ -0,0 +1,497 @@
+const crypto = require("crypto")
+
+const { Course, REGISTRATIONSTATUS_CODES } = require("../db/models/course/model")
+const { QuizAttempt, QUESTIONTYPE_CODES, ATTEMPTSTATE_CODES } = require("../db/models/quiz/model")
+
+// answers arriving this long after the time limit still count, for the network
+const SUBMIT_GRACE_SECONDS = 30
+
+/**
+ * An enumeration of the outcomes of starting an attempt at a quiz.
+ * @readonly
+ * @enum {number}
+ */
+const QUIZSTART_CODES = {
+	STARTED: 1,
+	RESUMED: 2, // an attempt was already in progress, it is given back
+	NOT_ENROLLED: 0, // only accepted students of the course can take quizzes
+	NOT_OPEN: 3, // not published, not open yet, or closed
+	NO_ATTEMPTS_LEFT: 4
+}
+
+/**
+ * An enumeration of the outcomes of answering an attempt.
+ * @readonly
+ * @enum {number}
+ */
+const ATTEMPTCHANGE_CODES = {
+	SUCCESS: 1,
+	NOT_FOUND: 0,
+	CLOSED: 2, // already submitted, or out of time
+	INVALID_ANSWER: 3 // an answer to a question not in the attempt
+}
+
+/**
+ * Shuffles an array, in place.
+ *
+ * @function
+ * @name _shuffle
+ * @param {Array} items - The array.
+ * @returns {Array} The same array.
+ */
+const _shuffle = (items) => {
+	for (let i = items.length - 1; i > 0; i--) {
+		const j = crypto.randomInt(i + 1)
+		const item = items[i]
+		items[i] = items[j]
+		items[j] = item
+	}
+	return items
+}
+
+/**
+ * Brings a short text answer to the form it is compared in.
+ *
+ * @function
+ * @name _normalizeText
+ * @param {*} text - The answer.
+ * @param {boolean} caseSensitive - Keep the case.
+ * @returns {string} The answer trimmed, its spaces collapsed, lowercased unless case sensitive.
+ */
+const _normalizeText = (text, caseSensitive) => {
+	const normalized = String(text).trim().replace(/\s+/g, " ")
+	return caseSensitive ? normalized : normalized.toLowerCase()
+}
+
+/**
+ * Checks an answer to a question.
+ *
+ * @param {Object} question - The question of the bank.
+ * @param {*} answer - An option id for single choice, option ids for multiple choice, a boolean, a
+ * 	number, or a text.
+ * @returns {boolean} True if the answer is right.
+ */
+const isAnswerCorrect = (question, answer) => {
+	if (answer === undefined || answer === null) {
+		return false
+	}
+	const correct = question.options.filter((option) => option.correct).map((option) => option._id.toString())
+
+	switch (question.type) {
+		case QUESTIONTYPE_CODES.SINGLE_CHOICE:
+			return correct.length === 1 && correct[0] === String(answer)
+		case QUESTIONTYPE_CODES.MULTIPLE_CHOICE: {
+			const picked = new Set([].concat(answer).map(String))
+			return picked.size === correct.length && correct.every((optionId) => picked.has(optionId))
+		}
+		case QUESTIONTYPE_CODES.TRUE_FALSE:
+			return answer === question.answerBoolean
+		case QUESTIONTYPE_CODES.NUMERIC:
+			return typeof answer === "number" && Math.abs(answer - question.answerNumber) <= (question.tolerance || 0)
+		case QUESTIONTYPE_CODES.SHORT_TEXT:
+			return question.acceptedAnswers.some((accepted) =>
+				_normalizeText(accepted, question.caseSensitive) === _normalizeText(answer, question.caseSensitive)
+			)
+		default:
+			return false
+	}
+}
+
+/**
+ * Shows a question as a student sees it, without what tells the answer.
+ *
+ * @param {Object} question - The question of the bank.
+ * @param {Array<string>} [optionOrder] - The ids of the options in the order to show them.
+ * @returns {Object} The question.
+ */
+const presentQuestion = (question, optionOrder) => {
+	const presented = { _id: question._id, type: question.type, prompt: question.prompt, points: question.points }
+	if (question.options.length) {
+		const order = optionOrder && optionOrder.length ? optionOrder : question.options.map((option) => option._id)
+		presented.options = order
+			.map((optionId) => question.options.id(optionId))
+			.filter(Boolean)
+			.map((option) => ({ _id: option._id, text: option.text }))
+	}
+	return presented
+}
+
+/**
+ * Shows an attempt to its student: its questions in order with the answers given, and once it is over,
+ * which answers were right.
+ *
+ * @param {Object} quiz - The quiz, with its questions.
+ * @param {Object} attempt - The attempt.
+ * @returns {Object} The attempt.
+ */
+const presentAttempt = (quiz, attempt) => {
+	const over = attempt.state !== ATTEMPTSTATE_CODES.IN_PROGRESS
+	return {
+		_id: attempt._id,
+		quiz: attempt.quiz,
+		number: attempt.number,
+		state: attempt.state,
+		startedAt: attempt.startedAt,
+		deadlineAt: attempt.deadlineAt,
+		submittedAt: attempt.submittedAt,
+		score: attempt.score,
+		maxScore: attempt.maxScore,
+		percentage: attempt.percentage,
+		questions: attempt.answers
+			.map((entry) => {
+				const question = quiz.questions.id(entry.question)
+				if (!question) {
+					return null // removed from the bank since
+				}
+				const presented = { ...presentQuestion(question, entry.optionOrder), answer: entry.answer }
+				if (over) {
+					presented.correct = entry.correct
+					presented.pointsAwarded = entry.points
+				}
+				return presented
+			})
+			.filter(Boolean)
+	}
+}
+
+/**
+ * Checks whether a quiz can be taken now.
+ *
+ * @param {Object} quiz - The quiz.
+ * @param {Date} [now] - The time to check against.
+ * @returns {boolean} True if it is published and open.
+ */
+const isQuizOpen = (quiz, now = new Date()) =>
+	quiz.published && (!quiz.opensAt || quiz.opensAt <= now) && (!quiz.closesAt || now < quiz.closesAt)
+
+/**
+ * Checks whether an attempt has run out of time, grace included.
+ *
+ * @param {Object} attempt - The attempt.
+ * @param {Date} [now] - The time to check against.
+ * @returns {boolean} True if out of time.
+ */
+const isAttemptOutOfTime = (attempt, now = new Date()) =>
+	Boolean(attempt.deadlineAt) && now.getTime() > attempt.deadlineAt.getTime() + SUBMIT_GRACE_SECONDS * 1000
+
+/**
+ * Grades an attempt on the answers it holds, ends it, and writes the result in the feedback of the
+ * registration of the student, as a score out of 100.
+ *
+ * @async
+ * @function
+ * @name _gradeAttempt
+ * @param {Object} quiz - The quiz, with its questions.
+ * @param {Object} attempt - The attempt, in progress.
+ * @param {number} state - The `ATTEMPTSTATE_CODES` state ending it, SUBMITTED or EXPIRED.
+ * @returns {Promise<Object|null>} The graded attempt, or null if it was ended meanwhile.
+ */
+const _gradeAttempt = async (quiz, attempt, state) => {
+	let score = 0
+	let maxScore = 0
+	const answers = attempt.answers.map((entry) => {
+		const question = quiz.questions.id(entry.question)
+		if (!question) {
+			return entry
+		}
+		const correct = isAnswerCorrect(question, entry.answer)
+		maxScore += question.points
+		score += correct ? question.points : 0
+		return { ...entry.toObject(), correct, points: correct ? question.points : 0 }
+	})
+	const percentage = maxScore ? Math.round((score * 10000) / maxScore) / 100 : 0
+	const submittedAt = state === ATTEMPTSTATE_CODES.EXPIRED ? attempt.deadlineAt : new Date()
+
+	// only the first to end the attempt grades it, e.g. a submit racing the expiry
+	const graded = await QuizAttempt.findOneAndUpdate(
+		{ _id: attempt._id, state: ATTEMPTSTATE_CODES.IN_PROGRESS },
+		{ $set: { answers, state, submittedAt, score, maxScore, percentage } },
+		{ new: true }
+	)
+	if (!graded) {
+		return null
+	}
+
+	await Course.updateOne(
+		{ _id: attempt.course, "registrations._id": attempt.registration },
+		{
+			$push: {
+				"registrations.$.feedback": {
+					type: quiz.feedbackType,
+					details: `Quiz: ${quiz.title} (attempt ${attempt.number})`,
+					feedback: `Auto-graded ${score} out of ${maxScore}${state === ATTEMPTSTATE_CODES.EXPIRED ? ", time ran out" : ""}.`,
+					createdBy: quiz.createdBy,
+					timestamp: submittedAt,
+					score: Math.min(100, Math.max(0, percentage)),
+					quiz: quiz._id
+				}
+			}
+		}
+	)
+	return graded
+}
+
+/**
+ * Grades the attempts of a quiz that ran out of time without being submitted.
+ *
+ * @param {Object} quiz - The quiz, with its questions.
+ * @param {Object} [filter] - More conditions on the attempts, e.g. a user.
+ * @returns {Promise<number>} The number of attempts graded.
+ */
+const finalizeExpiredAttempts = async (quiz, filter = {}) => {
+	const expired = await QuizAttempt.find({
+		...filter,
+		quiz: quiz._id,
+		state: ATTEMPTSTATE_CODES.IN_PROGRESS,
+		deadlineAt: { $lt: new Date(Date.now() - SUBMIT_GRACE_SECONDS * 1000) }
+	})
+	const graded = await Promise.all(expired.map((attempt) => _gradeAttempt(quiz, attempt, ATTEMPTSTATE_CODES.EXPIRED)))
+	return graded.filter(Boolean).length
+}
+
+/**
+ * Starts an attempt at a quiz for a student, drawing its questions, or gives back the one in progress.
+ *
+ * @param {Object} course - The course document, with its registrations.
+ * @param {Object} quiz - The quiz, with its questions.
+ * @param {string} userId - The id of the student.
+ * @returns {Promise<{status: number, attempt?: Object}>} One of `QUIZSTART_CODES`, along with the attempt
+ * 	when STARTED or RESUMED.
+ */
+const startAttempt = async (course, quiz, userId) => {
+	const registration = course.registrations.find((registration) =>
+		registration.user.toString() === String(userId) && registration.state === REGISTRATIONSTATUS_CODES.ACCEPTED
+	)
+	if (!registration) {
+		return { status: QUIZSTART_CODES.NOT_ENROLLED }
+	}
+
+	await finalizeExpiredAttempts(quiz, { user: userId })
+	const inProgress = await QuizAttempt.findOne({ quiz: quiz._id, user: userId, state: ATTEMPTSTATE_CODES.IN_PROGRESS })
+	if (inProgress) {
+		return { status: QUIZSTART_CODES.RESUMED, attempt: inProgress }
+	}
+
+	const now = new Date()
+	if (!isQuizOpen(quiz, now) || !quiz.questions.length) {
+		return { status: QUIZSTART_CODES.NOT_OPEN }
+	}
+	const taken = await QuizAttempt.countDocuments({ quiz: quiz._id, user: userId })
+	if (quiz.maxAttempts && taken >= quiz.maxAttempts) {
+		return { status: QUIZSTART_CODES.NO_ATTEMPTS_LEFT }
+	}
+
+	// a random draw from the bank is shown in random order anyway
+	let questions = [...quiz.questions]
+	if (quiz.questionsPerAttempt && quiz.questionsPerAttempt < questions.length) {
+		questions = _shuffle(questions).slice(0, quiz.questionsPerAttempt)
+		if (!quiz.randomizeQuestions) {
+			questions.sort((a, b) => quiz.questions.indexOf(a) - quiz.questions.indexOf(b))
+		}
+	} else if (quiz.randomizeQuestions) {
+		_shuffle(questions)
+	}
+
+	const answers = questions.map((question) => {
+		const optionOrder = question.options.map((option) => option._id)
+		return { question: question._id, optionOrder: quiz.randomizeOptions ? _shuffle(optionOrder) : optionOrder }
+	})
+
+	let deadlineAt
+	if (quiz.timeLimitMinutes) {
+		deadlineAt = new Date(now.getTime() + quiz.timeLimitMinutes * 60 * 1000)
+	}
+	// the quiz closing ends the attempt too
+	if (quiz.closesAt && (!deadlineAt || quiz.closesAt < deadlineAt)) {
+		deadlineAt = quiz.closesAt
+	}
+
+	try {
+		const attempt = await QuizAttempt.create({
+			quiz: quiz._id,
+			course: course._id,
+			user: userId,
+			registration: registration._id,
+			number: taken + 1,
+			answers,
+			startedAt: now,
+			deadlineAt
+		})
+		return { status: QUIZSTART_CODES.STARTED, attempt }
+	} catch (err) {
+		// a concurrent start took this attempt number, give back the attempt it created
+		if (err.code === 11000) {
+			const attempt = await QuizAttempt.findOne({ quiz: quiz._id, user: userId, number: taken + 1 })
+			if (attempt && attempt.state === ATTEMPTSTATE_CODES.IN_PROGRESS) {
+				return { status: QUIZSTART_CODES.RESUMED, attempt }
+			}
+		}
+		throw err
+	}
+}
+
+/**
+ * Records answers on an attempt in progress, keeping those not given again.
+ *
+ * @function
+ * @name _applyAnswers
+ * @param {Object} attempt - The attempt.
+ * @param {Array<{question: string, answer: *}>} answers - The answers.
+ * @returns {boolean} False if an answer is to a question not in the attempt.
+ */
+const _applyAnswers = (attempt, answers) => {
+	const entries = new Map(attempt.answers.map((entry) => [entry.question.toString(), entry]))
+	if (!answers.every(({ question }) => entries.has(String(question)))) {
+		return false
+	}
+	answers.forEach(({ question, answer }) => {
+		entries.get(String(question)).answer = answer
+	})
+	attempt.markModified("answers")
+	return true
+}
+
+/**
+ * Saves answers on an attempt of a student, e.g. as they go, so that they count if the time runs out.
+ * With `submit`, the attempt is then graded and ended.
+ *
+ * @param {Object} quiz - The quiz, with its questions.
+ * @param {string} attemptId - The id of the attempt.
+ * @param {string} userId - The id of the student.
+ * @param {Array<{question: string, answer: *}>} answers - The answers.
+ * @param {Object} [options]
+ * @param {boolean} [options.submit] - Grade and end the attempt.
+ * @returns {Promise<{status: number, attempt?: Object}>} One of `ATTEMPTCHANGE_CODES`, along with the attempt
+ * 	in case of success.
+ */
+const answerAttempt = async (quiz, attemptId, userId, answers, { submit = false } = {}) => {
+	const attempt = await QuizAttempt.findOne({ _id: attemptId, quiz: quiz._id, user: userId })
+	if (!attempt) {
+		return { status: ATTEMPTCHANGE_CODES.NOT_FOUND }
+	}
+	if (attempt.state !== ATTEMPTSTATE_CODES.IN_PROGRESS) {
+		return { status: ATTEMPTCHANGE_CODES.CLOSED, attempt }
+	}
+	if (isAttemptOutOfTime(attempt)) {
+		// too late for these answers, the saved ones are graded
+		await _gradeAttempt(quiz, attempt, ATTEMPTSTATE_CODES.EXPIRED)
+		return { status: ATTEMPTCHANGE_CODES.CLOSED, attempt: await QuizAttempt.findById(attempt._id) }
+	}
+	if (!_applyAnswers(attempt, answers)) {
+		return { status: ATTEMPTCHANGE_CODES.INVALID_ANSWER }
+	}
+
+	if (!submit) {
+		const saved = await QuizAttempt.findOneAndUpdate(
+			{ _id: attempt._id, state: ATTEMPTSTATE_CODES.IN_PROGRESS },
+			{ $set: { answers: attempt.answers } },
+			{ new: true }
+		)
+		return saved ? { status: ATTEMPTCHANGE_CODES.SUCCESS, attempt: saved } : { status: ATTEMPTCHANGE_CODES.CLOSED }
+	}
+
+	const graded = await _gradeAttempt(quiz, attempt, ATTEMPTSTATE_CODES.SUBMITTED)
+	return graded ? { status: ATTEMPTCHANGE_CODES.SUCCESS, attempt: graded } : { status: ATTEMPTCHANGE_CODES.CLOSED }
+}
+
+/**
+ * Works out, for each question of a quiz, the share of students who got it right, on the last ended
+ * attempt of each student that had the question.
+ *
+ * @param {Object} quiz - The quiz, with its questions.
+ * @returns {Promise<Array<Object>>} For each question of the bank: the students asked, the students right,
+ * 	the percentage right, and for choice questions how many picked each option.
+ */
+const getItemAnalysis = async (quiz) => {
+	const attempts = await QuizAttempt.find({ quiz: quiz._id, state: { $ne: ATTEMPTSTATE_CODES.IN_PROGRESS } })
+		.sort({ number: -1 })
+		.select("user answers")
+
+	// the latest answer of each student to each question
+	const latest = new Map()
+	attempts.forEach((attempt) => {
+		attempt.answers.forEach((entry) => {
+			const key = `${entry.question}:${attempt.user}`
+			if (!latest.has(key)) {
+				latest.set(key, entry)
+			}
+		})
+	})
+
+	return quiz.questions.map((question) => {
+		const entries = [...latest.entries()]
+			.filter(([key]) => key.startsWith(`${question._id}:`))
+			.map(([, entry]) => entry)
+		const right = entries.filter((entry) => entry.correct).length
+		const analysis = {
+			question: question._id,
+			type: question.type,
+			prompt: question.prompt,
+			asked: entries.length,
+			right,
+			percentageRight: entries.length ? Math.round((right * 10000) / entries.length) / 100 : null
+		}
+		if (question.options.length) {
+			analysis.options = question.options.map((option) => ({
+				_id: option._id,
+				text: option.text,
+				correct: option.correct,
+				picked: entries.filter((entry) => [].concat(entry.answer ?? []).map(String).includes(option._id.toString())).length
+			}))
+		}
+		return analysis
+	})
+}
+
+/**
+ * Maps a `QUIZSTART_CODES` status that started nothing to a http status code and a message for the client.
+ *
+ * @param {number} status - One of `QUIZSTART_CODES`, other than STARTED and RESUMED.
+ * @returns {{httpStatus: number, message: string}} The response to send.
+ */
+const describeQuizStartFailure = (status) => {
+	switch (status) {
+		case QUIZSTART_CODES.NOT_ENROLLED:
+			return { httpStatus: 403, message: "Only accepted students of the course can take quizzes." }
+		case QUIZSTART_CODES.NOT_OPEN:
+			return { httpStatus: 409, message: "This quiz is not open." }
+		case QUIZSTART_CODES.NO_ATTEMPTS_LEFT:
+			return { httpStatus: 409, message: "No attempts left at this quiz." }
+		default:
+			return { httpStatus: 500, message: "Internal Server Error" }
+	}
+}
+
+/**
+ * Maps a failed `ATTEMPTCHANGE_CODES` status to a http status code and a message for the client.
+ *
+ * @param {number} status - One of `ATTEMPTCHANGE_CODES`, other than SUCCESS.
+ * @returns {{httpStatus: number, message: string}} The response to send.
+ */
+const describeAttemptFailure = (status) => {
+	switch (status) {
+		case ATTEMPTCHANGE_CODES.NOT_FOUND:
+			return { httpStatus: 404, message: "Attempt not found" }
+		case ATTEMPTCHANGE_CODES.CLOSED:
+			return { httpStatus: 409, message: "This attempt is over, it was submitted or the time ran out." }
+		case ATTEMPTCHANGE_CODES.INVALID_ANSWER:
+			return { httpStatus: 400, message: "Answers should be to the questions of this attempt." }
+		default:
+			return { httpStatus: 500, message: "Internal Server Error" }
+	}
+}
+
+module.exports = {
+	QUIZSTART_CODES,
+	ATTEMPTCHANGE_CODES,
+	isAnswerCorrect,
+	presentQuestion,
+	presentAttempt,
+	isQuizOpen,
+	finalizeExpiredAttempts,
+	startAttempt,
+	answerAttempt,
+	getItemAnalysis,
+	describeQuizStartFailure,
+	describeAttemptFailure
+}
@@ -0,0 +1,251 @@
+const { Course, REGISTRATIONSTATUS_CODES } = require("../db/models/course/model")
+const { Review } = require("../db/models/review/model")
+
+/**
+ * An enumeration of the votes of a student on a course, as they count in its score.
+ * @readonly
+ * @enum {number}
+ */
+const VOTE_CODES = {
+	UP: 1,
+	NONE: 0,
+	DOWN: -1
+}
+
+/**
+ * An enumeration of the outcomes of a change to the reviews of a course.
+ * @readonly
+ * @enum {number}
+ */
+const REVIEWCHANGE_CODES = {
+	SUCCESS: 1,
+	NOT_FOUND: 0, // the review was deleted meanwhile
+	ALREADY_REVIEWED: 2, // a student reviews a course once, then edits their review
+	ALREADY_REPORTED: 3,
+	OWN_REVIEW: 4 // one cannot report their own review
+}
+
+// the registrations whose students can vote on and review a course
+const RATING_STATES = [REGISTRATIONSTATUS_CODES.ACCEPTED, REGISTRATIONSTATUS_CODES.COMPLETED]
+
+// a review counts in the score by its stars above or below these, a 5 star review as 2 upvotes
+const NEUTRAL_STARS = 3
+
+// the number of vote changes kept in the recent votes of a course, the latest
+const RECENT_VOTES_KEPT = 1000
+
+// the list and count of the voters of each vote
+const VOTE_FIELDS = {
+	[VOTE_CODES.UP]: { list: "rating.upvotes", count: "rating.upvoteCount" },
+	[VOTE_CODES.DOWN]: { list: "rating.downvotes", count: "rating.downvoteCount" }
+}
+
+/**
+ * Checks whether a user may vote on and review a course: students with an ACCEPTED or COMPLETED registration.
+ *
+ * @param {Object} course - The course document, with its registrations.
+ * @param {string} userId - The id of the user.
+ * @returns {boolean} True if the user may rate the course.
+ */
+const canRate = (course, userId) =>
+	course.registrations.some((registration) =>
+		registration.user.toString() === String(userId) && RATING_STATES.includes(registration.state)
+	)
+
+/**
+ * Finds the vote of a user on a course.
+ *
+ * @param {Object} course - The course document, with its votes.
+ * @param {string} userId - The id of the user.
+ * @returns {number} One of `VOTE_CODES`.
+ */
+const getVote = (course, userId) => {
+	const votedBy = (voters) => voters.some((voter) => voter.toString() === String(userId))
+	if (votedBy(course.rating.upvotes)) {
+		return VOTE_CODES.UP
+	}
+	return votedBy(course.rating.downvotes) ? VOTE_CODES.DOWN : VOTE_CODES.NONE
+}
+
+/**
+ * Sets the vote of a user on a course, replacing the one they cast before, and updates its score and recent
+ * votes. Each try is conditional on the vote the user had, so that the counts stay right when they vote twice
+ * at once.
+ *
+ * @param {string} courseId - The id of the course.
+ * @param {string} userId - The id of the voter.
+ * @param {number} vote - One of `VOTE_CODES`, NONE to take the vote back.
+ * @returns {Promise<boolean>} True if the vote changed, false if the user had already voted so.
+ */
+const castVote = async (courseId, userId, vote) => {
+	for (const previous of [VOTE_CODES.UP, VOTE_CODES.DOWN, VOTE_CODES.NONE]) {
+		if (previous === vote) {
+			continue
+		}
+		const filter = { _id: courseId }
+		const update = {
+			$inc: { "rating.score": vote - previous },
+			$push: { "rating.recentVotes": { $each: [{ delta: vote - previous, at: new Date() }], $slice: -RECENT_VOTES_KEPT } }
+		}
+		if (previous === VOTE_CODES.NONE) {
+			filter[VOTE_FIELDS[VOTE_CODES.UP].list] = { $ne: userId }
+			filter[VOTE_FIELDS[VOTE_CODES.DOWN].list] = { $ne: userId }
+		} else {
+			filter[VOTE_FIELDS[previous].list] = userId
+			update.$pull = { [VOTE_FIELDS[previous].list]: userId }
+			update.$inc[VOTE_FIELDS[previous].count] = -1
+		}
+		if (vote !== VOTE_CODES.NONE) {
+			update.$push[VOTE_FIELDS[vote].list] = userId
+			update.$inc[VOTE_FIELDS[vote].count] = 1
+		}
+		const { modifiedCount } = await Course.updateOne(filter, update)
+		if (modifiedCount) {
+			return true
+		}
+	}
+	return false
+}
+
+/**
+ * Moves the review totals and score of a course by a review added, changed or removed.
+ *
+ * @param {string} courseId - The id of the course.
+ * @param {number} reviews - The change in the number of reviews: 1, 0 or -1.
+ * @param {number} stars - The change in the stars of the reviews.
+ * @returns {Promise<void>}
+ */
+const _countReview = (courseId, reviews, stars) =>
+	Course.updateOne(
+		{ _id: courseId },
+		{ $inc: { "rating.reviewCount": reviews, "rating.starTotal": stars, "rating.score": stars - reviews * NEUTRAL_STARS } }
+	)
+
+/**
+ * What anyone is shown of the rating of a course.
+ *
+ * @param {Object} course - The course document, with its rating.
+ * @param {string} userId - The id of the user asking, to tell them their vote.
+ * @returns {Object} The score, the votes, the number and average stars of the reviews, and the vote of the user.
+ */
+const describeRating = (course, userId) => {
+	const { score, upvoteCount, downvoteCount, reviewCount, starTotal } = course.rating
+	return {
+		score,
+		upvotes: upvoteCount,
+		downvotes: downvoteCount,
+		reviewCount,
+		averageStars: reviewCount ? Math.round((starTotal / reviewCount) * 100) / 100 : null,
+		vote: getVote(course, userId)
+	}
+}
+
+/**
+ * Adds the review of a student to a course, and counts its stars in the score of the course.
+ *
+ * @param {string} courseId - The id of the course.
+ * @param {string} userId - The id of the student.
+ * @param {Object} fields - The stars and body of the review.
+ * @returns {Promise<{status: number, review?: Object}>} One of `REVIEWCHANGE_CODES`, with the review on SUCCESS.
+ */
+const createReview = async (courseId, userId, { stars, body }) => {
+	let review
+	try {
+		review = await Review.create({ course: courseId, user: userId, stars, body })
+	} catch (err) {
+		if (err.code === 11000) {
+			return { status: REVIEWCHANGE_CODES.ALREADY_REVIEWED }
+		}
+		throw err
+	}
+	await _countReview(courseId, 1, stars)
+	return { status: REVIEWCHANGE_CODES.SUCCESS, review }
+}
+
+/**
+ * Edits a review, and moves the score of its course by the change in its stars.
+ *
+ * @param {Object} review - The review.
+ * @param {Object} fields - The stars or body to change.
+ * @returns {Promise<{status: number, review?: Object}>} One of `REVIEWCHANGE_CODES`, with the updated review on SUCCESS.
+ */
+const updateReview = async (review, fields) => {
+	// the review as it was, so that the score moves by what really changed
+	const previous = await Review.findOneAndUpdate({ _id: review._id }, { $set: { ...fields, updatedAt: new Date() } })
+	if (!previous) {
+		return { status: REVIEWCHANGE_CODES.NOT_FOUND }
+	}
+	if (fields.stars !== undefined && fields.stars !== previous.stars) {
+		await _countReview(previous.course, 0, fields.stars - previous.stars)
+	}
+	return { status: REVIEWCHANGE_CODES.SUCCESS, review: await Review.findById(review._id) }
+}
+
+/**
+ * Deletes a review, and takes its stars out of the score of its course.
+ *
+ * @param {Object} review - The review.
+ * @returns {Promise<number>} One of `REVIEWCHANGE_CODES`.
+ */
+const removeReview = async (review) => {
+	const removed = await Review.findOneAndDelete({ _id: review._id })
+	if (!removed) {
+		return REVIEWCHANGE_CODES.NOT_FOUND
+	}
+	await _countReview(removed.course, -1, -removed.stars)
+	return REVIEWCHANGE_CODES.SUCCESS
+}
+
+/**
+ * Reports a review as abusive, once per user.
+ *
+ * @param {Object} review - The review.
+ * @param {string} userId - The id of the user reporting it.
+ * @param {string} reason - Why it is abusive.
+ * @returns {Promise<number>} One of `REVIEWCHANGE_CODES`.
+ */
+const reportReview = async (review, userId, reason) => {
+	if (review.user.toString() === String(userId)) {
+		return REVIEWCHANGE_CODES.OWN_REVIEW
+	}
+	const { modifiedCount } = await Review.updateOne(
+		{ _id: review._id, "reports.user": { $ne: userId } },
+		{ $push: { reports: { user: userId, reason } }, $inc: { reportCount: 1 } }
+	)
+	return modifiedCount ? REVIEWCHANGE_CODES.SUCCESS : REVIEWCHANGE_CODES.ALREADY_REPORTED
+}
+
+/**
+ * Maps a failed `REVIEWCHANGE_CODES` status to a http status code and a message for the client.
+ *
+ * @param {number} status - One of `REVIEWCHANGE_CODES`, other than SUCCESS.
+ * @returns {{httpStatus: number, message: string}} The response to send.
+ */
+const describeReviewFailure = (status) => {
+	switch (status) {
+		case REVIEWCHANGE_CODES.NOT_FOUND:
+			return { httpStatus: 404, message: "Review not found" }
+		case REVIEWCHANGE_CODES.ALREADY_REVIEWED:
+			return { httpStatus: 409, message: "You already reviewed this course, edit your review instead." }
+		case REVIEWCHANGE_CODES.ALREADY_REPORTED:
+			return { httpStatus: 409, message: "You already reported this review." }
+		case REVIEWCHANGE_CODES.OWN_REVIEW:
+			return { httpStatus: 400, message: "You cannot report your own review." }
+		default:
+			return { httpStatus: 500, message: "Internal Server Error" }
+	}
+}
+
+module.exports = {
+	VOTE_CODES,
+	REVIEWCHANGE_CODES,
+	canRate,
+	getVote,
+	castVote,
+	describeRating,
+	createReview,
+	updateReview,
+	removeReview,
+	reportReview,
+	describeReviewFailure
+}
@@ -0,0 +1,329 @@
+const mongoose = require("mongoose")
+
+const { Course, COURSESTATUS_CODES, MANAGERROLE_CODES, REGISTRATIONSTATUS_CODES } = require("../db/models/course/model")
+const { Connection, CONNECTIONSTATUS_CODES } = require("../db/models/connection/model")
+const User = require("../db/models/user/model")
+
+/**
+ * The statuses of the courses anyone can search, SUPERADMINs searching them all.
+ */
+const PUBLIC_COURSE_STATUSES = [COURSESTATUS_CODES.PUBLISHED, COURSESTATUS_CODES.FINISHED]
+
+// the number of tags counted in the facets, the most used first
+const TAG_FACET_LIMIT = 50
+
+// the aggregate score of a course, see helpers/rating.js
+const RATING_SCORE = { $ifNull: ["$rating.score", 0] }
+
+// what a request to join a course weighs in its trending score, against a vote gained
+const TRENDING_ENROLLMENT_WEIGHT = 2
+
+// what each thing a user has in common with a course weighs in its recommendation score
+const RECOMMENDATION_WEIGHTS = {
+	tag: 3, // a tag among the interests and skills of the user
+	followee: 2, // a followee of the user enrolled in the course
+	collegePeer: 1 // a student of the college of the user enrolled in the course
+}
+
+// the number of students of the college of a user whose courses are recommended to them
+const COLLEGE_PEERS_LIMIT = 500
+
+// the registrations of the students who enrolled in a course
+const ENROLLED_STATES = [REGISTRATIONSTATUS_CODES.ACCEPTED, REGISTRATIONSTATUS_CODES.COMPLETED]
+
+// sorts courses without a start date after all the others
+const NO_START_DATE = new Date(8640000000000000)
+
+// how each sort orders the courses: by a key computed for it, ties broken by id in the same direction
+const SORTS = {
+	relevance: { key: { $meta: "textScore" }, direction: -1 },
+	newest: { key: "$creationDate", direction: -1 },
+	startDate: { key: { $ifNull: ["$startDate", NO_START_DATE] }, direction: 1 },
+	rating: { key: RATING_SCORE, direction: -1 }
+}
+
+// the fields of the courses found
+const RESULT_FIELDS = {
+	title: 1,
+	subtitle: 1,
+	description: 1,
+	tags: 1,
+	pic: 1,
+	startDate: 1,
+	endDate: 1,
+	capacity: 1,
+	status: 1,
+	creationDate: 1,
+	"rating.score": 1,
+	"rating.upvoteCount": 1,
+	"rating.downvoteCount": 1,
+	"rating.reviewCount": 1,
+	"rating.starTotal": 1,
+	instructors: 1
+}
+
+/**
+ * The stages shaping the courses found: their shown fields, and the names of their instructors.
+ *
+ * @param {Object} [fields] - Fields to keep besides `RESULT_FIELDS`, such as a sort key.
+ * @returns {Array<Object>} The stages, to end a pipeline with.
+ */
+const _resultStages = (fields = {}) => [
+	{
+		$addFields: {
+			instructors: {
+				$map: {
+					input: { $filter: { input: "$managers", cond: { $eq: ["$$this.role", MANAGERROLE_CODES.INSTRUCTOR] } } },
+					in: "$$this.managerId"
+				}
+			}
+		}
+	},
+	{ $project: { ...RESULT_FIELDS, ...fields } },
+	{
+		$lookup: {
+			from: "users",
+			localField: "instructors",
+			foreignField: "_id",
+			pipeline: [{ $project: { firstname: 1, lastname: 1, username: 1 } }],
+			as: "instructors"
+		}
+	}
+]
+
+/**
+ * Makes the cursor of the page after a course, an opaque string made of the sort and the position of the course.
+ *
+ * @param {string} sort - One of the keys of `SORTS`.
+ * @param {Object} course - The last course of the page, with its sort key.
+ * @returns {string} The cursor.
+ */
+const _encodeCursor = (sort, course) => {
+	const key = course._sortKey instanceof Date ? { date: course._sortKey.toISOString() } : course._sortKey
+	return Buffer.from(JSON.stringify({ sort, key, id: course._id.toString() })).toString("base64url")
+}
+
+/**
+ * Reads a cursor made by `_encodeCursor`.
+ *
+ * @param {string} sort - The sort the cursor should be for.
+ * @param {string} cursor - The cursor.
+ * @returns {{key: *, id: Object}|null} The position to go on after, or null if the cursor is invalid or for another sort.
+ */
+const _decodeCursor = (sort, cursor) => {
+	try {
+		const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString())
+		if (decoded.sort !== sort || !mongoose.Types.ObjectId.isValid(decoded.id)) {
+			return null
+		}
+		const key = decoded.key && decoded.key.date ? new Date(decoded.key.date) : decoded.key
+		if (key instanceof Date ? isNaN(key) : typeof key !== "number") {
+			return null
+		}
+		return { key, id: new mongoose.Types.ObjectId(decoded.id) }
+	} catch (err) {
+		return null
+	}
+}
+
+/**
+ * Searches the courses, a page at a time.
+ *
+ * @param {Object} options - The search, as validated by `searchCoursesValidator`.
+ * @param {string} [options.q] - The text to search for in the titles, subtitles, descriptions and tags.
+ * @param {Array<string>} [options.tags] - Only courses with all these tags.
+ * @param {Array<number>} options.status - Only courses with one of these `COURSESTATUS_CODES`.
+ * @param {Date} [options.startFrom] - Only courses starting on or after this date.
+ * @param {Date} [options.startTo] - Only courses starting on or before this date.
+ * @param {string} [options.instructor] - Only courses this user is an INSTRUCTOR of.
+ * @param {number} [options.minRating] - Only courses with at least this rating score.
+ * @param {string} options.sort - One of the keys of `SORTS`; relevance needs a search text.
+ * @param {string} [options.cursor] - Where the previous page ended.
+ * @param {number} options.limit - The size of the page.
+ * @returns {Promise<Object|null>} The page of courses, the number of courses of each tag and in all among all the
+ * 	results, and the cursor of the next page, null on the last one; or null if the cursor is invalid.
+ */
+const searchCourses = async ({ q, tags, status, startFrom, startTo, instructor, minRating, sort, cursor, limit }) => {
+	const { key, direction } = SORTS[sort]
+	const after = cursor && _decodeCursor(sort, cursor)
+	if (cursor && !after) {
+		return null
+	}
+
+	const match = { status: { $in: status } }
+	if (q) {
+		match.$text = { $search: q }
+	}
+	if (tags && tags.length) {
+		match.tags = { $all: tags }
+	}
+	if (startFrom || startTo) {
+		match.startDate = {
+			...(startFrom && { $gte: startFrom }),
+			...(startTo && { $lte: startTo })
+		}
+	}
+	if (instructor) {
+		match.managers = { $elemMatch: { managerId: new mongoose.Types.ObjectId(instructor), role: MANAGERROLE_CODES.INSTRUCTOR } }
+	}
+
+	if (minRating !== undefined) {
+		match["rating.score"] = { $gte: minRating }
+	}
+
+	const pipeline = [
+		{ $match: match },
+		{ $addFields: { _sortKey: key } }
+	]
+
+	const comparison = direction === 1 ? "$gt" : "$lt"
+	pipeline.push({
+		$facet: {
+			courses: [
+				...(after ? [{ $match: { $or: [{ _sortKey: { [comparison]: after.key } }, { _sortKey: after.key, _id: { [comparison]: after.id } }] } }] : []),
+				{ $sort: { _sortKey: direction, _id: direction } },
+				{ $limit: limit + 1 },
+				..._resultStages({ _sortKey: 1 })
+			],
+			tags: [
+				{ $unwind: "$tags" },
+				{ $group: { _id: "$tags", count: { $sum: 1 } } },
+				{ $sort: { count: -1, _id: 1 } },
+				{ $limit: TAG_FACET_LIMIT },
+				{ $project: { _id: 0, tag: "$_id", count: 1 } }
+			],
+			total: [{ $count: "count" }]
+		}
+	})
+
+	const [{ courses, tags: tagCounts, total }] = await Course.aggregate(pipeline)
+	const page = courses.slice(0, limit)
+	const nextCursor = courses.length > limit ? _encodeCursor(sort, page[page.length - 1]) : null
+	return {
+		courses: page.map(({ _sortKey, ...course }) => sort === "relevance" ? { ...course, relevance: _sortKey } : course),
+		facets: { tags: tagCounts },
+		total: total.length ? total[0].count : 0,
+		nextCursor
+	}
+}
+
+/**
+ * Finds the published courses trending over the last days: those with the most requests to join, and votes
+ * gained, in that sliding window. A request to join weighs `TRENDING_ENROLLMENT_WEIGHT` votes.
+ *
+ * @param {Object} options
+ * @param {number} options.days - The length of the window, up to now.
+ * @param {number} options.limit - The number of courses to find.
+ * @returns {Promise<Array<Object>>} The courses, the most trending first, each with its requests to join, votes
+ * 	gained and trending score in the window.
+ */
+const getTrendingCourses = ({ days, limit }) => {
+	const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+	return Course.aggregate([
+		{
+			$match: {
+				status: COURSESTATUS_CODES.PUBLISHED,
+				$or: [{ "registrations.requestedAt": { $gte: since } }, { "rating.recentVotes.at": { $gte: since } }]
+			}
+		},
+		{
+			$addFields: {
+				trending: {
+					enrollments: { $size: { $filter: { input: "$registrations", cond: { $gte: ["$$this.requestedAt", since] } } } },
+					votes: {
+						$sum: {
+							$map: {
+								input: { $filter: { input: { $ifNull: ["$rating.recentVotes", []] }, cond: { $gte: ["$$this.at", since] } } },
+								in: "$$this.delta"
+							}
+						}
+					}
+				}
+			}
+		},
+		{ $addFields: { "trending.score": { $add: [{ $multiply: ["$trending.enrollments", TRENDING_ENROLLMENT_WEIGHT] }, "$trending.votes"] } } },
+		{ $match: { "trending.score": { $gt: 0 } } },
+		{ $sort: { "trending.score": -1, "trending.enrollments": -1, _id: 1 } },
+		{ $limit: limit },
+		..._resultStages({ trending: 1 })
+	])
+}
+
+/**
+ * Finds the published courses to recommend to a user, by what they have in common with them: the tags matching
+ * the interests and skills of the user, and the followees of the user and the students of their college who
+ * enrolled, weighed by `RECOMMENDATION_WEIGHTS`. The courses the user registered to or manages are left out;
+ * with nothing in common, the best rated courses come first.
+ *
+ * @param {string} userId - The id of the user.
+ * @param {Object} options
+ * @param {number} options.limit - The number of courses to find.
+ * @returns {Promise<Array<Object>|null>} The courses, the best recommended first, each with why it is, or null if
+ * 	the user was not found.
+ */
+const getRecommendedCourses = async (userId, { limit }) => {
+	const user = await User.findById(userId).select("interests skills college")
+	if (!user) {
+		return null
+	}
+	const keywords = [...new Set([...user.interests, ...user.skills]
+		.map((keyword) => keyword.trim().toLowerCase())
+		.filter(Boolean))]
+
+	const connections = await Connection.find({
+		follower: user._id.toString(),
+		isBlocked: CONNECTIONSTATUS_CODES.ALLOWED,
+		isUnfollowed: CONNECTIONSTATUS_CODES.ALLOWED
+	}).select("following")
+	const followees = connections
+		.map((connection) => connection.following)
+		.filter((id) => mongoose.Types.ObjectId.isValid(id))
+		.map((id) => new mongoose.Types.ObjectId(id))
+	const peers = user.college
+		? (await User.find({ college: user.college, _id: { $ne: user._id } }).select("_id").limit(COLLEGE_PEERS_LIMIT)).map((peer) => peer._id)
+		: []
+
+	// the number of these users enrolled in the course
+	const enrolledAmong = (users) => ({
+		$size: {
+			$filter: {
+				input: "$registrations",
+				cond: { $and: [{ $in: ["$$this.user", users] }, { $in: ["$$this.state", ENROLLED_STATES] }] }
+			}
+		}
+	})
+
+	return Course.aggregate([
+		{ $match: { status: COURSESTATUS_CODES.PUBLISHED, "registrations.user": { $ne: user._id }, "managers.managerId": { $ne: user._id } } },
+		{
+			$addFields: {
+				recommendation: {
+					tags: { $setIntersection: [{ $map: { input: { $ifNull: ["$tags", []] }, in: { $toLower: "$$this" } } }, keywords] },
+					followees: enrolledAmong(followees),
+					collegePeers: enrolledAmong(peers)
+				}
+			}
+		},
+		{
+			$addFields: {
+				"recommendation.score": {
+					$add: [
+						{ $multiply: [{ $size: "$recommendation.tags" }, RECOMMENDATION_WEIGHTS.tag] },
+						{ $multiply: ["$recommendation.followees", RECOMMENDATION_WEIGHTS.followee] },
+						{ $multiply: ["$recommendation.collegePeers", RECOMMENDATION_WEIGHTS.collegePeer] }
+					]
+				}
+			}
+		},
+		{ $sort: { "recommendation.score": -1, "rating.score": -1, _id: 1 } },
+		{ $limit: limit },
+		..._resultStages({ recommendation: 1 })
+	])
+}
+
+module.exports = {
+	PUBLIC_COURSE_STATUSES,
+	searchCourses,
+	getTrendingCourses,
+	getRecommendedCourses
+}
@@ -0,0 +1,235 @@
+require("dotenv").config()
+const crypto = require("crypto")
+
+const { Invite } = require("../db/models/invite/model")
+const { Course, REGISTRATIONSTATUS_CODES } = require("../db/models/course/model")
+const User = require("../db/models/user/model")
+const { USERROLE_CODES } = require("../db/models/user/model")
+const { requestSeat, transitionRegistration, SEATREQUEST_CODES } = require("./course")
+const { hasPrerequisiteOverride, findUnmetPrerequisites, grantPrerequisiteOverride } = require("./prerequisite")
+const logger = require("./logger")
+
+/**
+ * An enumeration of the signup modes, set with the `SIGNUP_MODE` environment variable.
+ * @readonly
+ * @enum {string}
+ */
+const SIGNUPMODE_CODES = {
+	OPEN: "open", // anyone can sign up
+	INVITE: "invite", // an invite code is required
+	DOMAIN: "domain" // the email must belong to a domain allowed for the user's college
+}
+
+/**
+ * An enumeration of the outcomes of checking a signup against the policy.
+ * @readonly
+ * @enum {number}
+ */
+const SIGNUPPOLICY_CODES = {
+	ALLOWED: 1,
+	INVITE_REQUIRED: 0,
+	INVALID_INVITE: 2,
+	DOMAIN_NOT_ALLOWED: 3,
+	DATABASE_ERROR: -1
+}
+
+/**
+ * Reads the signup mode, open unless configured otherwise.
+ *
+ * @returns {string} One of `SIGNUPMODE_CODES`.
+ */
+const getSignupMode = () => {
+	const mode = (process.env.SIGNUP_MODE || SIGNUPMODE_CODES.OPEN).toLowerCase()
+	return Object.values(SIGNUPMODE_CODES).includes(mode) ? mode : SIGNUPMODE_CODES.OPEN
+}
+
+/**
+ * Reads the email domains allowed for each college from the `SIGNUP_DOMAIN_ALLOWLIST` environment
+ * variable, a JSON object such as `{ "IIT Delhi": ["iitd.ac.in"] }`.
+ *
+ * @returns {Object<string, Array<string>>} The allowed domains, keyed by the lowercased college name.
+ */
+const getDomainAllowlist = () => {
+	try {
+		const allowlist = JSON.parse(process.env.SIGNUP_DOMAIN_ALLOWLIST || "{}")
+		return Object.fromEntries(Object.entries(allowlist).map(([college, domains]) =>
+			[college.trim().toLowerCase(), [].concat(domains).map(domain => String(domain).toLowerCase().replace(/^@/, ''))]
+		))
+	} catch (err) {
+		logger.error('Invalid SIGNUP_DOMAIN_ALLOWLIST configuration', err)
+		return {}
+	}
+}
+
+/**
+ * Checks whether an email belongs to one of the domains allowed for a college, subdomains included.
+ *
+ * @param {string} email - The email of the new user.
+ * @param {string} college - The college of the new user.
+ * @returns {boolean} True if the domain is allowed.
+ */
+const isEmailDomainAllowed = (email, college) => {
+	const domains = getDomainAllowlist()[String(college).trim().toLowerCase()] || []
+	const emailDomain = String(email).split('@').pop().toLowerCase()
+	return domains.some(domain => emailDomain === domain || emailDomain.endsWith(`.${domain}`))
+}
+
+/**
+ * Generates a new invite code, e.g. 4F1C-09AB-77D2.
+ *
+ * @returns {string} The code.
+ */
+const generateInviteCode = () => crypto.randomBytes(6).toString('hex').toUpperCase().match(/.{4}/g).join('-')
+
+/**
+ * Checks a signup against the policy. A valid invite code admits the user in every mode, and one
+ * use of it is taken; it must be given back with `releaseInvite` if the signup fails afterwards.
+ *
+ * @param {string} email - The email of the new user.
+ * @param {string} college - The college of the new user.
+ * @param {string} [inviteCode] - The invite code sent with the signup.
+ * @returns {Promise<{status: number, invite?: Object}>} One of `SIGNUPPOLICY_CODES`, along with the
+ * 	redeemed invite if a code was used.
+ */
+const checkSignupPolicy = async (email, college, inviteCode) => {
+	if (inviteCode) {
+		try {
+			// take one use atomically, so that concurrent signups cannot exceed maxUses
+			const invite = await Invite.findOneAndUpdate(
+				{
+					code: inviteCode.toUpperCase(),
+					revokedAt: null,
+					expiresAt: { $gt: new Date() },
+					$expr: { $lt: ["$uses", "$maxUses"] },
+					$or: [{ email: null }, { email }]
+				},
+				{ $inc: { uses: 1 } },
+				{ new: true }
+			)
+			if (!invite) {
+				return { status: SIGNUPPOLICY_CODES.INVALID_INVITE }
+			}
+			return { status: SIGNUPPOLICY_CODES.ALLOWED, invite }
+		} catch (err) {
+			logger.error(err)
+			return { status: SIGNUPPOLICY_CODES.DATABASE_ERROR }
+		}
+	}
+
+	switch (getSignupMode()) {
+		case SIGNUPMODE_CODES.INVITE:
+			return { status: SIGNUPPOLICY_CODES.INVITE_REQUIRED }
+		case SIGNUPMODE_CODES.DOMAIN:
+			if (!isEmailDomainAllowed(email, college)) {
+				return { status: SIGNUPPOLICY_CODES.DOMAIN_NOT_ALLOWED }
+			}
+	}
+	return { status: SIGNUPPOLICY_CODES.ALLOWED }
+}
+
+/**
+ * Gives back the use of an invite taken by `checkSignupPolicy`, when the signup did not go through.
+ *
+ * @param {Object} [invite] - The redeemed invite, nothing is done if undefined.
+ */
+const releaseInvite = async (invite) => {
+	if (!invite) {
+		return
+	}
+	try {
+		await Invite.updateOne({ _id: invite._id, uses: { $gt: 0 } }, { $inc: { uses: -1 } })
+	} catch (err) {
+		logger.error(err)
+	}
+}
+
+/**
+ * Registers a new user to the course of their invite like any student enrolling, on the waitlist if it is
+ * full. A request taking a free seat is then accepted. A new user can hardly meet prerequisites, so the
+ * SUPERADMIN who made the invite is taken to override the ones they do not, as recorded among the
+ * prerequisite overrides of the course.
+ *
+ * @function
+ * @name _enrollInvitee
+ * @param {Object} invite - The redeemed invite, with a course.
+ * @param {string} userId - The id of the new user.
+ * @returns {Promise<void>}
+ */
+const _enrollInvitee = async (invite, userId) => {
+	const course = await Course.findById(invite.course).select("prerequisites prerequisiteOverrides")
+	if (!course) {
+		return
+	}
+	if (!hasPrerequisiteOverride(course, userId) && (await findUnmetPrerequisites(course, userId)).length) {
+		await grantPrerequisiteOverride(invite.course, userId, `Invited with code ${invite.code}.`, invite.createdBy)
+	}
+
+	const { status, course: registered } = await requestSeat(invite.course, userId)
+	if (status === SEATREQUEST_CODES.REQUESTED) {
+		const registration = registered.registrations.find((entry) => entry.user.toString() === String(userId))
+		await transitionRegistration(invite.course, registration._id, REGISTRATIONSTATUS_CODES.ACCEPTED, {
+			reason: `Invited with code ${invite.code}.`
+		})
+	}
+}
+
+/**
+ * Records the new user on the invite and applies what it pre-assigns: a place among the managers of
+ * its course (the user then gets the MANAGER role), or a registration to it, see `_enrollInvitee`.
+ *
+ * @param {Object} invite - The invite redeemed by `checkSignupPolicy`.
+ * @param {Object} userDBObject - The user just created.
+ */
+const applyInvite = async (invite, userDBObject) => {
+	try {
+		await Invite.updateOne({ _id: invite._id }, { $push: { redeemedBy: { user: userDBObject._id } } })
+
+		if (invite.managerRole !== undefined && invite.managerRole !== null) {
+			await User.updateOne({ _id: userDBObject._id }, { $set: { role: USERROLE_CODES.MANAGER } })
+			userDBObject.role = USERROLE_CODES.MANAGER
+			if (invite.course) {
+				await Course.updateOne(
+					{ _id: invite.course, "managers.managerId": { $ne: userDBObject._id } },
+					{ $push: { managers: { managerId: userDBObject._id, role: invite.managerRole } } }
+				)
+			}
+		} else if (invite.course) {
+			await _enrollInvitee(invite, userDBObject._id)
+		}
+	} catch (err) {
+		// the account exists by now, a failed pre-assignment is left to an admin
+		logger.error(`Unable to apply invite ${invite.code} to user ${userDBObject._id}`, err)
+	}
+}
+
+/**
+ * Maps a failed `SIGNUPPOLICY_CODES` status to a http status code and a message for the client.
+ *
+ * @param {number} status - One of `SIGNUPPOLICY_CODES`, other than ALLOWED.
+ * @param {string} college - The college of the new user.
+ * @returns {{httpStatus: number, message: string}} The response to send.
+ */
+const describeSignupPolicyFailure = (status, college) => {
+	switch (status) {
+		case SIGNUPPOLICY_CODES.INVITE_REQUIRED:
+			return { httpStatus: 403, message: "Signup is by invitation only, an invite code is required." }
+		case SIGNUPPOLICY_CODES.INVALID_INVITE:
+			return { httpStatus: 403, message: "Invalid, expired or used up invite code." }
+		case SIGNUPPOLICY_CODES.DOMAIN_NOT_ALLOWED:
+			return { httpStatus: 403, message: `Signup for ${college} requires an email address of the college, or an invite code.` }
+		default:
+			return { httpStatus: 500, message: "Unable to contact the database temporarily" }
+	}
+}
+
+module.exports = {
+	SIGNUPMODE_CODES,
+	SIGNUPPOLICY_CODES,
+	getSignupMode,
+	isEmailDomainAllowed,
+	generateInviteCode,
+	checkSignupPolicy,
+	releaseInvite,
+	applyInvite,
+	describeSignupPolicyFailure
+}
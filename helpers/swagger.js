@@ -23,6 +23,12 @@ const swaggerOptions = {
 					type: 'http',
 					scheme: 'bearer',
 					bearerFormat: 'JWT'
+				},
+				apiKeyAuth: {
+					type: 'apiKey',
+					in: 'header',
+					name: 'X-API-Key',
+					description: 'Personal api key from /apiKeys, limited to its scopes'
 				}
 			}
 		}
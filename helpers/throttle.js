@@ -0,0 +1,128 @@
+const { LoginThrottle, THROTTLEKIND_CODES } = require("../db/models/loginThrottle/model")
+
+// Failures older than this are forgotten, in seconds
+const THROTTLE_WINDOW = 15 * 60
+
+// Policy per kind: failures before delays start, failures before a lockout, lockout length in seconds
+const THROTTLE_POLICY = {
+	[THROTTLEKIND_CODES.ACCOUNT]: { delayAfter: 3, lockAfter: 10, lockDuration: 30 * 60 },
+	[THROTTLEKIND_CODES.IP]: { delayAfter: 10, lockAfter: 50, lockDuration: 15 * 60 },
+	[THROTTLEKIND_CODES.OTP]: { delayAfter: 5, lockAfter: 20, lockDuration: 30 * 60 }
+}
+
+// Prefix of the throttle keys of each kind
+const THROTTLE_PREFIXES = {
+	[THROTTLEKIND_CODES.ACCOUNT]: 'account:',
+	[THROTTLEKIND_CODES.IP]: 'ip:',
+	[THROTTLEKIND_CODES.OTP]: 'otp:'
+}
+
+// Upper bound of the progressive delay between attempts, in seconds
+const MAX_DELAY = 60
+
+/**
+ * Builds the throttle key for a login attempt, or an otp presented.
+ *
+ * @param {number} kind - One of `THROTTLEKIND_CODES`.
+ * @param {string} value - The email or the ip address.
+ * @returns {string} The key of the throttle record.
+ */
+const throttleKey = (kind, value) => THROTTLE_PREFIXES[kind] + String(value).trim().toLowerCase()
+
+/**
+ * Checks whether a login attempt may be made now for the given key.
+ *
+ * @param {number} kind - One of `THROTTLEKIND_CODES`.
+ * @param {string} value - The email or the ip address.
+ * @returns {Promise<{allowed: boolean, locked?: boolean, retryAfter?: number}>} Whether the attempt may
+ * 	proceed, otherwise if the key is locked and how many seconds to wait.
+ */
+const checkThrottle = async (kind, value) => {
+	const throttle = await LoginThrottle.findOne({ key: throttleKey(kind, value) })
+	if (!throttle) {
+		return { allowed: true }
+	}
+
+	const now = Date.now()
+	if (throttle.lockedUntil && throttle.lockedUntil.getTime() > now) {
+		return { allowed: false, locked: true, retryAfter: Math.ceil((throttle.lockedUntil.getTime() - now) / 1000) }
+	}
+
+	// progressive delay, doubling with every failure past the threshold
+	const { delayAfter } = THROTTLE_POLICY[kind]
+	if (throttle.failures >= delayAfter && throttle.lastFailureAt) {
+		const delay = Math.min(2 ** (throttle.failures - delayAfter), MAX_DELAY)
+		const nextAllowedAt = throttle.lastFailureAt.getTime() + delay * 1000
+		if (nextAllowedAt > now) {
+			return { allowed: false, locked: false, retryAfter: Math.ceil((nextAllowedAt - now) / 1000) }
+		}
+	}
+
+	return { allowed: true }
+}
+
+/**
+ * Records a failed login attempt, locking the key once it crosses the lockout threshold.
+ *
+ * @param {number} kind - One of `THROTTLEKIND_CODES`.
+ * @param {string} value - The email or the ip address.
+ * @returns {Promise<boolean>} True if this failure caused a new lockout.
+ */
+const recordFailure = async (kind, value) => {
+	const key = throttleKey(kind, value)
+	const { lockAfter, lockDuration } = THROTTLE_POLICY[kind]
+	const now = new Date()
+	const windowStart = new Date(now.getTime() - THROTTLE_WINDOW * 1000)
+
+	// start counting afresh if the previous failures are stale or their lockout is over
+	await LoginThrottle.updateOne(
+		{ key, $or: [{ lastFailureAt: { $lt: windowStart } }, { lockedUntil: { $lte: now } }] },
+		{ $set: { failures: 0 }, $unset: { lockedUntil: 1 } }
+	)
+
+	const throttle = await LoginThrottle.findOneAndUpdate(
+		{ key },
+		{
+			$inc: { failures: 1 },
+			$set: { kind, lastFailureAt: now, purgeAt: new Date(now.getTime() + THROTTLE_WINDOW * 1000) }
+		},
+		{ upsert: true, new: true }
+	)
+
+	if (throttle.failures < lockAfter) {
+		return false
+	}
+
+	// lock only if not locked already, so that only one failure reports the new lockout
+	const lockedUntil = new Date(now.getTime() + lockDuration * 1000)
+	const lockResult = await LoginThrottle.updateOne(
+		{ key, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+		{ $set: { lockedUntil, purgeAt: new Date(lockedUntil.getTime() + THROTTLE_WINDOW * 1000) } }
+	)
+	return lockResult.modifiedCount === 1
+}
+
+/**
+ * Forgets the failures of a key, after a successful login or an unlock.
+ *
+ * @param {number} kind - One of `THROTTLEKIND_CODES`.
+ * @param {string} value - The email or the ip address.
+ */
+const clearThrottle = async (kind, value) => {
+	await LoginThrottle.deleteOne({ key: throttleKey(kind, value) })
+}
+
+/**
+ * Lists the keys that are locked or being delayed right now.
+ *
+ * @returns {Promise<Array>} The throttle records, most recent failure first.
+ */
+const getActiveThrottles = async () => {
+	const now = new Date()
+	const windowStart = new Date(now.getTime() - THROTTLE_WINDOW * 1000)
+	return LoginThrottle.find({
+		$or: [{ lockedUntil: { $gt: now } }, { lastFailureAt: { $gte: windowStart } }]
+	}).select("-__v").sort({ lastFailureAt: -1 })
+}
+
+module.exports = { checkThrottle, recordFailure, clearThrottle, getActiveThrottles }
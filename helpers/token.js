@@ -0,0 +1,301 @@
+require("dotenv").config()
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const { v4: uuidv4 } = require("uuid")
+
+const User = require("../db/models/user/model")
+const { USERSTATUS_CODES } = require("../db/models/user/model")
+const { RefreshToken } = require("../db/models/refreshToken/model")
+const { Session } = require("../db/models/session/model")
+
+const logger = require("./logger")
+
+// 30 days, used when REFRESH_TOKEN_TIMEOUT is not set in the environment
+const DEFAULT_REFRESH_TOKEN_TIMEOUT = 30 * 24 * 60 * 60
+
+// the last seen time of a session is written at most this often, in seconds
+const SESSION_TOUCH_INTERVAL = 60
+
+// user agent fragments to recognise, most specific first
+const BROWSER_PATTERNS = [
+	[/Edg\//, 'Edge'],
+	[/OPR\/|Opera/, 'Opera'],
+	[/Chrome\//, 'Chrome'],
+	[/Firefox\//, 'Firefox'],
+	[/Safari\//, 'Safari'],
+	[/PostmanRuntime/, 'Postman'],
+	[/curl\//, 'curl']
+]
+const OS_PATTERNS = [
+	[/Android/, 'Android'],
+	[/iPhone|iPad|iPod/, 'iOS'],
+	[/Windows/, 'Windows'],
+	[/Mac OS X|Macintosh/, 'macOS'],
+	[/CrOS/, 'ChromeOS'],
+	[/Linux/, 'Linux']
+]
+
+/**
+ * An enumeration of the outcomes of rotating a refresh token.
+ * @readonly
+ * @enum {number}
+ */
+const TOKENREFRESH_CODES = {
+	SUCCESS: 1,
+	NOT_FOUND: 0, // no such token, or it has expired
+	REUSED: 2, // an already rotated token was presented, the whole family is revoked
+	USER_INACTIVE: 3, // the owner is banned, deleted or not verified
+	DATABASE_ERROR: -1
+}
+
+/**
+ * Hashes a raw refresh token, only the hash is ever stored in the database.
+ *
+ * @param {string} rawToken - The token as handed out to the client.
+ * @returns {string} The hex encoded sha256 of the token.
+ */
+const hashToken = (rawToken) => crypto.createHash('sha256').update(rawToken).digest('hex')
+
+/**
+ * Summarises a user agent string as "<browser> on <os>", for the session list.
+ *
+ * @param {string} userAgent - The User-Agent header of the login request.
+ * @returns {string} A readable device description.
+ */
+const describeDevice = (userAgent) => {
+	if (!userAgent) {
+		return 'Unknown device'
+	}
+	const browser = BROWSER_PATTERNS.find(([pattern]) => pattern.test(userAgent))
+	const os = OS_PATTERNS.find(([pattern]) => pattern.test(userAgent))
+	if (!browser && !os) {
+		return 'Unknown device'
+	}
+	return [browser ? browser[1] : 'Unknown browser', os ? os[1] : null].filter(Boolean).join(' on ')
+}
+
+/**
+ * Signs a short-lived access token for the user.
+ *
+ * @param {Object} userDBObject - The user document the token is issued for.
+ * @param {string} family - The refresh token family (login session) the token belongs to.
+ * @param {Date} loginTime - When the user originally logged in.
+ * @param {boolean} mfa - Whether the login passed a second factor.
+ * @returns {string} The signed JWT.
+ */
+const signAccessToken = (userDBObject, family, loginTime, mfa) => {
+	const tokenPayload = {
+		id: userDBObject._id,
+		firstname: userDBObject.firstname,
+		lastname: userDBObject.lastname,
+		email: userDBObject.email,
+		username: userDBObject.username,
+		loginTime: loginTime.toString(),
+		role: userDBObject.role,
+		sid: family,
+		tv: userDBObject.tokenVersion || 0,
+		mfa: !!mfa
+	}
+	return jwt.sign(tokenPayload, process.env.SECRET_KEY, {
+		expiresIn: Number(process.env.TOKEN_TIMEOUT)
+	})
+}
+
+/**
+ * Creates and stores a new refresh token in the given family.
+ *
+ * @param {string} userId - The id of the owner.
+ * @param {string} family - The family the token belongs to.
+ * @param {Date} loginTime - When the family was started.
+ * @param {boolean} mfa - Whether the login passed a second factor.
+ * @returns {Promise<{rawToken: string, tokenHash: string, expiresAt: Date}>} The token to hand out, its stored hash
+ * 	and its expiry.
+ */
+const createRefreshToken = async (userId, family, loginTime, mfa) => {
+	const rawToken = crypto.randomBytes(48).toString('hex')
+	const tokenHash = hashToken(rawToken)
+	const timeout = Number(process.env.REFRESH_TOKEN_TIMEOUT) || DEFAULT_REFRESH_TOKEN_TIMEOUT
+	const expiresAt = new Date(Date.now() + timeout * 1000)
+
+	await RefreshToken.create({
+		user: userId,
+		family,
+		tokenHash,
+		loginTime,
+		mfa: !!mfa,
+		expiresAt
+	})
+	return { rawToken, tokenHash, expiresAt }
+}
+
+/**
+ * Starts a new login session for the user, recording it in the session registry and issuing
+ * an access token and a refresh token.
+ *
+ * @param {Object} userDBObject - The authenticated user document.
+ * @param {Object} [options]
+ * @param {boolean} [options.mfa] - Whether the login passed a second factor, recorded in the tokens.
+ * @param {string} [options.userAgent] - The User-Agent header of the login request.
+ * @param {string} [options.ip] - The address the login came from.
+ * @returns {Promise<{token: string, refreshToken: string}>} The token pair to return to the client.
+ */
+const issueTokens = async (userDBObject, { mfa = false, userAgent, ip } = {}) => {
+	const family = uuidv4()
+	const loginTime = new Date()
+	const { rawToken, expiresAt } = await createRefreshToken(userDBObject._id, family, loginTime, mfa)
+
+	await Session.create({
+		user: userDBObject._id,
+		family,
+		userAgent: userAgent || '',
+		device: describeDevice(userAgent),
+		ip,
+		lastSeenIp: ip,
+		loginTime,
+		lastSeenAt: loginTime,
+		expiresAt
+	})
+
+	return {
+		token: signAccessToken(userDBObject, family, loginTime, mfa),
+		refreshToken: rawToken
+	}
+}
+
+/**
+ * Exchanges a refresh token for a new token pair. The presented token is revoked, so every
+ * refresh token can be used only once. Presenting a token twice revokes the whole family,
+ * since one of the two parties holding it must be an attacker.
+ *
+ * @param {string} rawToken - The refresh token sent by the client.
+ * @param {string} [ip] - The address the refresh came from, recorded as the session's last seen address.
+ * @returns {Promise<{status: number, token?: string, refreshToken?: string}>} One of `TOKENREFRESH_CODES`,
+ * 	along with the new token pair in case of success.
+ */
+const rotateRefreshToken = async (rawToken, ip) => {
+	const tokenHash = hashToken(rawToken)
+	const now = new Date()
+
+	try {
+		// atomically claim the token, so two concurrent refreshes cannot both succeed
+		const claimed = await RefreshToken.findOneAndUpdate(
+			{ tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+			{ $set: { revokedAt: now } },
+			{ new: true }
+		)
+
+		if (!claimed) {
+			const existing = await RefreshToken.findOne({ tokenHash })
+			if (existing && existing.revokedAt) {
+				await revokeFamily(existing.family)
+				logger.info(`Refresh token reused for user ${existing.user}, family ${existing.family} revoked`)
+				return { status: TOKENREFRESH_CODES.REUSED }
+			}
+			return { status: TOKENREFRESH_CODES.NOT_FOUND }
+		}
+
+		const user = await User.findById(claimed.user)
+		if (!user || user.status !== USERSTATUS_CODES.PERMANENT) {
+			await revokeFamily(claimed.family)
+			return { status: TOKENREFRESH_CODES.USER_INACTIVE }
+		}
+
+		const next = await createRefreshToken(user._id, claimed.family, claimed.loginTime, claimed.mfa)
+		claimed.replacedBy = next.tokenHash
+		await claimed.save()
+
+		// the session lives as long as its newest refresh token
+		await Session.updateOne(
+			{ family: claimed.family },
+			{ $set: { expiresAt: next.expiresAt, lastSeenAt: now, lastSeenIp: ip } }
+		)
+
+		return {
+			status: TOKENREFRESH_CODES.SUCCESS,
+			token: signAccessToken(user, claimed.family, claimed.loginTime, claimed.mfa),
+			refreshToken: next.rawToken
+		}
+	} catch (err) {
+		logger.error(err)
+		return { status: TOKENREFRESH_CODES.DATABASE_ERROR }
+	}
+}
+
+/**
+ * Checks if a login session is still alive, i.e. it was not logged out and has not expired.
+ *
+ * @param {string} family - The refresh token family, the `sid` claim of an access token.
+ * @returns {Promise<boolean>} True if the session is alive.
+ */
+const isSessionActive = async (family) => {
+	if (!family) {
+		return false
+	}
+	const activeSession = await Session.exists({ family, revokedAt: null, expiresAt: { $gt: new Date() } })
+	return !!activeSession
+}
+
+/**
+ * Records activity on a session, writing at most once per `SESSION_TOUCH_INTERVAL`.
+ *
+ * @param {string} family - The refresh token family, the `sid` claim of an access token.
+ * @param {string} ip - The address the request came from.
+ */
+const touchSession = async (family, ip) => {
+	const now = new Date()
+	await Session.updateOne(
+		{ family, lastSeenAt: { $lt: new Date(now.getTime() - SESSION_TOUCH_INTERVAL * 1000) } },
+		{ $set: { lastSeenAt: now, lastSeenIp: ip } }
+	)
+}
+
+/**
+ * Lists the live sessions of a user, most recently active first.
+ *
+ * @param {string} userId - The id of the user.
+ * @returns {Promise<Array>} The session documents.
+ */
+const getActiveSessions = async (userId) =>
+	Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+		.select("-__v -family -userAgent")
+		.sort({ lastSeenAt: -1 })
+
+/**
+ * Revokes every refresh token of a family, ending that login session.
+ *
+ * @param {string} family - The refresh token family to revoke.
+ * @returns {Promise<number>} The number of tokens revoked.
+ */
+const revokeFamily = async (family) => {
+	const now = new Date()
+	await Session.updateOne({ family, revokedAt: null }, { $set: { revokedAt: now } })
+	const result = await RefreshToken.updateMany({ family, revokedAt: null }, { $set: { revokedAt: now } })
+	return result.modifiedCount
+}
+
+/**
+ * Logs a user out of all devices, revoking all refresh tokens and invalidating every access
+ * token issued so far by bumping the user's token version.
+ *
+ * @param {string} userId - The id of the user.
+ * @returns {Promise<number>} The number of refresh tokens revoked.
+ */
+const revokeAllForUser = async (userId) => {
+	const now = new Date()
+	await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } })
+	await Session.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: now } })
+	const result = await RefreshToken.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: now } })
+	return result.modifiedCount
+}
+
+module.exports = {
+	TOKENREFRESH_CODES,
+	hashToken,
+	issueTokens,
+	rotateRefreshToken,
+	isSessionActive,
+	touchSession,
+	getActiveSessions,
+	revokeFamily,
+	revokeAllForUser
+}
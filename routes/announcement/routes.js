@@ -0,0 +1,683 @@
+// External Import
+const express = require('express')
+
+// Helpers
+const { checkJwtOrApiKey, requireScope } = require('../../helpers/jwt')
+const { isCourseManager, canManageRegistrations, loadCourse } = require('../../helpers/course')
+const {
+	deliverAnnouncement,
+	summarizeAnnouncement,
+	noticeProjection,
+	presentNotice
+} = require('../../helpers/announcement')
+const logger = require('../../helpers/logger')
+const { generateResponseMessage } = require('../../helpers/response')
+
+// Database Models
+const { Course } = require("../../db/models/course/model")
+const { Announcement, ANNOUNCEMENTSTATUS_CODES } = require("../../db/models/announcement/model")
+const { USERROLE_CODES } = require("../../db/models/user/model")
+const { APIKEYSCOPE_CODES } = require("../../db/models/apiKey/model")
+const {
+	announcementParamsValidator,
+	announcementIdParamsValidator,
+	createAnnouncementValidator,
+	updateAnnouncementValidator
+} = require('./validators')
+
+// Create an instance of Express Router, mounted under /course/:courseId/announcements
+const router = express.Router({ mergeParams: true })
+
+router.use(checkJwtOrApiKey)
+
+// the user fields shown with announcements
+const USER_FIELDS = "firstname lastname username"
+
+/** Helper function, loads the course of the request, or sends the error response.
+ * @async
+ * @function
+ * @name _loadCourse
+ * @param {Object} req - The request object, with the course id in its params.
+ * @param {Object} res - The response object.
+ * @param {Object} [options]
+ * @param {boolean} [options.posting] - Only let SUPERADMINs and COORDINATOR or INSTRUCTOR managers through,
+ * 	rather than any manager and any user registered to the course.
+ * @param {boolean} [options.writing] - Refuse with a 409 if the course is archived.
+ * @returns {Promise<{course: Object, manager: boolean}|undefined>} The course and whether the user reads its
+ * 	announcements as a manager, or undefined if a response was sent.
+ */
+const _loadCourse = async (req, res, { posting, writing } = {}) => {
+	const isManager = (course) => req.role === USERROLE_CODES.SUPERADMIN || isCourseManager(course, req.id)
+	const course = await loadCourse(req, res, {
+		select: "managers registrations status",
+		allow: (req, course) => posting
+			? canManageRegistrations(course, req.id, req.role)
+			: isManager(course) || course.registrations.some((registration) => registration.user.toString() === String(req.id)),
+		writing
+	})
+	if (!course) {
+		return
+	}
+	return { course, manager: isManager(course) }
+}
+
+/** Helper function, loads the announcement of the request as its managers see it, or sends the error response.
+ * @async
+ * @function
+ * @name _loadAnnouncement
+ * @param {Object} req - The request object, with the announcement id in its params.
+ * @param {Object} res - The response object.
+ * @param {Object} course - The course of the announcement.
+ * @returns {Promise<Object|undefined>} The announcement, or undefined if a response was sent.
+ */
+const _loadAnnouncement = async (req, res, course) => {
+	const announcement = await Announcement.findOne({ _id: req.params.announcementId, course: course._id })
+	if (!announcement) {
+		res.status(404).json(generateResponseMessage("error", "Announcement not found"))
+		return
+	}
+	return announcement
+}
+
+/** Helper function, refuses with a 409 to change an announcement already sent.
+ * @function
+ * @name _refuseIfSent
+ * @param {Object} res - The response object.
+ * @param {Object} announcement - The announcement.
+ * @returns {boolean} True if a response was sent.
+ */
+const _refuseIfSent = (res, announcement) => {
+	if (announcement.status !== ANNOUNCEMENTSTATUS_CODES.SCHEDULED) {
+		res.status(409).json(generateResponseMessage("error", "Announcement was already sent."))
+		return true
+	}
+	return false
+}
+
+/** Helper function, sends an announcement right away if its send time has come.
+ * @async
+ * @function
+ * @name _sendIfDue
+ * @param {Object} announcement - The scheduled announcement.
+ * @returns {Promise<Object>} The announcement, as it is now.
+ */
+const _sendIfDue = async (announcement) => {
+	if (announcement.sendAt > new Date()) {
+		return announcement
+	}
+	return (await deliverAnnouncement(announcement._id)) || Announcement.findById(announcement._id)
+}
+
+/** Route to list the announcements of a course
+ * @swagger
+ * /course/{courseId}/announcements:
+ *   get:
+ *     summary: List the announcements of a course
+ *     tags:
+ *       - announcements
+ *     description: Protected route. Latest first. Managers of the course and SUPERADMINs get every announcement, scheduled ones included, with how many students received and read it and how its emails went. Students get the announcements they received, with when they read them.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         example: 648e0f25888c1f49d7184fb5
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The announcements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       body:
+ *                         type: string
+ *                       author:
+ *                         type: object
+ *                       status:
+ *                         type: integer
+ *                         description: For managers, 0 for SCHEDULED or 1 for SENT
+ *                       sendAt:
+ *                         type: string
+ *                         format: date-time
+ *                       sentAt:
+ *                         type: string
+ *                         format: date-time
+ *                       recipientCount:
+ *                         type: integer
+ *                         description: For managers
+ *                       readCount:
+ *                         type: integer
+ *                         description: For managers
+ *                       emails:
+ *                         type: object
+ *                         description: For managers, how many emails are pending, sent, failed, or were not sent as the student opted out
+ *                       readAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: For students, null while unread
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a student nor a manager of the course
+ *       404:
+ *         description: Course not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = announcementParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _loadCourse(req, res)
+		if (!loaded) {
+			return
+		}
+
+		if (loaded.manager) {
+			const announcements = await Announcement.find({ course: loaded.course._id })
+				.sort({ sendAt: -1 })
+				.populate("author", USER_FIELDS)
+			return res.status(200).json(generateResponseMessage("success", announcements.map(summarizeAnnouncement)))
+		}
+
+		const notices = await Announcement.find({
+			course: loaded.course._id,
+			status: ANNOUNCEMENTSTATUS_CODES.SENT,
+			"recipients.user": req.id
+		})
+			.select(noticeProjection(req.id))
+			.sort({ sentAt: -1 })
+			.populate("author", USER_FIELDS)
+		res.status(200).json(generateResponseMessage("success", notices.map(presentNotice)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to post an announcement
+ * @swagger
+ * /course/{courseId}/announcements:
+ *   post:
+ *     summary: Post an announcement to a course
+ *     tags:
+ *       - announcements
+ *     description: Protected route. Once its send time comes, right away if none is given, the announcement becomes an in-app notice of every accepted student, and is emailed to those who did not turn announcement emails off in their profile. Students accepted afterwards do not receive it. For SUPERADMINs and COORDINATOR or INSTRUCTOR managers of the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 required: true
+ *                 example: Thursday's class moves to room 204
+ *               body:
+ *                 type: string
+ *                 required: true
+ *               sendAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When to send it, right away if missing or past
+ *               sendEmail:
+ *                 type: boolean
+ *                 default: true
+ *                 description: False to post it in-app only
+ *     responses:
+ *       201:
+ *         description: The announcement, sent or scheduled
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not allowed for this role
+ *       404:
+ *         description: Course not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = announcementParamsValidator.validate(req.params)
+	const { error, value } = createAnnouncementValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _loadCourse(req, res, { posting: true, writing: true })
+		if (!loaded) {
+			return
+		}
+
+		const announcement = await Announcement.create({ ...value, course: loaded.course._id, author: req.id })
+		res.status(201).json(generateResponseMessage("success", summarizeAnnouncement(await _sendIfDue(announcement))))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to get an announcement
+ * @swagger
+ * /course/{courseId}/announcements/{announcementId}:
+ *   get:
+ *     summary: Get an announcement
+ *     tags:
+ *       - announcements
+ *     description: Protected route. Managers of the course and SUPERADMINs get it with how many students received and read it; students who received it get it with when they read it, which this does not change, see the read route.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: announcementId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The announcement
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a student nor a manager of the course
+ *       404:
+ *         description: Course or announcement not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/:announcementId', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = announcementIdParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _loadCourse(req, res)
+		if (!loaded) {
+			return
+		}
+
+		if (loaded.manager) {
+			const announcement = await _loadAnnouncement(req, res, loaded.course)
+			if (!announcement) {
+				return
+			}
+			await announcement.populate("author", USER_FIELDS)
+			return res.status(200).json(generateResponseMessage("success", summarizeAnnouncement(announcement)))
+		}
+
+		const notice = await Announcement.findOne({
+			_id: req.params.announcementId,
+			course: loaded.course._id,
+			status: ANNOUNCEMENTSTATUS_CODES.SENT,
+			"recipients.user": req.id
+		})
+			.select(noticeProjection(req.id))
+			.populate("author", USER_FIELDS)
+		if (!notice) {
+			return res.status(404).json(generateResponseMessage("error", "Announcement not found"))
+		}
+		res.status(200).json(generateResponseMessage("success", presentNotice(notice)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to edit a scheduled announcement
+ * @swagger
+ * /course/{courseId}/announcements/{announcementId}:
+ *   put:
+ *     summary: Edit a scheduled announcement
+ *     tags:
+ *       - announcements
+ *     description: Protected route. Changes an announcement before it is sent; moving its send time to the past sends it right away. For SUPERADMINs and COORDINATOR or INSTRUCTOR managers of the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: announcementId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *               sendAt:
+ *                 type: string
+ *                 format: date-time
+ *               sendEmail:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The announcement, sent or scheduled
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not allowed for this role
+ *       404:
+ *         description: Course or announcement not found
+ *       409:
+ *         description: Course is archived, or the announcement was already sent
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.put('/:announcementId', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = announcementIdParamsValidator.validate(req.params)
+	const { error, value } = updateAnnouncementValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _loadCourse(req, res, { posting: true, writing: true })
+		if (!loaded) {
+			return
+		}
+		const announcement = await _loadAnnouncement(req, res, loaded.course)
+		if (!announcement || _refuseIfSent(res, announcement)) {
+			return
+		}
+
+		// only while still scheduled, so that the scheduler cannot send it halfway through the edit
+		const updated = await Announcement.findOneAndUpdate(
+			{ _id: announcement._id, status: ANNOUNCEMENTSTATUS_CODES.SCHEDULED },
+			{ $set: { ...value, updatedAt: new Date() } },
+			{ new: true }
+		)
+		if (!updated) {
+			return res.status(409).json(generateResponseMessage("error", "Announcement was already sent."))
+		}
+		res.status(200).json(generateResponseMessage("success", summarizeAnnouncement(await _sendIfDue(updated))))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to delete an announcement
+ * @swagger
+ * /course/{courseId}/announcements/{announcementId}:
+ *   delete:
+ *     summary: Delete an announcement
+ *     tags:
+ *       - announcements
+ *     description: Protected route. Cancels a scheduled announcement, or takes a sent one off the in-app notices of its students; emails already sent cannot be taken back. For SUPERADMINs and COORDINATOR or INSTRUCTOR managers of the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: announcementId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Announcement deleted
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not allowed for this role
+ *       404:
+ *         description: Course or announcement not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.delete('/:announcementId', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params
+	const { error } = announcementIdParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _loadCourse(req, res, { posting: true, writing: true })
+		if (!loaded) {
+			return
+		}
+
+		const { deletedCount } = await Announcement.deleteOne({ _id: req.params.announcementId, course: loaded.course._id })
+		if (!deletedCount) {
+			return res.status(404).json(generateResponseMessage("error", "Announcement not found"))
+		}
+		res.status(200).json(generateResponseMessage("success", "Announcement deleted successfully"))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to mark an announcement as read
+ * @swagger
+ * /course/{courseId}/announcements/{announcementId}/read:
+ *   post:
+ *     summary: Mark an announcement as read
+ *     tags:
+ *       - announcements
+ *     description: Protected route. Records the read receipt of the current user, the first time only. For the students who received the announcement.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: announcementId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The announcement, with when it was read
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a student nor a manager of the course
+ *       404:
+ *         description: Course or announcement not found, or not received by the user
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/:announcementId/read', requireScope(APIKEYSCOPE_CODES.WRITE_PROFILE), async (req, res) => {
+
+	// validate the request params
+	const { error } = announcementIdParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _loadCourse(req, res)
+		if (!loaded) {
+			return
+		}
+
+		const filter = { _id: req.params.announcementId, course: loaded.course._id, status: ANNOUNCEMENTSTATUS_CODES.SENT }
+		// the first read only, later ones leave the receipt as it is
+		const notice = await Announcement.findOneAndUpdate(
+			{ ...filter, recipients: { $elemMatch: { user: req.id, readAt: null } } },
+			{ $set: { "recipients.$.readAt": new Date() } },
+			{ new: true, projection: noticeProjection(req.id) }
+		) || await Announcement.findOne({ ...filter, "recipients.user": req.id }).select(noticeProjection(req.id))
+		if (!notice) {
+			return res.status(404).json(generateResponseMessage("error", "Announcement not found"))
+		}
+		res.status(200).json(generateResponseMessage("success", presentNotice(notice)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to get the read receipts of an announcement
+ * @swagger
+ * /course/{courseId}/announcements/{announcementId}/receipts:
+ *   get:
+ *     summary: Get who received and read an announcement
+ *     tags:
+ *       - announcements
+ *     description: Protected route. Every student the announcement was sent to, with when they read it and how its email went. For managers of the course and SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: announcementId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The announcement and its recipients
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     announcement:
+ *                       type: object
+ *                     recipients:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           user:
+ *                             type: object
+ *                           email:
+ *                             type: integer
+ *                             description: 0 for NONE, 1 for PENDING, 2 for SENT, 3 for FAILED or 4 for OPTED_OUT
+ *                           readAt:
+ *                             type: string
+ *                             format: date-time
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course
+ *       404:
+ *         description: Course or announcement not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/:announcementId/receipts', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = announcementIdParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _loadCourse(req, res)
+		if (!loaded) {
+			return
+		}
+		if (!loaded.manager) {
+			return res.status(403).json(generateResponseMessage("error", "Not allowed for this role."))
+		}
+		const announcement = await _loadAnnouncement(req, res, loaded.course)
+		if (!announcement) {
+			return
+		}
+
+		await announcement.populate("recipients.user", USER_FIELDS)
+		res.status(200).json(generateResponseMessage("success", {
+			announcement: summarizeAnnouncement(announcement),
+			recipients: announcement.recipients
+		}))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+module.exports = router
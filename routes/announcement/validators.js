@@ -0,0 +1,77 @@
+const Joi = require('joi')
+
+// Define the schema for a mongo id
+const idSchema = Joi.string()
+	.length(24)
+	.hex()
+	.messages({
+		'string.base': 'ID should be a string.',
+		'string.length': 'ID should be exactly 24 characters long.',
+		'string.hex': 'ID should contain only hexadecimal characters.',
+		'any.required': 'ID is required.'
+	})
+
+const titleSchema = Joi.string()
+	.trim()
+	.min(3)
+	.max(200)
+	.messages({
+		'string.base': 'Title should be a string.',
+		'string.empty': 'Title cannot be empty.',
+		'string.min': 'Title should have a minimum length of 3 characters.',
+		'string.max': 'Title should have a maximum length of 200 characters.',
+		'any.required': 'Title is required.'
+	})
+
+const bodySchema = Joi.string()
+	.trim()
+	.min(1)
+	.max(10000)
+	.messages({
+		'string.base': 'Body should be a string.',
+		'string.empty': 'Body cannot be empty.',
+		'string.max': 'Body should have a maximum length of 10000 characters.',
+		'any.required': 'Body is required.'
+	})
+
+// when to send the announcement, a time already past sends it right away
+const sendAtSchema = Joi.date()
+	.iso()
+	.messages({
+		'date.base': 'Send time should be a date.',
+		'date.format': 'Send time should be an ISO 8601 date.'
+	})
+
+const sendEmailSchema = Joi.boolean().messages({
+	'boolean.base': 'Send email should be true or false.'
+})
+
+const announcementParamsValidator = Joi.object({
+	courseId: idSchema.required()
+})
+
+const announcementIdParamsValidator = Joi.object({
+	courseId: idSchema.required(),
+	announcementId: idSchema.required()
+})
+
+const createAnnouncementValidator = Joi.object({
+	title: titleSchema.required(),
+	body: bodySchema.required(),
+	sendAt: sendAtSchema,
+	sendEmail: sendEmailSchema.default(true)
+})
+
+const updateAnnouncementValidator = Joi.object({
+	title: titleSchema,
+	body: bodySchema,
+	sendAt: sendAtSchema,
+	sendEmail: sendEmailSchema
+}).min(1)
+
+module.exports = {
+	announcementParamsValidator,
+	announcementIdParamsValidator,
+	createAnnouncementValidator,
+	updateAnnouncementValidator
+}
@@ -0,0 +1,324 @@
+// External Import
+const express = require('express')
+
+// Helpers
+const { checkJwt } = require('../../helpers/jwt')
+const { generateApiKey } = require('../../helpers/apiKey')
+const logger = require('../../helpers/logger')
+const { generateResponseMessage } = require('../../helpers/response')
+
+// Database Models
+const User = require('../../db/models/user/model')
+const { USERSTATUS_CODES, USERROLE_CODES } = require("../../db/models/user/model")
+const { ApiKey } = require("../../db/models/apiKey/model")
+const { createApiKeyValidator, listApiKeysValidator, apiKeyIdValidator } = require('./validators')
+
+// maximum number of live keys per user
+const MAX_API_KEYS_PER_USER = 10
+
+// Create an instance of Express Router
+const router = express.Router()
+
+// keys are managed with a login only, a key cannot mint or rotate keys
+router.use(checkJwt)
+
+/** Helper function, finds a live api key the current user may manage: their own, or any for a SUPERADMIN.
+ * @async
+ * @function
+ * @name _findManageableKey
+ * @param {Object} req - The request object, with the key id in its params.
+ * @returns {Promise<Object|null>} The api key, or null if there is none the user may manage.
+ */
+const _findManageableKey = async (req) => {
+	const filter = { _id: req.params.id, revokedAt: null }
+	if (req.role !== USERROLE_CODES.SUPERADMIN) {
+		filter.user = req.id
+	}
+	return ApiKey.findOne(filter)
+}
+
+/** Helper function, the fields of an api key that can be shown, never its hash.
+ * @function
+ * @name _describeKey
+ * @param {Object} apiKeyDBObject - The api key.
+ * @returns {Object} The displayable fields.
+ */
+const _describeKey = (apiKeyDBObject) => {
+	const { _id, user, name, prefix, scopes, createdAt, rotatedAt, lastUsedAt, expiresAt } = apiKeyDBObject
+	return { _id, user, name, prefix, scopes, createdAt, rotatedAt, lastUsedAt, expiresAt }
+}
+
+/** Route to create an api key
+ * @swagger
+ * /apiKeys:
+ *   post:
+ *     summary: Create an api key
+ *     tags:
+ *       - apiKeys
+ *     description: Protected route. Creates a key for integrations and scripts, sent in the X-API-Key header. It acts as its user on /course and /user routes, limited to its scopes. The key is returned only once. SUPERADMINs can create keys for other users, e.g. service accounts, with userId.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 required: true
+ *                 example: enrollment sync
+ *               scopes:
+ *                 type: array
+ *                 required: true
+ *                 items:
+ *                   type: string
+ *                   enum: [read:courses, write:materials, manage:enrollments, write:grades, write:coursework, write:forum, read:profile, write:profile]
+ *                 example: [read:courses, manage:enrollments]
+ *               expiresInDays:
+ *                 type: integer
+ *                 description: the key never expires if unset
+ *                 example: 90
+ *               userId:
+ *                 type: string
+ *                 description: SUPERADMIN only, the user the key acts as
+ *     responses:
+ *       201:
+ *         description: Key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       description: the api key, shown only this once
+ *                       example: ak_3f9c0e...
+ *                     apiKey:
+ *                       type: object
+ *       400:
+ *         description: Invalid request body parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: userId given by a user who is not a SUPERADMIN
+ *       404:
+ *         description: User not found or not active
+ *       409:
+ *         description: The user already has the maximum number of keys
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/', async (req, res) => {
+
+	// validate the request body
+	const { error, value } = createApiKeyValidator.validate(req.body)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	const { name, scopes, expiresInDays, userId } = value
+	if (userId && userId !== req.id && req.role !== USERROLE_CODES.SUPERADMIN) {
+		return res.status(403).json(generateResponseMessage("error", "Not allowed for this role."))
+	}
+	const owner = userId || req.id
+
+	try {
+		const user = await User.findById(owner).select("status")
+		if (!user || user.status !== USERSTATUS_CODES.PERMANENT) {
+			return res.status(404).json(generateResponseMessage("error", "User not found"))
+		}
+
+		const liveKeys = await ApiKey.countDocuments({ user: owner, revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] })
+		if (liveKeys >= MAX_API_KEYS_PER_USER) {
+			return res.status(409).json(generateResponseMessage("error", `A user can have at most ${MAX_API_KEYS_PER_USER} api keys, revoke one first.`))
+		}
+
+		const { key, prefix, keyHash } = generateApiKey()
+		const apiKey = await ApiKey.create({
+			user: owner,
+			createdBy: req.id,
+			name,
+			prefix,
+			keyHash,
+			scopes,
+			expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+		})
+
+		res.status(201).json(generateResponseMessage("success", { key, apiKey: _describeKey(apiKey) }))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to list api keys
+ * @swagger
+ * /apiKeys:
+ *   get:
+ *     summary: List api keys
+ *     tags:
+ *       - apiKeys
+ *     description: Protected route. Lists the live keys of the current user, or for SUPERADMINs of the user given by userId. Keys themselves are never shown again, only their prefix.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: userId
+ *         in: query
+ *         description: SUPERADMIN only, the user whose keys to list
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The keys, newest first
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: userId given by a user who is not a SUPERADMIN
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/', async (req, res) => {
+
+	// validate the request query
+	const { error } = listApiKeysValidator.validate(req.query)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	const { userId } = req.query
+	if (userId && userId !== req.id && req.role !== USERROLE_CODES.SUPERADMIN) {
+		return res.status(403).json(generateResponseMessage("error", "Not allowed for this role."))
+	}
+
+	try {
+		const apiKeys = await ApiKey.find({
+			user: userId || req.id,
+			revokedAt: null,
+			$or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+		}).sort({ createdAt: -1 })
+
+		res.status(200).json(generateResponseMessage("success", apiKeys.map(_describeKey)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to rotate an api key
+ * @swagger
+ * /apiKeys/{id}/rotate:
+ *   post:
+ *     summary: Rotate an api key
+ *     tags:
+ *       - apiKeys
+ *     description: Protected route. Replaces the key with a new one, keeping its name, scopes and expiry. The old key stops working immediately. Allowed for the owner of the key and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: id of the key
+ *         required: true
+ *         example: 648e0f25888c1f49d7184fb5
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Key rotated, the new key is returned only this once
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       404:
+ *         description: No live key with this id the user may manage
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/:id/rotate', async (req, res) => {
+
+	// validate the request params
+	const { error } = apiKeyIdValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const apiKey = await _findManageableKey(req)
+		if (!apiKey) {
+			return res.status(404).json(generateResponseMessage("error", "Api key not found"))
+		}
+
+		const { key, prefix, keyHash } = generateApiKey()
+		apiKey.prefix = prefix
+		apiKey.keyHash = keyHash
+		apiKey.rotatedAt = new Date()
+		await apiKey.save()
+
+		res.status(200).json(generateResponseMessage("success", { key, apiKey: _describeKey(apiKey) }))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to revoke an api key
+ * @swagger
+ * /apiKeys/{id}:
+ *   delete:
+ *     summary: Revoke an api key
+ *     tags:
+ *       - apiKeys
+ *     description: Protected route. The key stops working immediately. Allowed for the owner of the key and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         description: id of the key
+ *         required: true
+ *         example: 648e0f25888c1f49d7184fb5
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       404:
+ *         description: No live key with this id the user may manage
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.delete('/:id', async (req, res) => {
+
+	// validate the request params
+	const { error } = apiKeyIdValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const apiKey = await _findManageableKey(req)
+		if (!apiKey) {
+			return res.status(404).json(generateResponseMessage("error", "Api key not found"))
+		}
+
+		apiKey.revokedAt = new Date()
+		await apiKey.save()
+
+		res.status(200).json(generateResponseMessage("success", "Api key revoked successfully"))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+module.exports = router
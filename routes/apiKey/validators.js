@@ -0,0 +1,57 @@
+const Joi = require('joi')
+
+const { APIKEYSCOPE_CODES } = require('../../db/models/apiKey/model')
+
+// Define the schema for a mongo id
+const idSchema = Joi.string()
+	.length(24)
+	.hex()
+	.messages({
+		'string.base': 'ID should be a string.',
+		'string.length': 'ID should be exactly 24 characters long.',
+		'string.hex': 'ID should contain only hexadecimal characters.',
+		'any.required': 'ID is required.'
+	})
+
+const createApiKeyValidator = Joi.object({
+	name: Joi.string()
+		.trim()
+		.min(3)
+		.max(50)
+		.required()
+		.messages({
+			'string.base': 'Name should be a string.',
+			'string.empty': 'Name cannot be empty.',
+			'string.min': 'Name should have a minimum length of 3 characters.',
+			'string.max': 'Name should have a maximum length of 50 characters.',
+			'any.required': 'Name is required.'
+		}),
+	scopes: Joi.array()
+		.items(Joi.string().valid(...Object.values(APIKEYSCOPE_CODES)))
+		.min(1)
+		.unique()
+		.required()
+		.messages({
+			'any.only': `Scopes should be among ${Object.values(APIKEYSCOPE_CODES).join(', ')}.`,
+			'array.min': 'At least one scope is required.',
+			'array.unique': 'Scopes should not repeat.',
+			'any.required': 'Scopes are required.'
+		}),
+	expiresInDays: Joi.number().integer().min(1).max(365),
+	userId: idSchema
+})
+
+const listApiKeysValidator = Joi.object({
+	userId: idSchema
+})
+
+const apiKeyIdValidator = Joi.object({
+	id: idSchema.required()
+})
+
+// Export the schemas
+module.exports = {
+	createApiKeyValidator,
+	listApiKeysValidator,
+	apiKeyIdValidator
+}
@@ -0,0 +1,1000 @@
+// External Import
+const express = require('express')
+
+// Helpers
+const { checkJwtOrApiKey, requireScope } = require('../../helpers/jwt')
+const { isCourseManager, canManageContent, canAssess, loadCourse } = require('../../helpers/course')
+const { createUpload, handleUploadErrors, removeUploadedFiles } = require('../../helpers/fileStorage')
+const {
+	SUBMISSION_UPLOAD_PATH,
+	SUBMISSIONSTATUS_CODES,
+	applyPenalty,
+	recomputeLateness,
+	submitAssignment,
+	getMissingSubmissions,
+	streamSubmissionsZip,
+	describeSubmissionFailure
+} = require('../../helpers/assignment')
+const logger = require('../../helpers/logger')
+const { generateResponseMessage } = require('../../helpers/response')
+
+// Database Models
+const { Course, REGISTRATIONSTATUS_CODES } = require("../../db/models/course/model")
+const { Assignment, Submission } = require("../../db/models/assignment/model")
+const { USERROLE_CODES } = require("../../db/models/user/model")
+const { APIKEYSCOPE_CODES } = require("../../db/models/apiKey/model")
+const {
+	assignmentParamsValidator,
+	assignmentIdParamsValidator,
+	submissionParamsValidator,
+	submissionFileParamsValidator,
+	createAssignmentValidator,
+	updateAssignmentValidator,
+	submitAssignmentValidator,
+	gradeSubmissionValidator
+} = require('./validators')
+
+// limits of a submission
+const MAX_SUBMISSION_FILES = 5
+const MAX_SUBMISSION_FILE_SIZE = 20 * 1024 * 1024 // 20 MB
+
+const upload = createUpload({
+	destination: SUBMISSION_UPLOAD_PATH,
+	maxFileSize: MAX_SUBMISSION_FILE_SIZE,
+	maxFiles: MAX_SUBMISSION_FILES
+})
+
+// the fields of the students listed to managers
+const STUDENT_FIELDS = "firstname lastname username email"
+
+// Create an instance of Express Router, mounted under /course/:courseId/assignments
+const router = express.Router({ mergeParams: true })
+
+router.use(checkJwtOrApiKey)
+
+/** Helper function, checks whether the current user is a manager of the course or a SUPERADMIN, who may see all the work.
+ * @function
+ * @name _isManager
+ * @param {Object} req - The request object.
+ * @param {Object} course - The course document, with its managers.
+ * @returns {boolean} True if the user may see the work of every student.
+ */
+const _isManager = (req, course) => req.role === USERROLE_CODES.SUPERADMIN || isCourseManager(course, req.id)
+
+/** Helper function, checks whether the current user is an accepted or completed student of the course.
+ * @function
+ * @name _isStudent
+ * @param {Object} req - The request object.
+ * @param {Object} course - The course document, with its registrations.
+ * @returns {boolean} True if the user may see the assignments.
+ */
+const _isStudent = (req, course) => course.registrations.some((registration) =>
+	registration.user.toString() === String(req.id) &&
+	[REGISTRATIONSTATUS_CODES.ACCEPTED, REGISTRATIONSTATUS_CODES.COMPLETED].includes(registration.state)
+)
+
+/** Helper function, loads the course and maybe the assignment of the request, or sends the error response.
+ * @async
+ * @function
+ * @name _load
+ * @param {Object} req - The request object, with the course and maybe the assignment id in its params.
+ * @param {Object} res - The response object.
+ * @param {Object} [options]
+ * @param {Function} [options.allow] - Whether the user may go on, given the request and course; 403 if not.
+ * @param {boolean} [options.writing] - Refuse with a 409 if the course is archived.
+ * @returns {Promise<{course: Object, assignment?: Object}|undefined>} The documents, or undefined if a response was sent.
+ */
+const _load = async (req, res, { allow = () => true, writing } = {}) => {
+	const course = await loadCourse(req, res, { select: "managers registrations status", allow, writing })
+	if (!course) {
+		return
+	}
+
+	if (!req.params.assignmentId) {
+		return { course }
+	}
+	const assignment = await Assignment.findOne({ _id: req.params.assignmentId, course: course._id })
+	if (!assignment) {
+		res.status(404).json(generateResponseMessage("error", "Assignment not found"))
+		return
+	}
+	return { course, assignment }
+}
+
+/** Route to create an assignment
+ * @swagger
+ * /course/{courseId}/assignments:
+ *   post:
+ *     summary: Create an assignment
+ *     tags:
+ *       - assignment
+ *     description: Protected route. Sets work for the students of the course, with a due date, a max score and a late policy. By default late work is refused; with acceptLate, penaltyPerDay percent of the score is taken for each started day late, up to maxDaysLate days. Allowed for COORDINATOR, INSTRUCTOR and TA managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 required: true
+ *                 example: Implement a binary search tree
+ *               instructions:
+ *                 type: string
+ *               dueAt:
+ *                 type: string
+ *                 format: date-time
+ *                 required: true
+ *               maxScore:
+ *                 type: number
+ *                 required: true
+ *                 example: 100
+ *               latePolicy:
+ *                 type: object
+ *                 properties:
+ *                   acceptLate:
+ *                     type: boolean
+ *                     example: true
+ *                   penaltyPerDay:
+ *                     type: number
+ *                     example: 10
+ *                   maxDaysLate:
+ *                     type: integer
+ *                     example: 3
+ *               allowFiles:
+ *                 type: boolean
+ *                 example: true
+ *               allowLinks:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       201:
+ *         description: The new assignment
+ *       400:
+ *         description: Invalid request body parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to set work
+ *       404:
+ *         description: Course not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = assignmentParamsValidator.validate(req.params)
+	const { error, value } = createAssignmentValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: (req, course) => canManageContent(course, req.id, req.role), writing: true })
+		if (!loaded) {
+			return
+		}
+
+		const assignment = await Assignment.create({ ...value, course: loaded.course._id, createdBy: req.id })
+		res.status(201).json(generateResponseMessage("success", assignment))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to list the assignments of a course
+ * @swagger
+ * /course/{courseId}/assignments:
+ *   get:
+ *     summary: List the assignments of a course
+ *     tags:
+ *       - assignment
+ *     description: Protected route. Lists the assignments, soonest due first. Students also get their own submission for each, if any. For accepted and completed students and managers of the course, and SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The assignments
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Neither a student nor a manager of the course
+ *       404:
+ *         description: Course not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = assignmentParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: (req, course) => _isManager(req, course) || _isStudent(req, course) })
+		if (!loaded) {
+			return
+		}
+
+		const assignments = await Assignment.find({ course: loaded.course._id }).sort({ dueAt: 1 }).lean()
+		if (!_isManager(req, loaded.course)) {
+			const submissions = await Submission.find({ course: loaded.course._id, user: req.id })
+				.select("assignment submittedAt daysLate penalty finalScore gradedAt")
+			const byAssignment = new Map(submissions.map((submission) => [submission.assignment.toString(), submission]))
+			assignments.forEach((assignment) => {
+				assignment.submission = byAssignment.get(assignment._id.toString()) || null
+			})
+		}
+
+		res.status(200).json(generateResponseMessage("success", assignments))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to get an assignment
+ * @swagger
+ * /course/{courseId}/assignments/{assignmentId}:
+ *   get:
+ *     summary: Get an assignment
+ *     tags:
+ *       - assignment
+ *     description: Protected route. For accepted and completed students and managers of the course, and SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: assignmentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The assignment
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Neither a student nor a manager of the course
+ *       404:
+ *         description: Course or assignment not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/:assignmentId', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = assignmentIdParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: (req, course) => _isManager(req, course) || _isStudent(req, course) })
+		if (!loaded) {
+			return
+		}
+		res.status(200).json(generateResponseMessage("success", loaded.assignment))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to update an assignment
+ * @swagger
+ * /course/{courseId}/assignments/{assignmentId}:
+ *   put:
+ *     summary: Update an assignment
+ *     tags:
+ *       - assignment
+ *     description: Protected route. Changing the due date or the late policy works out again how late the submissions already made are, and the final scores of the graded ones; submissions the new policy would refuse are kept. Allowed for COORDINATOR, INSTRUCTOR and TA managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: assignmentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               instructions:
+ *                 type: string
+ *               dueAt:
+ *                 type: string
+ *                 format: date-time
+ *               maxScore:
+ *                 type: number
+ *               latePolicy:
+ *                 type: object
+ *               allowFiles:
+ *                 type: boolean
+ *               allowLinks:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The updated assignment
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to set work
+ *       404:
+ *         description: Course or assignment not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.put('/:assignmentId', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = assignmentIdParamsValidator.validate(req.params)
+	const { error, value } = updateAssignmentValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: (req, course) => canManageContent(course, req.id, req.role), writing: true })
+		if (!loaded) {
+			return
+		}
+
+		const { assignment } = loaded
+		const { latePolicy, ...fields } = value
+		assignment.set(fields)
+		if (latePolicy) {
+			assignment.set({ latePolicy: { ...assignment.latePolicy.toObject(), ...latePolicy } })
+			if (latePolicy.maxDaysLate === null) {
+				assignment.latePolicy.maxDaysLate = undefined
+			}
+		}
+		assignment.updatedAt = new Date()
+		await assignment.save()
+
+		// the earlier submissions are late, and penalized, by the new deadline
+		if (fields.dueAt || latePolicy) {
+			await recomputeLateness(assignment)
+		}
+
+		res.status(200).json(generateResponseMessage("success", assignment))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to delete an assignment
+ * @swagger
+ * /course/{courseId}/assignments/{assignmentId}:
+ *   delete:
+ *     summary: Delete an assignment
+ *     tags:
+ *       - assignment
+ *     description: Protected route. Deletes the assignment with all its submissions and their files. Allowed for COORDINATOR, INSTRUCTOR and TA managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: assignmentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Assignment deleted
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to set work
+ *       404:
+ *         description: Course or assignment not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.delete('/:assignmentId', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params
+	const { error } = assignmentIdParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: (req, course) => canManageContent(course, req.id, req.role), writing: true })
+		if (!loaded) {
+			return
+		}
+
+		const submissions = await Submission.find({ assignment: loaded.assignment._id }).select("files")
+		await Submission.deleteMany({ assignment: loaded.assignment._id })
+		await loaded.assignment.deleteOne()
+		submissions.forEach((submission) => removeUploadedFiles(submission.files))
+
+		res.status(200).json(generateResponseMessage("success", "Assignment deleted successfully"))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to submit work for an assignment
+ * @swagger
+ * /course/{courseId}/assignments/{assignmentId}/submissions:
+ *   post:
+ *     summary: Submit work for an assignment
+ *     tags:
+ *       - assignment
+ *     description: Protected route. Submits files and/or links, replacing any earlier submission and its grade. Work after the due date is refused unless the late policy accepts it, in which case the penalty is recorded. For accepted students of the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: assignmentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 description: up to 5 files of 20 MB each
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               links:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [https://github.com/someone/bst]
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The submission, with its days late and penalty
+ *       400:
+ *         description: Invalid request parameters, too many or too large files, or files or links the assignment does not take
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not an accepted student of the course
+ *       404:
+ *         description: Course or assignment not found
+ *       409:
+ *         description: Course is archived, or the deadline has passed
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/:assignmentId/submissions', requireScope(APIKEYSCOPE_CODES.WRITE_COURSEWORK), async (req, res, next) => {
+
+	// validate the request params, and that the user may submit before taking their files
+	const { error } = assignmentIdParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const isAcceptedStudent = (req, course) => course.registrations.some((registration) =>
+			registration.user.toString() === String(req.id) && registration.state === REGISTRATIONSTATUS_CODES.ACCEPTED
+		)
+		const loaded = await _load(req, res, { allow: isAcceptedStudent, writing: true })
+		if (!loaded) {
+			return
+		}
+		req.loaded = loaded
+		next()
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+}, handleUploadErrors(upload.array("files", MAX_SUBMISSION_FILES)), async (req, res) => {
+
+	// validate the request body
+	const { error, value } = submitAssignmentValidator.validate(req.body)
+	if (error) {
+		removeUploadedFiles(req.files)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+	}
+
+	try {
+		const { course, assignment } = req.loaded
+		const { status, submission } = await submitAssignment(course, assignment, req.id, { files: req.files, ...value })
+		if (status !== SUBMISSIONSTATUS_CODES.SUCCESS) {
+			const { httpStatus, message } = describeSubmissionFailure(status)
+			return res.status(httpStatus).json(generateResponseMessage("error", message))
+		}
+
+		res.status(201).json(generateResponseMessage("success", submission))
+	} catch (err) {
+		removeUploadedFiles(req.files)
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to get the own submission of the current user
+ * @swagger
+ * /course/{courseId}/assignments/{assignmentId}/submissions/mine:
+ *   get:
+ *     summary: Get my submission for an assignment
+ *     tags:
+ *       - assignment
+ *     description: Protected route. The submission of the current user, with its grade once graded.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: assignmentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The submission
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       404:
+ *         description: Course or assignment not found, or nothing submitted yet
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/:assignmentId/submissions/mine', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = assignmentIdParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res)
+		if (!loaded) {
+			return
+		}
+
+		const submission = await Submission.findOne({ assignment: loaded.assignment._id, user: req.id })
+		if (!submission) {
+			return res.status(404).json(generateResponseMessage("error", "Nothing submitted yet"))
+		}
+		res.status(200).json(generateResponseMessage("success", submission))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to list the submissions of an assignment
+ * @swagger
+ * /course/{courseId}/assignments/{assignmentId}/submissions:
+ *   get:
+ *     summary: List the submissions of an assignment
+ *     tags:
+ *       - assignment
+ *     description: Protected route. Lists the submissions with their students, latest first. For managers of the course, whatever their role, and SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: assignmentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The submissions
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course
+ *       404:
+ *         description: Course or assignment not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/:assignmentId/submissions', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = assignmentIdParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: _isManager })
+		if (!loaded) {
+			return
+		}
+
+		const submissions = await Submission.find({ assignment: loaded.assignment._id })
+			.sort({ submittedAt: -1 })
+			.populate("user", STUDENT_FIELDS)
+		res.status(200).json(generateResponseMessage("success", submissions))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to list who has not submitted
+ * @swagger
+ * /course/{courseId}/assignments/{assignmentId}/submissions/missing:
+ *   get:
+ *     summary: List the students who have not submitted
+ *     tags:
+ *       - assignment
+ *     description: Protected route. Lists the accepted students of the course with no submission for the assignment. For managers of the course, whatever their role, and SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: assignmentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The students, and whether the deadline has passed
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course
+ *       404:
+ *         description: Course or assignment not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/:assignmentId/submissions/missing', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = assignmentIdParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: _isManager })
+		if (!loaded) {
+			return
+		}
+
+		await loaded.course.populate("registrations.user", STUDENT_FIELDS)
+		const missing = await getMissingSubmissions(loaded.course, loaded.assignment)
+		res.status(200).json(generateResponseMessage("success", {
+			overdue: new Date() > loaded.assignment.dueAt,
+			students: missing.map((registration) => registration.user)
+		}))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to download all the submissions as a zip
+ * @swagger
+ * /course/{courseId}/assignments/{assignmentId}/submissions/download:
+ *   get:
+ *     summary: Download the submissions as a zip
+ *     tags:
+ *       - assignment
+ *     description: Protected route. A zip with a folder per student, holding their files and a submission.txt with their links and comment. For managers of the course, whatever their role, and SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: assignmentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The zip
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course
+ *       404:
+ *         description: Course or assignment not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/:assignmentId/submissions/download', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = assignmentIdParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: _isManager })
+		if (!loaded) {
+			return
+		}
+
+		const submissions = await Submission.find({ assignment: loaded.assignment._id }).populate("user", "username")
+		res.attachment(`assignment-${loaded.assignment._id}-submissions.zip`)
+		res.type("application/zip")
+		await streamSubmissionsZip(submissions, res)
+	} catch (err) {
+		logger.error(err)
+		if (res.headersSent) {
+			return res.end()
+		}
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to download one submitted file
+ * @swagger
+ * /course/{courseId}/assignments/{assignmentId}/submissions/{submissionId}/files/{fileId}:
+ *   get:
+ *     summary: Download a submitted file
+ *     tags:
+ *       - assignment
+ *     description: Protected route. For the student who submitted it, the managers of the course, whatever their role, and SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: assignmentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: submissionId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: fileId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The file
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       404:
+ *         description: Course, assignment, submission or file not found, or not visible to the user
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/:assignmentId/submissions/:submissionId/files/:fileId', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = submissionFileParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res)
+		if (!loaded) {
+			return
+		}
+
+		const filter = { _id: req.params.submissionId, assignment: loaded.assignment._id }
+		if (!_isManager(req, loaded.course)) {
+			filter.user = req.id
+		}
+		const submission = await Submission.findOne(filter).select("files")
+		const file = submission && submission.files.id(req.params.fileId)
+		if (!file) {
+			return res.status(404).json(generateResponseMessage("error", "File not found"))
+		}
+
+		res.download(file.path, file.originalName, (err) => {
+			if (err) {
+				logger.error(err)
+				if (!res.headersSent) {
+					res.status(404).json(generateResponseMessage("error", "File not found"))
+				}
+			}
+		})
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to grade a submission
+ * @swagger
+ * /course/{courseId}/assignments/{assignmentId}/submissions/{submissionId}/grade:
+ *   post:
+ *     summary: Grade a submission
+ *     tags:
+ *       - assignment
+ *     description: Protected route. Records the score, at most the max score of the assignment, and feedback. The final score has the late penalty of the submission taken off. Allowed for ASSESSOR, COORDINATOR, INSTRUCTOR and TA managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: assignmentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: submissionId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               score:
+ *                 type: number
+ *                 required: true
+ *                 example: 85
+ *               feedback:
+ *                 type: string
+ *                 example: Correct, but the deletion is not balanced.
+ *     responses:
+ *       200:
+ *         description: The graded submission
+ *       400:
+ *         description: Invalid request parameters, or a score above the max score
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to grade
+ *       404:
+ *         description: Course, assignment or submission not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/:assignmentId/submissions/:submissionId/grade', requireScope(APIKEYSCOPE_CODES.WRITE_GRADES), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = submissionParamsValidator.validate(req.params)
+	const { error, value } = gradeSubmissionValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: (req, course) => canAssess(course, req.id, req.role), writing: true })
+		if (!loaded) {
+			return
+		}
+		if (value.score > loaded.assignment.maxScore) {
+			return res.status(400).json(generateResponseMessage("error", `Score cannot be above the max score of ${loaded.assignment.maxScore}.`))
+		}
+
+		const submission = await Submission.findOne({ _id: req.params.submissionId, assignment: loaded.assignment._id })
+		if (!submission) {
+			return res.status(404).json(generateResponseMessage("error", "Submission not found"))
+		}
+
+		submission.score = value.score
+		submission.finalScore = applyPenalty(value.score, submission.penalty)
+		if (value.feedback !== undefined) {
+			submission.feedback = value.feedback
+		}
+		submission.gradedBy = req.id
+		submission.gradedAt = new Date()
+		await submission.save()
+
+		res.status(200).json(generateResponseMessage("success", submission))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+module.exports = router
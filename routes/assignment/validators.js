@@ -0,0 +1,137 @@
+const Joi = require('joi')
+
+// Define the schema for a mongo id
+const idSchema = Joi.string()
+	.length(24)
+	.hex()
+	.required()
+	.messages({
+		'string.base': 'ID should be a string.',
+		'string.length': 'ID should be exactly 24 characters long.',
+		'string.hex': 'ID should contain only hexadecimal characters.',
+		'any.required': 'ID is required.'
+	})
+
+const titleSchema = Joi.string()
+	.trim()
+	.min(2)
+	.max(200)
+	.messages({
+		'string.base': 'Title should be a string.',
+		'string.empty': 'Title cannot be empty.',
+		'string.min': 'Title should have a minimum length of 2 characters.',
+		'string.max': 'Title should have a maximum length of 200 characters.',
+		'any.required': 'Title is required.'
+	})
+
+const textSchema = Joi.string()
+	.allow('')
+	.max(5000)
+	.messages({
+		'string.base': 'Text should be a string.',
+		'string.max': 'Text should have a maximum length of 5000 characters.'
+	})
+
+const dueAtSchema = Joi.date()
+	.iso()
+	.messages({
+		'date.base': 'Due date should be a date.',
+		'date.format': 'Due date should be an ISO 8601 date.',
+		'any.required': 'Due date is required.'
+	})
+
+const maxScoreSchema = Joi.number()
+	.min(0)
+	.max(10000)
+	.messages({
+		'number.base': 'Max score should be a number.',
+		'number.min': 'Max score cannot be negative.',
+		'any.required': 'Max score is required.'
+	})
+
+const latePolicySchema = Joi.object({
+	acceptLate: Joi.boolean(),
+	penaltyPerDay: Joi.number().min(0).max(100).messages({
+		'number.base': 'Penalty per day should be a number.',
+		'number.min': 'Penalty per day should be between 0 and 100 percent.',
+		'number.max': 'Penalty per day should be between 0 and 100 percent.'
+	}),
+	// null lifts the limit
+	maxDaysLate: Joi.number().integer().min(0).allow(null).messages({
+		'number.base': 'Max days late should be a number.',
+		'number.integer': 'Max days late should be a whole number of days.',
+		'number.min': 'Max days late cannot be negative.'
+	})
+})
+
+const assignmentParamsValidator = Joi.object({
+	courseId: idSchema
+})
+
+const assignmentIdParamsValidator = Joi.object({
+	courseId: idSchema,
+	assignmentId: idSchema
+})
+
+const submissionParamsValidator = Joi.object({
+	courseId: idSchema,
+	assignmentId: idSchema,
+	submissionId: idSchema
+})
+
+const submissionFileParamsValidator = Joi.object({
+	courseId: idSchema,
+	assignmentId: idSchema,
+	submissionId: idSchema,
+	fileId: idSchema
+})
+
+const createAssignmentValidator = Joi.object({
+	title: titleSchema.required(),
+	instructions: textSchema,
+	dueAt: dueAtSchema.required(),
+	maxScore: maxScoreSchema.required(),
+	latePolicy: latePolicySchema,
+	allowFiles: Joi.boolean(),
+	allowLinks: Joi.boolean()
+})
+
+const updateAssignmentValidator = Joi.object({
+	title: titleSchema,
+	instructions: textSchema,
+	dueAt: dueAtSchema,
+	maxScore: maxScoreSchema,
+	latePolicy: latePolicySchema,
+	allowFiles: Joi.boolean(),
+	allowLinks: Joi.boolean()
+}).min(1)
+
+// multipart fields, a single link comes as a string
+const submitAssignmentValidator = Joi.object({
+	links: Joi.array()
+		.items(Joi.string().uri({ scheme: ['http', 'https'] }).messages({ 'string.uri': 'Each link must be a valid URL.' }))
+		.single()
+		.max(10)
+		.messages({ 'array.max': 'At most 10 links can be submitted.' }),
+	comment: textSchema
+})
+
+const gradeSubmissionValidator = Joi.object({
+	score: Joi.number().min(0).required().messages({
+		'number.base': 'Score should be a number.',
+		'number.min': 'Score cannot be negative.',
+		'any.required': 'Score is required.'
+	}),
+	feedback: textSchema
+})
+
+module.exports = {
+	assignmentParamsValidator,
+	assignmentIdParamsValidator,
+	submissionParamsValidator,
+	submissionFileParamsValidator,
+	createAssignmentValidator,
+	updateAssignmentValidator,
+	submitAssignmentValidator,
+	gradeSubmissionValidator
+}
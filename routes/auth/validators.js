@@ -1,5 +1,7 @@
 const Joi = require('joi')
 
+const { MANAGERROLE_CODES } = require('../../db/models/course/model')
+
 
 // Define the schema for email
 const emailSchema = Joi.string()
@@ -123,6 +125,15 @@ const otpSchema = Joi.string()
 		'string.pattern.base': 'Invalid OTP'
 	})
 
+// Define the schema for an invite code, as generated by /auth/admin/invites
+const inviteCodeSchema = Joi.string()
+	.regex(/^[a-fA-F0-9]{4}-[a-fA-F0-9]{4}-[a-fA-F0-9]{4}$/)
+	.messages({
+		'string.base': 'Invite code must be a string',
+		'string.empty': 'Empty invite code',
+		'string.pattern.base': 'Invalid invite code'
+	})
+
 // Define the schema for login
 const loginValidator = Joi.object({
 	email: emailSchema,
@@ -138,7 +149,8 @@ const signupValidator = Joi.object({
 	phone:phoneSchema,
 	email: emailSchema,
 	college: collegeSchema,
-	password: passwordSchema
+	password: passwordSchema,
+	inviteCode: inviteCodeSchema
 })
 
 const otpValidator = Joi.object({
@@ -161,6 +173,153 @@ const resetPasswordValidator = Joi.object({
 	newPassword : passwordSchema
 })
 
+const refreshTokenValidator = Joi.object({
+	refreshToken: Joi.string()
+		.required()
+		.hex()
+		.messages({
+			'string.base': 'Refresh token must be a string',
+			'string.empty': 'Empty refresh token',
+			'any.required': 'Empty refresh token',
+			'string.hex': 'Invalid refresh token'
+		})
+})
+
+const logoutValidator = Joi.object({
+	allDevices: Joi.boolean()
+})
+
+// Define the schema for a TOTP code from an authenticator app
+const totpCodeSchema = Joi.string()
+	.required()
+	.regex(/^\d{6}$/)
+	.messages({
+		'string.base': 'Code must be a string',
+		'string.empty': 'Empty code',
+		'any.required': 'Empty code',
+		'string.pattern.base': 'Code should be the 6 digits shown in the authenticator app'
+	})
+
+// Define the schema for a one-time recovery code
+const recoveryCodeSchema = Joi.string()
+	.regex(/^[a-f0-9]{5}-[a-f0-9]{5}$/)
+	.messages({
+		'string.base': 'Recovery code must be a string',
+		'string.pattern.base': 'Invalid recovery code'
+	})
+
+// Define the schema for the token handed out by /auth/login for the second factor step
+const mfaTokenSchema = Joi.string()
+	.messages({
+		'string.base': 'MFA token must be a string',
+		'string.empty': 'Empty MFA token'
+	})
+
+const mfaVerifyValidator = Joi.object({
+	mfaToken: mfaTokenSchema.required(),
+	code: totpCodeSchema.optional(),
+	recoveryCode: recoveryCodeSchema
+}).xor('code', 'recoveryCode')
+
+const mfaSetupValidator = Joi.object({
+	mfaToken: mfaTokenSchema
+})
+
+const mfaEnableValidator = Joi.object({
+	mfaToken: mfaTokenSchema,
+	code: totpCodeSchema
+})
+
+const mfaCodeValidator = Joi.object({
+	code: totpCodeSchema
+})
+
+const mfaDisableValidator = Joi.object({
+	password: Joi.string().required(),
+	code: totpCodeSchema
+})
+
+const changePasswordValidator = Joi.object({
+	currentPassword: Joi.string().required(),
+	newPassword: passwordSchema
+})
+
+const changeEmailValidator = Joi.object({
+	newEmail: emailSchema,
+	password: Joi.string().required()
+})
+
+const sessionIdValidator = Joi.object({
+	id: Joi.string()
+		.length(24)
+		.hex()
+		.required()
+		.messages({
+			'string.base': 'ID should be a string.',
+			'string.length': 'ID should be exactly 24 characters long.',
+			'string.hex': 'ID should contain only hexadecimal characters.',
+			'any.required': 'ID is required.'
+		})
+})
+
+// Define the schema for the id of an OpenID Connect provider
+const oidcProviderSchema = Joi.string()
+	.max(50)
+	.required()
+	.regex(/^[a-zA-Z0-9_-]+$/)
+	.messages({
+		'string.base': 'Provider should be a string.',
+		'string.max': 'Unknown provider.',
+		'string.pattern.base': 'Unknown provider.',
+		'any.required': 'Provider is required.'
+	})
+
+const oidcProviderValidator = Joi.object({
+	provider: oidcProviderSchema
+})
+
+// the provider may add parameters of its own (iss, session_state, scope...)
+const oidcCallbackValidator = Joi.object({
+	code: Joi.string(),
+	state: Joi.string().required(),
+	error: Joi.string(),
+	error_description: Joi.string().allow('')
+}).xor('code', 'error').unknown(true)
+
+// names default to the ones shared by the provider, they are checked like at signup
+const oidcCompleteProfileValidator = Joi.object({
+	signupToken: Joi.string().required(),
+	name: nameSchema,
+	username: usernameSchema,
+	firstname: firstnameSchema,
+	lastname: lastnameSchema,
+	phone: phoneSchema,
+	college: collegeSchema,
+	inviteCode: inviteCodeSchema
+})
+
+const createInviteValidator = Joi.object({
+	maxUses: Joi.number().integer().min(1).max(10000).default(1),
+	expiresInDays: Joi.number().integer().min(1).max(365).default(7),
+	email: emailSchema.optional(),
+	note: Joi.string().max(200).allow(''),
+	course: Joi.string()
+		.length(24)
+		.hex()
+		.messages({
+			'string.length': 'Course ID should be exactly 24 characters long.',
+			'string.hex': 'Course ID should contain only hexadecimal characters.'
+		}),
+	managerRole: Joi.number().valid(...Object.values(MANAGERROLE_CODES))
+		.messages({
+			'any.only': 'Manager role should be one of the MANAGERROLE_CODES.'
+		})
+})
+
+const listInvitesValidator = Joi.object({
+	active: Joi.boolean()
+})
+
 // Export the schemas
 module.exports = { 
 	loginValidator,
@@ -169,5 +328,20 @@ module.exports = {
 	resetValidator,
 	usernameAvailableValidator,
 	forgotPasswordValidator, 
-	resetPasswordValidator
+	resetPasswordValidator,
+	refreshTokenValidator,
+	logoutValidator,
+	mfaVerifyValidator,
+	mfaSetupValidator,
+	mfaEnableValidator,
+	mfaCodeValidator,
+	mfaDisableValidator,
+	changePasswordValidator,
+	changeEmailValidator,
+	sessionIdValidator,
+	oidcProviderValidator,
+	oidcCallbackValidator,
+	oidcCompleteProfileValidator,
+	createInviteValidator,
+	listInvitesValidator
 }
\ No newline at end of file
@@ -0,0 +1,465 @@
+// External Import
+const express = require('express')
+
+// Helpers
+const { checkJwtOrApiKey, requireScope } = require('../../helpers/jwt')
+const { isCourseManager, canManageRegistrations, loadCourse } = require('../../helpers/course')
+const {
+	CERTIFICATEISSUE_CODES,
+	issueCertificate,
+	describeCertificate,
+	writeCertificatePdf
+} = require('../../helpers/certificate')
+const logger = require('../../helpers/logger')
+const { generateResponseMessage } = require('../../helpers/response')
+
+// Database Models
+const { Course, REGISTRATIONSTATUS_CODES } = require("../../db/models/course/model")
+const { Certificate } = require("../../db/models/certificate/model")
+const { USERROLE_CODES } = require("../../db/models/user/model")
+const { APIKEYSCOPE_CODES } = require("../../db/models/apiKey/model")
+const {
+	certificateParamsValidator,
+	courseCertificatesParamsValidator,
+	certificateTemplateValidator
+} = require('./validators')
+
+// Create an instance of Express Router
+const router = express.Router()
+
+// the course fields certificates are issued from
+const CERTIFICATE_FIELDS = "managers registrations status certificateTemplate"
+
+/** Route to verify a certificate
+ * @swagger
+ * /certificates/{id}/verify:
+ *   get:
+ *     summary: Verify a certificate
+ *     tags:
+ *       - certificate
+ *     description: Public route. Confirms that a certificate with this ID was issued, and gives what it certifies, so that anyone, e.g. an employer or industry partner, can check a certificate shown to them against the details printed on it.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: the certificate ID printed on the certificate
+ *         example: 4F1C-9A0B-77DE-02C5
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The certificate is genuine
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     valid:
+ *                       type: boolean
+ *                       example: true
+ *                     code:
+ *                       type: string
+ *                     studentName:
+ *                       type: string
+ *                     courseTitle:
+ *                       type: string
+ *                     startDate:
+ *                       type: string
+ *                       format: date-time
+ *                     endDate:
+ *                       type: string
+ *                       format: date-time
+ *                     completedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     issuedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     issuers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           role:
+ *                             type: string
+ *                             example: Instructor
+ *       400:
+ *         description: Not a certificate ID
+ *       404:
+ *         description: No certificate was issued with this ID
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/:id/verify', async (req, res) => {
+
+	// validate the request params
+	const { error, value } = certificateParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const certificate = await Certificate.findOne({ code: value.id })
+		if (!certificate) {
+			return res.status(404).json(generateResponseMessage("error", "No certificate was issued with this ID."))
+		}
+		res.status(200).json(generateResponseMessage("success", { valid: true, ...describeCertificate(certificate) }))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+// the routes below are only for signed in users
+router.use(checkJwtOrApiKey)
+
+/** Route to list my certificates
+ * @swagger
+ * /certificates/mine:
+ *   get:
+ *     summary: List my certificates
+ *     tags:
+ *       - certificate
+ *     description: Protected route. The certificates issued to the current user, latest first.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: The certificates
+ *       401:
+ *         description: Missing or invalid auth token
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/mine', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+	try {
+		const certificates = await Certificate.find({ user: req.id }).select("-template").sort({ issuedAt: -1 })
+		res.status(200).json(generateResponseMessage("success", certificates))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to download a certificate
+ * @swagger
+ * /certificates/{id}/pdf:
+ *   get:
+ *     summary: Download a certificate as PDF
+ *     tags:
+ *       - certificate
+ *     description: Protected route. The certificate laid out with the template of the course at the time it was issued, its ID and where to verify it printed at the bottom. For the student it was issued to, the managers of the course and SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Not a certificate ID
+ *       401:
+ *         description: Missing or invalid auth token
+ *       404:
+ *         description: Certificate not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/:id/pdf', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error, value } = certificateParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const certificate = await Certificate.findOne({ code: value.id })
+		let allowed = certificate && (certificate.user.toString() === String(req.id) || req.role === USERROLE_CODES.SUPERADMIN)
+		if (certificate && !allowed) {
+			const course = await Course.findById(certificate.course).select("managers")
+			allowed = Boolean(course) && isCourseManager(course, req.id)
+		}
+		// someone else's certificate is not found, rather than forbidden
+		if (!allowed) {
+			return res.status(404).json(generateResponseMessage("error", "Certificate not found"))
+		}
+
+		res.attachment(`certificate-${certificate.code}.pdf`)
+		res.type("application/pdf")
+		writeCertificatePdf(certificate, res)
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to list the certificates of a course
+ * @swagger
+ * /certificates/course/{courseId}:
+ *   get:
+ *     summary: List the certificates issued for a course
+ *     tags:
+ *       - certificate
+ *     description: Protected route. For managers of the course, whatever their role, and SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The certificates, latest first
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course
+ *       404:
+ *         description: Course not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/course/:courseId', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = courseCertificatesParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const course = await loadCourse(req, res, { select: CERTIFICATE_FIELDS })
+		if (!course) {
+			return
+		}
+
+		const certificates = await Certificate.find({ course: course._id }).select("-template").sort({ issuedAt: -1 })
+		res.status(200).json(generateResponseMessage("success", certificates))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to issue the missing certificates of a course
+ * @swagger
+ * /certificates/course/{courseId}/issue:
+ *   post:
+ *     summary: Issue the missing certificates of a course
+ *     tags:
+ *       - certificate
+ *     description: Protected route. Certificates are issued when a registration is completed; this issues them to the completed students who have none, e.g. if issuing failed then. Allowed for COORDINATOR and INSTRUCTOR managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The certificates just issued
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to decide on registrations
+ *       404:
+ *         description: Course not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/course/:courseId/issue', requireScope(APIKEYSCOPE_CODES.MANAGE_ENROLLMENTS), async (req, res) => {
+
+	// validate the request params
+	const { error } = courseCertificatesParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const course = await loadCourse(req, res, { select: CERTIFICATE_FIELDS, allow: (req, course) => canManageRegistrations(course, req.id, req.role) })
+		if (!course) {
+			return
+		}
+
+		const completed = course.registrations.filter((registration) => registration.state === REGISTRATIONSTATUS_CODES.COMPLETED)
+		const issued = []
+		for (const registration of completed) {
+			const { status, certificate } = await issueCertificate(course._id, registration._id)
+			if (status === CERTIFICATEISSUE_CODES.ISSUED) {
+				issued.push(certificate)
+			}
+		}
+		res.status(200).json(generateResponseMessage("success", issued))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to get the certificate template of a course
+ * @swagger
+ * /certificates/course/{courseId}/template:
+ *   get:
+ *     summary: Get the certificate template of a course
+ *     tags:
+ *       - certificate
+ *     description: Protected route. For managers of the course, whatever their role, and SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The template
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course
+ *       404:
+ *         description: Course not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/course/:courseId/template', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = courseCertificatesParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const course = await loadCourse(req, res, { select: CERTIFICATE_FIELDS })
+		if (!course) {
+			return
+		}
+		res.status(200).json(generateResponseMessage("success", course.certificateTemplate))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to change the certificate template of a course
+ * @swagger
+ * /certificates/course/{courseId}/template:
+ *   put:
+ *     summary: Change the certificate template of a course
+ *     tags:
+ *       - certificate
+ *     description: Protected route. {student}, {course}, {startDate}, {endDate} and {completedAt} in the body and footer are filled in for each student. The managers with one of the issuerRoles are named as issuers. Certificates already issued keep the template they were issued with. Allowed for COORDINATOR and INSTRUCTOR managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: Certificate of Achievement
+ *               body:
+ *                 type: string
+ *                 example: "{student} has completed {course} with distinction on {completedAt}."
+ *               footer:
+ *                 type: string
+ *               accentColor:
+ *                 type: string
+ *                 example: "#1f3a93"
+ *               orientation:
+ *                 type: string
+ *                 enum: [landscape, portrait]
+ *               showDates:
+ *                 type: boolean
+ *               issuerRoles:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [0, 2]
+ *     responses:
+ *       200:
+ *         description: The updated template
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to decide on registrations
+ *       404:
+ *         description: Course not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.put('/course/:courseId/template', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = courseCertificatesParamsValidator.validate(req.params)
+	const { error, value } = certificateTemplateValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const course = await loadCourse(req, res, {
+			select: CERTIFICATE_FIELDS,
+			allow: (req, course) => canManageRegistrations(course, req.id, req.role),
+			writing: true
+		})
+		if (!course) {
+			return
+		}
+
+		Object.entries(value).forEach(([field, setting]) => {
+			course.certificateTemplate[field] = setting
+		})
+		await course.save()
+		res.status(200).json(generateResponseMessage("success", course.certificateTemplate))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+module.exports = router
@@ -0,0 +1,51 @@
+const Joi = require('joi')
+
+const { MANAGERROLE_CODES } = require('../../db/models/course/model')
+
+// Define the schema for a mongo id
+const idSchema = Joi.string()
+	.length(24)
+	.hex()
+	.messages({
+		'string.base': 'ID should be a string.',
+		'string.length': 'ID should be exactly 24 characters long.',
+		'string.hex': 'ID should contain only hexadecimal characters.',
+		'any.required': 'ID is required.'
+	})
+
+// the public id printed on certificates, e.g. 4F1C-9A0B-77DE-02C5
+const certificateCodeSchema = Joi.string()
+	.trim()
+	.uppercase()
+	.pattern(/^[0-9A-F]{4}(-[0-9A-F]{4}){3}$/)
+	.messages({
+		'string.base': 'Certificate ID should be a string.',
+		'string.pattern.base': 'Certificate ID should look like 4F1C-9A0B-77DE-02C5.',
+		'any.required': 'Certificate ID is required.'
+	})
+
+const certificateParamsValidator = Joi.object({
+	id: certificateCodeSchema.required()
+})
+
+const courseCertificatesParamsValidator = Joi.object({
+	courseId: idSchema.required()
+})
+
+const certificateTemplateValidator = Joi.object({
+	title: Joi.string().trim().min(1).max(200),
+	body: Joi.string().trim().min(1).max(2000),
+	footer: Joi.string().allow('').max(1000),
+	accentColor: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).messages({
+		'string.pattern.base': 'Accent color should be a hex color such as #1f3a93.'
+	}),
+	orientation: Joi.string().valid('landscape', 'portrait'),
+	showDates: Joi.boolean(),
+	issuerRoles: Joi.array().items(Joi.number().valid(...Object.values(MANAGERROLE_CODES))).unique()
+}).min(1)
+
+module.exports = {
+	certificateParamsValidator,
+	courseCertificatesParamsValidator,
+	certificateTemplateValidator
+}
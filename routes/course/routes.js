@@ -19,6 +19,7 @@ const {
   COURSESTATUS_CODES,
   REGISTRATIONSTATUS_CODES,
 } = require("../../db/models/course/model");
+const { APIKEYSCOPE_CODES } = require("../../db/models/apiKey/model");
 
 const { User } = require("../../db/models/user/model");
 const { USERROLE_CODES,USERSTATUS_CODES } = require("../../db/models/user/model");
@@ -28,23 +29,146 @@ const { USERROLE_CODES,USERSTATUS_CODES } = require("../../db/models/user/model"
 const {
   createCourseValidator,
   createMaterialValidator,
+  courseParamsValidator,
+  registrationParamsValidator,
+  listRegistrationsValidator,
+  rejectRegistrationValidator,
+  discontinueRegistrationValidator,
+  bulkRegistrationValidator,
+  capacityValidator,
+  listCoursesValidator,
+  searchCoursesValidator,
+  trendingCoursesValidator,
+  recommendedCoursesValidator,
 } = require("./validators");
 
 // Helpers
 // Importing various helper functions for JWT verification and response generation
-const { checkJwt } = require("../../helpers/jwt");
+const { checkJwtOrApiKey, requireMfa, requireScope } = require("../../helpers/jwt");
 const { checkJwtForImage } = require("../../helpers/jwtForImageUpload");
 
 const { generateResponseMessage } = require("../../helpers/response");
+const {
+  isCourseManager,
+  canManageRegistrations,
+  loadCourse,
+  transitionRegistration,
+  promoteFromWaitlist,
+  requestSeat,
+  getWaitlist,
+  getWaitlistPosition,
+  REGISTRATIONCHANGE_CODES,
+  SEATREQUEST_CODES,
+  SEAT_STATES,
+} = require("../../helpers/course");
+const { detachMaterial, getReleasedMaterials } = require("../../helpers/curriculum");
+const { hasPrerequisiteOverride, findUnmetPrerequisites } = require("../../helpers/prerequisite");
+const {
+  PUBLIC_COURSE_STATUSES,
+  searchCourses,
+  getTrendingCourses,
+  getRecommendedCourses,
+} = require("../../helpers/search");
 
 // Logger
 // Importing a helper function for logging errors and other messages
 const logger = require("../../helpers/logger");
 
 //router.use(checkJwtForImage);
-router.use(checkJwt);
+// Public routes, mounted before the authentication below
+/** Route to get the trending courses
+ * @swagger
+ * /course/trending:
+ *   get:
+ *     summary: Get the courses trending lately.
+ *     tags:
+ *       - course
+ *     description: Public route, no login needed. The published courses with the most requests to join, and votes gained, over the last days, a request to join weighing 2 votes and a downvote taking one away. Courses with nothing going on in the window are left out.
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         description: The length of the sliding window, up to now.
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *           minimum: 1
+ *           maximum: 90
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 6
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: The courses, the most trending first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         title:
+ *                           type: string
+ *                         subtitle:
+ *                           type: string
+ *                         tags:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         startDate:
+ *                           type: string
+ *                           format: date-time
+ *                         rating:
+ *                           type: object
+ *                         instructors:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         trending:
+ *                           type: object
+ *                           properties:
+ *                             enrollments:
+ *                               type: integer
+ *                               description: The requests to join in the window.
+ *                             votes:
+ *                               type: integer
+ *                               description: The votes gained in the window, upvotes less downvotes.
+ *                             score:
+ *                               type: integer
+ *       400:
+ *         description: Invalid parameters.
+ *       500:
+ *         description: Internal Server Error.
+ */
+router.get("/trending", async (req, res) => {
+  const { error, value } = trendingCoursesValidator.validate(req.query);
+  if (error) {
+    return res.status(400).json(generateResponseMessage("error", error.details[0].message));
+  }
 
-router.post("/upload-image/:id",checkJwtForImage,upload.single("image"),checkImage,async (req, res) => {
+  try {
+    const courses = await getTrendingCourses(value);
+    res.status(200).json(generateResponseMessage("success", courses));
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json(generateResponseMessage("error", "Internal Server Error"));
+  }
+});
+
+// JWTs and api keys are both accepted, api keys only on the routes allowing one of their scopes
+router.use(checkJwtOrApiKey);
+
+router.post("/upload-image/:id",requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS),checkJwtForImage,upload.single("image"),checkImage,async (req, res) => {
   try {
     const id = req.params.id;
     const imageUrl =   req.file.filename;
@@ -110,6 +234,10 @@ router.post("/upload-image/:id",checkJwtForImage,upload.single("image"),checkIma
  *                     type: string
  *                 required: true
  *                 example: ["JavaScript", "Beginner", "Slow Paced"]
+ *               capacity:
+ *                 type: integer
+ *                 description: Seat limit, further students go on a waitlist. Unlimited if unset.
+ *                 example: 60
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -145,13 +273,16 @@ router.post("/upload-image/:id",checkJwtForImage,upload.single("image"),checkIma
  *                 message:
  *                   type: string
  *                   example: Not allowed for this role.
+ *                 error:
+ *                   type: string
+ *                   example: Two-factor authentication required for this action.
  */
-router.post("/", async (req, res) => {
+router.post("/", requireMfa, async (req, res) => {
   try {
     // Decode the JWT token to get the user information
     const role = req.role;
     const id = req.id;
-    const { title, subtitle, description, tags } = req.body;
+    const { title, subtitle, description, tags, capacity } = req.body;
 
     // Check if role is valid (only SUPERADMIN can create a course)
     if (role !== USERROLE_CODES.SUPERADMIN) {
@@ -169,12 +300,19 @@ router.post("/", async (req, res) => {
           generateResponseMessage("error", "Tags must be an array of strings.")
         );
     }
+    const { error: capacityError } = capacityValidator.validate({ capacity });
+    if (capacityError) {
+      return res
+        .status(400)
+        .json(generateResponseMessage("error", capacityError.details[0].message));
+    }
     // Create a new Course with the data
     const newCourseObject = {
       title,
       subtitle,
       description,
       tags,
+      capacity: capacity || undefined,
       createdBy: id,
       managers: [{ managerId: id, role: MANAGERROLE_CODES.COORDINATOR }],
     };
@@ -222,9 +360,17 @@ router.post("/", async (req, res) => {
  *     summary: Get all courses.
  *     tags:
  *       - course
- *     description: Retrieve a list of all courses available in the system.
+ *     description: Retrieve a list of all courses available in the system, in one unpaginated array. See /course/search for searching them a page at a time.
  *     security:
  *       - bearerAuth: []    # Apply the "bearerAuth" security scheme to this endpoint
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sort
+ *         description: rating, to list the courses with the highest rating score first, see /course/{courseId}/rating.
+ *         schema:
+ *           type: string
+ *           enum: [rating]
  *     responses:
  *       200:
  *         description: Successful operation. Returns an array of course objects.
@@ -317,7 +463,13 @@ router.post("/", async (req, res) => {
  *                 items:
  *                   type: string
  */
-router.get("/all", async (req, res) => {
+router.get("/all", requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+  const { error, value } = listCoursesValidator.validate(req.query);
+  if (error) {
+    return res.status(400).json(generateResponseMessage("error", error.details[0].message));
+  }
+  const sort = value.sort === "rating" ? { "rating.score": -1, _id: 1 } : {};
+
   try {
     // Decode the JWT token to get the user information
 
@@ -334,18 +486,17 @@ router.get("/all", async (req, res) => {
 
     if (userRole === USERROLE_CODES.SUPERADMIN) {
       // If the user is an admin, fetch all courses with full details
-      const courses = await Course.find().populate("createdByDetails"); // Populate createdByDetails
+      const courses = await Course.find().sort(sort).populate("createdByDetails"); // Populate createdByDetails
       return res.status(200).json(generateResponseMessage("success", courses));
     } else if (userRole === USERROLE_CODES.REGULAR) {
       // If the user is a student, fetch only necessary details for each course
       const courses = await Course.find({ status: 1 })
+        .sort(sort)
         .select(
-          "-status -registrations.state -registrations.requestedAt -registrations._id -managers -material -rating -tags -creationDate -__v "
-        )
-        .populate(
-          "createdBy",
-          "-password -firstname -lastname -phone -college -interests -status -role -createdAt -__v"
+          "-status -registrations.state -registrations.requestedAt -registrations._id -managers -material -rating.upvotes -rating.downvotes -registrations.feedback -registrations.reason -registrations.decidedBy -rating.recentVotes -prerequisiteOverrides -curriculum -tags -creationDate -__v "
         )
+        // only what identifies the creator publicly, new user fields stay hidden
+        .populate("createdBy", "username pic")
         .populate({
           path: "registrations",
           match: { state: 1 }, // Only include registrations with state === 1
@@ -366,6 +517,271 @@ router.get("/all", async (req, res) => {
   }
 });
 
+/** search the courses
+ * @swagger
+ * /course/search:
+ *   get:
+ *     summary: Search the courses, a page at a time.
+ *     tags:
+ *       - course
+ *     description: Full-text search over the titles, subtitles, descriptions and tags of the courses, titles weighing the most, with filters. Along with a page of courses, returns how many of all the courses found have each tag, the 50 most used, and their total. Pass the nextCursor of a page as the cursor to get the next one, keeping the other parameters. Only SUPERADMINs can search draft and archived courses; others search the published ones by default.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         description: The text to search for.
+ *         schema:
+ *           type: string
+ *           example: machine learning
+ *       - in: query
+ *         name: tags
+ *         description: Only courses with all these tags, repeat the parameter for several.
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: status
+ *         description: Only courses with one of these statuses, repeat the parameter for several. 1 (PUBLISHED) by default, every status for SUPERADMINs.
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: integer
+ *       - in: query
+ *         name: startFrom
+ *         description: Only courses starting on or after this date.
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: startTo
+ *         description: Only courses starting on or before this date.
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: instructor
+ *         description: Only courses this user is an instructor of.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minRating
+ *         description: Only courses with at least this rating score, see /course/{courseId}/rating.
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: sort
+ *         description: relevance, the default with a search text, newest, the default without, startDate, soonest first, or rating, highest rating score first.
+ *         schema:
+ *           type: string
+ *           enum: [relevance, newest, startDate, rating]
+ *       - in: query
+ *         name: cursor
+ *         description: The nextCursor of the previous page.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: A page of courses, the tag counts, the total, and the cursor of the next page, null on the last one.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     courses:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           subtitle:
+ *                             type: string
+ *                           tags:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                           startDate:
+ *                             type: string
+ *                             format: date-time
+ *                           rating:
+ *                             type: object
+ *                             properties:
+ *                               score:
+ *                                 type: integer
+ *                               upvoteCount:
+ *                                 type: integer
+ *                               downvoteCount:
+ *                                 type: integer
+ *                               reviewCount:
+ *                                 type: integer
+ *                               starTotal:
+ *                                 type: integer
+ *                           instructors:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                           relevance:
+ *                             type: number
+ *                             description: When sorting by relevance.
+ *                     facets:
+ *                       type: object
+ *                       properties:
+ *                         tags:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               tag:
+ *                                 type: string
+ *                               count:
+ *                                 type: integer
+ *                     total:
+ *                       type: integer
+ *                     nextCursor:
+ *                       type: string
+ *       400:
+ *         description: Invalid search parameters or cursor.
+ *       403:
+ *         description: Searching draft or archived courses without being a SUPERADMIN.
+ *       500:
+ *         description: Internal Server Error.
+ */
+router.get("/search", requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+  const { error, value } = searchCoursesValidator.validate(req.query);
+  if (error) {
+    return res.status(400).json(generateResponseMessage("error", error.details[0].message));
+  }
+
+  const superadmin = req.role === USERROLE_CODES.SUPERADMIN;
+  if (!value.status) {
+    value.status = superadmin ? Object.values(COURSESTATUS_CODES) : [COURSESTATUS_CODES.PUBLISHED];
+  } else if (!superadmin && value.status.some((status) => !PUBLIC_COURSE_STATUSES.includes(status))) {
+    return res.status(403).json(generateResponseMessage("error", "Only SUPERADMINs can search draft or archived courses."));
+  }
+
+  try {
+    const results = await searchCourses(value);
+    if (!results) {
+      return res.status(400).json(generateResponseMessage("error", "Invalid cursor, start again from the first page."));
+    }
+    res.status(200).json(generateResponseMessage("success", results));
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json(generateResponseMessage("error", "Internal Server Error"));
+  }
+});
+
+/** Route to get the courses recommended to the user
+ * @swagger
+ * /course/recommended:
+ *   get:
+ *     summary: Get the courses recommended to the user.
+ *     tags:
+ *       - course
+ *     description: The published courses the user did not register to, nor manages, ranked by what they have in common with the user. Each tag among the interests and skills of the user counts 3, each followee of the user enrolled in the course 2, and each student of the college of the user enrolled 1. Courses with nothing in common come last, the highest rating score first.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: The courses, the best recommended first, each with why it is.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         title:
+ *                           type: string
+ *                         subtitle:
+ *                           type: string
+ *                         tags:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         startDate:
+ *                           type: string
+ *                           format: date-time
+ *                         rating:
+ *                           type: object
+ *                         instructors:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         recommendation:
+ *                           type: object
+ *                           properties:
+ *                             tags:
+ *                               type: array
+ *                               description: The tags of the course among the interests and skills of the user, in lower case.
+ *                               items:
+ *                                 type: string
+ *                             followees:
+ *                               type: integer
+ *                               description: The followees of the user enrolled in the course.
+ *                             collegePeers:
+ *                               type: integer
+ *                               description: The students of the college of the user enrolled in the course.
+ *                             score:
+ *                               type: integer
+ *       400:
+ *         description: Invalid parameters.
+ *       404:
+ *         description: User not found.
+ *       500:
+ *         description: Internal Server Error.
+ */
+router.get("/recommended", requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+  const { error, value } = recommendedCoursesValidator.validate(req.query);
+  if (error) {
+    return res.status(400).json(generateResponseMessage("error", error.details[0].message));
+  }
+
+  try {
+    const courses = await getRecommendedCourses(req.id, value);
+    if (!courses) {
+      return res.status(404).json(generateResponseMessage("error", "User not found"));
+    }
+    res.status(200).json(generateResponseMessage("success", courses));
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json(generateResponseMessage("error", "Internal Server Error"));
+  }
+});
+
 /** route for pending request
  * @swagger
  * /course/pending-requests:
@@ -375,6 +791,7 @@ router.get("/all", async (req, res) => {
  *     tags: [Pending Requests]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     responses:
  *       200:
  *         description: A list of pending registration requests.
@@ -434,7 +851,7 @@ router.get("/all", async (req, res) => {
  *                   type: string
  *                   example: Internal Server Error.
  */
-router.get("/admin/pending", async (req, res) => {
+router.get("/admin/pending", requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
   try {
     const userRole = req.role;
 
@@ -474,6 +891,25 @@ router.get("/admin/pending", async (req, res) => {
 });
 
 
+/**
+ * What anyone but the managers of a course is shown of it: the registrations without the feedback of the
+ * managers, nor the reasons of their decisions and who made them; students read their own feedback through
+ * /course/{courseId}/feedback. The curriculum is left out, and so are the materials of the lessons not
+ * released yet; students read the released curriculum through /course/{courseId}/curriculum. So are the
+ * prerequisite overrides, shown to the coordinators through /course/{courseId}/prerequisites/overrides.
+ *
+ * @param {Object} course The course document.
+ * @returns {Object} The course, as a plain object.
+ */
+const _courseForStudents = (course) => {
+  const { curriculum, prerequisiteOverrides, certificateTemplate, ...shown } = course.toObject();
+  shown.material = getReleasedMaterials(course).map((material) => material.toObject());
+  shown.registrations = shown.registrations.map(
+    ({ feedback, reason, decidedBy, ...registration }) => registration
+  );
+  return shown;
+};
+
 /** get detail of a specific course
  * @swagger
  * /course/{id}:
@@ -481,7 +917,7 @@ router.get("/admin/pending", async (req, res) => {
  *     summary: Get course details by ID.
  *     tags:
  *       - course
- *     description: Retrieve the details of a specific course using its unique ID.
+ *     description: Retrieve the details of a specific course using its unique ID. Only its managers and SUPERADMINs are shown the feedback of the registrations, and the reasons of the decisions on them, the curriculum, the materials of the lessons not released yet, the prerequisite overrides and the certificate template.
  *     parameters:
  *       - in: path
  *         name: id
@@ -491,6 +927,7 @@ router.get("/admin/pending", async (req, res) => {
  *           type: string
  *     security:
  *       - bearerAuth: []    # Apply the "bearerAuth" security scheme to this endpoint
+ *       - apiKeyAuth: []
  *     responses:
  *       200:
  *         description: Successful operation. Returns the course details.
@@ -548,7 +985,7 @@ router.get("/admin/pending", async (req, res) => {
  *                 items:
  *                   type: string
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
   try {
     const courseId = req.params.id;
     const course = await Course.findById(courseId);
@@ -559,8 +996,9 @@ router.get("/:id", async (req, res) => {
         .json(generateResponseMessage("error", "Course Not Found"));
     }
 
-    // Return the course details
-    res.status(200).json(generateResponseMessage("success", course));
+    // Return the course details, in full to its managers
+    const manager = req.role === USERROLE_CODES.SUPERADMIN || isCourseManager(course, req.id);
+    res.status(200).json(generateResponseMessage("success", manager ? course : _courseForStudents(course)));
   } catch (err) {
     logger.error(err);
     console.error("Error fetching course details:", err);
@@ -609,6 +1047,14 @@ router.get("/:id", async (req, res) => {
  *               status:
  *                 type: number
  *                 enum: [0, 1, 2, 3]
+ *                 description: Left out, the status stays as it is.
+ *               capacity:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Seat limit, null to remove it. Raising or removing it promotes people off the waitlist.
+ *               completeOnFullProgress:
+ *                 type: boolean
+ *                 description: Move registrations to COMPLETED when their students reach 100% progress.
  *             example:
  *               title: Updated Course Title
  *               subtitle: Updated Course Subtitle
@@ -642,7 +1088,7 @@ router.get("/:id", async (req, res) => {
  *                   type: string
  *                   example: Invalid course status transition.
  *       403:
- *         description: Unauthorized access. Only admin users are allowed to update courses.
+ *         description: Unauthorized access. Only admin users are allowed to update courses, after two-factor authentication.
  *         content:
  *           application/json:
  *             schema:
@@ -681,11 +1127,11 @@ router.get("/:id", async (req, res) => {
  *                   type: string
  *                   example: Error updating course.
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", requireMfa, async (req, res) => {
   try {
     const userRole = req.role;
     const courseId = req.params.id;
-    const { title, subtitle, description, material, managers, status } =
+    const { title, subtitle, description, material, managers, status, capacity, completeOnFullProgress } =
       req.body;
 
     // Check if the user is an admin using the authentication token
@@ -702,18 +1148,23 @@ router.put("/:id", async (req, res) => {
           .json(generateResponseMessage("error", "Course not found"));
       }
 
-      // Check if the provided status is a valid transition from the current status
+      // Check if the provided status is a valid transition from the current status, updates
+      // leaving the status out (the capacity alone, say) keep it as it is
       const validTransitions = {
-        [COURSESTATUS_CODES.DRAFT]: [COURSESTATUS_CODES.PUBLISHED], // 0->1
-        [COURSESTATUS_CODES.DRAFT]: [COURSESTATUS_CODES.FINISHED], // 0->2
-        [COURSESTATUS_CODES.DRAFT]: [COURSESTATUS_CODES.ARCHIVED], // 0->3
-        [COURSESTATUS_CODES.PUBLISHED]: [COURSESTATUS_CODES.FINISHED], //1->2
-        [COURSESTATUS_CODES.PUBLISHED]: [COURSESTATUS_CODES.ARCHIVED], //1->3
+        [COURSESTATUS_CODES.DRAFT]: [
+          COURSESTATUS_CODES.PUBLISHED, // 0->1
+          COURSESTATUS_CODES.FINISHED, // 0->2
+          COURSESTATUS_CODES.ARCHIVED, // 0->3
+        ],
+        [COURSESTATUS_CODES.PUBLISHED]: [
+          COURSESTATUS_CODES.FINISHED, //1->2
+          COURSESTATUS_CODES.ARCHIVED, //1->3
+        ],
         [COURSESTATUS_CODES.FINISHED]: [COURSESTATUS_CODES.ARCHIVED], //2->3
         [COURSESTATUS_CODES.ARCHIVED]: [COURSESTATUS_CODES.DRAFT], //3->0
       };
 
-      if (!validTransitions[existingCourse.status].includes(status)) {
+      if (status !== undefined && !validTransitions[existingCourse.status].includes(status)) {
         return res
           .status(400)
           .json(
@@ -730,6 +1181,31 @@ router.put("/:id", async (req, res) => {
         status,
       };
 
+      // The seat limit can be set, changed, or removed with null
+      const updatedUnset = {};
+      if (capacity !== undefined) {
+        const { error: capacityError } = capacityValidator.validate({ capacity });
+        if (capacityError) {
+          return res
+            .status(400)
+            .json(generateResponseMessage("error", capacityError.details[0].message));
+        }
+        if (capacity === null) {
+          updatedUnset.capacity = "";
+        } else {
+          updatedFields.capacity = capacity;
+        }
+      }
+
+      if (completeOnFullProgress !== undefined) {
+        if (typeof completeOnFullProgress !== "boolean") {
+          return res
+            .status(400)
+            .json(generateResponseMessage("error", "completeOnFullProgress should be true or false."));
+        }
+        updatedFields.completeOnFullProgress = completeOnFullProgress;
+      }
+
       // Check if the request includes managers to add or update
       if (managers && Array.isArray(managers) && managers.length > 0) {
         // Process each manager in the request
@@ -756,12 +1232,18 @@ router.put("/:id", async (req, res) => {
       }
 
       // Update the course with the updatedFields
-      const updatedCourse = await Course.findByIdAndUpdate(
+      let updatedCourse = await Course.findByIdAndUpdate(
         courseId,
-        { $set: updatedFields },
+        { $set: updatedFields, $unset: updatedUnset },
         { new: true }
       );
 
+      // A raised or removed seat limit lets people off the waitlist
+      if (updatedCourse && capacity !== undefined) {
+        await promoteFromWaitlist(courseId);
+        updatedCourse = await Course.findById(courseId);
+      }
+
       if (updatedCourse) {
         return res
           .status(200)
@@ -823,6 +1305,7 @@ router.put("/:id", async (req, res) => {
  *               description: Description of the material.
  *     security:
  *       - bearerAuth: []    # Apply the "bearerAuth" security scheme to this endpoint
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -871,7 +1354,7 @@ router.put("/:id", async (req, res) => {
  *         description:
  *           type: string
  */
-router.post("/:courseId/material", async (req, res) => {
+router.post("/:courseId/material", requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
   try {
     const courseId = req.params.courseId;
     const addedBy = req.id;
@@ -914,7 +1397,7 @@ router.post("/:courseId/material", async (req, res) => {
  *     summary: Get materials for a specific course.
  *     tags:
  *       - material
- *     description: Retrieve the materials available for a specific course using the course ID.
+ *     description: Retrieve the materials available for a specific course using the course ID. Only its managers and SUPERADMINs are shown the materials of the lessons not released yet.
  *     parameters:
  *       - in: path
  *         name: courseId
@@ -924,6 +1407,7 @@ router.post("/:courseId/material", async (req, res) => {
  *           type: string
  *     security:
  *       - bearerAuth: []    # Apply the "bearerAuth" security scheme to this endpoint
+ *       - apiKeyAuth: []
  *     responses:
  *       200:
  *         description: Successful operation. Returns an array of material objects for the course.
@@ -965,12 +1449,12 @@ router.post("/:courseId/material", async (req, res) => {
  *         description:
  *           type: string
  */
-router.get("/:courseId/material", async (req, res) => {
+router.get("/:courseId/material", requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
   try {
     const courseId = req.params.courseId;
 
-    // Find the course by ID and project only the material field
-    const course = await Course.findById(courseId).select("material");
+    // Find the course by ID and project only the fields the materials shown depend on
+    const course = await Course.findById(courseId).select("material curriculum managers");
 
     if (!course) {
       return res
@@ -978,9 +1462,11 @@ router.get("/:courseId/material", async (req, res) => {
         .json(generateResponseMessage("error", "Course not found"));
     }
 
+    // Students are not shown the materials of the lessons not released yet
+    const manager = req.role === USERROLE_CODES.SUPERADMIN || isCourseManager(course, req.id);
     return res
       .status(200)
-      .json(generateResponseMessage("success", course.material));
+      .json(generateResponseMessage("success", manager ? course.material : getReleasedMaterials(course)));
   } catch (error) {
     logger.error(error);
     console.error("Error fetching materials:", error);
@@ -1026,6 +1512,7 @@ router.get("/:courseId/material", async (req, res) => {
  *               description: Updated description of the material.
  *     security:
  *       - bearerAuth: []    # Apply the "bearerAuth" security scheme to this endpoint
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -1084,7 +1571,7 @@ router.get("/:courseId/material", async (req, res) => {
  *         description:
  *           type: string
  */
-router.put("/:courseId/material/:materialId", async (req, res) => {
+router.put("/:courseId/material/:materialId", requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
   try {
     const courseId = req.params.courseId;
     const materialId = req.params.materialId;
@@ -1138,7 +1625,7 @@ router.put("/:courseId/material/:materialId", async (req, res) => {
  *     summary: Delete material from a course.
  *     tags:
  *       - material
- *     description: Delete a material associated with a specific course using the course ID and material ID.
+ *     description: Delete a material associated with a specific course using the course ID and material ID. It is also detached from the lessons of the curriculum.
  *     parameters:
  *       - in: path
  *         name: courseId
@@ -1154,6 +1641,7 @@ router.put("/:courseId/material/:materialId", async (req, res) => {
  *           type: string
  *     security:
  *       - bearerAuth: []    # Apply the "bearerAuth" security scheme to this endpoint
+ *       - apiKeyAuth: []
  *     responses:
  *       200:
  *         description: Successful operation. Material deleted successfully.
@@ -1186,7 +1674,7 @@ router.put("/:courseId/material/:materialId", async (req, res) => {
  *                   type: string
  *                   example: Error deleting material.
  */
-router.delete("/:courseId/material/:materialId", async (req, res) => {
+router.delete("/:courseId/material/:materialId", requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
   try {
     const courseId = req.params.courseId;
     const materialId = req.params.materialId;
@@ -1205,8 +1693,9 @@ router.delete("/:courseId/material/:materialId", async (req, res) => {
         .json(generateResponseMessage("error", "Material not found"));
     }
 
-    // Remove the material from the material array
+    // Remove the material from the material array, and from the lessons it was attached to
     course.material.splice(materialIndex, 1);
+    detachMaterial(course, materialId);
 
     // Save the updated course
     await course.save();
@@ -1234,7 +1723,7 @@ router.delete("/:courseId/material/:materialId", async (req, res) => {
  *     summary: Enroll a student in a course.
  *     tags:
  *       - course
- *     description: Enroll a student in a course using the course ID. Only students are allowed to enroll.
+ *     description: Enroll a student in a course using the course ID. Only students are allowed to enroll, and only once they meet the prerequisites of the course, unless a COORDINATOR overrode them for the student; see /course/{courseId}/prerequisites. When the course has a seat limit and is full, the student is put on its waitlist instead, and told their position; they are promoted to a request, in order, as seats free up.
  *     parameters:
  *       - in: path
  *         name: id
@@ -1244,13 +1733,33 @@ router.delete("/:courseId/material/:materialId", async (req, res) => {
  *           type: string
  *     security:
  *       - bearerAuth: []    # Apply the "bearerAuth" security scheme to this endpoint
+ *       - apiKeyAuth: []
  *     responses:
  *       200:
- *         description: Successful operation. Returns the updated course data after enrollment.
+ *         description: Successful operation. Returns the updated course data after enrollment, as GET /course/{id} shows it to students.
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Course'   # Reference the "Course" schema here
+ *       202:
+ *         description: The course is full, the student was put on the waitlist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     waitlisted:
+ *                       type: boolean
+ *                       example: true
+ *                     position:
+ *                       type: integer
+ *                       example: 12
  *       400:
  *         description: Bad Request. Invalid request parameters or student is already enrolled in the course.
  *         content:
@@ -1290,6 +1799,26 @@ router.delete("/:courseId/material/:materialId", async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Course not found
+ *       412:
+ *         description: The student does not meet the prerequisites of the course.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: error
+ *                 error:
+ *                   type: object
+ *                   properties:
+ *                     message:
+ *                       type: string
+ *                       example: You do not meet the prerequisites of this course.
+ *                     unmet:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/UnmetPrerequisite'
  *       500:
  *         description: Internal Server Error. An error occurred while processing the request.
  *         content:
@@ -1327,7 +1856,7 @@ router.delete("/:courseId/material/:materialId", async (req, res) => {
  *                 items:
  *                   type: string
  */
-router.post("/enroll/:id", async (req, res) => {
+router.post("/enroll/:id", requireScope(APIKEYSCOPE_CODES.MANAGE_ENROLLMENTS), async (req, res) => {
   try {
     const courseId = req.params.id;
 
@@ -1371,21 +1900,45 @@ router.post("/enroll/:id", async (req, res) => {
         );
     }
 
-    // Create a new registration object for the student
-    const newRegistration = {
-      user: id,
-      state: REGISTRATIONSTATUS_CODES.REQUESTED, // You can set the initial state to REQUESTED or ACCEPTED based on your use case
-      requestedAt: new Date(),
-    };
+    // Check the prerequisites, unless a coordinator let the student in regardless
+    if (!hasPrerequisiteOverride(course, id)) {
+      const unmet = await findUnmetPrerequisites(course, id);
+      if (unmet.length) {
+        return res.status(412).json(
+          generateResponseMessage("error", {
+            message: "You do not meet the prerequisites of this course.",
+            unmet,
+          })
+        );
+      }
+    }
 
-    // Add the registration to the course's registrations array
-    course.registrations.push(newRegistration);
+    // Request a seat, or join the waitlist if the course is full
+    const { status, course: updatedCourse, position } = await requestSeat(courseId, id);
 
-    // Save the updated course with the new registration
-    await course.save();
+    if (status === SEATREQUEST_CODES.ALREADY_REGISTERED) {
+      return res
+        .status(400)
+        .json(
+          generateResponseMessage(
+            "error",
+            "User is already enrolled in the course."
+          )
+        );
+    }
 
-    // Return the updated course data as a response
-    res.status(200).json(generateResponseMessage("success", course));
+    if (status === SEATREQUEST_CODES.WAITLISTED) {
+      return res.status(202).json(
+        generateResponseMessage("success", {
+          waitlisted: true,
+          position,
+          message: `Course is full, you are number ${position} on the waitlist.`,
+        })
+      );
+    }
+
+    // Return the updated course data as a response, as the student is shown it
+    res.status(200).json(generateResponseMessage("success", _courseForStudents(updatedCourse)));
   } catch (error) {
     logger.error(error);
     // Handle errors during the enrollment process
@@ -1406,6 +1959,7 @@ router.post("/enroll/:id", async (req, res) => {
  *     description: Unenroll a student from a course using the student's user ID and the course ID.
  *     security:
  *       - bearerAuth: []    # Apply the "bearerAuth" security scheme to this endpoint
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -1415,7 +1969,7 @@ router.post("/enroll/:id", async (req, res) => {
  *         description: The ID of the course to unenroll from.
  *     responses:
  *       200:
- *         description: Successful operation. Returns the updated course object after unenrollment.
+ *         description: Successful operation. Returns the updated course object after unenrollment, as GET /course/{id} shows it to students.
  *         content:
  *           application/json:
  *             schema:
@@ -1477,7 +2031,7 @@ router.post("/enroll/:id", async (req, res) => {
  *               requestedAt:
  *                 type: string
  */
-router.post("/unenroll/:id", async (req, res) => {
+router.post("/unenroll/:id", requireScope(APIKEYSCOPE_CODES.MANAGE_ENROLLMENTS), async (req, res) => {
   try {
     const courseId = req.params.id;
     const userId = req.id;
@@ -1508,13 +2062,18 @@ router.post("/unenroll/:id", async (req, res) => {
     }
 
     // Remove the enrollment from the course's registrations array
-    course.registrations.splice(enrollmentIndex, 1);
+    const [removedRegistration] = course.registrations.splice(enrollmentIndex, 1);
 
     // Save the updated course without the unenrolled student
     await course.save();
 
+    // The seat it held goes to the first in line on the waitlist
+    if (SEAT_STATES.includes(removedRegistration.state)) {
+      await promoteFromWaitlist(courseId);
+    }
+
     // Return the updated course data as a response
-    res.status(200).json(generateResponseMessage("success", course));
+    res.status(200).json(generateResponseMessage("success", _courseForStudents(await Course.findById(courseId))));
   } catch (error) {
     logger.error(error);
     // Handle errors during the unenrollment process
@@ -1525,6 +2084,570 @@ router.post("/unenroll/:id", async (req, res) => {
   }
 });
 
+// REGISTRATION APPROVAL WORKFLOW
+
+/**
+ * Loads a course for a registration decision, answering the request itself if the course is
+ * missing or archived, or if the user may not manage its registrations.
+ *
+ * @param {Request} req The request object, with the course id in its params.
+ * @param {Response} res The response object.
+ * @returns {Promise<Object|undefined>} The course, or undefined if a response was sent.
+ */
+const _loadCourseForRegistrations = (req, res) =>
+  loadCourse(req, res, {
+    allow: (req, course) => canManageRegistrations(course, req.id, req.role),
+    writing: true,
+  });
+
+/**
+ * Moves one registration to a new state on behalf of a manager and sends the response.
+ *
+ * @param {Request} req The request object, with the course and registration ids in its params.
+ * @param {Response} res The response object.
+ * @param {number} toState The `REGISTRATIONSTATUS_CODES` state to move to.
+ * @param {string} [reason] The reason of the decision.
+ */
+const _decideRegistration = async (req, res, toState, reason) => {
+  const { error } = registrationParamsValidator.validate(req.params);
+  if (error) {
+    return res.status(400).json(generateResponseMessage("error", error.details[0].message));
+  }
+
+  try {
+    const course = await _loadCourseForRegistrations(req, res);
+    if (!course) {
+      return;
+    }
+
+    const { status, registration } = await transitionRegistration(
+      course._id,
+      req.params.registrationId,
+      toState,
+      { decidedBy: req.id, reason }
+    );
+    switch (status) {
+      case REGISTRATIONCHANGE_CODES.NOT_FOUND:
+        return res.status(404).json(generateResponseMessage("error", "Registration not found"));
+      case REGISTRATIONCHANGE_CODES.INVALID_TRANSITION:
+        return res.status(409).json(generateResponseMessage("error", "Invalid registration status transition"));
+      case REGISTRATIONCHANGE_CODES.COURSE_FULL:
+        return res.status(409).json(generateResponseMessage("error", "Course is full, no seat is free for this registration"));
+    }
+
+    return res.status(200).json(generateResponseMessage("success", registration));
+  } catch (err) {
+    logger.error(err);
+    return res.status(500).json(generateResponseMessage("error", "Internal Server Error"));
+  }
+};
+
+/** list the registrations of a course for its managers
+ * @swagger
+ * /course/{courseId}/registrations:
+ *   get:
+ *     summary: List the registrations of a course.
+ *     tags:
+ *       - registration
+ *     description: Lists the registrations of a course with their students, oldest request first. Allowed for COORDINATOR and INSTRUCTOR managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         description: ID of the course.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         description: Only the registrations in this REGISTRATIONSTATUS_CODES state, e.g. 0 for the pending requests.
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The registrations.
+ *       400:
+ *         description: Invalid course ID or state.
+ *       403:
+ *         description: Not a manager of the course allowed to decide on registrations.
+ *       404:
+ *         description: Course not found.
+ *       500:
+ *         description: Internal Server Error.
+ */
+router.get("/:courseId/registrations", requireScope(APIKEYSCOPE_CODES.MANAGE_ENROLLMENTS), async (req, res) => {
+  const { error: paramsError } = courseParamsValidator.validate(req.params);
+  const { error, value } = listRegistrationsValidator.validate(req.query);
+  if (paramsError || error) {
+    return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message));
+  }
+
+  try {
+    const course = await Course.findById(req.params.courseId).populate(
+      "registrations.user",
+      "firstname lastname username email college"
+    );
+    if (!course) {
+      return res.status(404).json(generateResponseMessage("error", "Course not found"));
+    }
+    if (!canManageRegistrations(course, req.id, req.role)) {
+      return res.status(403).json(generateResponseMessage("error", "Not allowed for this role."));
+    }
+
+    const registrations = course.registrations
+      .filter((registration) => value.state === undefined || registration.state === value.state)
+      .sort((a, b) => a.requestedAt - b.requestedAt);
+
+    res.status(200).json(generateResponseMessage("success", registrations));
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json(generateResponseMessage("error", "Internal Server Error"));
+  }
+});
+
+/** accept or reject several registration requests at once
+ * @swagger
+ * /course/{courseId}/registrations/bulk:
+ *   post:
+ *     summary: Accept or reject several registrations.
+ *     tags:
+ *       - registration
+ *     description: Applies the same decision to several registrations of a course. Each one is moved only if the transition is valid for its current state, the result of each is reported. Allowed for COORDINATOR and INSTRUCTOR managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         description: ID of the course.
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [accept, reject]
+ *               registrationIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               reason:
+ *                 type: string
+ *                 description: Required to reject.
+ *     responses:
+ *       200:
+ *         description: The outcome for each registration, updated, not_found, invalid_transition or course_full.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       registrationId:
+ *                         type: string
+ *                       result:
+ *                         type: string
+ *                         example: updated
+ *       400:
+ *         description: Invalid request body.
+ *       403:
+ *         description: Not a manager of the course allowed to decide on registrations.
+ *       404:
+ *         description: Course not found.
+ *       409:
+ *         description: Course is archived.
+ *       500:
+ *         description: Internal Server Error.
+ */
+router.post("/:courseId/registrations/bulk", requireScope(APIKEYSCOPE_CODES.MANAGE_ENROLLMENTS), async (req, res) => {
+  const { error: paramsError } = courseParamsValidator.validate(req.params);
+  const { error, value } = bulkRegistrationValidator.validate(req.body);
+  if (paramsError || error) {
+    return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message));
+  }
+
+  const { action, registrationIds, reason } = value;
+  const toState = action === "accept" ? REGISTRATIONSTATUS_CODES.ACCEPTED : REGISTRATIONSTATUS_CODES.REJECTED;
+  const results = {
+    [REGISTRATIONCHANGE_CODES.SUCCESS]: "updated",
+    [REGISTRATIONCHANGE_CODES.NOT_FOUND]: "not_found",
+    [REGISTRATIONCHANGE_CODES.INVALID_TRANSITION]: "invalid_transition",
+    [REGISTRATIONCHANGE_CODES.COURSE_FULL]: "course_full",
+  };
+
+  try {
+    const course = await _loadCourseForRegistrations(req, res);
+    if (!course) {
+      return;
+    }
+
+    const outcome = [];
+    for (const registrationId of registrationIds) {
+      const { status } = await transitionRegistration(course._id, registrationId, toState, { decidedBy: req.id, reason });
+      outcome.push({ registrationId, result: results[status] });
+    }
+
+    res.status(200).json(generateResponseMessage("success", outcome));
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json(generateResponseMessage("error", "Internal Server Error"));
+  }
+});
+
+/** accept a registration request
+ * @swagger
+ * /course/{courseId}/registrations/{registrationId}/accept:
+ *   post:
+ *     summary: Accept a registration.
+ *     tags:
+ *       - registration
+ *     description: Accepts a requested registration, or reconsiders a rejected or discontinued one if a seat is free. Allowed for COORDINATOR and INSTRUCTOR managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: registrationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The updated registration.
+ *       400:
+ *         description: Invalid course or registration ID.
+ *       403:
+ *         description: Not a manager of the course allowed to decide on registrations.
+ *       404:
+ *         description: Course or registration not found.
+ *       409:
+ *         description: Course is archived or full, or the registration cannot be accepted from its current state.
+ *       500:
+ *         description: Internal Server Error.
+ */
+router.post("/:courseId/registrations/:registrationId/accept", requireScope(APIKEYSCOPE_CODES.MANAGE_ENROLLMENTS), async (req, res) => {
+  return _decideRegistration(req, res, REGISTRATIONSTATUS_CODES.ACCEPTED);
+});
+
+/** reject a registration request
+ * @swagger
+ * /course/{courseId}/registrations/{registrationId}/reject:
+ *   post:
+ *     summary: Reject a registration.
+ *     tags:
+ *       - registration
+ *     description: Rejects a requested or waitlisted registration, with a reason shown to the student. The seat of a rejected request goes to the first in line on the waitlist. Allowed for COORDINATOR and INSTRUCTOR managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: registrationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Prerequisites not met.
+ *     responses:
+ *       200:
+ *         description: The updated registration.
+ *       400:
+ *         description: Invalid IDs, or missing reason.
+ *       403:
+ *         description: Not a manager of the course allowed to decide on registrations.
+ *       404:
+ *         description: Course or registration not found.
+ *       409:
+ *         description: Course is archived, or the registration is no longer a request.
+ *       500:
+ *         description: Internal Server Error.
+ */
+router.post("/:courseId/registrations/:registrationId/reject", requireScope(APIKEYSCOPE_CODES.MANAGE_ENROLLMENTS), async (req, res) => {
+  const { error, value } = rejectRegistrationValidator.validate(req.body);
+  if (error) {
+    return res.status(400).json(generateResponseMessage("error", error.details[0].message));
+  }
+  return _decideRegistration(req, res, REGISTRATIONSTATUS_CODES.REJECTED, value.reason);
+});
+
+/** mark an accepted student as having discontinued the course
+ * @swagger
+ * /course/{courseId}/registrations/{registrationId}/discontinue:
+ *   post:
+ *     summary: Mark a registration discontinued.
+ *     tags:
+ *       - registration
+ *     description: Marks an accepted student as having left the course before completing it. Their seat goes to the first in line on the waitlist. Allowed for COORDINATOR and INSTRUCTOR managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: registrationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated registration.
+ *       400:
+ *         description: Invalid IDs or reason.
+ *       403:
+ *         description: Not a manager of the course allowed to decide on registrations.
+ *       404:
+ *         description: Course or registration not found.
+ *       409:
+ *         description: Course is archived, or the registration is not accepted.
+ *       500:
+ *         description: Internal Server Error.
+ */
+router.post("/:courseId/registrations/:registrationId/discontinue", requireScope(APIKEYSCOPE_CODES.MANAGE_ENROLLMENTS), async (req, res) => {
+  const { error, value } = discontinueRegistrationValidator.validate(req.body || {});
+  if (error) {
+    return res.status(400).json(generateResponseMessage("error", error.details[0].message));
+  }
+  return _decideRegistration(req, res, REGISTRATIONSTATUS_CODES.DISCONTINUED, value.reason);
+});
+
+/** mark an accepted student as having completed the course
+ * @swagger
+ * /course/{courseId}/registrations/{registrationId}/complete:
+ *   post:
+ *     summary: Mark a registration completed.
+ *     tags:
+ *       - registration
+ *     description: Marks an accepted student as having completed the course, which is final, and issues their certificate. Allowed for COORDINATOR and INSTRUCTOR managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: registrationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The updated registration.
+ *       400:
+ *         description: Invalid course or registration ID.
+ *       403:
+ *         description: Not a manager of the course allowed to decide on registrations.
+ *       404:
+ *         description: Course or registration not found.
+ *       409:
+ *         description: Course is archived, or the registration is not accepted.
+ *       500:
+ *         description: Internal Server Error.
+ */
+router.post("/:courseId/registrations/:registrationId/complete", requireScope(APIKEYSCOPE_CODES.MANAGE_ENROLLMENTS), async (req, res) => {
+  return _decideRegistration(req, res, REGISTRATIONSTATUS_CODES.COMPLETED);
+});
+
+/** list the waitlist of a course for its managers
+ * @swagger
+ * /course/{courseId}/waitlist:
+ *   get:
+ *     summary: List the waitlist of a course.
+ *     tags:
+ *       - registration
+ *     description: Lists the waitlisted registrations of a full course, first in line first, with their positions. Allowed for COORDINATOR and INSTRUCTOR managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         description: ID of the course.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The seat limit, the seats taken, and the waitlist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     capacity:
+ *                       type: integer
+ *                       example: 60
+ *                     seatsTaken:
+ *                       type: integer
+ *                       example: 60
+ *                     waitlist:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           position:
+ *                             type: integer
+ *                           registration:
+ *                             type: object
+ *       400:
+ *         description: Invalid course ID.
+ *       403:
+ *         description: Not a manager of the course allowed to decide on registrations.
+ *       404:
+ *         description: Course not found.
+ *       500:
+ *         description: Internal Server Error.
+ */
+router.get("/:courseId/waitlist", requireScope(APIKEYSCOPE_CODES.MANAGE_ENROLLMENTS), async (req, res) => {
+  const { error } = courseParamsValidator.validate(req.params);
+  if (error) {
+    return res.status(400).json(generateResponseMessage("error", error.details[0].message));
+  }
+
+  try {
+    const course = await Course.findById(req.params.courseId).populate(
+      "registrations.user",
+      "firstname lastname username email college"
+    );
+    if (!course) {
+      return res.status(404).json(generateResponseMessage("error", "Course not found"));
+    }
+    if (!canManageRegistrations(course, req.id, req.role)) {
+      return res.status(403).json(generateResponseMessage("error", "Not allowed for this role."));
+    }
+
+    const seatsTaken = course.registrations.filter((registration) => SEAT_STATES.includes(registration.state)).length;
+    const waitlist = getWaitlist(course).map((registration, index) => ({ position: index + 1, registration }));
+
+    res.status(200).json(generateResponseMessage("success", { capacity: course.capacity || null, seatsTaken, waitlist }));
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json(generateResponseMessage("error", "Internal Server Error"));
+  }
+});
+
+/** tell a waitlisted student their position
+ * @swagger
+ * /course/{courseId}/waitlist/position:
+ *   get:
+ *     summary: Get my position on the waitlist of a course.
+ *     tags:
+ *       - registration
+ *     description: Tells the current user their position on the waitlist of a full course, 1 being next in line.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         description: ID of the course.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The position, and the length of the waitlist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     position:
+ *                       type: integer
+ *                       example: 12
+ *                     waitlistLength:
+ *                       type: integer
+ *                       example: 340
+ *       400:
+ *         description: Invalid course ID.
+ *       404:
+ *         description: Course not found, or the user is not on its waitlist.
+ *       500:
+ *         description: Internal Server Error.
+ */
+router.get("/:courseId/waitlist/position", requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+  const { error } = courseParamsValidator.validate(req.params);
+  if (error) {
+    return res.status(400).json(generateResponseMessage("error", error.details[0].message));
+  }
+
+  try {
+    const course = await Course.findById(req.params.courseId).select("registrations");
+    if (!course) {
+      return res.status(404).json(generateResponseMessage("error", "Course not found"));
+    }
+
+    const position = getWaitlistPosition(course, req.id);
+    if (!position) {
+      return res.status(404).json(generateResponseMessage("error", "User is not on the waitlist of this course."));
+    }
+
+    res.status(200).json(generateResponseMessage("success", { position, waitlistLength: getWaitlist(course).length }));
+  } catch (err) {
+    logger.error(err);
+    res.status(500).json(generateResponseMessage("error", "Internal Server Error"));
+  }
+});
+
 /** for student to get list of enrolled courses
  * @swagger
  * /student/enrolled-courses:
@@ -1552,6 +2675,7 @@ router.post("/unenroll/:id", async (req, res) => {
  *                   type: string
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  * components:
  *   schemas:
  *     Course:
@@ -1588,7 +2712,7 @@ router.post("/unenroll/:id", async (req, res) => {
  *         state:
  *           type: integer
  */
-router.get("/student/enrolled-courses", async (req, res) => {
+router.get("/student/enrolled-courses", requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
   try {
     const userId = req.id;
     if (!userId) {
@@ -1621,24 +2745,4 @@ router.get("/student/enrolled-courses", async (req, res) => {
   }
 });
 
-// router.get("/trending", async (req, res) => {
-//     //not required to be logged in
-//     // const userId = req.userId // from the middleware checkJWT
-//     try{
-//         const trendingCourses = await Course.find().projection({
-//             courseName:1,
-//             instructorName:1,
-//             duration:1,
-//             price:1,
-//             rating:1,
-//             image:1,
-//         }).sort({rating: -1}).limit(6)
-//         res.status(200).json(trendingCourses)
-//     }
-//     catch(err){
-//         res.status(500).json({msg: err.message})
-//     }
-
-// })
-
 module.exports = router;
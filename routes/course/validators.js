@@ -1,5 +1,5 @@
 const Joi = require('joi')
-const COURSESTATUS_CODES = require("../../db/models/course/model");
+const { COURSESTATUS_CODES, REGISTRATIONSTATUS_CODES } = require("../../db/models/course/model");
 // Define the schema for name
 const nameSchema = Joi.string()
 	.min(2)
@@ -79,8 +79,137 @@ const createMaterialValidator = Joi.object({
 	description: descriptionSchema
 });
 
+// Define the schema for a mongo id
+const idSchema = Joi.string()
+	.length(24)
+	.hex()
+	.required()
+	.messages({
+		'string.base': 'ID should be a string.',
+		'string.length': 'ID should be exactly 24 characters long.',
+		'string.hex': 'ID should contain only hexadecimal characters.',
+		'any.required': 'ID is required.'
+	});
+
+// Define the schema for the reason of a registration decision
+const reasonSchema = Joi.string()
+	.trim()
+	.min(3)
+	.max(500)
+	.messages({
+		'string.base': 'Reason should be a string.',
+		'string.empty': 'Reason cannot be empty.',
+		'string.min': 'Reason should have a minimum length of 3 characters.',
+		'string.max': 'Reason should have a maximum length of 500 characters.',
+		'any.required': 'A reason is required.'
+	});
+
+const capacityValidator = Joi.object({
+	capacity: Joi.number()
+		.integer()
+		.min(1)
+		.allow(null)
+		.messages({
+			'number.base': 'Capacity should be a number.',
+			'number.integer': 'Capacity should be a whole number of seats.',
+			'number.min': 'Capacity should be at least 1 seat.'
+		})
+});
+
+const courseParamsValidator = Joi.object({
+	courseId: idSchema
+});
+
+const registrationParamsValidator = Joi.object({
+	courseId: idSchema,
+	registrationId: idSchema
+});
+
+const listRegistrationsValidator = Joi.object({
+	state: Joi.number().valid(...Object.values(REGISTRATIONSTATUS_CODES))
+});
+
+const rejectRegistrationValidator = Joi.object({
+	reason: reasonSchema.required()
+});
+
+const discontinueRegistrationValidator = Joi.object({
+	reason: reasonSchema
+});
+
+const bulkRegistrationValidator = Joi.object({
+	action: Joi.string().valid('accept', 'reject').required(),
+	registrationIds: Joi.array().items(idSchema).min(1).max(200).unique().required(),
+	reason: reasonSchema.when('action', { is: 'reject', then: Joi.required() })
+});
+
+// Listing of all the courses, see GET /course/all
+const listCoursesValidator = Joi.object({
+	sort: Joi.string().valid('rating').messages({
+		'any.only': 'Sort should be rating, highest rating score first.'
+	})
+});
+
+// Define the schema for the order of the search results
+const searchSortSchema = Joi.string()
+	.valid('relevance', 'newest', 'startDate', 'rating')
+	.messages({
+		'any.only': 'Sort should be relevance, newest, startDate or rating.'
+	})
+
+// Search of the courses, see GET /course/search; repeat tags or status for several values
+const searchCoursesValidator = Joi.object({
+	q: Joi.string().trim().min(1).max(200).messages({
+		'string.base': 'Search text should be a string.',
+		'string.empty': 'Search text cannot be empty.',
+		'string.max': 'Search text should have a maximum length of 200 characters.'
+	}),
+	tags: Joi.array().items(Joi.string().trim().min(1).max(50)).max(20).single(),
+	status: Joi.array().items(Joi.number().valid(...Object.values(COURSESTATUS_CODES))).single(),
+	startFrom: Joi.date().iso(),
+	startTo: Joi.date().iso().when('startFrom', { is: Joi.exist(), then: Joi.date().min(Joi.ref('startFrom')) }).messages({
+		'date.min': 'startTo should not be before startFrom.'
+	}),
+	instructor: idSchema.optional(),
+	minRating: Joi.number().integer(),
+	sort: Joi.when('q', {
+		is: Joi.exist(),
+		then: searchSortSchema.default('relevance'),
+		otherwise: Joi.string().valid('newest', 'startDate', 'rating').default('newest').messages({
+			'any.only': 'Sort should be newest, startDate or rating; sorting by relevance needs a search text.'
+		})
+	}),
+	cursor: Joi.string().max(500),
+	limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
+// Trending courses, see GET /course/trending
+const trendingCoursesValidator = Joi.object({
+	days: Joi.number().integer().min(1).max(90).default(7).messages({
+		'number.min': 'Days should be between 1 and 90.',
+		'number.max': 'Days should be between 1 and 90.'
+	}),
+	limit: Joi.number().integer().min(1).max(50).default(6)
+});
+
+// Recommended courses, see GET /course/recommended
+const recommendedCoursesValidator = Joi.object({
+	limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
 // Export the schemas
 module.exports = {
 	createCourseValidator,
-	createMaterialValidator
+	createMaterialValidator,
+	capacityValidator,
+	courseParamsValidator,
+	registrationParamsValidator,
+	listRegistrationsValidator,
+	rejectRegistrationValidator,
+	discontinueRegistrationValidator,
+	bulkRegistrationValidator,
+	listCoursesValidator,
+	searchCoursesValidator,
+	trendingCoursesValidator,
+	recommendedCoursesValidator
 };
\ No newline at end of file
@@ -0,0 +1,613 @@
+// External Import
+const express = require('express')
+
+// Helpers
+const { checkJwtOrApiKey, requireScope } = require('../../helpers/jwt')
+const { canManageContent, loadCourse } = require('../../helpers/course')
+const {
+	CURRICULUMCHANGE_CODES,
+	CURRICULUMACCESS_CODES,
+	getCurriculumAccess,
+	addCurriculumNode,
+	updateCurriculumNode,
+	moveCurriculumNode,
+	reorderCurriculum,
+	removeCurriculumNode,
+	attachMaterial,
+	detachMaterial,
+	buildCurriculumTree,
+	describeCurriculumFailure
+} = require('../../helpers/curriculum')
+const logger = require('../../helpers/logger')
+const { generateResponseMessage } = require('../../helpers/response')
+
+// Database Models
+const { Course } = require("../../db/models/course/model")
+const { APIKEYSCOPE_CODES } = require("../../db/models/apiKey/model")
+const {
+	curriculumParamsValidator,
+	curriculumNodeParamsValidator,
+	curriculumMaterialParamsValidator,
+	createCurriculumNodeValidator,
+	updateCurriculumNodeValidator,
+	moveCurriculumNodeValidator,
+	reorderCurriculumValidator,
+	attachMaterialValidator
+} = require('./validators')
+
+// Create an instance of Express Router, mounted under /course/:courseId/curriculum
+const router = express.Router({ mergeParams: true })
+
+router.use(checkJwtOrApiKey)
+
+/** Helper function, loads the course whose curriculum the current user wants to change, or sends the error response.
+ * @async
+ * @function
+ * @name _loadCourseForEditing
+ * @param {Object} req - The request object, with the course id in its params.
+ * @param {Object} res - The response object.
+ * @returns {Promise<Object|undefined>} The course, or undefined if a response was sent.
+ */
+const _loadCourseForEditing = (req, res) => loadCourse(req, res, {
+	allow: (req, course) => canManageContent(course, req.id, req.role),
+	writing: true
+})
+
+/** Helper function, applies a change to the curriculum of a course and sends the response.
+ * @async
+ * @function
+ * @name _changeCurriculum
+ * @param {Object} req - The request object, with the course id in its params.
+ * @param {Object} res - The response object.
+ * @param {Function} change - Applies the change to the course, returning a `CURRICULUMCHANGE_CODES` status and maybe a node.
+ * @param {number} [successStatus] - The http status code of a successful change.
+ */
+const _changeCurriculum = async (req, res, change, successStatus = 200) => {
+	try {
+		const course = await _loadCourseForEditing(req, res)
+		if (!course) {
+			return
+		}
+
+		const { status, node } = change(course)
+		if (status !== CURRICULUMCHANGE_CODES.SUCCESS) {
+			const { httpStatus, message } = describeCurriculumFailure(status)
+			return res.status(httpStatus).json(generateResponseMessage("error", message))
+		}
+		await course.save()
+
+		// a single node when the change is about one, otherwise the whole tree, e.g. after a reorder
+		res.status(successStatus).json(generateResponseMessage("success", node || buildCurriculumTree(course)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+}
+
+/** Route to get the curriculum of a course
+ * @swagger
+ * /course/{courseId}/curriculum:
+ *   get:
+ *     summary: Get the curriculum of a course
+ *     tags:
+ *       - curriculum
+ *     description: Protected route. Returns the curriculum tree of modules, sub modules (kind 1) and lessons (kind 2) in their order, with the materials attached to each lesson. Students with an accepted or completed registration only get the released content, a node not released yet being left out with everything under it. Managers of the course and SUPERADMINs get the whole tree with its release dates.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         example: 648e0f25888c1f49d7184fb5
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The modules, each with its children
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CurriculumNode'
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Neither a student nor a manager of the course
+ *       404:
+ *         description: Course not found
+ *       500:
+ *         description: Server error in contacting database
+ * components:
+ *   schemas:
+ *     CurriculumNode:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         kind:
+ *           type: integer
+ *           enum: [0, 1, 2]
+ *           description: 0 for a module, 1 for a sub module, 2 for a lesson
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         order:
+ *           type: integer
+ *         releaseAt:
+ *           type: string
+ *           format: date-time
+ *         materials:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Material'
+ *         children:
+ *           type: array
+ *           items:
+ *             type: object
+ */
+router.get('/', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = curriculumParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const course = await Course.findById(req.params.courseId).select("managers registrations.user registrations.state material curriculum")
+		if (!course) {
+			return res.status(404).json(generateResponseMessage("error", "Course not found"))
+		}
+
+		const access = getCurriculumAccess(course, req.id, req.role)
+		if (access === CURRICULUMACCESS_CODES.NONE) {
+			return res.status(403).json(generateResponseMessage("error", "Only students and managers of the course can see its curriculum."))
+		}
+
+		const tree = buildCurriculumTree(course, { releasedOnly: access !== CURRICULUMACCESS_CODES.FULL })
+		res.status(200).json(generateResponseMessage("success", tree))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to add a node to the curriculum of a course
+ * @swagger
+ * /course/{courseId}/curriculum:
+ *   post:
+ *     summary: Add a module, sub module or lesson
+ *     tags:
+ *       - curriculum
+ *     description: Protected route. Modules go at the top (no parentId), sub modules in modules, and lessons in modules or sub modules. The node is added last among its siblings unless a position is given. Allowed for COORDINATOR, INSTRUCTOR and TA managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               kind:
+ *                 type: integer
+ *                 required: true
+ *                 enum: [0, 1, 2]
+ *                 example: 2
+ *               title:
+ *                 type: string
+ *                 required: true
+ *                 example: Binary search trees
+ *               description:
+ *                 type: string
+ *               parentId:
+ *                 type: string
+ *                 nullable: true
+ *                 example: 648e0f25888c1f49d7184fb6
+ *               releaseAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: hidden from students until then, released right away if unset
+ *               position:
+ *                 type: integer
+ *                 description: 0-based position among the siblings, last if unset
+ *     responses:
+ *       201:
+ *         description: The new node
+ *       400:
+ *         description: Invalid request body parameters, or a parent that cannot hold this kind of node
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to edit its curriculum
+ *       404:
+ *         description: Course not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = curriculumParamsValidator.validate(req.params)
+	const { error, value } = createCurriculumNodeValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	return _changeCurriculum(req, res, (course) => addCurriculumNode(course, value, req.id), 201)
+})
+
+/** Route to reorder the children of a node
+ * @swagger
+ * /course/{courseId}/curriculum/reorder:
+ *   post:
+ *     summary: Reorder modules, or the children of a node
+ *     tags:
+ *       - curriculum
+ *     description: Protected route. Sets the order of the children of a parent after a drag and drop, listing all of them once. A null parentId reorders the modules. Allowed for COORDINATOR, INSTRUCTOR and TA managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               parentId:
+ *                 type: string
+ *                 nullable: true
+ *                 required: true
+ *               order:
+ *                 type: array
+ *                 required: true
+ *                 items:
+ *                   type: string
+ *                 example: [648e0f25888c1f49d7184fb8, 648e0f25888c1f49d7184fb7]
+ *     responses:
+ *       200:
+ *         description: The whole curriculum tree
+ *       400:
+ *         description: Invalid request body parameters, or an order not listing every child exactly once
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to edit its curriculum
+ *       404:
+ *         description: Course or parent not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/reorder', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = curriculumParamsValidator.validate(req.params)
+	const { error, value } = reorderCurriculumValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	return _changeCurriculum(req, res, (course) => reorderCurriculum(course, value.parentId, value.order))
+})
+
+/** Route to update a node of the curriculum
+ * @swagger
+ * /course/{courseId}/curriculum/{nodeId}:
+ *   put:
+ *     summary: Update a module, sub module or lesson
+ *     tags:
+ *       - curriculum
+ *     description: Protected route. Changes the title, description or release date of a node. A null releaseAt releases it right away. Allowed for COORDINATOR, INSTRUCTOR and TA managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: nodeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               releaseAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: The updated node
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to edit its curriculum
+ *       404:
+ *         description: Course or node not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.put('/:nodeId', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = curriculumNodeParamsValidator.validate(req.params)
+	const { error, value } = updateCurriculumNodeValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	return _changeCurriculum(req, res, (course) => updateCurriculumNode(course, req.params.nodeId, value))
+})
+
+/** Route to move a node of the curriculum
+ * @swagger
+ * /course/{courseId}/curriculum/{nodeId}/move:
+ *   post:
+ *     summary: Move a node under another parent
+ *     tags:
+ *       - curriculum
+ *     description: Protected route. Moves a node with everything under it, e.g. a lesson dragged to another module, at a position among its new siblings or last. Allowed for COORDINATOR, INSTRUCTOR and TA managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: nodeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               parentId:
+ *                 type: string
+ *                 nullable: true
+ *                 required: true
+ *               position:
+ *                 type: integer
+ *                 example: 0
+ *     responses:
+ *       200:
+ *         description: The whole curriculum tree
+ *       400:
+ *         description: Invalid request parameters, or a parent that cannot hold this kind of node
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to edit its curriculum
+ *       404:
+ *         description: Course or node not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/:nodeId/move', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = curriculumNodeParamsValidator.validate(req.params)
+	const { error, value } = moveCurriculumNodeValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	return _changeCurriculum(req, res, (course) => {
+		// answer with the tree rather than the node, both the old and new siblings moved
+		const { status } = moveCurriculumNode(course, req.params.nodeId, value.parentId, value.position)
+		return { status }
+	})
+})
+
+/** Route to delete a node of the curriculum
+ * @swagger
+ * /course/{courseId}/curriculum/{nodeId}:
+ *   delete:
+ *     summary: Delete a module, sub module or lesson
+ *     tags:
+ *       - curriculum
+ *     description: Protected route. Deletes a node with everything under it. The materials of its lessons stay in the course. Allowed for COORDINATOR, INSTRUCTOR and TA managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: nodeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The whole curriculum tree
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to edit its curriculum
+ *       404:
+ *         description: Course or node not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.delete('/:nodeId', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params
+	const { error } = curriculumNodeParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	return _changeCurriculum(req, res, (course) => {
+		const { status } = removeCurriculumNode(course, req.params.nodeId)
+		return { status }
+	})
+})
+
+/** Route to attach a material to a lesson
+ * @swagger
+ * /course/{courseId}/curriculum/{nodeId}/materials:
+ *   post:
+ *     summary: Attach a material to a lesson
+ *     tags:
+ *       - curriculum
+ *     description: Protected route. Attaches one of the materials already added to the course, see /course/{courseId}/material, to a lesson. A material can be attached to several lessons. Allowed for COORDINATOR, INSTRUCTOR and TA managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: nodeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               materialId:
+ *                 type: string
+ *                 required: true
+ *     responses:
+ *       200:
+ *         description: The lesson
+ *       400:
+ *         description: Invalid request parameters, or the node is not a lesson
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to edit its curriculum
+ *       404:
+ *         description: Course, lesson or material not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/:nodeId/materials', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = curriculumNodeParamsValidator.validate(req.params)
+	const { error, value } = attachMaterialValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	return _changeCurriculum(req, res, (course) => attachMaterial(course, req.params.nodeId, value.materialId))
+})
+
+/** Route to detach a material from a lesson
+ * @swagger
+ * /course/{courseId}/curriculum/{nodeId}/materials/{materialId}:
+ *   delete:
+ *     summary: Detach a material from a lesson
+ *     tags:
+ *       - curriculum
+ *     description: Protected route. The material stays in the course. Allowed for COORDINATOR, INSTRUCTOR and TA managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: nodeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: materialId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The lesson
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to edit its curriculum
+ *       404:
+ *         description: Course or lesson not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.delete('/:nodeId/materials/:materialId', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params
+	const { error } = curriculumMaterialParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	return _changeCurriculum(req, res, (course) => detachMaterial(course, req.params.materialId, req.params.nodeId))
+})
+
+module.exports = router
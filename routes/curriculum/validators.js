@@ -0,0 +1,110 @@
+const Joi = require('joi')
+
+const { CURRICULUMNODE_CODES } = require('../../db/models/course/model')
+
+// Define the schema for a mongo id
+const idSchema = Joi.string()
+	.length(24)
+	.hex()
+	.messages({
+		'string.base': 'ID should be a string.',
+		'string.length': 'ID should be exactly 24 characters long.',
+		'string.hex': 'ID should contain only hexadecimal characters.',
+		'any.required': 'ID is required.'
+	})
+
+const titleSchema = Joi.string()
+	.trim()
+	.min(2)
+	.max(200)
+	.messages({
+		'string.base': 'Title should be a string.',
+		'string.empty': 'Title cannot be empty.',
+		'string.min': 'Title should have a minimum length of 2 characters.',
+		'string.max': 'Title should have a maximum length of 200 characters.',
+		'any.required': 'Title is required.'
+	})
+
+const descriptionSchema = Joi.string()
+	.allow('')
+	.max(2000)
+	.messages({
+		'string.base': 'Description should be a string.',
+		'string.max': 'Description should have a maximum length of 2000 characters.'
+	})
+
+// null releases the node right away
+const releaseAtSchema = Joi.date()
+	.iso()
+	.allow(null)
+	.messages({
+		'date.base': 'Release date should be a date.',
+		'date.format': 'Release date should be an ISO 8601 date.'
+	})
+
+// null stands for the top level of the curriculum
+const parentIdSchema = idSchema.allow(null)
+
+const positionSchema = Joi.number()
+	.integer()
+	.min(0)
+	.messages({
+		'number.base': 'Position should be a number.',
+		'number.integer': 'Position should be a whole number.',
+		'number.min': 'Position should be 0 or more.'
+	})
+
+const curriculumParamsValidator = Joi.object({
+	courseId: idSchema.required()
+})
+
+const curriculumNodeParamsValidator = Joi.object({
+	courseId: idSchema.required(),
+	nodeId: idSchema.required()
+})
+
+const curriculumMaterialParamsValidator = Joi.object({
+	courseId: idSchema.required(),
+	nodeId: idSchema.required(),
+	materialId: idSchema.required()
+})
+
+const createCurriculumNodeValidator = Joi.object({
+	kind: Joi.number().valid(...Object.values(CURRICULUMNODE_CODES)).required(),
+	title: titleSchema.required(),
+	description: descriptionSchema,
+	parentId: parentIdSchema,
+	releaseAt: releaseAtSchema,
+	position: positionSchema
+})
+
+const updateCurriculumNodeValidator = Joi.object({
+	title: titleSchema,
+	description: descriptionSchema,
+	releaseAt: releaseAtSchema
+}).min(1)
+
+const moveCurriculumNodeValidator = Joi.object({
+	parentId: parentIdSchema.required(),
+	position: positionSchema
+})
+
+const reorderCurriculumValidator = Joi.object({
+	parentId: parentIdSchema.required(),
+	order: Joi.array().items(idSchema.required()).unique().required()
+})
+
+const attachMaterialValidator = Joi.object({
+	materialId: idSchema.required()
+})
+
+module.exports = {
+	curriculumParamsValidator,
+	curriculumNodeParamsValidator,
+	curriculumMaterialParamsValidator,
+	createCurriculumNodeValidator,
+	updateCurriculumNodeValidator,
+	moveCurriculumNodeValidator,
+	reorderCurriculumValidator,
+	attachMaterialValidator
+}
@@ -0,0 +1,498 @@
+// External Import
+const express = require('express')
+
+// Helpers
+const { checkJwtOrApiKey, requireScope } = require('../../helpers/jwt')
+const { isCourseManager, canAssess, loadCourse } = require('../../helpers/course')
+const {
+	FEEDBACKCHANGE_CODES,
+	findRegistration,
+	computeFeedbackRollup,
+	addFeedback,
+	updateFeedback,
+	removeFeedback,
+	describeFeedbackFailure
+} = require('../../helpers/feedback')
+const logger = require('../../helpers/logger')
+const { generateResponseMessage } = require('../../helpers/response')
+
+// Database Models
+const { Course } = require("../../db/models/course/model")
+const { USERROLE_CODES } = require("../../db/models/user/model")
+const { APIKEYSCOPE_CODES } = require("../../db/models/apiKey/model")
+const {
+	feedbackParamsValidator,
+	studentFeedbackParamsValidator,
+	feedbackIdParamsValidator,
+	createFeedbackValidator,
+	updateFeedbackValidator
+} = require('./validators')
+
+// Create an instance of Express Router, mounted under /course/:courseId/feedback
+const router = express.Router({ mergeParams: true })
+
+router.use(checkJwtOrApiKey)
+
+// the course fields feedback is read and rolled up from
+const FEEDBACK_FIELDS = "managers registrations curriculum status"
+
+/** Helper function, the feedback of a registration, latest first, with its rollup along the curriculum.
+ * @function
+ * @name _describeFeedback
+ * @param {Object} course - The course document, with its curriculum.
+ * @param {Object} registration - The registration.
+ * @param {boolean} [releasedOnly] - Leave the modules not released yet out of the rollup, for students.
+ * @returns {{feedback: Array<Object>, rollup: Object}} The response data.
+ */
+const _describeFeedback = (course, registration, releasedOnly = false) => ({
+	feedback: [...registration.feedback].sort((a, b) => b.timestamp - a.timestamp),
+	rollup: computeFeedbackRollup(course, registration.feedback, releasedOnly)
+})
+
+/** Helper function, sends the response of a failed feedback change.
+ * @function
+ * @name _sendFailure
+ * @param {Object} res - The response object.
+ * @param {number} status - One of `FEEDBACKCHANGE_CODES`, other than SUCCESS.
+ */
+const _sendFailure = (res, status) => {
+	const { httpStatus, message } = describeFeedbackFailure(status)
+	res.status(httpStatus).json(generateResponseMessage("error", message))
+}
+
+/** Route to get the feedback of the current user in a course
+ * @swagger
+ * /course/{courseId}/feedback:
+ *   get:
+ *     summary: Get my feedback in a course
+ *     tags:
+ *       - feedback
+ *     description: Protected route. The feedback left on the registration of the current user, latest first, and its rollup. The rollup averages the TASK scores of the lessons of each sub module into a STORY average, and of all the lessons of each module into an EPIC average; the feedback left on a module or sub module itself is averaged apart, as is the feedback not about a node of the curriculum, such as quiz results. Modules and sub modules not released yet are left out of the rollup. For any user registered to the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         example: 648e0f25888c1f49d7184fb5
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The feedback and its rollup
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     feedback:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           type:
+ *                             type: integer
+ *                             description: 0 for EPIC, 1 for STORY, 2 for TASK
+ *                           node:
+ *                             type: string
+ *                           details:
+ *                             type: string
+ *                           feedback:
+ *                             type: string
+ *                           score:
+ *                             type: number
+ *                           createdBy:
+ *                             type: string
+ *                           timestamp:
+ *                             type: string
+ *                             format: date-time
+ *                     rollup:
+ *                       type: object
+ *                       properties:
+ *                         tasks:
+ *                           type: object
+ *                           properties:
+ *                             average:
+ *                               type: number
+ *                               nullable: true
+ *                             count:
+ *                               type: integer
+ *                         epics:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               node:
+ *                                 type: string
+ *                               title:
+ *                                 type: string
+ *                               average:
+ *                                 type: number
+ *                                 nullable: true
+ *                                 example: 76.5
+ *                               count:
+ *                                 type: integer
+ *                               feedbackAverage:
+ *                                 type: number
+ *                                 nullable: true
+ *                               stories:
+ *                                 type: array
+ *                                 items:
+ *                                   type: object
+ *                         unlinked:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               type:
+ *                                 type: integer
+ *                               average:
+ *                                 type: number
+ *                                 nullable: true
+ *                               count:
+ *                                 type: integer
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not registered to the course
+ *       404:
+ *         description: Course not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = feedbackParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const course = await Course.findById(req.params.courseId).select(FEEDBACK_FIELDS)
+		if (!course) {
+			return res.status(404).json(generateResponseMessage("error", "Course not found"))
+		}
+
+		const registration = findRegistration(course, req.id)
+		if (!registration) {
+			return res.status(403).json(generateResponseMessage("error", "Only students of the course have feedback."))
+		}
+
+		// students are not shown the modules not released yet
+		const manager = req.role === USERROLE_CODES.SUPERADMIN || isCourseManager(course, req.id)
+		res.status(200).json(generateResponseMessage("success", _describeFeedback(course, registration, !manager)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to get the feedback of a student
+ * @swagger
+ * /course/{courseId}/feedback/students/{userId}:
+ *   get:
+ *     summary: Get the feedback of a student of a course
+ *     tags:
+ *       - feedback
+ *     description: Protected route. The same details a student sees of their own feedback, the modules not released yet included. For managers of the course, whatever their role, and SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The feedback and its rollup
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course
+ *       404:
+ *         description: Course not found, or the user is not registered to it
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/students/:userId', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = studentFeedbackParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const course = await loadCourse(req, res, { select: FEEDBACK_FIELDS })
+		if (!course) {
+			return
+		}
+
+		const registration = findRegistration(course, req.params.userId)
+		if (!registration) {
+			return res.status(404).json(generateResponseMessage("error", "Student not found in this course"))
+		}
+
+		res.status(200).json(generateResponseMessage("success", _describeFeedback(course, registration)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to leave feedback on a student
+ * @swagger
+ * /course/{courseId}/feedback/students/{userId}:
+ *   post:
+ *     summary: Leave feedback on a student of a course
+ *     tags:
+ *       - feedback
+ *     description: Protected route. Adds feedback with a score out of 100 to the registration of an accepted or completed student. The feedback may be about a node of the curriculum, whose level then gives its type, EPIC for a module, STORY for a sub module and TASK for a lesson; otherwise the type is TASK unless given. Allowed for ASSESSOR, COORDINATOR, INSTRUCTOR and TA managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: integer
+ *                 enum: [0, 1, 2]
+ *               node:
+ *                 type: string
+ *                 description: id of the module, sub module or lesson
+ *               details:
+ *                 type: string
+ *                 required: true
+ *                 example: Linked lists exercise
+ *               feedback:
+ *                 type: string
+ *                 required: true
+ *                 example: Clean solution, mind the empty list case.
+ *               score:
+ *                 type: number
+ *                 required: true
+ *                 example: 85
+ *     responses:
+ *       201:
+ *         description: The new feedback
+ *       400:
+ *         description: Invalid request parameters, or a type not matching the level of the node
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to give feedback
+ *       404:
+ *         description: Course, student or curriculum node not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/students/:userId', requireScope(APIKEYSCOPE_CODES.WRITE_GRADES), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = studentFeedbackParamsValidator.validate(req.params)
+	const { error, value } = createFeedbackValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const course = await loadCourse(req, res, { select: FEEDBACK_FIELDS, allow: (req, course) => canAssess(course, req.id, req.role), writing: true })
+		if (!course) {
+			return
+		}
+
+		const { status, feedback } = await addFeedback(course, req.params.userId, value, req.id)
+		if (status !== FEEDBACKCHANGE_CODES.SUCCESS) {
+			return _sendFailure(res, status)
+		}
+		res.status(201).json(generateResponseMessage("success", feedback))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to update feedback on a student
+ * @swagger
+ * /course/{courseId}/feedback/students/{userId}/{feedbackId}:
+ *   put:
+ *     summary: Update feedback left on a student
+ *     tags:
+ *       - feedback
+ *     description: Protected route. Changes the details, text or score of feedback. Quiz results cannot be changed here. Allowed for ASSESSOR, COORDINATOR, INSTRUCTOR and TA managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: feedbackId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               details:
+ *                 type: string
+ *               feedback:
+ *                 type: string
+ *               score:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: The updated feedback
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to give feedback
+ *       404:
+ *         description: Course, student or feedback not found
+ *       409:
+ *         description: Course is archived, or the feedback is a quiz result
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.put('/students/:userId/:feedbackId', requireScope(APIKEYSCOPE_CODES.WRITE_GRADES), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = feedbackIdParamsValidator.validate(req.params)
+	const { error, value } = updateFeedbackValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const course = await loadCourse(req, res, { select: FEEDBACK_FIELDS, allow: (req, course) => canAssess(course, req.id, req.role), writing: true })
+		if (!course) {
+			return
+		}
+
+		const { status, feedback } = await updateFeedback(course, req.params.userId, req.params.feedbackId, value)
+		if (status !== FEEDBACKCHANGE_CODES.SUCCESS) {
+			return _sendFailure(res, status)
+		}
+		res.status(200).json(generateResponseMessage("success", feedback))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to delete feedback on a student
+ * @swagger
+ * /course/{courseId}/feedback/students/{userId}/{feedbackId}:
+ *   delete:
+ *     summary: Delete feedback left on a student
+ *     tags:
+ *       - feedback
+ *     description: Protected route. Quiz results cannot be deleted here. Allowed for ASSESSOR, COORDINATOR, INSTRUCTOR and TA managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: feedbackId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Feedback deleted
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to give feedback
+ *       404:
+ *         description: Course, student or feedback not found
+ *       409:
+ *         description: Course is archived, or the feedback is a quiz result
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.delete('/students/:userId/:feedbackId', requireScope(APIKEYSCOPE_CODES.WRITE_GRADES), async (req, res) => {
+
+	// validate the request params
+	const { error } = feedbackIdParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const course = await loadCourse(req, res, { select: FEEDBACK_FIELDS, allow: (req, course) => canAssess(course, req.id, req.role), writing: true })
+		if (!course) {
+			return
+		}
+
+		const { status } = await removeFeedback(course, req.params.userId, req.params.feedbackId)
+		if (status !== FEEDBACKCHANGE_CODES.SUCCESS) {
+			return _sendFailure(res, status)
+		}
+		res.status(200).json(generateResponseMessage("success", "Feedback deleted successfully"))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+module.exports = router
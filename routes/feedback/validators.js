@@ -0,0 +1,85 @@
+const Joi = require('joi')
+
+const { FEEDBACKTYPE_CODES } = require('../../db/models/course/model')
+
+// Define the schema for a mongo id
+const idSchema = Joi.string()
+	.length(24)
+	.hex()
+	.messages({
+		'string.base': 'ID should be a string.',
+		'string.length': 'ID should be exactly 24 characters long.',
+		'string.hex': 'ID should contain only hexadecimal characters.',
+		'any.required': 'ID is required.'
+	})
+
+const detailsSchema = Joi.string()
+	.trim()
+	.min(1)
+	.max(500)
+	.messages({
+		'string.base': 'Details should be a string.',
+		'string.empty': 'Details cannot be empty.',
+		'string.max': 'Details should have a maximum length of 500 characters.',
+		'any.required': 'Details are required.'
+	})
+
+const feedbackSchema = Joi.string()
+	.trim()
+	.min(1)
+	.max(5000)
+	.messages({
+		'string.base': 'Feedback should be a string.',
+		'string.empty': 'Feedback cannot be empty.',
+		'string.max': 'Feedback should have a maximum length of 5000 characters.',
+		'any.required': 'Feedback is required.'
+	})
+
+const scoreSchema = Joi.number()
+	.min(0)
+	.max(100)
+	.messages({
+		'number.base': 'Score should be a number.',
+		'number.min': 'Score should be between 0 and 100.',
+		'number.max': 'Score should be between 0 and 100.',
+		'any.required': 'Score is required.'
+	})
+
+const feedbackParamsValidator = Joi.object({
+	courseId: idSchema.required()
+})
+
+const studentFeedbackParamsValidator = Joi.object({
+	courseId: idSchema.required(),
+	userId: idSchema.required()
+})
+
+const feedbackIdParamsValidator = Joi.object({
+	courseId: idSchema.required(),
+	userId: idSchema.required(),
+	feedbackId: idSchema.required()
+})
+
+const createFeedbackValidator = Joi.object({
+	type: Joi.number().valid(...Object.values(FEEDBACKTYPE_CODES)).messages({
+		'any.only': 'Type should be 0 for EPIC, 1 for STORY or 2 for TASK.'
+	}),
+	node: idSchema, // the module, sub module or lesson the feedback is about
+	details: detailsSchema.required(),
+	feedback: feedbackSchema.required(),
+	score: scoreSchema.required()
+})
+
+const updateFeedbackValidator = Joi.object({
+	details: detailsSchema,
+	feedback: feedbackSchema,
+	score: scoreSchema
+}).min(1)
+
+module.exports = {
+	feedbackParamsValidator,
+	studentFeedbackParamsValidator,
+	feedbackIdParamsValidator,
+	createFeedbackValidator,
+	updateFeedbackValidator
+}
@@ -0,0 +1,1055 @@
+// External Import
+const express = require('express')
+
+// Helpers
+const { checkJwtOrApiKey, requireScope } = require('../../helpers/jwt')
+const {
+	FORUMACCESS_CODES,
+	getForumAccess,
+	addReply,
+	removeReply,
+	removeThread,
+	voteOnReply,
+	presentReply
+} = require('../../helpers/forum')
+const { loadCourse } = require('../../helpers/course')
+const logger = require('../../helpers/logger')
+const { generateResponseMessage } = require('../../helpers/response')
+
+// Database Models
+const { Course } = require("../../db/models/course/model")
+const { Thread, Reply } = require("../../db/models/forum/model")
+const { APIKEYSCOPE_CODES } = require("../../db/models/apiKey/model")
+const {
+	forumParamsValidator,
+	threadParamsValidator,
+	replyParamsValidator,
+	listThreadsValidator,
+	createThreadValidator,
+	updateThreadValidator,
+	moderateThreadValidator,
+	replyValidator
+} = require('./validators')
+
+// Create an instance of Express Router, mounted under /course/:courseId/forum
+const router = express.Router({ mergeParams: true })
+
+router.use(checkJwtOrApiKey)
+
+// the user fields shown with posts
+const AUTHOR_FIELDS = "firstname lastname username"
+
+// why a user without the access needed is turned away
+const ACCESS_MESSAGES = {
+	[FORUMACCESS_CODES.READ]: "Only students and managers of the course can read its forum.",
+	[FORUMACCESS_CODES.POST]: "Only accepted students and managers of the course can post on its forum.",
+	[FORUMACCESS_CODES.MODERATE]: "Only instructors, TAs and coordinators of the course can moderate its forum."
+}
+
+/** Helper function, loads the course and maybe the thread and reply of the request, or sends the error response.
+ * @async
+ * @function
+ * @name _load
+ * @param {Object} req - The request object, with the course and maybe the thread and reply ids in its params.
+ * @param {Object} res - The response object.
+ * @param {Object} [options]
+ * @param {number} [options.level] - The `FORUMACCESS_CODES` access needed; 403 if the user has less.
+ * @param {boolean} [options.writing] - Refuse with a 409 if the course is archived.
+ * @returns {Promise<{course: Object, access: number, thread?: Object, reply?: Object}|undefined>} The documents and
+ * 	the access of the user, or undefined if a response was sent.
+ */
+const _load = async (req, res, { level = FORUMACCESS_CODES.READ, writing } = {}) => {
+	const course = await loadCourse(req, res, {
+		select: "managers registrations status",
+		allow: (req, course) => getForumAccess(course, req.id, req.role) >= level,
+		forbidden: ACCESS_MESSAGES[level],
+		writing,
+		archived: "Course is archived and its forum is read-only."
+	})
+	if (!course) {
+		return
+	}
+
+	const loaded = { course, access: getForumAccess(course, req.id, req.role) }
+	if (req.params.threadId) {
+		loaded.thread = await Thread.findOne({ _id: req.params.threadId, course: course._id })
+		if (!loaded.thread) {
+			res.status(404).json(generateResponseMessage("error", "Thread not found"))
+			return
+		}
+	}
+	if (req.params.replyId) {
+		loaded.reply = await Reply.findOne({ _id: req.params.replyId, thread: loaded.thread._id })
+		if (!loaded.reply) {
+			res.status(404).json(generateResponseMessage("error", "Reply not found"))
+			return
+		}
+	}
+	return loaded
+}
+
+/** Helper function, checks whether the current user wrote a thread or reply.
+ * @function
+ * @name _isAuthor
+ * @param {Object} req - The request object.
+ * @param {Object} post - The thread or reply.
+ * @returns {boolean} True if the user is its author.
+ */
+const _isAuthor = (req, post) => post.author.toString() === String(req.id)
+
+/** Helper function, turns away a user who is not a moderator from a locked thread.
+ * @function
+ * @name _refuseIfLocked
+ * @param {Object} res - The response object.
+ * @param {Object} loaded - The thread and the access of the user, see `_load`.
+ * @returns {boolean} True if a response was sent.
+ */
+const _refuseIfLocked = (res, { thread, access }) => {
+	if (thread.locked && access < FORUMACCESS_CODES.MODERATE) {
+		res.status(409).json(generateResponseMessage("error", "Thread is locked."))
+		return true
+	}
+	return false
+}
+
+/** Route to list the threads of the forum of a course
+ * @swagger
+ * /course/{courseId}/forum/threads:
+ *   get:
+ *     summary: List the threads of the forum of a course
+ *     tags:
+ *       - forum
+ *     description: Protected route. Pinned threads first, then the most recently active. For managers of the course, SUPERADMINs, and accepted and completed students.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: A page of threads, and the number of threads
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     threads:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           author:
+ *                             type: object
+ *                           pinned:
+ *                             type: boolean
+ *                           locked:
+ *                             type: boolean
+ *                           acceptedReply:
+ *                             type: string
+ *                           replyCount:
+ *                             type: integer
+ *                           lastActivityAt:
+ *                             type: string
+ *                             format: date-time
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a student nor a manager of the course
+ *       404:
+ *         description: Course not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/threads', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params and query
+	const { error: paramsError } = forumParamsValidator.validate(req.params)
+	const { error, value } = listThreadsValidator.validate(req.query)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _load(req, res)
+		if (!loaded) {
+			return
+		}
+
+		const { page, limit } = value
+		const [threads, total] = await Promise.all([
+			Thread.find({ course: loaded.course._id })
+				.sort({ pinned: -1, lastActivityAt: -1 })
+				.skip((page - 1) * limit)
+				.limit(limit)
+				.populate("author", AUTHOR_FIELDS),
+			Thread.countDocuments({ course: loaded.course._id })
+		])
+		res.status(200).json(generateResponseMessage("success", { threads, total, page, limit }))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to start a thread
+ * @swagger
+ * /course/{courseId}/forum/threads:
+ *   post:
+ *     summary: Start a thread on the forum of a course
+ *     tags:
+ *       - forum
+ *     description: Protected route. For managers of the course, SUPERADMINs and accepted students; students who completed the course can only read the forum.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 required: true
+ *                 example: Why is quicksort O(n log n) on average?
+ *               body:
+ *                 type: string
+ *                 required: true
+ *     responses:
+ *       201:
+ *         description: The new thread
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not an accepted student nor a manager of the course
+ *       404:
+ *         description: Course not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/threads', requireScope(APIKEYSCOPE_CODES.WRITE_FORUM), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = forumParamsValidator.validate(req.params)
+	const { error, value } = createThreadValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { level: FORUMACCESS_CODES.POST, writing: true })
+		if (!loaded) {
+			return
+		}
+
+		const thread = await Thread.create({ ...value, course: loaded.course._id, author: req.id })
+		res.status(201).json(generateResponseMessage("success", thread))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to get a thread with its replies
+ * @swagger
+ * /course/{courseId}/forum/threads/{threadId}:
+ *   get:
+ *     summary: Get a thread with its replies
+ *     tags:
+ *       - forum
+ *     description: Protected route. The accepted answer comes first, then the replies in the order they were posted, each with its upvote count and whether the current user upvoted it. For managers of the course, SUPERADMINs, and accepted and completed students.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: threadId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The thread and its replies
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a student nor a manager of the course
+ *       404:
+ *         description: Course or thread not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/threads/:threadId', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = threadParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res)
+		if (!loaded) {
+			return
+		}
+
+		const { thread } = loaded
+		await thread.populate("author", AUTHOR_FIELDS)
+		const replies = await Reply.find({ thread: thread._id }).sort({ createdAt: 1 }).populate("author", AUTHOR_FIELDS)
+		const isAccepted = (reply) => Boolean(thread.acceptedReply) && reply._id.toString() === thread.acceptedReply.toString()
+		const ordered = [...replies.filter(isAccepted), ...replies.filter((reply) => !isAccepted(reply))]
+
+		res.status(200).json(generateResponseMessage("success", {
+			thread,
+			replies: ordered.map((reply) => presentReply(reply, req.id))
+		}))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to edit a thread
+ * @swagger
+ * /course/{courseId}/forum/threads/{threadId}:
+ *   put:
+ *     summary: Edit a thread
+ *     tags:
+ *       - forum
+ *     description: Protected route. Changes the title or text of a thread. For its author while they may post, unless the thread is locked.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: threadId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated thread
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not the author of the thread, or may no longer post
+ *       404:
+ *         description: Course or thread not found
+ *       409:
+ *         description: Course is archived, or the thread is locked
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.put('/threads/:threadId', requireScope(APIKEYSCOPE_CODES.WRITE_FORUM), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = threadParamsValidator.validate(req.params)
+	const { error, value } = updateThreadValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { level: FORUMACCESS_CODES.POST, writing: true })
+		if (!loaded) {
+			return
+		}
+		if (!_isAuthor(req, loaded.thread)) {
+			return res.status(403).json(generateResponseMessage("error", "Only the author can edit a thread."))
+		}
+		if (_refuseIfLocked(res, loaded)) {
+			return
+		}
+
+		loaded.thread.set({ ...value, updatedAt: new Date() })
+		await loaded.thread.save()
+		res.status(200).json(generateResponseMessage("success", loaded.thread))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to delete a thread
+ * @swagger
+ * /course/{courseId}/forum/threads/{threadId}:
+ *   delete:
+ *     summary: Delete a thread
+ *     tags:
+ *       - forum
+ *     description: Protected route. Deletes a thread and its replies. For moderators, that is SUPERADMINs and COORDINATOR, INSTRUCTOR and TA managers of the course, and for its author while nobody replied.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: threadId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Thread deleted
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Neither a moderator nor the author of the thread
+ *       404:
+ *         description: Course or thread not found
+ *       409:
+ *         description: Course is archived, or the thread has replies
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.delete('/threads/:threadId', requireScope(APIKEYSCOPE_CODES.WRITE_FORUM), async (req, res) => {
+
+	// validate the request params
+	const { error } = threadParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { level: FORUMACCESS_CODES.POST, writing: true })
+		if (!loaded) {
+			return
+		}
+
+		if (loaded.access < FORUMACCESS_CODES.MODERATE) {
+			if (!_isAuthor(req, loaded.thread)) {
+				return res.status(403).json(generateResponseMessage("error", ACCESS_MESSAGES[FORUMACCESS_CODES.MODERATE]))
+			}
+			if (loaded.thread.replyCount > 0) {
+				return res.status(409).json(generateResponseMessage("error", "A thread with replies can only be deleted by a moderator."))
+			}
+		}
+
+		await removeThread(loaded.thread)
+		res.status(200).json(generateResponseMessage("success", "Thread deleted successfully"))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to pin or lock a thread
+ * @swagger
+ * /course/{courseId}/forum/threads/{threadId}/moderation:
+ *   put:
+ *     summary: Pin, unpin, lock or unlock a thread
+ *     tags:
+ *       - forum
+ *     description: Protected route. Pinned threads are listed first. Locked threads take no more replies or edits, but from moderators. For moderators, that is SUPERADMINs and COORDINATOR, INSTRUCTOR and TA managers of the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: threadId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               pinned:
+ *                 type: boolean
+ *               locked:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The updated thread
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a moderator of the course
+ *       404:
+ *         description: Course or thread not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.put('/threads/:threadId/moderation', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = threadParamsValidator.validate(req.params)
+	const { error, value } = moderateThreadValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { level: FORUMACCESS_CODES.MODERATE, writing: true })
+		if (!loaded) {
+			return
+		}
+
+		loaded.thread.set(value)
+		await loaded.thread.save()
+		res.status(200).json(generateResponseMessage("success", loaded.thread))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to reply to a thread
+ * @swagger
+ * /course/{courseId}/forum/threads/{threadId}/replies:
+ *   post:
+ *     summary: Reply to a thread
+ *     tags:
+ *       - forum
+ *     description: Protected route. For managers of the course, SUPERADMINs and accepted students. Locked threads only take replies from moderators.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: threadId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 required: true
+ *     responses:
+ *       201:
+ *         description: The new reply
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not an accepted student nor a manager of the course
+ *       404:
+ *         description: Course or thread not found
+ *       409:
+ *         description: Course is archived, or the thread is locked
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/threads/:threadId/replies', requireScope(APIKEYSCOPE_CODES.WRITE_FORUM), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = threadParamsValidator.validate(req.params)
+	const { error, value } = replyValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { level: FORUMACCESS_CODES.POST, writing: true })
+		if (!loaded || _refuseIfLocked(res, loaded)) {
+			return
+		}
+
+		const reply = await addReply(loaded.thread, req.id, value.body)
+		res.status(201).json(generateResponseMessage("success", presentReply(reply, req.id)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to edit a reply
+ * @swagger
+ * /course/{courseId}/forum/threads/{threadId}/replies/{replyId}:
+ *   put:
+ *     summary: Edit a reply
+ *     tags:
+ *       - forum
+ *     description: Protected route. For its author while they may post, unless the thread is locked.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: threadId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: replyId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 required: true
+ *     responses:
+ *       200:
+ *         description: The updated reply
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not the author of the reply, or may no longer post
+ *       404:
+ *         description: Course, thread or reply not found
+ *       409:
+ *         description: Course is archived, or the thread is locked
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.put('/threads/:threadId/replies/:replyId', requireScope(APIKEYSCOPE_CODES.WRITE_FORUM), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = replyParamsValidator.validate(req.params)
+	const { error, value } = replyValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { level: FORUMACCESS_CODES.POST, writing: true })
+		if (!loaded) {
+			return
+		}
+		if (!_isAuthor(req, loaded.reply)) {
+			return res.status(403).json(generateResponseMessage("error", "Only the author can edit a reply."))
+		}
+		if (_refuseIfLocked(res, loaded)) {
+			return
+		}
+
+		loaded.reply.set({ body: value.body, updatedAt: new Date() })
+		await loaded.reply.save()
+		res.status(200).json(generateResponseMessage("success", presentReply(loaded.reply, req.id)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to delete a reply
+ * @swagger
+ * /course/{courseId}/forum/threads/{threadId}/replies/{replyId}:
+ *   delete:
+ *     summary: Delete a reply
+ *     tags:
+ *       - forum
+ *     description: Protected route. For moderators, that is SUPERADMINs and COORDINATOR, INSTRUCTOR and TA managers of the course, and for its author unless the thread is locked.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: threadId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: replyId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reply deleted
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Neither a moderator nor the author of the reply
+ *       404:
+ *         description: Course, thread or reply not found
+ *       409:
+ *         description: Course is archived, or the thread is locked
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.delete('/threads/:threadId/replies/:replyId', requireScope(APIKEYSCOPE_CODES.WRITE_FORUM), async (req, res) => {
+
+	// validate the request params
+	const { error } = replyParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { level: FORUMACCESS_CODES.POST, writing: true })
+		if (!loaded) {
+			return
+		}
+		if (loaded.access < FORUMACCESS_CODES.MODERATE && !_isAuthor(req, loaded.reply)) {
+			return res.status(403).json(generateResponseMessage("error", ACCESS_MESSAGES[FORUMACCESS_CODES.MODERATE]))
+		}
+		if (_refuseIfLocked(res, loaded)) {
+			return
+		}
+
+		await removeReply(loaded.thread, loaded.reply)
+		res.status(200).json(generateResponseMessage("success", "Reply deleted successfully"))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Helper function, upvotes a reply for the current user or takes the upvote back, and sends the response.
+ * @async
+ * @function
+ * @name _voteOnReply
+ * @param {Object} req - The request object, with the course, thread and reply ids in its params.
+ * @param {Object} res - The response object.
+ * @param {boolean} upvote - True to upvote, false to take the upvote back.
+ */
+const _voteOnReply = async (req, res, upvote) => {
+
+	// validate the request params
+	const { error } = replyParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { level: FORUMACCESS_CODES.POST, writing: true })
+		if (!loaded) {
+			return
+		}
+		if (upvote && _isAuthor(req, loaded.reply)) {
+			return res.status(400).json(generateResponseMessage("error", "You cannot upvote your own reply."))
+		}
+
+		const reply = await voteOnReply(loaded.reply, req.id, upvote)
+		res.status(200).json(generateResponseMessage("success", presentReply(reply, req.id)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+}
+
+/** Route to upvote a reply
+ * @swagger
+ * /course/{courseId}/forum/threads/{threadId}/replies/{replyId}/upvote:
+ *   post:
+ *     summary: Upvote a reply
+ *     tags:
+ *       - forum
+ *     description: Protected route. Counts once per user, upvoting again changes nothing; one's own replies cannot be upvoted. For managers of the course, SUPERADMINs and accepted students.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: threadId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: replyId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The reply, with its upvote count
+ *       400:
+ *         description: Invalid request parameters in URL, or one's own reply
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not an accepted student nor a manager of the course
+ *       404:
+ *         description: Course, thread or reply not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/threads/:threadId/replies/:replyId/upvote', requireScope(APIKEYSCOPE_CODES.WRITE_FORUM), async (req, res) => {
+	return _voteOnReply(req, res, true)
+})
+
+/** Route to take back an upvote
+ * @swagger
+ * /course/{courseId}/forum/threads/{threadId}/replies/{replyId}/upvote:
+ *   delete:
+ *     summary: Take back an upvote
+ *     tags:
+ *       - forum
+ *     description: Protected route. For managers of the course, SUPERADMINs and accepted students.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: threadId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: replyId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The reply, with its upvote count
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not an accepted student nor a manager of the course
+ *       404:
+ *         description: Course, thread or reply not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.delete('/threads/:threadId/replies/:replyId/upvote', requireScope(APIKEYSCOPE_CODES.WRITE_FORUM), async (req, res) => {
+	return _voteOnReply(req, res, false)
+})
+
+/** Helper function, marks a reply as the accepted answer of its thread or unmarks it, and sends the response.
+ * @async
+ * @function
+ * @name _acceptReply
+ * @param {Object} req - The request object, with the course, thread and reply ids in its params.
+ * @param {Object} res - The response object.
+ * @param {boolean} accept - True to mark the reply, false to unmark it.
+ */
+const _acceptReply = async (req, res, accept) => {
+
+	// validate the request params
+	const { error } = replyParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { level: FORUMACCESS_CODES.MODERATE, writing: true })
+		if (!loaded) {
+			return
+		}
+
+		const { thread, reply } = loaded
+		if (accept) {
+			thread.acceptedReply = reply._id
+		} else if (thread.acceptedReply && thread.acceptedReply.toString() === reply._id.toString()) {
+			thread.acceptedReply = undefined
+		}
+		await thread.save()
+		res.status(200).json(generateResponseMessage("success", thread))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+}
+
+/** Route to accept a reply as the answer
+ * @swagger
+ * /course/{courseId}/forum/threads/{threadId}/replies/{replyId}/accept:
+ *   post:
+ *     summary: Mark a reply as the accepted answer
+ *     tags:
+ *       - forum
+ *     description: Protected route. Replaces the answer accepted before, if any. For SUPERADMINs and COORDINATOR, INSTRUCTOR and TA managers of the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: threadId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: replyId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The updated thread
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a moderator of the course
+ *       404:
+ *         description: Course, thread or reply not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/threads/:threadId/replies/:replyId/accept', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+	return _acceptReply(req, res, true)
+})
+
+/** Route to unmark the accepted answer
+ * @swagger
+ * /course/{courseId}/forum/threads/{threadId}/replies/{replyId}/accept:
+ *   delete:
+ *     summary: Unmark the accepted answer
+ *     tags:
+ *       - forum
+ *     description: Protected route. For SUPERADMINs and COORDINATOR, INSTRUCTOR and TA managers of the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: threadId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: replyId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The updated thread
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a moderator of the course
+ *       404:
+ *         description: Course, thread or reply not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.delete('/threads/:threadId/replies/:replyId/accept', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+	return _acceptReply(req, res, false)
+})
+
+module.exports = router
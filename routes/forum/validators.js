@@ -0,0 +1,85 @@
+const Joi = require('joi')
+
+// Define the schema for a mongo id
+const idSchema = Joi.string()
+	.length(24)
+	.hex()
+	.messages({
+		'string.base': 'ID should be a string.',
+		'string.length': 'ID should be exactly 24 characters long.',
+		'string.hex': 'ID should contain only hexadecimal characters.',
+		'any.required': 'ID is required.'
+	})
+
+const titleSchema = Joi.string()
+	.trim()
+	.min(3)
+	.max(200)
+	.messages({
+		'string.base': 'Title should be a string.',
+		'string.empty': 'Title cannot be empty.',
+		'string.min': 'Title should have a minimum length of 3 characters.',
+		'string.max': 'Title should have a maximum length of 200 characters.',
+		'any.required': 'Title is required.'
+	})
+
+const bodySchema = Joi.string()
+	.trim()
+	.min(1)
+	.max(10000)
+	.messages({
+		'string.base': 'Text should be a string.',
+		'string.empty': 'Text cannot be empty.',
+		'string.max': 'Text should have a maximum length of 10000 characters.',
+		'any.required': 'Text is required.'
+	})
+
+const forumParamsValidator = Joi.object({
+	courseId: idSchema.required()
+})
+
+const threadParamsValidator = Joi.object({
+	courseId: idSchema.required(),
+	threadId: idSchema.required()
+})
+
+const replyParamsValidator = Joi.object({
+	courseId: idSchema.required(),
+	threadId: idSchema.required(),
+	replyId: idSchema.required()
+})
+
+const listThreadsValidator = Joi.object({
+	page: Joi.number().integer().min(1).default(1),
+	limit: Joi.number().integer().min(1).max(100).default(20)
+})
+
+const createThreadValidator = Joi.object({
+	title: titleSchema.required(),
+	body: bodySchema.required()
+})
+
+const updateThreadValidator = Joi.object({
+	title: titleSchema,
+	body: bodySchema
+}).min(1)
+
+const moderateThreadValidator = Joi.object({
+	pinned: Joi.boolean(),
+	locked: Joi.boolean()
+}).min(1)
+
+const replyValidator = Joi.object({
+	body: bodySchema.required()
+})
+
+module.exports = {
+	forumParamsValidator,
+	threadParamsValidator,
+	replyParamsValidator,
+	listThreadsValidator,
+	createThreadValidator,
+	updateThreadValidator,
+	moderateThreadValidator,
+	replyValidator
+}
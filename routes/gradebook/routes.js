@@ -0,0 +1,528 @@
+// External Import
+const express = require('express')
+
+// Helpers
+const { checkJwtOrApiKey, requireScope } = require('../../helpers/jwt')
+const { canManageContent, canAssess, loadCourse } = require('../../helpers/course')
+const { findStudentRegistration } = require('../../helpers/progress')
+const {
+	GRADECHANGE_CODES,
+	getStudentGrades,
+	getClassGrades,
+	setGrade,
+	toGradebookCsv,
+	describeGradeFailure
+} = require('../../helpers/gradebook')
+const logger = require('../../helpers/logger')
+const { generateResponseMessage } = require('../../helpers/response')
+
+// Database Models
+const { Course } = require("../../db/models/course/model")
+const { APIKEYSCOPE_CODES } = require("../../db/models/apiKey/model")
+const {
+	gradebookParamsValidator,
+	studentGradesParamsValidator,
+	gradebookSettingsValidator,
+	setGradeValidator
+} = require('./validators')
+
+// Create an instance of Express Router, mounted under /course/:courseId/gradebook
+const router = express.Router({ mergeParams: true })
+
+router.use(checkJwtOrApiKey)
+
+// the course fields grades are computed from
+const GRADEBOOK_FIELDS = "title managers registrations status gradebook"
+
+// the user fields shown in the class views
+const STUDENT_FIELDS = "firstname lastname username email"
+
+/** Route to get the grades of the current user in a course
+ * @swagger
+ * /course/{courseId}/gradebook:
+ *   get:
+ *     summary: Get my grades in a course
+ *     tags:
+ *       - gradebook
+ *     description: Protected route. The score of each category in percent, with the assignments and quizzes it is made of, and the final grade with its letter. An assignment scores its final score out of its max score once graded, a quiz the best of its attempts; both score 0 when missed, and are left out while pending. Participation is the average of the feedback scores that do not come from quizzes. The final grade weighs the categories with a score. Grades set by the assessors take the place of the computed ones. For accepted and completed students of the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         example: 648e0f25888c1f49d7184fb5
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The grades
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           category:
+ *                             type: integer
+ *                             description: 0 for assignments, 1 for quizzes, 2 for participation
+ *                           weight:
+ *                             type: number
+ *                             example: 50
+ *                           score:
+ *                             type: number
+ *                             nullable: true
+ *                             example: 84.5
+ *                           overridden:
+ *                             type: boolean
+ *                           items:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 item:
+ *                                   type: string
+ *                                 title:
+ *                                   type: string
+ *                                 score:
+ *                                   type: number
+ *                                   nullable: true
+ *                                 status:
+ *                                   type: integer
+ *                                   description: 0 pending, 1 graded, 2 missing, 3 set by hand
+ *                     finalPercentage:
+ *                       type: number
+ *                       nullable: true
+ *                       example: 81.2
+ *                     letter:
+ *                       type: string
+ *                       nullable: true
+ *                       example: B
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not an accepted or completed student of the course
+ *       404:
+ *         description: Course not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = gradebookParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const course = await Course.findById(req.params.courseId).select(GRADEBOOK_FIELDS)
+		if (!course) {
+			return res.status(404).json(generateResponseMessage("error", "Course not found"))
+		}
+
+		const registration = findStudentRegistration(course, req.id)
+		if (!registration) {
+			return res.status(403).json(generateResponseMessage("error", "Only accepted students of the course have grades."))
+		}
+
+		res.status(200).json(generateResponseMessage("success", await getStudentGrades(course, registration)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to get the gradebook of the whole class
+ * @swagger
+ * /course/{courseId}/gradebook/class:
+ *   get:
+ *     summary: Get the grades of every student of a course
+ *     tags:
+ *       - gradebook
+ *     description: Protected route. The gradebook settings of the course, and for each accepted and completed student the score of each category, the final grade and its letter. For managers of the course, whatever their role, and SUPERADMINs; only ASSESSOR, COORDINATOR, INSTRUCTOR and TA managers can change grades.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The settings, the class average and the grades of each student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     settings:
+ *                       type: object
+ *                     averagePercentage:
+ *                       type: number
+ *                       nullable: true
+ *                       example: 74.3
+ *                     students:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course
+ *       404:
+ *         description: Course not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/class', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = gradebookParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const course = await loadCourse(req, res, { select: GRADEBOOK_FIELDS })
+		if (!course) {
+			return
+		}
+		await course.populate("registrations.user", STUDENT_FIELDS)
+
+		const students = await getClassGrades(course)
+		const graded = students.filter((student) => student.finalPercentage !== null)
+		const averagePercentage = graded.length
+			? Math.round((graded.reduce((sum, student) => sum + student.finalPercentage, 0) * 100) / graded.length) / 100
+			: null
+		res.status(200).json(generateResponseMessage("success", { settings: course.gradebook, averagePercentage, students }))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to export the gradebook as CSV
+ * @swagger
+ * /course/{courseId}/gradebook/class/export:
+ *   get:
+ *     summary: Export the grades of a course as CSV
+ *     tags:
+ *       - gradebook
+ *     description: Protected route. A CSV line per accepted and completed student, with their username, name, email, registration state, the score of each category, the final grade and its letter, e.g. for the registrar of a college. For managers of the course, whatever their role, and SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course
+ *       404:
+ *         description: Course not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/class/export', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = gradebookParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const course = await loadCourse(req, res, { select: GRADEBOOK_FIELDS })
+		if (!course) {
+			return
+		}
+		await course.populate("registrations.user", STUDENT_FIELDS)
+
+		const students = await getClassGrades(course)
+		res.attachment(`course-${course._id}-grades.csv`)
+		res.type("text/csv")
+		res.status(200).send(toGradebookCsv(students))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to change the gradebook settings of a course
+ * @swagger
+ * /course/{courseId}/gradebook/settings:
+ *   put:
+ *     summary: Change how the grades of a course are computed
+ *     tags:
+ *       - gradebook
+ *     description: Protected route. Sets the weight of each category in the final grade, a category left out weighing nothing, and the letter grades, each given from its minimum percentage on. Weights need not add up to 100, they are relative. Allowed for COORDINATOR, INSTRUCTOR and TA managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     category:
+ *                       type: integer
+ *                       enum: [0, 1, 2]
+ *                     weight:
+ *                       type: number
+ *                 example: [{ category: 0, weight: 60 }, { category: 1, weight: 30 }, { category: 2, weight: 10 }]
+ *               letterGrades:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     letter:
+ *                       type: string
+ *                     minPercentage:
+ *                       type: number
+ *                 example: [{ letter: "Pass", minPercentage: 50 }, { letter: "Fail", minPercentage: 0 }]
+ *     responses:
+ *       200:
+ *         description: The gradebook settings
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to change the settings
+ *       404:
+ *         description: Course not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.put('/settings', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = gradebookParamsValidator.validate(req.params)
+	const { error, value } = gradebookSettingsValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const course = await loadCourse(req, res, {
+			select: GRADEBOOK_FIELDS,
+			allow: (req, course) => canManageContent(course, req.id, req.role),
+			writing: true
+		})
+		if (!course) {
+			return
+		}
+
+		Object.entries(value).forEach(([field, setting]) => {
+			course.gradebook[field] = setting
+		})
+		await course.save()
+		res.status(200).json(generateResponseMessage("success", course.gradebook))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to get the grades of one student
+ * @swagger
+ * /course/{courseId}/gradebook/students/{userId}:
+ *   get:
+ *     summary: Get the grades of a student of a course
+ *     tags:
+ *       - gradebook
+ *     description: Protected route. The same details a student sees of their own grades. For managers of the course, whatever their role, and SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The grades, with the assignments and quizzes of each category
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course
+ *       404:
+ *         description: Course not found, or the user is not an accepted or completed student of it
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/students/:userId', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = studentGradesParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const course = await loadCourse(req, res, { select: GRADEBOOK_FIELDS })
+		if (!course) {
+			return
+		}
+
+		const registration = findStudentRegistration(course, req.params.userId)
+		if (!registration) {
+			return res.status(404).json(generateResponseMessage("error", "Student not found in this course"))
+		}
+
+		res.status(200).json(generateResponseMessage("success", await getStudentGrades(course, registration)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to set a grade of a student
+ * @swagger
+ * /course/{courseId}/gradebook/students/{userId}/grades:
+ *   put:
+ *     summary: Set a grade of a student by hand
+ *     tags:
+ *       - gradebook
+ *     description: Protected route. Sets the score in percent of an assignment or quiz of the student, or with no item of a whole category, in place of the computed one. Participation only takes a score as a whole. A null score gives back the computed score. Allowed for ASSESSOR, COORDINATOR, INSTRUCTOR and TA managers of the course and for SUPERADMINs; AUDITOR managers can only read the gradebook.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               category:
+ *                 type: integer
+ *                 required: true
+ *                 enum: [0, 1, 2]
+ *               item:
+ *                 type: string
+ *                 description: id of the assignment or quiz, none for the whole category
+ *               score:
+ *                 type: number
+ *                 required: true
+ *                 nullable: true
+ *                 example: 88
+ *               comment:
+ *                 type: string
+ *                 example: Regraded after the appeal.
+ *     responses:
+ *       200:
+ *         description: The grades of the student, computed again
+ *       400:
+ *         description: Invalid request parameters, or an item given for participation
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to grade
+ *       404:
+ *         description: Course, student, assignment or quiz not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.put('/students/:userId/grades', requireScope(APIKEYSCOPE_CODES.WRITE_GRADES), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = studentGradesParamsValidator.validate(req.params)
+	const { error, value } = setGradeValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const course = await loadCourse(req, res, {
+			select: GRADEBOOK_FIELDS,
+			allow: (req, course) => canAssess(course, req.id, req.role),
+			writing: true
+		})
+		if (!course) {
+			return
+		}
+
+		const { status } = await setGrade(course, req.params.userId, value, req.id)
+		if (status !== GRADECHANGE_CODES.SUCCESS) {
+			const { httpStatus, message } = describeGradeFailure(status)
+			return res.status(httpStatus).json(generateResponseMessage("error", message))
+		}
+
+		const registration = findStudentRegistration(course, req.params.userId)
+		res.status(200).json(generateResponseMessage("success", await getStudentGrades(course, registration)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+module.exports = router
@@ -0,0 +1,84 @@
+const Joi = require('joi')
+
+const { GRADECATEGORY_CODES } = require('../../db/models/course/model')
+
+// Define the schema for a mongo id
+const idSchema = Joi.string()
+	.length(24)
+	.hex()
+	.messages({
+		'string.base': 'ID should be a string.',
+		'string.length': 'ID should be exactly 24 characters long.',
+		'string.hex': 'ID should contain only hexadecimal characters.',
+		'any.required': 'ID is required.'
+	})
+
+const percentageSchema = Joi.number()
+	.min(0)
+	.max(100)
+	.messages({
+		'number.base': 'Score should be a number.',
+		'number.min': 'Score should be between 0 and 100.',
+		'number.max': 'Score should be between 0 and 100.',
+		'any.required': 'Score is required.'
+	})
+
+const categorySchema = Joi.number()
+	.valid(...Object.values(GRADECATEGORY_CODES))
+	.messages({
+		'any.only': 'Category should be 0 for assignments, 1 for quizzes or 2 for participation.',
+		'any.required': 'Category is required.'
+	})
+
+const gradebookParamsValidator = Joi.object({
+	courseId: idSchema.required()
+})
+
+const studentGradesParamsValidator = Joi.object({
+	courseId: idSchema.required(),
+	userId: idSchema.required()
+})
+
+const gradebookSettingsValidator = Joi.object({
+	categories: Joi.array()
+		.items(Joi.object({
+			category: categorySchema.required(),
+			weight: Joi.number().min(0).max(100).required().messages({
+				'number.base': 'Weight should be a number.',
+				'number.min': 'Weight should be between 0 and 100.',
+				'number.max': 'Weight should be between 0 and 100.'
+			})
+		}))
+		.unique('category')
+		.min(1)
+		.custom((categories, helpers) => categories.some((category) => category.weight > 0)
+			? categories
+			: helpers.message('At least one category should have a weight.'))
+		.messages({ 'array.unique': 'Each category can only be weighted once.' }),
+	letterGrades: Joi.array()
+		.items(Joi.object({
+			letter: Joi.string().trim().min(1).max(5).required(),
+			minPercentage: percentageSchema.required()
+		}))
+		.unique('letter')
+		.unique('minPercentage')
+		.max(20)
+		.custom((letterGrades, helpers) => letterGrades.some((grade) => grade.minPercentage === 0)
+			? letterGrades
+			: helpers.message('One letter grade should start at 0, so that every grade has a letter.'))
+		.messages({ 'array.unique': 'Letters and their minimum percentages should all be different.' })
+}).min(1)
+
+const setGradeValidator = Joi.object({
+	category: categorySchema.required(),
+	item: idSchema.allow(null), // the assignment or quiz, none for the whole category
+	score: percentageSchema.allow(null).required(), // null gives back the computed score
+	comment: Joi.string().allow('').max(2000)
+})
+
+module.exports = {
+	gradebookParamsValidator,
+	studentGradesParamsValidator,
+	gradebookSettingsValidator,
+	setGradeValidator
+}
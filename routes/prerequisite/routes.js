@@ -0,0 +1,549 @@
+// External Import
+const express = require('express')
+
+// Helpers
+const { checkJwtOrApiKey, requireScope } = require('../../helpers/jwt')
+const { canManageRegistrations, loadCourse } = require('../../helpers/course')
+const {
+	canOverridePrerequisites,
+	hasPrerequisiteOverride,
+	findUnmetPrerequisites,
+	requiresItself,
+	grantPrerequisiteOverride,
+	revokePrerequisiteOverride
+} = require('../../helpers/prerequisite')
+const logger = require('../../helpers/logger')
+const { generateResponseMessage } = require('../../helpers/response')
+
+// Database Models
+const { Course } = require("../../db/models/course/model")
+const User = require("../../db/models/user/model")
+const { APIKEYSCOPE_CODES } = require("../../db/models/apiKey/model")
+const {
+	prerequisiteParamsValidator,
+	overrideParamsValidator,
+	setPrerequisitesValidator,
+	overrideValidator
+} = require('./validators')
+
+// Create an instance of Express Router, mounted under /course/:courseId/prerequisites
+const router = express.Router({ mergeParams: true })
+
+router.use(checkJwtOrApiKey)
+
+// the user fields shown with overrides
+const USER_FIELDS = "firstname lastname username email"
+
+/** Helper function, loads the course of the request, or sends the error response. Draft courses are only
+ * found by their managers and SUPERADMINs.
+ * @async
+ * @function
+ * @name _loadCourse
+ * @param {Object} req - The request object, with the course id in its params.
+ * @param {Object} res - The response object.
+ * @param {Object} [options]
+ * @param {Function} [options.allow] - Whether the user may go on, given the request and course; anyone by default.
+ * @param {boolean} [options.writing] - Refuse with a 409 if the course is archived.
+ * @returns {Promise<Object|undefined>} The course, or undefined if a response was sent.
+ */
+const _loadCourse = (req, res, { allow = () => true, writing } = {}) => loadCourse(req, res, {
+	select: "managers status prerequisites prerequisiteOverrides",
+	allow,
+	writing,
+	hideDrafts: true
+})
+
+/** Helper function, the prerequisites of a course with the titles of the courses required.
+ * @async
+ * @function
+ * @name _describePrerequisites
+ * @param {Object} course - The course document, with its prerequisites.
+ * @returns {Promise<Object>} The courses required, with their title and minimum grade, and the skills.
+ */
+const _describePrerequisites = async (course) => {
+	const { courses: required, skills } = course.prerequisites
+	const titles = await Course.find({ _id: { $in: required.map((prerequisite) => prerequisite.course) } }).select("title")
+	return {
+		courses: required.map(({ course: courseId, minGrade }) => {
+			const found = titles.find((entry) => entry._id.equals(courseId))
+			return { course: courseId, title: found ? found.title : null, minGrade: minGrade === undefined ? null : minGrade }
+		}),
+		skills
+	}
+}
+
+/** Route to get the prerequisites of a course
+ * @swagger
+ * /course/{courseId}/prerequisites:
+ *   get:
+ *     summary: Get the prerequisites of a course
+ *     tags:
+ *       - prerequisites
+ *     description: Protected route. The courses a student has to have completed before enrolling, some with a minimum final grade in percent, and the skills they have to have on their profile. A deleted course has a null title and no longer counts. For anyone who can see the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The prerequisites
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/Prerequisites'
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       404:
+ *         description: Course not found
+ *       500:
+ *         description: Server error in contacting database
+ * components:
+ *   schemas:
+ *     Prerequisites:
+ *       type: object
+ *       properties:
+ *         courses:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               course:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *                 nullable: true
+ *               minGrade:
+ *                 type: number
+ *                 nullable: true
+ *                 example: 70
+ *         skills:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [JavaScript, SQL]
+ *     UnmetPrerequisite:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: integer
+ *           enum: [0, 1, 2]
+ *           description: 0 for a course not completed, 1 for a final grade below the minimum, 2 for a skill missing from the profile.
+ *         course:
+ *           type: string
+ *         title:
+ *           type: string
+ *         minGrade:
+ *           type: number
+ *         grade:
+ *           type: number
+ *           nullable: true
+ *           description: The final grade of the student, null without one.
+ *         skill:
+ *           type: string
+ *         message:
+ *           type: string
+ *           example: Complete the course Introduction to Programming.
+ */
+router.get('/', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = prerequisiteParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const course = await _loadCourse(req, res)
+		if (!course) {
+			return
+		}
+		res.status(200).json(generateResponseMessage("success", await _describePrerequisites(course)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to check whether the current user meets the prerequisites of a course
+ * @swagger
+ * /course/{courseId}/prerequisites/eligibility:
+ *   get:
+ *     summary: Check my eligibility to enroll in a course
+ *     tags:
+ *       - prerequisites
+ *     description: Protected route. The prerequisites of the course the current user does not meet, as they are checked on enrolling, and whether a COORDINATOR let them in regardless. For anyone who can see the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Whether the user can enroll, and why not
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     eligible:
+ *                       type: boolean
+ *                     overridden:
+ *                       type: boolean
+ *                     unmet:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/UnmetPrerequisite'
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       404:
+ *         description: Course not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/eligibility', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = prerequisiteParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const course = await _loadCourse(req, res)
+		if (!course) {
+			return
+		}
+		const overridden = hasPrerequisiteOverride(course, req.id)
+		const unmet = await findUnmetPrerequisites(course, req.id)
+		res.status(200).json(generateResponseMessage("success", { eligible: overridden || !unmet.length, overridden, unmet }))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to set the prerequisites of a course
+ * @swagger
+ * /course/{courseId}/prerequisites:
+ *   put:
+ *     summary: Set the prerequisites of a course
+ *     tags:
+ *       - prerequisites
+ *     description: Protected route. Replaces the courses required, or the skills, or both; an empty list clears them. They are checked when students enroll, not against those already registered. A course cannot require itself, even through the prerequisites of the courses it requires. Allowed for COORDINATOR and INSTRUCTOR managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               courses:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     course:
+ *                       type: string
+ *                       required: true
+ *                     minGrade:
+ *                       type: number
+ *                       description: The minimum final grade in percent, none to only require completing the course
+ *               skills:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [JavaScript, SQL]
+ *     responses:
+ *       200:
+ *         description: The prerequisites
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/Prerequisites'
+ *       400:
+ *         description: Invalid request parameters, a course required not found, or the course requiring itself
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to set the prerequisites
+ *       404:
+ *         description: Course not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.put('/', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = prerequisiteParamsValidator.validate(req.params)
+	const { error, value } = setPrerequisitesValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const course = await _loadCourse(req, res, {
+			allow: (req, course) => canManageRegistrations(course, req.id, req.role),
+			writing: true
+		})
+		if (!course) {
+			return
+		}
+
+		if (value.courses) {
+			const courseIds = value.courses.map((prerequisite) => prerequisite.course)
+			if (await Course.countDocuments({ _id: { $in: courseIds } }) !== courseIds.length) {
+				return res.status(400).json(generateResponseMessage("error", "Prerequisite course not found"))
+			}
+			if (await requiresItself(course._id, courseIds)) {
+				return res.status(400).json(generateResponseMessage("error", "A course cannot be a prerequisite of itself."))
+			}
+		}
+
+		Object.entries(value).forEach(([field, prerequisites]) => {
+			course.prerequisites[field] = prerequisites
+		})
+		await course.save()
+		res.status(200).json(generateResponseMessage("success", await _describePrerequisites(course)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to list the students let in a course without meeting its prerequisites
+ * @swagger
+ * /course/{courseId}/prerequisites/overrides:
+ *   get:
+ *     summary: List the prerequisite overrides of a course
+ *     tags:
+ *       - prerequisites
+ *     description: Protected route. The students allowed to enroll without meeting the prerequisites, with who let them in, when and why. Allowed for COORDINATOR managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The overrides
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a COORDINATOR of the course
+ *       404:
+ *         description: Course not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/overrides', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = prerequisiteParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const course = await _loadCourse(req, res, {
+			allow: (req, course) => canOverridePrerequisites(course, req.id, req.role)
+		})
+		if (!course) {
+			return
+		}
+
+		await course.populate([
+			{ path: "prerequisiteOverrides.user", select: USER_FIELDS },
+			{ path: "prerequisiteOverrides.grantedBy", select: USER_FIELDS }
+		])
+		res.status(200).json(generateResponseMessage("success", course.prerequisiteOverrides))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to let a student enroll in a course without meeting its prerequisites
+ * @swagger
+ * /course/{courseId}/prerequisites/overrides/{userId}:
+ *   put:
+ *     summary: Override the prerequisites of a course for a student
+ *     tags:
+ *       - prerequisites
+ *     description: Protected route. The student can then enroll whatever prerequisites they do not meet. Granting it again changes the reason. Allowed for COORDINATOR managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Took the equivalent course at another college.
+ *     responses:
+ *       200:
+ *         description: The override
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a COORDINATOR of the course
+ *       404:
+ *         description: Course or user not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.put('/overrides/:userId', requireScope(APIKEYSCOPE_CODES.MANAGE_ENROLLMENTS), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = overrideParamsValidator.validate(req.params)
+	const { error, value } = overrideValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const course = await _loadCourse(req, res, {
+			allow: (req, course) => canOverridePrerequisites(course, req.id, req.role),
+			writing: true
+		})
+		if (!course) {
+			return
+		}
+
+		if (!await User.exists({ _id: req.params.userId })) {
+			return res.status(404).json(generateResponseMessage("error", "User not found"))
+		}
+
+		const override = await grantPrerequisiteOverride(course._id, req.params.userId, value.reason || "", req.id)
+		res.status(200).json(generateResponseMessage("success", override))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to take back the prerequisite override of a student
+ * @swagger
+ * /course/{courseId}/prerequisites/overrides/{userId}:
+ *   delete:
+ *     summary: Take back the prerequisite override of a student
+ *     tags:
+ *       - prerequisites
+ *     description: Protected route. The student has to meet the prerequisites to enroll again; if they already enrolled, they stay so. Allowed for COORDINATOR managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Override taken back
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a COORDINATOR of the course
+ *       404:
+ *         description: Course or override not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.delete('/overrides/:userId', requireScope(APIKEYSCOPE_CODES.MANAGE_ENROLLMENTS), async (req, res) => {
+
+	// validate the request params
+	const { error } = overrideParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const course = await _loadCourse(req, res, {
+			allow: (req, course) => canOverridePrerequisites(course, req.id, req.role),
+			writing: true
+		})
+		if (!course) {
+			return
+		}
+
+		if (!await revokePrerequisiteOverride(course._id, req.params.userId)) {
+			return res.status(404).json(generateResponseMessage("error", "Override not found"))
+		}
+		res.status(200).json(generateResponseMessage("success", "Override taken back"))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+module.exports = router
@@ -0,0 +1,53 @@
+const Joi = require('joi')
+
+// Define the schema for a mongo id
+const idSchema = Joi.string()
+	.length(24)
+	.hex()
+	.messages({
+		'string.base': 'ID should be a string.',
+		'string.length': 'ID should be exactly 24 characters long.',
+		'string.hex': 'ID should contain only hexadecimal characters.',
+		'any.required': 'ID is required.'
+	})
+
+const prerequisiteParamsValidator = Joi.object({
+	courseId: idSchema.required()
+})
+
+const overrideParamsValidator = Joi.object({
+	courseId: idSchema.required(),
+	userId: idSchema.required()
+})
+
+// the prerequisites replace the ones set before, an empty list clears them
+const setPrerequisitesValidator = Joi.object({
+	courses: Joi.array()
+		.items(Joi.object({
+			course: idSchema.required(),
+			minGrade: Joi.number().min(0).max(100).messages({
+				'number.base': 'Minimum grade should be a number.',
+				'number.min': 'Minimum grade should be between 0 and 100.',
+				'number.max': 'Minimum grade should be between 0 and 100.'
+			})
+		}))
+		.unique('course')
+		.max(20)
+		.messages({ 'array.unique': 'Each course can only be required once.' }),
+	skills: Joi.array()
+		.items(Joi.string().trim().min(1).max(50))
+		.unique((a, b) => a.toLowerCase() === b.toLowerCase())
+		.max(20)
+		.messages({ 'array.unique': 'Each skill can only be required once.' })
+}).min(1)
+
+const overrideValidator = Joi.object({
+	reason: Joi.string().trim().allow('').max(1000)
+})
+
+module.exports = {
+	prerequisiteParamsValidator,
+	overrideParamsValidator,
+	setPrerequisitesValidator,
+	overrideValidator
+}
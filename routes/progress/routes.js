@@ -0,0 +1,421 @@
+// External Import
+const express = require('express')
+
+// Helpers
+const { checkJwtOrApiKey, requireScope } = require('../../helpers/jwt')
+const { loadCourse } = require('../../helpers/course')
+const {
+	PROGRESSCHANGE_CODES,
+	findStudentRegistration,
+	recordProgress,
+	getStudentProgress,
+	getClassProgress,
+	describeProgressFailure
+} = require('../../helpers/progress')
+const logger = require('../../helpers/logger')
+const { generateResponseMessage } = require('../../helpers/response')
+
+// Database Models
+const { Course } = require("../../db/models/course/model")
+const { APIKEYSCOPE_CODES } = require("../../db/models/apiKey/model")
+const { PROGRESSSTATE_CODES } = require("../../db/models/progress/model")
+const { progressParamsValidator, progressItemParamsValidator, studentProgressParamsValidator } = require('./validators')
+
+// Create an instance of Express Router, mounted under /course/:courseId/progress
+const router = express.Router({ mergeParams: true })
+
+router.use(checkJwtOrApiKey)
+
+// the course fields progress is measured on
+const PROGRESS_FIELDS = "managers registrations material curriculum completeOnFullProgress"
+
+/** Helper function, records the progress of the current user on an item and sends the response.
+ * @async
+ * @function
+ * @name _recordProgress
+ * @param {Object} req - The request object, with the course and item ids in its params.
+ * @param {Object} res - The response object.
+ * @param {number} state - The `PROGRESSSTATE_CODES` state reached.
+ */
+const _recordProgress = async (req, res, state) => {
+
+	// validate the request params
+	const { error } = progressItemParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const course = await Course.findById(req.params.courseId).select(PROGRESS_FIELDS)
+		if (!course) {
+			return res.status(404).json(generateResponseMessage("error", "Course not found"))
+		}
+
+		const { status, record, progress, registrationCompleted } = await recordProgress(course, req.id, req.params.itemId, state)
+		if (status !== PROGRESSCHANGE_CODES.SUCCESS) {
+			const { httpStatus, message } = describeProgressFailure(status)
+			return res.status(httpStatus).json(generateResponseMessage("error", message))
+		}
+
+		const { completed, total, percentage } = progress
+		res.status(200).json(generateResponseMessage("success", { record, completed, total, percentage, registrationCompleted }))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+}
+
+/** Route to get the progress of the current user in a course
+ * @swagger
+ * /course/{courseId}/progress:
+ *   get:
+ *     summary: Get my progress in a course
+ *     tags:
+ *       - progress
+ *     description: Protected route. Progress is measured on the lessons of the curriculum, or on the materials of the course when it has no lessons. A lesson counts as completed when it is marked so, or when all the materials attached to it are. For accepted and completed students of the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         example: 648e0f25888c1f49d7184fb5
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The progress, and where the student stands on each item
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     completed:
+ *                       type: integer
+ *                       example: 7
+ *                     total:
+ *                       type: integer
+ *                       example: 20
+ *                     percentage:
+ *                       type: integer
+ *                       example: 35
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           item:
+ *                             type: string
+ *                           itemType:
+ *                             type: integer
+ *                             description: 0 for a lesson, 1 for a material
+ *                           title:
+ *                             type: string
+ *                           state:
+ *                             type: integer
+ *                             description: 0 if started, 1 if completed, unset if not started
+ *                           startedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           completedAt:
+ *                             type: string
+ *                             format: date-time
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not an accepted or completed student of the course
+ *       404:
+ *         description: Course not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = progressParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const course = await Course.findById(req.params.courseId).select(PROGRESS_FIELDS)
+		if (!course) {
+			return res.status(404).json(generateResponseMessage("error", "Course not found"))
+		}
+
+		const registration = findStudentRegistration(course, req.id)
+		if (!registration) {
+			return res.status(403).json(generateResponseMessage("error", "Only accepted students of the course have progress."))
+		}
+
+		res.status(200).json(generateResponseMessage("success", await getStudentProgress(course, registration)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to get the progress of the whole class
+ * @swagger
+ * /course/{courseId}/progress/class:
+ *   get:
+ *     summary: Get the progress of every student of a course
+ *     tags:
+ *       - progress
+ *     description: Protected route. Lists the accepted and completed students of the course with their progress and last activity, least advanced first. For managers of the course, whatever their role, and SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The progress of each student, with a class average
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     averagePercentage:
+ *                       type: integer
+ *                       example: 48
+ *                     students:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           registration:
+ *                             type: string
+ *                           user:
+ *                             type: object
+ *                           state:
+ *                             type: integer
+ *                           completed:
+ *                             type: integer
+ *                           total:
+ *                             type: integer
+ *                           percentage:
+ *                             type: integer
+ *                           lastActivityAt:
+ *                             type: string
+ *                             format: date-time
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course
+ *       404:
+ *         description: Course not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/class', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = progressParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const course = await loadCourse(req, res, { select: PROGRESS_FIELDS })
+		if (!course) {
+			return
+		}
+		await course.populate("registrations.user", "firstname lastname username email")
+
+		const students = await getClassProgress(course)
+		const averagePercentage = students.length
+			? Math.round(students.reduce((sum, student) => sum + student.percentage, 0) / students.length)
+			: 0
+		res.status(200).json(generateResponseMessage("success", { averagePercentage, students }))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to get the progress of one student
+ * @swagger
+ * /course/{courseId}/progress/students/{userId}:
+ *   get:
+ *     summary: Get the progress of a student of a course
+ *     tags:
+ *       - progress
+ *     description: Protected route. The same details a student sees of their own progress. For managers of the course, whatever their role, and SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The progress, and where the student stands on each item
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course
+ *       404:
+ *         description: Course not found, or the user is not an accepted or completed student of it
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/students/:userId', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = studentProgressParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const course = await loadCourse(req, res, { select: PROGRESS_FIELDS })
+		if (!course) {
+			return
+		}
+
+		const registration = findStudentRegistration(course, req.params.userId)
+		if (!registration) {
+			return res.status(404).json(generateResponseMessage("error", "Student not found in this course"))
+		}
+
+		res.status(200).json(generateResponseMessage("success", await getStudentProgress(course, registration)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to mark a lesson or material as started
+ * @swagger
+ * /course/{courseId}/progress/{itemId}/start:
+ *   post:
+ *     summary: Mark a lesson or material as started
+ *     tags:
+ *       - progress
+ *     description: Protected route. Records that the current user opened a released lesson, or a material of the course not attached to an unreleased lesson. An item already completed stays completed. For accepted and completed students of the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: itemId
+ *         in: path
+ *         required: true
+ *         description: id of the lesson or material
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The progress record, and the progress of the student
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not an accepted or completed student of the course, or the lesson, or the lesson of the material, is not released yet
+ *       404:
+ *         description: Course, lesson or material not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/:itemId/start', requireScope(APIKEYSCOPE_CODES.WRITE_COURSEWORK), async (req, res) => {
+	return _recordProgress(req, res, PROGRESSSTATE_CODES.STARTED)
+})
+
+/** Route to mark a lesson or material as completed
+ * @swagger
+ * /course/{courseId}/progress/{itemId}/complete:
+ *   post:
+ *     summary: Mark a lesson or material as completed
+ *     tags:
+ *       - progress
+ *     description: Protected route. Records that the current user finished a released lesson, or a material of the course not attached to an unreleased lesson. If the course completes registrations on full progress, reaching 100% moves the registration to COMPLETED, reported by registrationCompleted. For accepted and completed students of the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: itemId
+ *         in: path
+ *         required: true
+ *         description: id of the lesson or material
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The progress record, and the progress of the student
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     record:
+ *                       type: object
+ *                     completed:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     percentage:
+ *                       type: integer
+ *                       example: 100
+ *                     registrationCompleted:
+ *                       type: boolean
+ *                       example: true
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not an accepted or completed student of the course, or the lesson, or the lesson of the material, is not released yet
+ *       404:
+ *         description: Course, lesson or material not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/:itemId/complete', requireScope(APIKEYSCOPE_CODES.WRITE_COURSEWORK), async (req, res) => {
+	return _recordProgress(req, res, PROGRESSSTATE_CODES.COMPLETED)
+})
+
+module.exports = router
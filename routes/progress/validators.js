@@ -0,0 +1,33 @@
+const Joi = require('joi')
+
+// Define the schema for a mongo id
+const idSchema = Joi.string()
+	.length(24)
+	.hex()
+	.required()
+	.messages({
+		'string.base': 'ID should be a string.',
+		'string.length': 'ID should be exactly 24 characters long.',
+		'string.hex': 'ID should contain only hexadecimal characters.',
+		'any.required': 'ID is required.'
+	})
+
+const progressParamsValidator = Joi.object({
+	courseId: idSchema
+})
+
+const progressItemParamsValidator = Joi.object({
+	courseId: idSchema,
+	itemId: idSchema
+})
+
+const studentProgressParamsValidator = Joi.object({
+	courseId: idSchema,
+	userId: idSchema
+})
+
+module.exports = {
+	progressParamsValidator,
+	progressItemParamsValidator,
+	studentProgressParamsValidator
+}
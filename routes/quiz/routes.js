@@ -0,0 +1,951 @@
+// External Import
+const express = require('express')
+
+// Helpers
+const { checkJwtOrApiKey, requireScope } = require('../../helpers/jwt')
+const { isCourseManager, canManageContent, loadCourse } = require('../../helpers/course')
+const {
+	QUIZSTART_CODES,
+	ATTEMPTCHANGE_CODES,
+	presentAttempt,
+	isQuizOpen,
+	finalizeExpiredAttempts,
+	startAttempt,
+	answerAttempt,
+	getItemAnalysis,
+	describeQuizStartFailure,
+	describeAttemptFailure
+} = require('../../helpers/quiz')
+const logger = require('../../helpers/logger')
+const { generateResponseMessage } = require('../../helpers/response')
+
+// Database Models
+const { Course, REGISTRATIONSTATUS_CODES } = require("../../db/models/course/model")
+const { Quiz, QuizAttempt } = require("../../db/models/quiz/model")
+const { USERROLE_CODES } = require("../../db/models/user/model")
+const { APIKEYSCOPE_CODES } = require("../../db/models/apiKey/model")
+const {
+	quizParamsValidator,
+	quizIdParamsValidator,
+	attemptParamsValidator,
+	createQuizValidator,
+	updateQuizValidator,
+	listAttemptsValidator,
+	answersValidator
+} = require('./validators')
+
+// Create an instance of Express Router, mounted under /course/:courseId/quizzes
+const router = express.Router({ mergeParams: true })
+
+router.use(checkJwtOrApiKey)
+
+/** Helper function, checks whether the current user is a manager of the course or a SUPERADMIN, who may see the answers.
+ * @function
+ * @name _isManager
+ * @param {Object} req - The request object.
+ * @param {Object} course - The course document, with its managers.
+ * @returns {boolean} True if the user may see the whole quiz and every attempt.
+ */
+const _isManager = (req, course) => req.role === USERROLE_CODES.SUPERADMIN || isCourseManager(course, req.id)
+
+/** Helper function, checks whether the current user is an accepted or completed student of the course.
+ * @function
+ * @name _isStudent
+ * @param {Object} req - The request object.
+ * @param {Object} course - The course document, with its registrations.
+ * @returns {boolean} True if the user may see the published quizzes.
+ */
+const _isStudent = (req, course) => course.registrations.some((registration) =>
+	registration.user.toString() === String(req.id) &&
+	[REGISTRATIONSTATUS_CODES.ACCEPTED, REGISTRATIONSTATUS_CODES.COMPLETED].includes(registration.state)
+)
+
+/** Helper function, what students see of a quiz, without its questions.
+ * @function
+ * @name _summarize
+ * @param {Object} quiz - The quiz.
+ * @returns {Object} The displayable fields.
+ */
+const _summarize = (quiz) => {
+	const { _id, title, description, questions, questionsPerAttempt, timeLimitMinutes, maxAttempts, opensAt, closesAt } = quiz
+	return {
+		_id, title, description, timeLimitMinutes, maxAttempts, opensAt, closesAt,
+		questionCount: Math.min(questions.length, questionsPerAttempt || questions.length),
+		open: isQuizOpen(quiz)
+	}
+}
+
+/** Helper function, loads the course and maybe the quiz of the request, or sends the error response. Students only find published quizzes.
+ * @async
+ * @function
+ * @name _load
+ * @param {Object} req - The request object, with the course and maybe the quiz id in its params.
+ * @param {Object} res - The response object.
+ * @param {Object} [options]
+ * @param {Function} [options.allow] - Whether the user may go on, given the request and course; 403 if not.
+ * @param {boolean} [options.writing] - Refuse with a 409 if the course is archived.
+ * @returns {Promise<{course: Object, quiz?: Object, manager: boolean}|undefined>} The documents, and whether the user
+ * 	is a manager, or undefined if a response was sent.
+ */
+const _load = async (req, res, { allow = (req, course) => _isManager(req, course) || _isStudent(req, course), writing } = {}) => {
+	const course = await loadCourse(req, res, { select: "managers registrations status", allow, writing })
+	if (!course) {
+		return
+	}
+
+	const manager = _isManager(req, course)
+	if (!req.params.quizId) {
+		return { course, manager }
+	}
+	const quiz = await Quiz.findOne({ _id: req.params.quizId, course: course._id })
+	if (!quiz || (!quiz.published && !manager)) {
+		res.status(404).json(generateResponseMessage("error", "Quiz not found"))
+		return
+	}
+	return { course, quiz, manager }
+}
+
+/** Helper function, sets the fields of a quiz from a validated body, null unsetting the optional ones.
+ * @function
+ * @name _setQuizFields
+ * @param {Object} quiz - The quiz.
+ * @param {Object} fields - The validated fields.
+ */
+const _setQuizFields = (quiz, fields) => {
+	Object.entries(fields).forEach(([field, value]) => {
+		quiz.set(field, value === null ? undefined : value)
+	})
+}
+
+/** Route to create a quiz
+ * @swagger
+ * /course/{courseId}/quizzes:
+ *   post:
+ *     summary: Create a quiz
+ *     tags:
+ *       - quiz
+ *     description: Protected route. Creates a quiz with its bank of questions, of type 0 single choice, 1 multiple choice, 2 true/false, 3 numeric (right within tolerance) or 4 short text (matching one of acceptedAnswers). Each attempt draws questionsPerAttempt questions from the bank, or all of them. Students only see it once published. Allowed for COORDINATOR, INSTRUCTOR and TA managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 required: true
+ *                 example: Week 3 check
+ *               description:
+ *                 type: string
+ *               questions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: integer
+ *                       enum: [0, 1, 2, 3, 4]
+ *                     prompt:
+ *                       type: string
+ *                     points:
+ *                       type: number
+ *                       example: 1
+ *                     options:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           text:
+ *                             type: string
+ *                           correct:
+ *                             type: boolean
+ *                     answerBoolean:
+ *                       type: boolean
+ *                     answerNumber:
+ *                       type: number
+ *                     tolerance:
+ *                       type: number
+ *                     acceptedAnswers:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     caseSensitive:
+ *                       type: boolean
+ *                 example: [{ type: 0, prompt: "Which traversal of a BST is sorted?", options: [{ text: "in-order", correct: true }, { text: "pre-order" }] }, { type: 3, prompt: "log2(1024)?", answerNumber: 10, tolerance: 0 }]
+ *               questionsPerAttempt:
+ *                 type: integer
+ *               randomizeQuestions:
+ *                 type: boolean
+ *               randomizeOptions:
+ *                 type: boolean
+ *               timeLimitMinutes:
+ *                 type: integer
+ *                 example: 20
+ *               maxAttempts:
+ *                 type: integer
+ *                 example: 2
+ *               opensAt:
+ *                 type: string
+ *                 format: date-time
+ *               closesAt:
+ *                 type: string
+ *                 format: date-time
+ *               published:
+ *                 type: boolean
+ *               feedbackType:
+ *                 type: integer
+ *                 description: FEEDBACKTYPE_CODES level of the feedback written for each graded attempt, TASK by default
+ *     responses:
+ *       201:
+ *         description: The new quiz
+ *       400:
+ *         description: Invalid request body parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to set quizzes
+ *       404:
+ *         description: Course not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = quizParamsValidator.validate(req.params)
+	const { error, value } = createQuizValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: (req, course) => canManageContent(course, req.id, req.role), writing: true })
+		if (!loaded) {
+			return
+		}
+
+		const quiz = new Quiz({ course: loaded.course._id, createdBy: req.id })
+		_setQuizFields(quiz, value)
+		await quiz.save()
+		res.status(201).json(generateResponseMessage("success", quiz))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to list the quizzes of a course
+ * @swagger
+ * /course/{courseId}/quizzes:
+ *   get:
+ *     summary: List the quizzes of a course
+ *     tags:
+ *       - quiz
+ *     description: Protected route. Managers of the course and SUPERADMINs get every quiz with its questions and answers. Accepted and completed students get the published quizzes, without their questions, and whether each is open.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The quizzes
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Neither a student nor a manager of the course
+ *       404:
+ *         description: Course not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = quizParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res)
+		if (!loaded) {
+			return
+		}
+
+		if (loaded.manager) {
+			const quizzes = await Quiz.find({ course: loaded.course._id }).sort({ createdAt: 1 })
+			return res.status(200).json(generateResponseMessage("success", quizzes))
+		}
+		const quizzes = await Quiz.find({ course: loaded.course._id, published: true }).sort({ createdAt: 1 })
+		res.status(200).json(generateResponseMessage("success", quizzes.map(_summarize)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to get a quiz
+ * @swagger
+ * /course/{courseId}/quizzes/{quizId}:
+ *   get:
+ *     summary: Get a quiz
+ *     tags:
+ *       - quiz
+ *     description: Protected route. Managers of the course and SUPERADMINs get the quiz with its questions and answers, students a summary of a published quiz.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The quiz
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Neither a student nor a manager of the course
+ *       404:
+ *         description: Course or quiz not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/:quizId', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = quizIdParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res)
+		if (!loaded) {
+			return
+		}
+		res.status(200).json(generateResponseMessage("success", loaded.manager ? loaded.quiz : _summarize(loaded.quiz)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to update a quiz
+ * @swagger
+ * /course/{courseId}/quizzes/{quizId}:
+ *   put:
+ *     summary: Update a quiz
+ *     tags:
+ *       - quiz
+ *     description: Protected route. Takes the same fields as the creation, null removing an optional limit. Questions replace the whole bank; keep the _id of the questions and options that stay, so that attempts and item analysis still match them. Attempts already graded are not graded again. Allowed for COORDINATOR, INSTRUCTOR and TA managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               questions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               timeLimitMinutes:
+ *                 type: integer
+ *                 nullable: true
+ *               maxAttempts:
+ *                 type: integer
+ *                 nullable: true
+ *               published:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The updated quiz
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to set quizzes
+ *       404:
+ *         description: Course or quiz not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.put('/:quizId', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = quizIdParamsValidator.validate(req.params)
+	const { error, value } = updateQuizValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: (req, course) => canManageContent(course, req.id, req.role), writing: true })
+		if (!loaded) {
+			return
+		}
+
+		_setQuizFields(loaded.quiz, value)
+		loaded.quiz.updatedAt = new Date()
+		await loaded.quiz.save()
+		res.status(200).json(generateResponseMessage("success", loaded.quiz))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to delete a quiz
+ * @swagger
+ * /course/{courseId}/quizzes/{quizId}:
+ *   delete:
+ *     summary: Delete a quiz
+ *     tags:
+ *       - quiz
+ *     description: Protected route. Deletes the quiz and its attempts. The feedback already written in the registrations stays. Allowed for COORDINATOR, INSTRUCTOR and TA managers of the course and for SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quiz deleted
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course allowed to set quizzes
+ *       404:
+ *         description: Course or quiz not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.delete('/:quizId', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params
+	const { error } = quizIdParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: (req, course) => canManageContent(course, req.id, req.role), writing: true })
+		if (!loaded) {
+			return
+		}
+
+		await QuizAttempt.deleteMany({ quiz: loaded.quiz._id })
+		await loaded.quiz.deleteOne()
+		res.status(200).json(generateResponseMessage("success", "Quiz deleted successfully"))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to get the item analysis of a quiz
+ * @swagger
+ * /course/{courseId}/quizzes/{quizId}/analysis:
+ *   get:
+ *     summary: Get the item analysis of a quiz
+ *     tags:
+ *       - quiz
+ *     description: Protected route. For each question of the bank, the percentage of the students asked who got it right, on the last graded attempt of each student, and for choice questions how many picked each option. For managers of the course, whatever their role, and SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The analysis of each question
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       question:
+ *                         type: string
+ *                       prompt:
+ *                         type: string
+ *                       asked:
+ *                         type: integer
+ *                         example: 40
+ *                       right:
+ *                         type: integer
+ *                         example: 31
+ *                       percentageRight:
+ *                         type: number
+ *                         example: 77.5
+ *                       options:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a manager of the course
+ *       404:
+ *         description: Course or quiz not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/:quizId/analysis', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = quizIdParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: _isManager })
+		if (!loaded) {
+			return
+		}
+
+		await finalizeExpiredAttempts(loaded.quiz)
+		res.status(200).json(generateResponseMessage("success", await getItemAnalysis(loaded.quiz)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to start an attempt at a quiz
+ * @swagger
+ * /course/{courseId}/quizzes/{quizId}/attempts:
+ *   post:
+ *     summary: Start an attempt at a quiz
+ *     tags:
+ *       - quiz
+ *     description: Protected route. Draws the questions of a new attempt, in random order if the quiz says so, and starts the clock of its time limit. An attempt already in progress is given back instead. For accepted students of the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The attempt already in progress
+ *       201:
+ *         description: The new attempt, with its questions and deadline
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not an accepted student of the course
+ *       404:
+ *         description: Course or quiz not found
+ *       409:
+ *         description: Course is archived, the quiz is not open, or no attempts are left
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/:quizId/attempts', requireScope(APIKEYSCOPE_CODES.WRITE_COURSEWORK), async (req, res) => {
+
+	// validate the request params
+	const { error } = quizIdParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: _isStudent, writing: true })
+		if (!loaded) {
+			return
+		}
+
+		const { status, attempt } = await startAttempt(loaded.course, loaded.quiz, req.id)
+		if (status !== QUIZSTART_CODES.STARTED && status !== QUIZSTART_CODES.RESUMED) {
+			const { httpStatus, message } = describeQuizStartFailure(status)
+			return res.status(httpStatus).json(generateResponseMessage("error", message))
+		}
+
+		res.status(status === QUIZSTART_CODES.STARTED ? 201 : 200).json(generateResponseMessage("success", presentAttempt(loaded.quiz, attempt)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to list the attempts at a quiz
+ * @swagger
+ * /course/{courseId}/quizzes/{quizId}/attempts:
+ *   get:
+ *     summary: List the attempts at a quiz
+ *     tags:
+ *       - quiz
+ *     description: Protected route. Students get their own attempts with their scores. Managers of the course and SUPERADMINs get every attempt, or those of one student with userId.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: userId
+ *         in: query
+ *         description: managers only, the student whose attempts to list
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The attempts, latest first
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Neither a student nor a manager of the course
+ *       404:
+ *         description: Course or quiz not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/:quizId/attempts', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params and query
+	const { error: paramsError } = quizIdParamsValidator.validate(req.params)
+	const { error, value } = listAttemptsValidator.validate(req.query)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _load(req, res)
+		if (!loaded) {
+			return
+		}
+
+		const filter = loaded.manager ? (value.userId ? { user: value.userId } : {}) : { user: req.id }
+		await finalizeExpiredAttempts(loaded.quiz, filter)
+		const query = QuizAttempt.find({ ...filter, quiz: loaded.quiz._id }).sort({ startedAt: -1 }).select("-answers")
+		if (loaded.manager) {
+			query.populate("user", "firstname lastname username email")
+		}
+		const attempts = await query
+		res.status(200).json(generateResponseMessage("success", attempts))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to get an attempt
+ * @swagger
+ * /course/{courseId}/quizzes/{quizId}/attempts/{attemptId}:
+ *   get:
+ *     summary: Get an attempt at a quiz
+ *     tags:
+ *       - quiz
+ *     description: Protected route. The questions of the attempt in the order shown with the answers given, and once it is over which were right. For the student who made it, the managers of the course and SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: attemptId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The attempt
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Neither a student nor a manager of the course
+ *       404:
+ *         description: Course, quiz or attempt not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/:quizId/attempts/:attemptId', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = attemptParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res)
+		if (!loaded) {
+			return
+		}
+
+		const filter = { _id: req.params.attemptId, quiz: loaded.quiz._id }
+		if (!loaded.manager) {
+			filter.user = req.id
+		}
+		await finalizeExpiredAttempts(loaded.quiz, filter)
+		const attempt = await QuizAttempt.findOne(filter)
+		if (!attempt) {
+			return res.status(404).json(generateResponseMessage("error", "Attempt not found"))
+		}
+		res.status(200).json(generateResponseMessage("success", { ...presentAttempt(loaded.quiz, attempt), user: attempt.user }))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Helper function, records answers on an attempt of the current user and sends the response.
+ * @async
+ * @function
+ * @name _answerAttempt
+ * @param {Object} req - The request object, with the course, quiz and attempt ids in its params and the answers in its body.
+ * @param {Object} res - The response object.
+ * @param {boolean} submit - Grade and end the attempt.
+ */
+const _answerAttempt = async (req, res, submit) => {
+
+	// validate the request params and body
+	const { error: paramsError } = attemptParamsValidator.validate(req.params)
+	const { error, value } = answersValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: _isStudent, writing: true })
+		if (!loaded) {
+			return
+		}
+
+		const { status, attempt } = await answerAttempt(loaded.quiz, req.params.attemptId, req.id, value.answers, { submit })
+		if (status !== ATTEMPTCHANGE_CODES.SUCCESS) {
+			const { httpStatus, message } = describeAttemptFailure(status)
+			return res.status(httpStatus).json(generateResponseMessage("error", message))
+		}
+		res.status(200).json(generateResponseMessage("success", presentAttempt(loaded.quiz, attempt)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+}
+
+/** Route to save answers on an attempt
+ * @swagger
+ * /course/{courseId}/quizzes/{quizId}/attempts/{attemptId}/answers:
+ *   put:
+ *     summary: Save answers on an attempt
+ *     tags:
+ *       - quiz
+ *     description: Protected route. Saves answers as the student goes, keeping those not sent again, so that they are graded if the time runs out. An answer is an option id for single choice, an array of option ids for multiple choice, a boolean, a number, or a text. For the student who made the attempt.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: attemptId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               answers:
+ *                 type: array
+ *                 required: true
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     question:
+ *                       type: string
+ *                     answer:
+ *                       description: option id, option ids, boolean, number or text
+ *     responses:
+ *       200:
+ *         description: The attempt
+ *       400:
+ *         description: Invalid request parameters, or answers to questions not in the attempt
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a student of the course
+ *       404:
+ *         description: Course, quiz or attempt not found
+ *       409:
+ *         description: The attempt is over, or the course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.put('/:quizId/attempts/:attemptId/answers', requireScope(APIKEYSCOPE_CODES.WRITE_COURSEWORK), async (req, res) => {
+	return _answerAttempt(req, res, false)
+})
+
+/** Route to submit an attempt
+ * @swagger
+ * /course/{courseId}/quizzes/{quizId}/attempts/{attemptId}/submit:
+ *   post:
+ *     summary: Submit an attempt
+ *     tags:
+ *       - quiz
+ *     description: Protected route. Saves the last answers, then grades and ends the attempt. The score is written in the feedback of the registration, out of 100. After the time limit, the answers saved until then are graded instead and a 409 is returned. For the student who made the attempt.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: quizId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: attemptId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               answers:
+ *                 type: array
+ *                 required: true
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: The graded attempt, with which answers were right
+ *       400:
+ *         description: Invalid request parameters, or answers to questions not in the attempt
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a student of the course
+ *       404:
+ *         description: Course, quiz or attempt not found
+ *       409:
+ *         description: The attempt is over, or the course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/:quizId/attempts/:attemptId/submit', requireScope(APIKEYSCOPE_CODES.WRITE_COURSEWORK), async (req, res) => {
+	return _answerAttempt(req, res, true)
+})
+
+module.exports = router
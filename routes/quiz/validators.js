@@ -0,0 +1,132 @@
+const Joi = require('joi')
+
+const { FEEDBACKTYPE_CODES } = require('../../db/models/course/model')
+const { QUESTIONTYPE_CODES } = require('../../db/models/quiz/model')
+
+// Define the schema for a mongo id
+const idSchema = Joi.string()
+	.length(24)
+	.hex()
+	.messages({
+		'string.base': 'ID should be a string.',
+		'string.length': 'ID should be exactly 24 characters long.',
+		'string.hex': 'ID should contain only hexadecimal characters.',
+		'any.required': 'ID is required.'
+	})
+
+const titleSchema = Joi.string()
+	.trim()
+	.min(2)
+	.max(200)
+	.messages({
+		'string.base': 'Title should be a string.',
+		'string.empty': 'Title cannot be empty.',
+		'string.min': 'Title should have a minimum length of 2 characters.',
+		'string.max': 'Title should have a maximum length of 200 characters.',
+		'any.required': 'Title is required.'
+	})
+
+const CHOICE_TYPES = [QUESTIONTYPE_CODES.SINGLE_CHOICE, QUESTIONTYPE_CODES.MULTIPLE_CHOICE]
+
+// a question of the bank, its _id kept when editing so that attempts and item analysis still match it
+const questionSchema = Joi.object({
+	_id: idSchema,
+	type: Joi.number().valid(...Object.values(QUESTIONTYPE_CODES)).required(),
+	prompt: Joi.string().trim().min(1).max(2000).required().messages({
+		'string.empty': 'Prompt cannot be empty.',
+		'string.max': 'Prompt should have a maximum length of 2000 characters.',
+		'any.required': 'Each question needs a prompt.'
+	}),
+	points: Joi.number().min(0).max(1000),
+	options: Joi.when('type', {
+		is: Joi.valid(...CHOICE_TYPES),
+		then: Joi.array().items(Joi.object({
+			_id: idSchema,
+			text: Joi.string().trim().min(1).max(500).required(),
+			correct: Joi.boolean()
+		})).min(2).max(10).required(),
+		otherwise: Joi.forbidden()
+	}),
+	answerBoolean: Joi.when('type', { is: QUESTIONTYPE_CODES.TRUE_FALSE, then: Joi.boolean().required(), otherwise: Joi.forbidden() }),
+	answerNumber: Joi.when('type', { is: QUESTIONTYPE_CODES.NUMERIC, then: Joi.number().required(), otherwise: Joi.forbidden() }),
+	tolerance: Joi.when('type', { is: QUESTIONTYPE_CODES.NUMERIC, then: Joi.number().min(0), otherwise: Joi.forbidden() }),
+	acceptedAnswers: Joi.when('type', {
+		is: QUESTIONTYPE_CODES.SHORT_TEXT,
+		then: Joi.array().items(Joi.string().trim().min(1).max(200)).min(1).max(20).required(),
+		otherwise: Joi.forbidden()
+	}),
+	caseSensitive: Joi.when('type', { is: QUESTIONTYPE_CODES.SHORT_TEXT, then: Joi.boolean(), otherwise: Joi.forbidden() })
+}).custom((question, helpers) => {
+	const correct = (question.options || []).filter((option) => option.correct).length
+	if (question.type === QUESTIONTYPE_CODES.SINGLE_CHOICE && correct !== 1) {
+		return helpers.message('A single choice question needs exactly one correct option.')
+	}
+	if (question.type === QUESTIONTYPE_CODES.MULTIPLE_CHOICE && correct < 1) {
+		return helpers.message('A multiple choice question needs at least one correct option.')
+	}
+	return question
+})
+
+const quizFields = {
+	title: titleSchema,
+	description: Joi.string().allow('').max(5000),
+	questions: Joi.array().items(questionSchema).max(500),
+	questionsPerAttempt: Joi.number().integer().min(1).allow(null),
+	randomizeQuestions: Joi.boolean(),
+	randomizeOptions: Joi.boolean(),
+	timeLimitMinutes: Joi.number().integer().min(1).max(24 * 60).allow(null),
+	maxAttempts: Joi.number().integer().min(1).allow(null),
+	opensAt: Joi.date().iso().allow(null),
+	closesAt: Joi.date().iso().allow(null),
+	published: Joi.boolean(),
+	feedbackType: Joi.number().valid(...Object.values(FEEDBACKTYPE_CODES))
+}
+
+const quizParamsValidator = Joi.object({
+	courseId: idSchema.required()
+})
+
+const quizIdParamsValidator = Joi.object({
+	courseId: idSchema.required(),
+	quizId: idSchema.required()
+})
+
+const attemptParamsValidator = Joi.object({
+	courseId: idSchema.required(),
+	quizId: idSchema.required(),
+	attemptId: idSchema.required()
+})
+
+const createQuizValidator = Joi.object({
+	...quizFields,
+	title: titleSchema.required()
+})
+
+const updateQuizValidator = Joi.object(quizFields).min(1)
+
+const listAttemptsValidator = Joi.object({
+	userId: idSchema
+})
+
+// an option id, option ids, a boolean, a number or a text, null to clear the answer
+const answersValidator = Joi.object({
+	answers: Joi.array().items(Joi.object({
+		question: idSchema.required(),
+		answer: Joi.alternatives().try(
+			Joi.boolean(),
+			Joi.number(),
+			Joi.string().max(500),
+			Joi.array().items(idSchema).max(10)
+		).allow(null).required()
+	})).max(500).required()
+})
+
+module.exports = {
+	quizParamsValidator,
+	quizIdParamsValidator,
+	attemptParamsValidator,
+	createQuizValidator,
+	updateQuizValidator,
+	listAttemptsValidator,
+	answersValidator
+}
@@ -0,0 +1,931 @@
+// External Import
+const express = require('express')
+
+// Helpers
+const { checkJwtOrApiKey, requireScope } = require('../../helpers/jwt')
+const { canManageRegistrations, loadCourse } = require('../../helpers/course')
+const {
+	VOTE_CODES,
+	REVIEWCHANGE_CODES,
+	canRate,
+	castVote,
+	describeRating,
+	createReview,
+	updateReview,
+	removeReview,
+	reportReview,
+	describeReviewFailure
+} = require('../../helpers/rating')
+const logger = require('../../helpers/logger')
+const { generateResponseMessage } = require('../../helpers/response')
+
+// Database Models
+const { Course } = require("../../db/models/course/model")
+const { Review } = require("../../db/models/review/model")
+const { USERROLE_CODES } = require("../../db/models/user/model")
+const { APIKEYSCOPE_CODES } = require("../../db/models/apiKey/model")
+const {
+	ratingParamsValidator,
+	reviewParamsValidator,
+	listReviewsValidator,
+	createReviewValidator,
+	updateReviewValidator,
+	replyValidator,
+	reportValidator
+} = require('./validators')
+
+// Create an instance of Express Router, mounted under /course/:courseId/rating
+const router = express.Router({ mergeParams: true })
+
+router.use(checkJwtOrApiKey)
+
+// the user fields shown with reviews
+const USER_FIELDS = "firstname lastname username"
+
+/** Helper function, loads the course and maybe the review of the request, or sends the error response.
+ * Draft courses are only found by their managers and SUPERADMINs.
+ * @async
+ * @function
+ * @name _load
+ * @param {Object} req - The request object, with the course and maybe the review id in its params.
+ * @param {Object} res - The response object.
+ * @param {Object} [options]
+ * @param {Function} [options.allow] - Whether the user may go on, given the request and course; anyone by default.
+ * @param {string} [options.forbidden] - The message of the 403 sent when the user may not go on.
+ * @param {boolean} [options.writing] - Refuse with a 409 if the course is archived.
+ * @returns {Promise<{course: Object, review?: Object}|undefined>} The documents, or undefined if a response was sent.
+ */
+const _load = async (req, res, { allow = () => true, forbidden = "Not allowed for this role.", writing } = {}) => {
+	const course = await loadCourse(req, res, {
+		select: "managers registrations status rating",
+		allow,
+		forbidden,
+		writing,
+		hideDrafts: true
+	})
+	if (!course) {
+		return
+	}
+
+	const loaded = { course }
+	if (req.params.reviewId) {
+		loaded.review = await Review.findOne({ _id: req.params.reviewId, course: course._id })
+		if (!loaded.review) {
+			res.status(404).json(generateResponseMessage("error", "Review not found"))
+			return
+		}
+	}
+	return loaded
+}
+
+// only the students who took the course rate it
+const _canRate = (req, course) => canRate(course, req.id)
+const RATE_FORBIDDEN = "Only students accepted into or who completed the course can rate it."
+
+/** Helper function, sends the response of a failed review change.
+ * @function
+ * @name _sendFailure
+ * @param {Object} res - The response object.
+ * @param {number} status - One of `REVIEWCHANGE_CODES`, other than SUCCESS.
+ */
+const _sendFailure = (res, status) => {
+	const { httpStatus, message } = describeReviewFailure(status)
+	res.status(httpStatus).json(generateResponseMessage("error", message))
+}
+
+/** Route to get the rating of a course
+ * @swagger
+ * /course/{courseId}/rating:
+ *   get:
+ *     summary: Get the rating of a course
+ *     tags:
+ *       - rating
+ *     description: Protected route. The aggregate score, which search and the course listing sort by, is the upvotes less the downvotes, plus for each review its stars less 3, so that a 5 star review counts as 2 upvotes and a 1 star review as 2 downvotes. For any user who can see the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         example: 648e0f25888c1f49d7184fb5
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The rating of the course
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     score:
+ *                       type: integer
+ *                       example: 14
+ *                     upvotes:
+ *                       type: integer
+ *                     downvotes:
+ *                       type: integer
+ *                     reviewCount:
+ *                       type: integer
+ *                     averageStars:
+ *                       type: number
+ *                       example: 4.25
+ *                       description: Null without reviews
+ *                     vote:
+ *                       type: integer
+ *                       description: The vote of the current user, 1 for up, -1 for down or 0 for none
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       404:
+ *         description: Course not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params
+	const { error } = ratingParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res)
+		if (!loaded) {
+			return
+		}
+		res.status(200).json(generateResponseMessage("success", describeRating(loaded.course, req.id)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Helper function, sets the vote of the current user on the course of the request, and sends the response.
+ * @async
+ * @function
+ * @name _vote
+ * @param {Object} req - The request object, with the course id in its params.
+ * @param {Object} res - The response object.
+ * @param {number} vote - One of `VOTE_CODES`.
+ */
+const _vote = async (req, res, vote) => {
+
+	// validate the request params
+	const { error } = ratingParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: _canRate, forbidden: RATE_FORBIDDEN, writing: true })
+		if (!loaded) {
+			return
+		}
+
+		await castVote(loaded.course._id, req.id, vote)
+		const course = await Course.findById(loaded.course._id).select("rating")
+		res.status(200).json(generateResponseMessage("success", describeRating(course, req.id)))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+}
+
+/** Route to upvote a course
+ * @swagger
+ * /course/{courseId}/rating/upvote:
+ *   post:
+ *     summary: Upvote a course
+ *     tags:
+ *       - rating
+ *     description: Protected route. Replaces a downvote of the current user; upvoting again changes nothing. For students accepted into or who completed the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The rating of the course, as for GET /course/{courseId}/rating
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not an accepted or completed student of the course
+ *       404:
+ *         description: Course not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/upvote', requireScope(APIKEYSCOPE_CODES.WRITE_FORUM), async (req, res) => {
+	return _vote(req, res, VOTE_CODES.UP)
+})
+
+/** Route to downvote a course
+ * @swagger
+ * /course/{courseId}/rating/downvote:
+ *   post:
+ *     summary: Downvote a course
+ *     tags:
+ *       - rating
+ *     description: Protected route. Replaces an upvote of the current user; downvoting again changes nothing. For students accepted into or who completed the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The rating of the course, as for GET /course/{courseId}/rating
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not an accepted or completed student of the course
+ *       404:
+ *         description: Course not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/downvote', requireScope(APIKEYSCOPE_CODES.WRITE_FORUM), async (req, res) => {
+	return _vote(req, res, VOTE_CODES.DOWN)
+})
+
+/** Route to take back a vote
+ * @swagger
+ * /course/{courseId}/rating/vote:
+ *   delete:
+ *     summary: Take back my vote on a course
+ *     tags:
+ *       - rating
+ *     description: Protected route. Clears the upvote or downvote of the current user. For students accepted into or who completed the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The rating of the course, as for GET /course/{courseId}/rating
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not an accepted or completed student of the course
+ *       404:
+ *         description: Course not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.delete('/vote', requireScope(APIKEYSCOPE_CODES.WRITE_FORUM), async (req, res) => {
+	return _vote(req, res, VOTE_CODES.NONE)
+})
+
+/** Route to list the reviews of a course
+ * @swagger
+ * /course/{courseId}/rating/reviews:
+ *   get:
+ *     summary: List the reviews of a course
+ *     tags:
+ *       - rating
+ *     description: Protected route. Latest first, with the replies of the managers. With reported, SUPERADMINs get the reported reviews instead, the most reported first, with the reports. For any user who can see the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: stars
+ *         in: query
+ *         description: Only the reviews with these stars
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *       - name: reported
+ *         in: query
+ *         description: SUPERADMINs only
+ *         schema:
+ *           type: boolean
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: A page of reviews, and the number of reviews
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reviews:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           user:
+ *                             type: object
+ *                           stars:
+ *                             type: integer
+ *                           body:
+ *                             type: string
+ *                           reply:
+ *                             type: object
+ *                           reportCount:
+ *                             type: integer
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Reported reviews asked by a user other than a SUPERADMIN
+ *       404:
+ *         description: Course not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.get('/reviews', requireScope(APIKEYSCOPE_CODES.READ_COURSES), async (req, res) => {
+
+	// validate the request params and query
+	const { error: paramsError } = ratingParamsValidator.validate(req.params)
+	const { error, value } = listReviewsValidator.validate(req.query)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: (req) => !value.reported || req.role === USERROLE_CODES.SUPERADMIN })
+		if (!loaded) {
+			return
+		}
+
+		const { stars, reported, page, limit } = value
+		const filter = { course: loaded.course._id }
+		if (stars) {
+			filter.stars = stars
+		}
+		if (reported) {
+			filter.reportCount = { $gt: 0 }
+		}
+		let query = Review.find(filter)
+			.sort(reported ? { reportCount: -1, createdAt: -1 } : { createdAt: -1 })
+			.skip((page - 1) * limit)
+			.limit(limit)
+			.populate("user", USER_FIELDS)
+			.populate("reply.author", USER_FIELDS)
+		if (reported) {
+			query = query.select("+reports").populate("reports.user", USER_FIELDS)
+		}
+		const [reviews, total] = await Promise.all([query, Review.countDocuments(filter)])
+		res.status(200).json(generateResponseMessage("success", { reviews, total, page, limit }))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to review a course
+ * @swagger
+ * /course/{courseId}/rating/reviews:
+ *   post:
+ *     summary: Review a course
+ *     tags:
+ *       - rating
+ *     description: Protected route. A student reviews a course once, then edits their review. Its stars count in the score of the course. For students accepted into or who completed the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               stars:
+ *                 type: integer
+ *                 required: true
+ *                 minimum: 1
+ *                 maximum: 5
+ *               body:
+ *                 type: string
+ *                 required: true
+ *     responses:
+ *       201:
+ *         description: The new review
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not an accepted or completed student of the course
+ *       404:
+ *         description: Course not found
+ *       409:
+ *         description: Course is archived, or the user already reviewed it
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/reviews', requireScope(APIKEYSCOPE_CODES.WRITE_FORUM), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = ratingParamsValidator.validate(req.params)
+	const { error, value } = createReviewValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: _canRate, forbidden: RATE_FORBIDDEN, writing: true })
+		if (!loaded) {
+			return
+		}
+
+		const { status, review } = await createReview(loaded.course._id, req.id, value)
+		if (status !== REVIEWCHANGE_CODES.SUCCESS) {
+			return _sendFailure(res, status)
+		}
+		res.status(201).json(generateResponseMessage("success", review))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to edit a review
+ * @swagger
+ * /course/{courseId}/rating/reviews/{reviewId}:
+ *   put:
+ *     summary: Edit my review of a course
+ *     tags:
+ *       - rating
+ *     description: Protected route. The score of the course follows the change in stars. For the author of the review while they may rate the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: reviewId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               stars:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated review
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not the author of the review, or may no longer rate the course
+ *       404:
+ *         description: Course or review not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.put('/reviews/:reviewId', requireScope(APIKEYSCOPE_CODES.WRITE_FORUM), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = reviewParamsValidator.validate(req.params)
+	const { error, value } = updateReviewValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: _canRate, forbidden: RATE_FORBIDDEN, writing: true })
+		if (!loaded) {
+			return
+		}
+		if (loaded.review.user.toString() !== String(req.id)) {
+			return res.status(403).json(generateResponseMessage("error", "Only the author can edit a review."))
+		}
+
+		const { status, review } = await updateReview(loaded.review, value)
+		if (status !== REVIEWCHANGE_CODES.SUCCESS) {
+			return _sendFailure(res, status)
+		}
+		res.status(200).json(generateResponseMessage("success", review))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to delete a review
+ * @swagger
+ * /course/{courseId}/rating/reviews/{reviewId}:
+ *   delete:
+ *     summary: Delete a review
+ *     tags:
+ *       - rating
+ *     description: Protected route. Takes its stars out of the score of the course. For its author, and for SUPERADMINs acting on abuse reports.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: reviewId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review deleted
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Neither the author of the review nor a SUPERADMIN
+ *       404:
+ *         description: Course or review not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.delete('/reviews/:reviewId', requireScope(APIKEYSCOPE_CODES.WRITE_FORUM), async (req, res) => {
+
+	// validate the request params
+	const { error } = reviewParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res)
+		if (!loaded) {
+			return
+		}
+		if (req.role !== USERROLE_CODES.SUPERADMIN && loaded.review.user.toString() !== String(req.id)) {
+			return res.status(403).json(generateResponseMessage("error", "Only the author or a SUPERADMIN can delete a review."))
+		}
+
+		const status = await removeReview(loaded.review)
+		if (status !== REVIEWCHANGE_CODES.SUCCESS) {
+			return _sendFailure(res, status)
+		}
+		res.status(200).json(generateResponseMessage("success", "Review deleted successfully"))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to reply to a review
+ * @swagger
+ * /course/{courseId}/rating/reviews/{reviewId}/reply:
+ *   put:
+ *     summary: Reply to a review
+ *     tags:
+ *       - rating
+ *     description: Protected route. Sets the reply of the managers, replacing the previous one. For SUPERADMINs and COORDINATOR or INSTRUCTOR managers of the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: reviewId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 required: true
+ *     responses:
+ *       200:
+ *         description: The review, with its reply
+ *       400:
+ *         description: Invalid request parameters
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not allowed for this role
+ *       404:
+ *         description: Course or review not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.put('/reviews/:reviewId/reply', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = reviewParamsValidator.validate(req.params)
+	const { error, value } = replyValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _load(req, res, {
+			allow: (req, course) => canManageRegistrations(course, req.id, req.role),
+			writing: true
+		})
+		if (!loaded) {
+			return
+		}
+
+		const { review } = loaded
+		const now = new Date()
+		review.reply = {
+			body: value.body,
+			author: req.id,
+			createdAt: (review.reply && review.reply.createdAt) || now,
+			updatedAt: now
+		}
+		await review.save()
+		res.status(200).json(generateResponseMessage("success", review))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to delete the reply to a review
+ * @swagger
+ * /course/{courseId}/rating/reviews/{reviewId}/reply:
+ *   delete:
+ *     summary: Delete the reply to a review
+ *     tags:
+ *       - rating
+ *     description: Protected route. For SUPERADMINs and COORDINATOR or INSTRUCTOR managers of the course.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: reviewId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The review, without a reply
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not allowed for this role
+ *       404:
+ *         description: Course or review not found
+ *       409:
+ *         description: Course is archived
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.delete('/reviews/:reviewId/reply', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params
+	const { error } = reviewParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res, {
+			allow: (req, course) => canManageRegistrations(course, req.id, req.role),
+			writing: true
+		})
+		if (!loaded) {
+			return
+		}
+
+		loaded.review.reply = undefined
+		await loaded.review.save()
+		res.status(200).json(generateResponseMessage("success", loaded.review))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to report a review
+ * @swagger
+ * /course/{courseId}/rating/reviews/{reviewId}/report:
+ *   post:
+ *     summary: Report a review as abusive
+ *     tags:
+ *       - rating
+ *     description: Protected route. Once per user; SUPERADMINs see the reports and may delete the review or dismiss them. For any user who can see the course, but the author of the review.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: reviewId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 required: true
+ *                 example: Insults the instructor
+ *     responses:
+ *       200:
+ *         description: Review reported
+ *       400:
+ *         description: Invalid request parameters, or one's own review
+ *       401:
+ *         description: Missing or invalid auth token
+ *       404:
+ *         description: Course or review not found
+ *       409:
+ *         description: Already reported by the user
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.post('/reviews/:reviewId/report', requireScope(APIKEYSCOPE_CODES.WRITE_FORUM), async (req, res) => {
+
+	// validate the request params and body
+	const { error: paramsError } = reviewParamsValidator.validate(req.params)
+	const { error, value } = reportValidator.validate(req.body)
+	if (paramsError || error)
+		return res.status(400).json(generateResponseMessage("error", (paramsError || error).details[0].message))
+
+	try {
+		const loaded = await _load(req, res)
+		if (!loaded) {
+			return
+		}
+
+		const status = await reportReview(loaded.review, req.id, value.reason)
+		if (status !== REVIEWCHANGE_CODES.SUCCESS) {
+			return _sendFailure(res, status)
+		}
+		res.status(200).json(generateResponseMessage("success", "Review reported, thank you"))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+/** Route to dismiss the reports of a review
+ * @swagger
+ * /course/{courseId}/rating/reviews/{reviewId}/reports:
+ *   delete:
+ *     summary: Dismiss the abuse reports of a review
+ *     tags:
+ *       - rating
+ *     description: Protected route. Keeps the review and clears its reports. For SUPERADMINs.
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: courseId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: reviewId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reports dismissed
+ *       400:
+ *         description: Invalid request parameters in URL
+ *       401:
+ *         description: Missing or invalid auth token
+ *       403:
+ *         description: Not a SUPERADMIN
+ *       404:
+ *         description: Course or review not found
+ *       500:
+ *         description: Server error in contacting database
+ */
+router.delete('/reviews/:reviewId/reports', requireScope(APIKEYSCOPE_CODES.WRITE_MATERIALS), async (req, res) => {
+
+	// validate the request params
+	const { error } = reviewParamsValidator.validate(req.params)
+	if (error)
+		return res.status(400).json(generateResponseMessage("error", error.details[0].message))
+
+	try {
+		const loaded = await _load(req, res, { allow: (req) => req.role === USERROLE_CODES.SUPERADMIN })
+		if (!loaded) {
+			return
+		}
+
+		await Review.updateOne({ _id: loaded.review._id }, { $set: { reports: [], reportCount: 0 } })
+		res.status(200).json(generateResponseMessage("success", "Reports dismissed successfully"))
+	} catch (err) {
+		logger.error(err)
+		res.status(500).json(generateResponseMessage("error", "Internal Server Error"))
+	}
+})
+
+module.exports = router
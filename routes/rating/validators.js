@@ -0,0 +1,85 @@
+const Joi = require('joi')
+
+// Define the schema for a mongo id
+const idSchema = Joi.string()
+	.length(24)
+	.hex()
+	.messages({
+		'string.base': 'ID should be a string.',
+		'string.length': 'ID should be exactly 24 characters long.',
+		'string.hex': 'ID should contain only hexadecimal characters.',
+		'any.required': 'ID is required.'
+	})
+
+const starsSchema = Joi.number()
+	.integer()
+	.min(1)
+	.max(5)
+	.messages({
+		'number.base': 'Stars should be a number.',
+		'number.integer': 'Stars should be a whole number.',
+		'number.min': 'Stars should be between 1 and 5.',
+		'number.max': 'Stars should be between 1 and 5.',
+		'any.required': 'Stars are required.'
+	})
+
+const bodySchema = Joi.string()
+	.trim()
+	.min(1)
+	.max(5000)
+	.messages({
+		'string.base': 'Text should be a string.',
+		'string.empty': 'Text cannot be empty.',
+		'string.max': 'Text should have a maximum length of 5000 characters.',
+		'any.required': 'Text is required.'
+	})
+
+const ratingParamsValidator = Joi.object({
+	courseId: idSchema.required()
+})
+
+const reviewParamsValidator = Joi.object({
+	courseId: idSchema.required(),
+	reviewId: idSchema.required()
+})
+
+const listReviewsValidator = Joi.object({
+	stars: starsSchema, // only the reviews with these stars
+	reported: Joi.boolean(), // SUPERADMINs only, the reported reviews, the most reported first
+	page: Joi.number().integer().min(1).default(1),
+	limit: Joi.number().integer().min(1).max(100).default(20)
+})
+
+const createReviewValidator = Joi.object({
+	stars: starsSchema.required(),
+	body: bodySchema.required()
+})
+
+const updateReviewValidator = Joi.object({
+	stars: starsSchema,
+	body: bodySchema
+}).min(1)
+
+const replyValidator = Joi.object({
+	body: bodySchema.required()
+})
+
+const reportValidator = Joi.object({
+	reason: Joi.string().trim().min(3).max(500).required().messages({
+		'string.base': 'Reason should be a string.',
+		'string.empty': 'Reason cannot be empty.',
+		'string.min': 'Reason should have a minimum length of 3 characters.',
+		'string.max': 'Reason should have a maximum length of 500 characters.',
+		'any.required': 'Reason is required.'
+	})
+})
+
+module.exports = {
+	ratingParamsValidator,
+	reviewParamsValidator,
+	listReviewsValidator,
+	createReviewValidator,
+	updateReviewValidator,
+	replyValidator,
+	reportValidator
+}
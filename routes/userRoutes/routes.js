@@ -19,16 +19,20 @@ const {
 const { generateResponseMessage } = require("../../helpers/response");
 
 const { updateUserValidator} = require("./validators");
+const { APIKEYSCOPE_CODES } = require("../../db/models/apiKey/model");
+const { Announcement, ANNOUNCEMENTSTATUS_CODES } = require("../../db/models/announcement/model");
+const { noticeProjection, presentNotice } = require("../../helpers/announcement");
 const { awardsSchema,educationDetailsSchema,projectSchema,experienceValidationSchema } = require('./validators');
 
-const { checkJwt } = require("../../helpers/jwt");
+const { checkJwtOrApiKey, requireScope } = require("../../helpers/jwt");
 
 const logger = require("../../helpers/logger");
 
 /**
- * This router uses the `checkJwt` middleware to ensure that all requests are authenticated.
+ * This router uses the `checkJwtOrApiKey` middleware to ensure that all requests are authenticated,
+ * with a JWT or with an api key having the scope each route requires.
  */
-router.use(checkJwt);
+router.use(checkJwtOrApiKey);
 const { checkJwtForUserImage } = require("../../helpers/jwtForUserImageUpload");
 const checkImage = require("../../helpers/imageValidator");
 const upload = require("../../helpers/imageStorage");
@@ -38,7 +42,7 @@ const upload = require("../../helpers/imageStorage");
  * @param {Request} req The request object.
  * @param {Response} res The response object.
  */
-router.get("/details", async (req, res) => {
+router.get("/details", requireScope(APIKEYSCOPE_CODES.READ_PROFILE), async (req, res) => {
   const userId = req.id;
 
   try {
@@ -65,24 +69,30 @@ router.get("/details", async (req, res) => {
 });
 
 /**   updates the details of the user
- * This route updates the details of the user with the specified ID.
+ * This route updates the profile details of the user with the specified ID.
+ * Email and password cannot be changed here, see /auth/changeEmail and /auth/changePassword.
  *
  * @param {Request} req The request object.
  * @param {Response} res The response object.
  */
-router.put("/details", async (req, res) => {
+router.put("/details", requireScope(APIKEYSCOPE_CODES.WRITE_PROFILE), async (req, res) => {
   const userId = req.id;
- updateUserValidator.validate(req.body);
-  const updateData = req.body; // Assuming you send the updated user data in the request body
- 
+
+  // Only profile fields pass validation, so email, password, role or status cannot be overwritten here
+  const { error, value: updateData } = updateUserValidator.validate(req.body);
+  if (error) {
+    return res
+      .status(400)
+      .json(generateResponseMessage("error", error.details[0].message));
+  }
 
   try {
     // Find the user by ID and update the data.
     const updatedUser = await User.findByIdAndUpdate(
       userId,
-      updateData,
-      { new: true } // This option returns the updated user object
-    );
+      { $set: updateData },
+      { new: true, runValidators: true } // This option returns the updated user object
+    ).select("-__v -role -password");
 
     if (!updatedUser) {
       // Return a 404 error if the user is not found.
@@ -92,7 +102,7 @@ router.put("/details", async (req, res) => {
     }
 
     // Return the updated user details.
-    res.json(generateResponseMessage("success", "updatedUser"));
+    res.json(generateResponseMessage("success", updatedUser));
   } catch (error) {
     // Log the error and return a 500 error.
     logger.error(error);
@@ -113,6 +123,7 @@ This route uploads an image for the user and updates the user document with the
 */
 router.post(
   "/userdetail/upload-image",
+  requireScope(APIKEYSCOPE_CODES.WRITE_PROFILE),
   checkJwtForUserImage,
   upload.single("image"),
   checkImage,
@@ -160,7 +171,7 @@ router.post(
 @param {Request} req The request object.
 @param {Response} res The response object. 
 */ 
-router.put("/awards/:id", async (req, res) => {
+router.put("/awards/:id", requireScope(APIKEYSCOPE_CODES.WRITE_PROFILE), async (req, res) => {
   const awardId = req.params.id;
   const { name, date, institution, description } = req.body;
 
@@ -212,7 +223,7 @@ router.put("/awards/:id", async (req, res) => {
 
 
 // update education
-router.put("/education/:id", async (req, res) => {
+router.put("/education/:id", requireScope(APIKEYSCOPE_CODES.WRITE_PROFILE), async (req, res) => {
   const educationId = req.params.id;
   const { institution, degree, duration, location, grade, department } = req.body;
 //	const { error } = educationDetailsSchema.validate(userData);
@@ -249,7 +260,7 @@ const validationResult = educationDetailsSchema.validate(req.body);
 });
 
 // Route for updating experience
-router.put('/update-experience/:id', async (req, res) => {
+router.put('/update-experience/:id', requireScope(APIKEYSCOPE_CODES.WRITE_PROFILE), async (req, res) => {
   const userId = req.params.id;
   const experienceData = req.body;
 
@@ -279,7 +290,7 @@ router.put('/update-experience/:id', async (req, res) => {
 });
 
 // Route for updating projects
-router.put("/projects/:id", async (req, res) => {
+router.put("/projects/:id", requireScope(APIKEYSCOPE_CODES.WRITE_PROFILE), async (req, res) => {
   const projectId = req.params.id;
   const { name, entity, duration, about, role, technologiesUsed, url } = req.body;
 
@@ -321,7 +332,7 @@ router.put("/projects/:id", async (req, res) => {
 });
 
 // update experience
-router.put("/experience/:id", async (req, res) => {
+router.put("/experience/:id", requireScope(APIKEYSCOPE_CODES.WRITE_PROFILE), async (req, res) => {
   const experienceId = req.params.id;
   const { working, company, position, duration } = req.body;
 
@@ -359,5 +370,33 @@ router.put("/experience/:id", async (req, res) => {
   }
 });
 
+/**   gets the announcements of the user
+ * This route gets the announcements the user received in all their courses, latest first, as in-app notices.
+ * With ?unread=true, only those not read yet. See /course/{courseId}/announcements/{announcementId}/read.
+ *
+ * @param {Request} req The request object.
+ * @param {Response} res The response object.
+ */
+router.get("/announcements", requireScope(APIKEYSCOPE_CODES.READ_PROFILE), async (req, res) => {
+  const recipient = req.query.unread === "true" ? { user: req.id, readAt: null } : { user: req.id };
+
+  try {
+    const notices = await Announcement.find({
+      status: ANNOUNCEMENTSTATUS_CODES.SENT,
+      recipients: { $elemMatch: recipient },
+    })
+      .select(noticeProjection(req.id))
+      .sort({ sentAt: -1 })
+      .limit(100)
+      .populate("course", "title")
+      .populate("author", "firstname lastname username");
+
+    res.json(generateResponseMessage("success", notices.map(presentNotice)));
+  } catch (error) {
+    logger.error(error);
+    res.status(500).json(generateResponseMessage("error", "Internal Server Error"));
+  }
+});
+
 
 module.exports = router;
@@ -148,22 +148,23 @@ const awardsSchema =
 // Define the schema for interests
 const interestsSchema = Joi.array().items(Joi.string().required());
 
-// Define the schema for the update user request
+// Define the schema for the update user request, limited to profile fields.
+// Email and password have their own verified flows under /auth, any other key is refused.
 const updateUserValidator = Joi.object({
-  firstname: firstnameSchema,
-  lastname: lastnameSchema,
-  email: emailSchema,
-  phone: phoneSchema,
-  college: collegeSchema,
-  address: addressSchema,
-  about: aboutSchema,
+  firstname: firstnameSchema.optional(),
+  lastname: lastnameSchema.optional(),
+  phone: phoneSchema.optional(),
+  college: collegeSchema.optional(),
+  address: addressSchema.optional(),
+  about: aboutSchema.optional(),
   education: Joi.array().items(educationDetailsSchema),
   skills: skillsSchema,
   awards: Joi.array().items(awardsSchema),
   interests: interestsSchema,
-	projets: Joi.array().items(projectSchema),
+	projects: Joi.array().items(projectSchema),
 	experience: Joi.array().items(experienceValidationSchema),
-});
+	announcementEmails: Joi.boolean(), // opts out of, or back into, course announcement emails
+}).min(1);
 
 ValidateAwareds = Joi.object({
 	awards:awardsSchema,